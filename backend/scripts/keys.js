@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * AI Audio KB - Encryption Key CLI
+ *
+ * Usage:
+ *   node scripts/keys.js generate
+ *   node scripts/keys.js rotate [--tenant <tenantId>] [--data-keys] [--dry-run]
+ *   node scripts/keys.js status
+ *
+ * `generate` adds a master key to ENCRYPTION_KEY_FILE and makes it current.
+ * `rotate` re-wraps every data key still wrapped with an older master key;
+ * `--data-keys` also starts a new data key version per tenant. Encrypted
+ * audio and transcripts are not rewritten either way, so keep retired
+ * master keys in the key file until `status` shows none in use.
+ */
+
+import { config } from '../src/config/index.js';
+import { database } from '../src/config/database.js';
+import { EncryptionService } from '../src/services/EncryptionService.js';
+import { LocalKeyProvider } from '../src/services/keys/LocalKeyProvider.js';
+import { RegionPolicyService } from '../src/services/RegionPolicyService.js';
+import { ResidencyRouter } from '../src/services/ResidencyRouter.js';
+import { logger } from '../src/utils/logger.js';
+
+/**
+ * Parse --flags into an options object
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const key = rest[i].replace(/^--/, '');
+    const next = rest[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      options[key] = next;
+      i++;
+    } else {
+      options[key] = true;
+    }
+  }
+  return { command, options };
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  if (!['generate', 'rotate', 'status'].includes(command)) {
+    throw new Error('Usage: keys.js <generate|rotate|status> [--tenant <tenantId>] [--data-keys] [--dry-run]');
+  }
+
+  if (command === 'generate') {
+    if (config.ENCRYPTION_KEY_PROVIDER !== 'local') {
+      throw new Error('generate only manages local key files');
+    }
+    const keyId = await new LocalKeyProvider().addMasterKey();
+    console.log(`Added master key ${keyId} to ${config.ENCRYPTION_KEY_FILE}; run keys:rotate to re-wrap existing data keys`);
+    return;
+  }
+
+  // Migrations are the migrate CLI's job
+  config.MIGRATIONS_RUN_ON_STARTUP = false;
+  config.REGION_POLICY_HOT_RELOAD = false;
+
+  if (!await database.connect()) {
+    throw new Error('Could not connect to MongoDB');
+  }
+
+  try {
+    await RegionPolicyService.initialize();
+    await ResidencyRouter.initialize();
+    await EncryptionService.initialize();
+
+    if (command === 'rotate') {
+      const report = await EncryptionService.rotate({
+        tenantId: typeof options.tenant === 'string' ? options.tenant : undefined,
+        newDataKeys: Boolean(options['data-keys']),
+        dryRun: Boolean(options['dry-run'])
+      });
+
+      console.log(options['dry-run'] ? 'Key rotation dry run (nothing changed)' : `Key rotation to ${report.master_key_id}`);
+      console.table(report.zones);
+      console.log('Totals', { rewrapped: report.rewrapped, created: report.created, failed: report.failed });
+      if (report.failed) process.exitCode = 1;
+    } else {
+      const rows = await EncryptionService.keyStatus();
+      console.log('Encryption', EncryptionService.getStatus());
+      console.table(rows);
+    }
+  } finally {
+    RegionPolicyService.close();
+    await ResidencyRouter.disconnect();
+    await database.disconnect();
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode ?? 0))
+  .catch(error => {
+    logger.error('Key command failed', { error: error.message, details: error.details });
+    process.exit(1);
+  });
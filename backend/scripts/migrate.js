@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * AI Audio KB - Migration CLI
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to <version>] [--dry-run]
+ *   node scripts/migrate.js down [--steps <n>] [--dry-run]
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js create <name>
+ *
+ * `--zone <zone>` targets an additional residency zone's database
+ * (RESIDENCY_ZONES) instead of the default MONGODB_URI.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config/index.js';
+import { database as defaultDatabase, DatabaseManager } from '../src/config/database.js';
+import { Migrator } from '../src/migrations/Migrator.js';
+import { logger } from '../src/utils/logger.js';
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src/migrations');
+
+const TEMPLATE = (name) => `/**
+ * AI Audio KB - Migration: ${name}
+ */
+
+export const description = '${name.replace(/-/g, ' ')}';
+
+export async function up(db, { logger, config }) {
+}
+
+export async function down(db, { logger, config }) {
+}
+`;
+
+/**
+ * Split argv into a command, positionals and --flags
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const next = rest[i + 1];
+      if (next !== undefined && !next.startsWith('--')) {
+        options[key] = next;
+        i++;
+      } else {
+        options[key] = true;
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { command, options, positionals };
+}
+
+/**
+ * Scaffold the next numbered migration file
+ */
+async function createMigration(name) {
+  if (!name || !/^[\w-]+$/.test(name)) {
+    throw new Error('Usage: migrate.js create <name> (letters, digits, - and _)');
+  }
+
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const versions = files
+    .map(file => file.match(/^(\d{3,})-/))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+  const next = String((versions.length ? Math.max(...versions) : 0) + 1).padStart(3, '0');
+
+  const filePath = path.join(MIGRATIONS_DIR, `${next}-${name}.js`);
+  await fs.writeFile(filePath, TEMPLATE(name), { flag: 'wx' });
+  return filePath;
+}
+
+/**
+ * Database manager for the default zone or a named residency zone
+ */
+function selectDatabase(zone) {
+  if (!zone || zone === config.RESIDENCY_DEFAULT_ZONE) return defaultDatabase;
+
+  const zoneConfig = config.RESIDENCY_ZONES.find(candidate => candidate.zone === zone);
+  if (!zoneConfig?.mongodbUri) {
+    throw new Error(`Unknown residency zone ${zone} (see RESIDENCY_ZONES)`);
+  }
+  return new DatabaseManager({ zone, uri: zoneConfig.mongodbUri, dbName: zoneConfig.dbName });
+}
+
+async function main() {
+  const { command, options, positionals } = parseArgs(process.argv.slice(2));
+
+  if (command === 'create') {
+    console.log(`Created ${await createMigration(positionals[0])}`);
+    return;
+  }
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    throw new Error('Usage: migrate.js <up|down|status|create> [options]');
+  }
+
+  // The CLI drives migrations itself
+  config.MIGRATIONS_RUN_ON_STARTUP = false;
+
+  const database = selectDatabase(options.zone);
+  const db = await database.connect();
+  if (!db) {
+    throw new Error('Could not connect to MongoDB');
+  }
+
+  try {
+    const migrator = new Migrator(db);
+
+    if (command === 'status') {
+      console.table(await migrator.status());
+      return;
+    }
+
+    const dryRun = Boolean(options['dry-run']);
+    const result = command === 'up'
+      ? await migrator.up({ to: options.to, dryRun })
+      : await migrator.down({ steps: Number.parseInt(options.steps ?? '1', 10), dryRun });
+
+    const verb = dryRun ? 'Would run' : 'Ran';
+    if (result.migrations.length === 0) {
+      console.log('Nothing to migrate');
+    }
+    for (const migration of result.migrations) {
+      console.log(`${verb} ${result.direction} ${migration.version}-${migration.name}: ${migration.description}`);
+    }
+
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('Migration command failed', { error: error.message, details: error.details });
+    process.exit(1);
+  });
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * AI Audio KB - Retention CLI
+ *
+ * Usage:
+ *   node scripts/retention.js [--dry-run] [--tenant <tenantId>]
+ *
+ * Runs one retention sweep across every residency zone, outside the
+ * RETENTION_CRON schedule. `--dry-run` only reports what would be purged.
+ */
+
+import { config } from '../src/config/index.js';
+import { database } from '../src/config/database.js';
+import { RegionPolicyService } from '../src/services/RegionPolicyService.js';
+import { ResidencyRouter } from '../src/services/ResidencyRouter.js';
+import { RetentionService } from '../src/services/RetentionService.js';
+import { logger } from '../src/utils/logger.js';
+
+/**
+ * Parse --flags into an options object
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      options[key] = next;
+      i++;
+    } else {
+      options[key] = true;
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Migrations are the migrate CLI's job
+  config.MIGRATIONS_RUN_ON_STARTUP = false;
+  config.REGION_POLICY_HOT_RELOAD = false;
+
+  if (!await database.connect()) {
+    throw new Error('Could not connect to MongoDB');
+  }
+
+  try {
+    await RegionPolicyService.initialize();
+    await ResidencyRouter.initialize();
+
+    const report = await RetentionService.run({
+      dryRun: Boolean(options['dry-run']),
+      tenantId: typeof options.tenant === 'string' ? options.tenant : undefined
+    });
+
+    console.log(report.dry_run ? 'Retention dry run (nothing deleted)' : 'Retention run');
+    console.table(report.groups.map(group => ({
+      zone: group.zone,
+      tenant: group.tenant_id,
+      region: group.region,
+      retention_days: group.retention_days,
+      cutoff: group.cutoff.toISOString(),
+      expired: group.expired,
+      held: group.held,
+      purged: group.purged,
+      failed: group.failed,
+      recordings: group.recordings,
+      bytes: group.bytes
+    })));
+    console.log('Totals', report.totals);
+  } finally {
+    RegionPolicyService.close();
+    await ResidencyRouter.disconnect();
+    await database.disconnect();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('Retention command failed', { error: error.message, details: error.details });
+    process.exit(1);
+  });
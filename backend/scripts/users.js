@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * AI Audio KB - User CLI
+ *
+ * Usage:
+ *   node scripts/users.js create --email <email> --tenant <tenantId> [--role <role>]
+ *   node scripts/users.js revoke-tokens --email <email>
+ *
+ * The password for `create` is read from USER_PASSWORD so it never appears
+ * in the shell history or process list.
+ */
+
+import { config } from '../src/config/index.js';
+import { database } from '../src/config/database.js';
+import { AuthService } from '../src/services/AuthService.js';
+import { logger } from '../src/utils/logger.js';
+
+/**
+ * Parse --flags into an options object
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const key = rest[i].replace(/^--/, '');
+    const next = rest[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      options[key] = next;
+      i++;
+    } else {
+      options[key] = true;
+    }
+  }
+  return { command, options };
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  if (!['create', 'revoke-tokens'].includes(command) || typeof options.email !== 'string') {
+    throw new Error('Usage: users.js <create|revoke-tokens> --email <email> [--tenant <tenantId>] [--role <role>]');
+  }
+
+  config.MIGRATIONS_RUN_ON_STARTUP = false;
+  if (!await database.connect()) {
+    throw new Error('Could not connect to MongoDB');
+  }
+
+  try {
+    if (command === 'create') {
+      if (typeof options.tenant !== 'string' || !process.env.USER_PASSWORD) {
+        throw new Error('create requires --tenant and the USER_PASSWORD environment variable');
+      }
+      const user = await AuthService.createUser({
+        email: options.email,
+        password: process.env.USER_PASSWORD,
+        tenantId: options.tenant,
+        role: typeof options.role === 'string' ? options.role : undefined
+      });
+      console.log(`Created user ${user.id} (${user.email}, role ${user.role}, tenant ${user.tenant_id})`);
+      return;
+    }
+
+    const user = await AuthService.users().findOne({ email: options.email.toLowerCase() });
+    if (!user) {
+      throw new Error(`No user with email ${options.email}`);
+    }
+    await AuthService.revokeAllTokens(user.user_id, 'admin_revoked');
+    console.log(`Revoked every token issued to ${user.email}`);
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('User command failed', { error: error.message, details: error.details });
+    process.exit(1);
+  });
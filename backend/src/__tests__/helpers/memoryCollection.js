@@ -0,0 +1,288 @@
+/**
+ * AI Audio KB - In-memory MongoDB collection for tests
+ *
+ * Implements the subset of the driver API the services use, with MongoDB
+ * semantics where tests depend on them: dotted paths descend into arrays,
+ * null matches a missing field, upserts seed the filter's equality fields
+ * and findOneAndUpdate returns the document before the update unless asked
+ * for `returnDocument: 'after'`. Documents are cloned on the way in and
+ * out, so tests inspect `collection.docs` for what was stored.
+ */
+
+import { jest } from '@jest/globals';
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !isDate(value);
+
+// Dates a test built with structuredClone belong to another realm, so they
+// are recognized and compared by value rather than with instanceof
+const isDate = value => typeof value?.getTime === 'function';
+
+/**
+ * Deep copy in the test's realm (structuredClone's Dates fail instanceof)
+ */
+function clone(value) {
+  if (isDate(value)) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+const isOperator = condition => isObject(condition) && Object.keys(condition).some(key => key.startsWith('$'));
+
+export const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+export function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), doc);
+  parent[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.length ? getPath(doc, keys.join('.')) : doc;
+  if (parent) delete parent[last];
+}
+
+/**
+ * Values at a dotted path, descending into arrays like MongoDB does
+ */
+function valuesAt(doc, path) {
+  const descend = (value, key) => (Array.isArray(value) && !/^\d+$/.test(key)
+    ? value.flatMap(element => descend(element, key))
+    : [value?.[key]]);
+  return path.split('.')
+    .reduce((values, key) => values.flatMap(value => descend(value, key)), [doc])
+    .flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+}
+
+function equals(a, b) {
+  if (isDate(a) || isDate(b)) return isDate(a) && isDate(b) && a.getTime() === b.getTime();
+  if (b === null) return a == null;
+  if (a === b || typeof a !== 'object' || typeof b !== 'object' || a === null) return a === b;
+  const keys = Object.keys(a);
+  return Array.isArray(a) === Array.isArray(b) && keys.length === Object.keys(b).length
+    && keys.every(key => equals(a[key], b[key]));
+}
+
+function compare(a, b) {
+  if (a == null || b == null) return (b == null) - (a == null);
+  const left = isDate(a) ? a.getTime() : a;
+  const right = isDate(b) ? b.getTime() : b;
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+const ordered = (values, bound, test) => values.some(value => value != null && test(compare(value, bound)));
+
+const OPERATORS = {
+  $eq: (values, operand) => values.some(value => equals(value, operand)),
+  $ne: (values, operand) => !values.some(value => equals(value, operand)),
+  $in: (values, operand) => operand.some(candidate => values.some(value => equals(value, candidate))),
+  $nin: (values, operand) => !operand.some(candidate => values.some(value => equals(value, candidate))),
+  $all: (values, operand) => operand.every(candidate => values.some(value => equals(value, candidate))),
+  $gt: (values, operand) => ordered(values, operand, order => order > 0),
+  $gte: (values, operand) => ordered(values, operand, order => order >= 0),
+  $lt: (values, operand) => ordered(values, operand, order => order < 0),
+  $lte: (values, operand) => ordered(values, operand, order => order <= 0),
+  $exists: (values, operand) => values.some(value => value !== undefined) === Boolean(operand)
+};
+
+function test(values, condition) {
+  if (!isOperator(condition)) return OPERATORS.$eq(values, condition);
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (!OPERATORS[operator]) throw new Error(`memoryCollection does not support ${operator}`);
+    return OPERATORS[operator](values, operand);
+  });
+}
+
+/**
+ * Whether `doc` matches a MongoDB query filter
+ */
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some(branch => matches(doc, branch));
+    if (path === '$and') return condition.every(branch => matches(doc, branch));
+    if (path === '$nor') return !condition.some(branch => matches(doc, branch));
+    return test(valuesAt(doc, path), condition);
+  });
+}
+
+/**
+ * Apply a projection; `_id` is only ever excluded
+ */
+function project(doc, projection) {
+  const fields = Object.entries(projection ?? {}).filter(([path]) => path !== '_id');
+  if (fields.some(([, include]) => include)) {
+    const projected = {};
+    fields.forEach(([path]) => {
+      const value = getPath(doc, path);
+      if (value !== undefined) setPath(projected, path, value);
+    });
+    return projected;
+  }
+  fields.forEach(([path]) => unsetPath(doc, path));
+  return doc;
+}
+
+/**
+ * Resolve the positional `$` in an update path to the index of the first
+ * array element the filter matched
+ */
+function resolvePositional(doc, filter, path) {
+  const [arrayPath, rest] = path.split('.$');
+  const conditions = Object.entries(filter)
+    .filter(([key]) => key.startsWith(`${arrayPath}.`))
+    .map(([key, condition]) => [key.slice(arrayPath.length + 1), condition]);
+  const index = getPath(doc, arrayPath).findIndex(element => matches(element, Object.fromEntries(conditions)));
+  return `${arrayPath}.${index}${rest}`;
+}
+
+const each = value => (isObject(value) && '$each' in value ? value.$each : [value]);
+
+function pulls(item, condition) {
+  if (isOperator(condition)) return test([item], condition);
+  if (isObject(condition) && isObject(item)) return matches(item, condition);
+  return equals(item, condition);
+}
+
+function apply(doc, filter, { $set = {}, $unset = {}, $inc = {}, $max = {}, $min = {}, $push = {}, $addToSet = {}, $pull = {} }) {
+  const target = path => (path.includes('.$') ? resolvePositional(doc, filter, path) : path);
+
+  Object.entries($set).forEach(([path, value]) => setPath(doc, target(path), clone(value)));
+  Object.keys($unset).forEach(path => unsetPath(doc, target(path)));
+  Object.entries($inc).forEach(([path, by]) => setPath(doc, target(path), (getPath(doc, target(path)) ?? 0) + by));
+  Object.entries($max).forEach(([path, value]) => {
+    const current = getPath(doc, target(path));
+    if (current == null || compare(value, current) > 0) setPath(doc, target(path), clone(value));
+  });
+  Object.entries($min).forEach(([path, value]) => {
+    const current = getPath(doc, target(path));
+    if (current == null || compare(value, current) < 0) setPath(doc, target(path), clone(value));
+  });
+  Object.entries($push).forEach(([path, value]) => {
+    setPath(doc, target(path), [...(getPath(doc, target(path)) ?? []), ...clone(each(value))]);
+  });
+  Object.entries($addToSet).forEach(([path, value]) => {
+    const values = getPath(doc, target(path)) ?? [];
+    const added = each(value).filter(item => !values.some(existing => equals(existing, item)));
+    setPath(doc, target(path), [...values, ...clone(added)]);
+  });
+  Object.entries($pull).forEach(([path, condition]) => {
+    setPath(doc, target(path), (getPath(doc, target(path)) ?? []).filter(item => !pulls(item, condition)));
+  });
+}
+
+/**
+ * Document an upsert inserts: the filter's equality fields, then
+ * `$setOnInsert` and the update
+ */
+function seed(filter, update) {
+  const doc = {};
+  Object.entries(filter)
+    .filter(([path, condition]) => !path.startsWith('$') && !isOperator(condition))
+    .forEach(([path, condition]) => setPath(doc, path, clone(condition)));
+  Object.entries(update.$setOnInsert ?? {}).forEach(([path, value]) => setPath(doc, path, clone(value)));
+  apply(doc, filter, update);
+  return doc;
+}
+
+function sorter(spec) {
+  const keys = Object.entries(spec);
+  return (a, b) => keys.reduce((order, [path, direction]) => order || compare(getPath(a, path), getPath(b, path)) * direction, 0);
+}
+
+/**
+ * Cursor over a snapshot of matched documents
+ */
+function cursor(results) {
+  return {
+    sort: spec => cursor([...results].sort(sorter(spec))),
+    skip: count => cursor(results.slice(count)),
+    limit: count => cursor(count ? results.slice(0, count) : results),
+    project: projection => cursor(results.map(doc => project(doc, projection))),
+    map: fn => cursor(results.map(fn)),
+    toArray: async () => results,
+    async* [Symbol.asyncIterator]() {
+      yield* results;
+    }
+  };
+}
+
+/**
+ * In-memory collection over `docs`. Methods are jest mocks; a test adds
+ * what the fake lacks (e.g. `aggregate`) on the returned object.
+ */
+export function createCollection(docs = []) {
+  const read = (doc, { projection } = {}) => (doc ? project(clone(doc), projection) : null);
+
+  const updateOne = (filter, update, { upsert = false } = {}) => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (doc) {
+      apply(doc, filter, update);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+    }
+    if (upsert) {
+      docs.push(seed(filter, update));
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: docs.length };
+    }
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+  };
+
+  const updateMany = (filter, update) => {
+    const targets = docs.filter(doc => matches(doc, filter));
+    targets.forEach(doc => apply(doc, filter, update));
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length, upsertedCount: 0 };
+  };
+
+  const insertOne = doc => {
+    docs.push(clone(doc));
+    return { acknowledged: true, insertedId: docs.length };
+  };
+
+  const remove = (filter, many) => {
+    const removed = docs.filter(doc => matches(doc, filter)).slice(0, many ? undefined : 1);
+    removed.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return { acknowledged: true, deletedCount: removed.length };
+  };
+
+  return {
+    docs,
+    insertOne: jest.fn(async doc => insertOne(doc)),
+    insertMany: jest.fn(async batch => {
+      batch.forEach(insertOne);
+      return { acknowledged: true, insertedCount: batch.length };
+    }),
+    findOne: jest.fn(async (filter, options) => read(docs.find(doc => matches(doc, filter)), options)),
+    find: jest.fn((filter, options) => cursor(docs.filter(doc => matches(doc, filter)).map(doc => read(doc, options)))),
+    countDocuments: jest.fn(async filter => docs.filter(doc => matches(doc, filter)).length),
+    updateOne: jest.fn(async (filter, update, options) => updateOne(filter, update, options)),
+    updateMany: jest.fn(async (filter, update) => updateMany(filter, update)),
+    findOneAndUpdate: jest.fn(async (filter, update, { upsert = false, returnDocument = 'before', projection } = {}) => {
+      let doc = docs.find(candidate => matches(candidate, filter));
+      if (!doc) {
+        if (!upsert) return null;
+        docs.push(doc = seed(filter, update));
+        return returnDocument === 'after' ? read(doc, { projection }) : null;
+      }
+      const before = read(doc, { projection });
+      apply(doc, filter, update);
+      return returnDocument === 'after' ? read(doc, { projection }) : before;
+    }),
+    deleteOne: jest.fn(async filter => remove(filter, false)),
+    deleteMany: jest.fn(async filter => remove(filter, true)),
+    bulkWrite: jest.fn(async operations => {
+      operations.forEach(operation => {
+        if (operation.insertOne) insertOne(operation.insertOne.document);
+        if (operation.updateOne) updateOne(operation.updateOne.filter, operation.updateOne.update, operation.updateOne);
+        if (operation.updateMany) updateMany(operation.updateMany.filter, operation.updateMany.update);
+        if (operation.deleteOne) remove(operation.deleteOne.filter, false);
+        if (operation.deleteMany) remove(operation.deleteMany.filter, true);
+      });
+      return { acknowledged: true };
+    })
+  };
+}
@@ -8,10 +8,29 @@
 import { MongoClient, ServerApiVersion } from 'mongodb';
 import mongoose from 'mongoose';
 import { logger } from '../utils/logger.js';
+import { assertUnscopedAccess } from '../utils/tenantScope.js';
 import { config } from './index.js';
+import { searchIndexManager, SearchIndexManager } from './searchIndexes.js';
+import { Migrator } from '../migrations/Migrator.js';
 
-class DatabaseManager {
-  constructor() {
+export class DatabaseManager {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.zone] - residency zone served by this database
+   * @param {string} [options.uri]
+   * @param {string} [options.dbName]
+   * @param {SearchIndexManager} [options.searchIndexes]
+   */
+  constructor({
+    zone = config.RESIDENCY_DEFAULT_ZONE,
+    uri = config.MONGODB_URI,
+    dbName = config.MONGODB_DB_NAME,
+    searchIndexes = new SearchIndexManager()
+  } = {}) {
+    this.zone = zone;
+    this.uri = uri;
+    this.dbName = dbName;
+    this.searchIndexes = searchIndexes;
     this.client = null;
     this.db = null;
     this.isConnected = false;
@@ -46,7 +65,8 @@ class DatabaseManager {
 
     try {
       logger.info('Connecting to MongoDB Atlas...', {
-        database: config.MONGODB_DB_NAME,
+        zone: this.zone,
+        database: this.dbName,
         poolSize: config.MONGODB_POOL_SIZE
       });
 
@@ -71,7 +91,7 @@ class DatabaseManager {
       };
 
       // Create MongoDB client
-      this.client = new MongoClient(config.MONGODB_URI, clientOptions);
+      this.client = new MongoClient(this.uri, clientOptions);
       
       // Connect to MongoDB
       await this.client.connect();
@@ -80,7 +100,7 @@ class DatabaseManager {
       await this.client.db('admin').command({ ping: 1 });
       
       // Get database instance
-      this.db = this.client.db(config.MONGODB_DB_NAME);
+      this.db = this.client.db(this.dbName);
       
       // Setup connection event handlers
       this.setupEventHandlers();
@@ -93,7 +113,8 @@ class DatabaseManager {
       this.reconnectAttempts = 0;
 
       logger.info('MongoDB Atlas connection established', {
-        database: config.MONGODB_DB_NAME,
+        zone: this.zone,
+        database: this.dbName,
         host: this.client.options.hosts?.[0],
         poolSize: clientOptions.maxPoolSize
       });
@@ -165,111 +186,38 @@ class DatabaseManager {
   }
 
   /**
-   * Initialize collections and create indexes
+   * Apply pending schema migrations (src/migrations)
    */
   async initializeCollections() {
-    try {
-      logger.info('Initializing MongoDB collections and indexes...');
-
-      // Create collections if they don't exist
-      const collections = ['audio_events', 'audit_logs', 'users', 'sessions'];
-      
-      for (const collectionName of collections) {
-        const exists = await this.db.listCollections({ name: collectionName }).hasNext();
-        if (!exists) {
-          await this.db.createCollection(collectionName);
-          logger.info(`Created collection: ${collectionName}`);
-        }
-      }
-
-      // Create indexes for audio_events collection
-      const audioEvents = this.db.collection('audio_events');
-      
-      await audioEvents.createIndexes([
-        // Primary indexes for queries
-        { key: { event_id: 1 }, unique: true },
-        { key: { tenant_id: 1, created_at: -1 } },
-        { key: { session_id: 1, 'segment.idx': 1 } },
-        
-        // Search indexes
-        { key: { tags: 1 } },
-        { key: { 'transcript.language': 1 } },
-        { key: { 'consent.region': 1 } },
-        { key: { 'device.model': 1 } },
-        
-        // Compound indexes for common queries
-        { key: { tenant_id: 1, 'consent.region': 1, created_at: -1 } },
-        { key: { tenant_id: 1, tags: 1, created_at: -1 } }
-      ]);
-
-      // Create Vector Search Index (Atlas-specific)
-      try {
-        // Note: Vector search indexes must be created via Atlas UI or CLI
-        // This is a placeholder for documentation
-        logger.info('Vector search index creation should be done via Atlas UI', {
-          collection: 'audio_events',
-          field: 'embedding',
-          dimensions: 768,
-          similarity: 'cosine',
-          indexName: 'audio_embeddings_index'
-        });
-      } catch (vectorError) {
-        logger.warn('Vector search index creation skipped', {
-          reason: 'Must be created via Atlas UI',
-          error: vectorError.message
-        });
-      }
-
-      // Create indexes for audit_logs collection
-      const auditLogs = this.db.collection('audit_logs');
-      
-      await auditLogs.createIndexes([
-        { key: { timestamp: -1 } },
-        { key: { actor: 1, timestamp: -1 } },
-        { key: { action: 1, timestamp: -1 } },
-        { key: { subject: 1, timestamp: -1 } },
-        
-        // TTL index for log retention (90 days default)
-        { 
-          key: { timestamp: 1 }, 
-          expireAfterSeconds: parseInt(config.AUDIT_LOG_RETENTION_DAYS) * 24 * 60 * 60 
-        }
-      ]);
-
-      // Create indexes for users collection
-      const users = this.db.collection('users');
-      
-      await users.createIndexes([
-        { key: { email: 1 }, unique: true },
-        { key: { tenant_id: 1 } },
-        { key: { api_key_hash: 1 }, sparse: true },
-        { key: { created_at: -1 } }
-      ]);
-
-      // Create indexes for sessions collection
-      const sessions = this.db.collection('sessions');
-      
-      await sessions.createIndexes([
-        { key: { session_id: 1 }, unique: true },
-        { key: { user_id: 1, created_at: -1 } },
-        { key: { tenant_id: 1, created_at: -1 } },
-        { key: { status: 1, updated_at: -1 } },
-        
-        // TTL index for session cleanup (30 days)
-        { key: { updated_at: 1 }, expireAfterSeconds: 30 * 24 * 60 * 60 }
-      ]);
+    if (!config.MIGRATIONS_RUN_ON_STARTUP) {
+      logger.info('Skipping startup migrations (MIGRATIONS_RUN_ON_STARTUP=false)');
+      return;
+    }
 
-      logger.info('MongoDB collections and indexes initialized successfully');
+    try {
+      const { migrations } = await new Migrator(this.db).up();
+      logger.info('MongoDB migrations up to date', {
+        applied: migrations.map(migration => migration.version)
+      });
 
     } catch (error) {
-      logger.error('Failed to initialize MongoDB collections', {
+      logger.error('Failed to apply MongoDB migrations', {
         error: error.message,
+        details: error.details,
         stack: error.stack
       });
       throw error;
     }
   }
 
+  /**
+   * Create or update the Atlas Search and Vector Search indexes.
+   * Blocks until they are queryable when SEARCH_INDEX_STARTUP_MODE=block.
+   */
+  async ensureSearchIndexes() {
+    return this.searchIndexes.ensure(this.getDatabase());
+  }
+
   /**
    * Initialize Mongoose connection (for ODM if needed)
    */
@@ -312,9 +260,11 @@ class DatabaseManager {
   }
 
   /**
-   * Get collection with error handling
+   * Get a raw collection. Tenant collections are only handed out with a
+   * system context; request paths use ResidencyRouter's tenant scope.
    */
-  getCollection(name) {
+  getCollection(name, context) {
+    assertUnscopedAccess(name, context);
     const db = this.getDatabase();
     return db.collection(name);
   }
@@ -338,10 +288,12 @@ class DatabaseManager {
 
       return {
         status: 'healthy',
-        database: config.MONGODB_DB_NAME,
+        zone: this.zone,
+        database: this.dbName,
         response_time_ms: duration,
         pool_size: this.client.options?.maxPoolSize,
-        connected: this.isConnected
+        connected: this.isConnected,
+        search_indexes: this.searchIndexes.getStatus()
       };
 
     } catch (error) {
@@ -383,14 +335,14 @@ class DatabaseManager {
   }
 }
 
-// Create singleton instance
-const databaseManager = new DatabaseManager();
+// Create singleton instance (the default residency zone and control plane)
+const databaseManager = new DatabaseManager({ searchIndexes: searchIndexManager });
 
 // Export database manager and convenience methods
 export { databaseManager as database };
 export const connectDatabase = () => databaseManager.connect();
 export const getDatabase = () => databaseManager.getDatabase();
-export const getCollection = (name) => databaseManager.getCollection(name);
+export const getCollection = (name, context) => databaseManager.getCollection(name, context);
 export const disconnectDatabase = () => databaseManager.disconnect();
 export const databaseHealthCheck = () => databaseManager.healthCheck();
 
@@ -42,6 +42,38 @@ function parseArray(value, defaultValue = []) {
   return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
 }
 
+/**
+ * Parse residency zones listed in RESIDENCY_ZONES. Each zone reads its own
+ * RESIDENCY_<ZONE>_MONGODB_URI, _DB_NAME, _STORAGE_PATH (local driver) and
+ * _S3_BUCKET / _S3_REGION (s3 driver; the region defaults to the zone id),
+ * where <ZONE> is the zone id upper-cased with dashes as underscores
+ * (eu-central-1 -> EU_CENTRAL_1).
+ */
+function parseResidencyZones(value) {
+  return parseArray(value).map(zone => {
+    const prefix = `RESIDENCY_${zone.toUpperCase().replace(/-/g, '_')}`;
+    return {
+      zone,
+      mongodbUri: process.env[`${prefix}_MONGODB_URI`],
+      dbName: process.env[`${prefix}_DB_NAME`] || process.env.MONGODB_DB_NAME || 'ai_audio_kb',
+      storagePath: process.env[`${prefix}_STORAGE_PATH`],
+      s3Bucket: process.env[`${prefix}_S3_BUCKET`],
+      s3Region: process.env[`${prefix}_S3_REGION`] || zone
+    };
+  });
+}
+
+/**
+ * Parse `alias:zone` pairs into a lookup object
+ */
+function parseZoneAliases(value) {
+  return Object.fromEntries(
+    parseArray(value)
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([alias, zone]) => alias && zone)
+  );
+}
+
 /**
  * Validate required environment variables
  */
@@ -50,6 +82,8 @@ function validateRequired(config) {
     'MONGODB_URI',
     'REDIS_URL', 
     'JWT_SECRET',
+    'JWT_REFRESH_SECRET',
+    'API_KEY_SALT',
     'DEEPGRAM_API_KEY',
     'OPENAI_API_KEY'
   ];
@@ -84,6 +118,11 @@ export const config = {
   MONGODB_MAX_IDLE_TIME: parseInt(process.env.MONGODB_MAX_IDLE_TIME, 30000),
   MONGODB_SERVER_SELECTION_TIMEOUT: parseInt(process.env.MONGODB_SERVER_SELECTION_TIMEOUT, 5000),
   MONGODB_SOCKET_TIMEOUT: parseInt(process.env.MONGODB_SOCKET_TIMEOUT, 45000),
+
+  // Migrations
+  MIGRATIONS_RUN_ON_STARTUP: parseBoolean(process.env.MIGRATIONS_RUN_ON_STARTUP, true),
+  MIGRATIONS_LOCK_TTL: parseInt(process.env.MIGRATIONS_LOCK_TTL, 600000),
+  MIGRATIONS_LOCK_WAIT: parseInt(process.env.MIGRATIONS_LOCK_WAIT, 120000),
   
   // Vector Search Configuration
   VECTOR_INDEX_NAME: process.env.VECTOR_INDEX_NAME || 'audio_embeddings_index',
@@ -94,6 +133,9 @@ export const config = {
   // Atlas Search Configuration  
   SEARCH_INDEX_NAME: process.env.SEARCH_INDEX_NAME || 'audio_text_search',
   SEARCH_ANALYZER: process.env.SEARCH_ANALYZER || 'english',
+  SEARCH_INDEX_STARTUP_MODE: process.env.SEARCH_INDEX_STARTUP_MODE || 'background', // block|background|skip
+  SEARCH_INDEX_WAIT_TIMEOUT: parseInt(process.env.SEARCH_INDEX_WAIT_TIMEOUT, 300000),
+  SEARCH_INDEX_POLL_INTERVAL: parseInt(process.env.SEARCH_INDEX_POLL_INTERVAL, 5000),
   
   // Hybrid Search (RRF) Configuration
   HYBRID_VECTOR_WEIGHT: parseFloat(process.env.HYBRID_VECTOR_WEIGHT, 0.6),
@@ -102,6 +144,8 @@ export const config = {
   HYBRID_VECTOR_CANDIDATES: parseInt(process.env.HYBRID_VECTOR_CANDIDATES, 100),
   HYBRID_NUM_CANDIDATES: parseInt(process.env.HYBRID_NUM_CANDIDATES, 1000),
   HYBRID_MIN_SCORE: parseFloat(process.env.HYBRID_MIN_SCORE, 0.7),
+  SEARCH_ENGINE: process.env.SEARCH_ENGINE || 'auto', // auto|atlas|local
+  SEARCH_ATLAS_REPROBE_MS: parseInt(process.env.SEARCH_ATLAS_REPROBE_MS, 300000),
 
   // Redis Configuration
   REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379',
@@ -116,7 +160,14 @@ export const config = {
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '24h',
   JWT_REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
   API_KEY_SALT: process.env.API_KEY_SALT,
+  API_KEY_ROTATION_GRACE_PERIOD: parseInt(process.env.API_KEY_ROTATION_GRACE_PERIOD, 86400000),
+  API_KEY_MANAGER_ROLES: parseArray(process.env.API_KEY_MANAGER_ROLES, ['admin']),
+  AUTH_BCRYPT_ROUNDS: parseInt(process.env.AUTH_BCRYPT_ROUNDS, 12),
   ENCRYPTION_KEY: process.env.ENCRYPTION_KEY,
+  ENCRYPTION_ENABLED: parseBoolean(process.env.ENCRYPTION_ENABLED, false),
+  ENCRYPTION_KEY_PROVIDER: process.env.ENCRYPTION_KEY_PROVIDER || 'local',
+  ENCRYPTION_KEY_FILE: process.env.ENCRYPTION_KEY_FILE || '',
+  ENCRYPTION_KEY_CACHE_TTL_MS: parseInt(process.env.ENCRYPTION_KEY_CACHE_TTL_MS, 300000),
 
   // CORS Configuration
   CORS_ORIGINS: process.env.CORS_ORIGINS || 'http://localhost:3000',
@@ -128,6 +179,22 @@ export const config = {
   S3_BUCKET_NAME: process.env.S3_BUCKET_NAME,
   S3_BUCKET_REGION: process.env.S3_BUCKET_REGION || 'us-west-2',
   S3_PRESIGNED_URL_EXPIRES: parseInt(process.env.S3_PRESIGNED_URL_EXPIRES, 3600),
+  S3_ENDPOINT: process.env.S3_ENDPOINT || '',
+  S3_FORCE_PATH_STYLE: parseBoolean(process.env.S3_FORCE_PATH_STYLE, false),
+  S3_OBJECT_LOCK_MODE: (process.env.S3_OBJECT_LOCK_MODE || '').toUpperCase(),
+  S3_OBJECT_LOCK_DAYS: parseInt(process.env.S3_OBJECT_LOCK_DAYS, 0),
+
+  // Audio Storage
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  STORAGE_LOCAL_PATH: process.env.STORAGE_LOCAL_PATH || './storage/audio',
+  STORAGE_URL_SECRET: process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET,
+
+  // Data Residency Routing
+  // MONGODB_URI and STORAGE_LOCAL_PATH serve RESIDENCY_DEFAULT_ZONE
+  RESIDENCY_ROUTING_ENABLED: parseBoolean(process.env.RESIDENCY_ROUTING_ENABLED, false),
+  RESIDENCY_DEFAULT_ZONE: process.env.RESIDENCY_DEFAULT_ZONE || process.env.AWS_REGION || 'us-west-2',
+  RESIDENCY_ZONES: parseResidencyZones(process.env.RESIDENCY_ZONES),
+  RESIDENCY_ZONE_ALIASES: parseZoneAliases(process.env.RESIDENCY_ZONE_ALIASES),
 
   // Deepgram Configuration (Primary ASR)
   DEEPGRAM_API_KEY: process.env.DEEPGRAM_API_KEY,
@@ -150,6 +217,7 @@ export const config = {
   
   // Voyage AI Configuration (Primary Embeddings)
   VOYAGE_API_KEY: process.env.VOYAGE_API_KEY,
+  VOYAGE_BASE_URL: process.env.VOYAGE_BASE_URL || 'https://api.voyageai.com/v1',
   VOYAGE_EMBEDDING_MODEL: process.env.VOYAGE_EMBEDDING_MODEL || 'voyage-context-3',
   VOYAGE_EMBEDDING_DIMENSIONS: parseInt(process.env.VOYAGE_EMBEDDING_DIMENSIONS, 1024),
   VOYAGE_RERANK_MODEL: process.env.VOYAGE_RERANK_MODEL || 'rerank-2.5',
@@ -160,6 +228,7 @@ export const config = {
   EMBEDDING_FALLBACK_ENABLED: parseBoolean(process.env.EMBEDDING_FALLBACK_ENABLED, true),
   RERANKING_ENABLED: parseBoolean(process.env.RERANKING_ENABLED, true),
   RERANKING_TOP_K: parseInt(process.env.RERANKING_TOP_K, 20),
+  RERANKING_PROVIDER: process.env.RERANKING_PROVIDER || 'voyage', // voyage|local|none
 
   // Langfuse Configuration
   LANGFUSE_SECRET_KEY: process.env.LANGFUSE_SECRET_KEY,
@@ -171,10 +240,14 @@ export const config = {
   AUDIO_SAMPLE_RATE: parseInt(process.env.AUDIO_SAMPLE_RATE, 16000),
   AUDIO_CHANNELS: parseInt(process.env.AUDIO_CHANNELS, 1),
   AUDIO_SEGMENT_DURATION: parseInt(process.env.AUDIO_SEGMENT_DURATION, 5000),
+  AUDIO_SEGMENT_MAX_DURATION: parseInt(process.env.AUDIO_SEGMENT_MAX_DURATION, 30000),
   AUDIO_VAD_THRESHOLD: parseFloat(process.env.AUDIO_VAD_THRESHOLD, 0.5),
   AUDIO_SILENCE_THRESHOLD: parseInt(process.env.AUDIO_SILENCE_THRESHOLD, 700),
   AUDIO_MAX_FILE_SIZE: parseInt(process.env.AUDIO_MAX_FILE_SIZE, 50000000),
   SUPPORTED_AUDIO_FORMATS: parseArray(process.env.SUPPORTED_AUDIO_FORMATS, ['opus', 'wav', 'm4a', 'mp3']),
+  AUDIO_TRANSCODE_ENABLED: parseBoolean(process.env.AUDIO_TRANSCODE_ENABLED, true),
+  AUDIO_TRANSCODE_TIMEOUT_MS: parseInt(process.env.AUDIO_TRANSCODE_TIMEOUT_MS, 60000),
+  FFMPEG_PATH: process.env.FFMPEG_PATH,
 
   // Rate Limiting & Performance
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 900000),
@@ -188,6 +261,9 @@ export const config = {
   COST_ALERT_THRESHOLD_USD: parseFloat(process.env.COST_ALERT_THRESHOLD_USD, 0.60),
   AUTO_THROTTLE_ENABLED: parseBoolean(process.env.AUTO_THROTTLE_ENABLED, true),
   BILLING_ALERTS_ENABLED: parseBoolean(process.env.BILLING_ALERTS_ENABLED, true),
+  BILLING_ALERT_WEBHOOK_URL: process.env.BILLING_ALERT_WEBHOOK_URL,
+  PRICE_TABLE_FILE: process.env.PRICE_TABLE_FILE || './config/price-table.json',
+  USAGE_ACCESS_ROLES: parseArray(process.env.USAGE_ACCESS_ROLES, ['admin']),
 
   // WebSocket Configuration
   WS_HEARTBEAT_INTERVAL: parseInt(process.env.WS_HEARTBEAT_INTERVAL, 30000),
@@ -200,6 +276,11 @@ export const config = {
   QUEUE_CONCURRENCY: parseInt(process.env.QUEUE_CONCURRENCY, 5),
   JOB_RETRY_ATTEMPTS: parseInt(process.env.JOB_RETRY_ATTEMPTS, 3),
   JOB_RETRY_DELAY: parseInt(process.env.JOB_RETRY_DELAY, 5000),
+  PIPELINE_WORKERS_ENABLED: parseBoolean(process.env.PIPELINE_WORKERS_ENABLED, true),
+  PIPELINE_RECOVERY_INTERVAL_MS: parseInt(process.env.PIPELINE_RECOVERY_INTERVAL_MS, 60000),
+  PIPELINE_RECOVERY_BATCH_SIZE: parseInt(process.env.PIPELINE_RECOVERY_BATCH_SIZE, 500),
+  PIPELINE_STALE_AFTER_MS: parseInt(process.env.PIPELINE_STALE_AFTER_MS, 600000),
+  PIPELINE_ADMIN_ROLES: parseArray(process.env.PIPELINE_ADMIN_ROLES, ['admin']),
 
   // Monitoring & Metrics
   PROMETHEUS_ENABLED: parseBoolean(process.env.PROMETHEUS_ENABLED, true),
@@ -217,9 +298,28 @@ export const config = {
 
   // Regional Policies
   REGION_POLICY_FILE: process.env.REGION_POLICY_FILE || './config/region-policies.json',
+  REGION_POLICY_HOT_RELOAD: parseBoolean(process.env.REGION_POLICY_HOT_RELOAD, true),
   DEFAULT_REGION: process.env.DEFAULT_REGION || 'US-CA',
   AUDIT_LOG_RETENTION_DAYS: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS, 2555),
+  AUDIT_ACCESS_ROLES: parseArray(process.env.AUDIT_ACCESS_ROLES, ['admin', 'compliance']),
   CONSENT_HASH_ALGORITHM: process.env.CONSENT_HASH_ALGORITHM || 'sha256',
+  CONSENT_ALWAYS_REQUIRED: parseBoolean(process.env.CONSENT_ALWAYS_REQUIRED, false),
+
+  // PII Detection & Redaction
+  PII_DETECTION_ENABLED: parseBoolean(process.env.PII_DETECTION_ENABLED, true),
+  PII_NER_MODULE: process.env.PII_NER_MODULE,
+  PII_PRIVILEGED_ROLES: parseArray(process.env.PII_PRIVILEGED_ROLES, ['admin', 'compliance']),
+
+  // Retention Enforcement
+  RETENTION_ENABLED: parseBoolean(process.env.RETENTION_ENABLED, true),
+  RETENTION_CRON: process.env.RETENTION_CRON || '0 3 * * *',
+  RETENTION_DRY_RUN: parseBoolean(process.env.RETENTION_DRY_RUN, false),
+  RETENTION_BATCH_SIZE: parseInt(process.env.RETENTION_BATCH_SIZE, 500),
+  RETENTION_ADMIN_ROLES: parseArray(process.env.RETENTION_ADMIN_ROLES, ['admin', 'compliance']),
+
+  // Team Workspaces & Sharing (FEATURE_TEAM_SHARING)
+  TEAM_SHARING_ADMIN_ROLES: parseArray(process.env.TEAM_SHARING_ADMIN_ROLES, ['admin']),
+  TEAM_INVITATION_TTL_DAYS: parseInt(process.env.TEAM_INVITATION_TTL_DAYS, 7),
 
   // Circuit Breaker Configuration
   CIRCUIT_BREAKER_ENABLED: parseBoolean(process.env.CIRCUIT_BREAKER_ENABLED, true),
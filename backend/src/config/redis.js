@@ -0,0 +1,81 @@
+/**
+ * AI Audio KB - Redis Configuration
+ *
+ * Shared ioredis connection used for health checks, plus the connection
+ * factory Bull queues use for their client, subscriber and blocking
+ * connections.
+ */
+
+import Redis from 'ioredis';
+import { logger } from '../utils/logger.js';
+import { config } from './index.js';
+
+/**
+ * Open a new Redis connection. Bull requires subscriber and blocking
+ * connections to retry commands indefinitely and skip the ready check.
+ * With `lazyConnect` the connection opens on its first command.
+ */
+export function createRedisConnection({ purpose = 'client', lazyConnect = false } = {}) {
+  const options = {
+    password: config.REDIS_PASSWORD || undefined,
+    db: config.REDIS_DB,
+    connectionName: `${config.REDIS_QUEUE_PREFIX}:${purpose}`,
+    lazyConnect
+  };
+
+  if (purpose !== 'client') {
+    options.maxRetriesPerRequest = null;
+    options.enableReadyCheck = false;
+  }
+
+  const connection = config.REDIS_URL
+    ? new Redis(config.REDIS_URL, options)
+    : new Redis({ host: config.REDIS_HOST, port: config.REDIS_PORT, ...options });
+
+  connection.on('error', error => {
+    logger.error('Redis connection error', { purpose, error: error.message });
+  });
+
+  return connection;
+}
+
+// Connected by the first command (the startup ping), not on import
+export const redisClient = createRedisConnection({ lazyConnect: true });
+
+// Bull shares one client and one subscriber across queues; every worker
+// needs its own blocking connection
+const queueConnections = {
+  client: null,
+  subscriber: null,
+  bclient: []
+};
+
+/**
+ * `createClient` option for Bull queues
+ */
+export function createQueueClient(type) {
+  if (type === 'bclient') {
+    const connection = createRedisConnection({ purpose: 'bclient' });
+    queueConnections.bclient.push(connection);
+    return connection;
+  }
+
+  if (!queueConnections[type]) {
+    queueConnections[type] = createRedisConnection({ purpose: type });
+  }
+  return queueConnections[type];
+}
+
+/**
+ * Close the connections handed out to queues
+ */
+export async function closeQueueConnections() {
+  const connections = [queueConnections.client, queueConnections.subscriber, ...queueConnections.bclient].filter(Boolean);
+  await Promise.allSettled(connections.map(connection => connection.quit()));
+
+  queueConnections.client = null;
+  queueConnections.subscriber = null;
+  queueConnections.bclient = [];
+}
+
+export default redisClient;
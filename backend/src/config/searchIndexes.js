@@ -0,0 +1,276 @@
+/**
+ * AI Audio KB - Atlas Search Index Management
+ *
+ * Declares the Atlas Vector Search (VECTOR_INDEX_NAME) and Atlas Search
+ * (SEARCH_INDEX_NAME) indexes on `audio_events` and reconciles them with
+ * the cluster through the search index management commands: missing
+ * indexes are created, drifted definitions (including a vector dimension
+ * that no longer matches VECTOR_DIMENSIONS) are updated, and readiness is
+ * tracked until every index reports queryable.
+ *
+ * SEARCH_INDEX_STARTUP_MODE:
+ *   block      - startup waits (up to SEARCH_INDEX_WAIT_TIMEOUT) for queryable indexes
+ *   background - startup continues; search reports not-ready until queryable
+ *   skip       - indexes are not managed by the server
+ */
+
+import { logger } from '../utils/logger.js';
+import { config } from './index.js';
+
+export const SEARCH_INDEX_COLLECTION = 'audio_events';
+
+export const INDEX_STATUS = {
+  UNKNOWN: 'unknown',
+  PENDING: 'pending',
+  READY: 'ready',
+  FAILED: 'failed',
+  UNSUPPORTED: 'unsupported',
+  SKIPPED: 'skipped'
+};
+
+// Server error codes for "this deployment has no Atlas Search"
+const UNSUPPORTED_CODES = new Set([
+  59,     // CommandNotFound
+  238,    // NotImplemented
+  40324,  // Unrecognized pipeline stage name
+  31082   // $vectorSearch / $search / $listSearchIndexes need Atlas
+]);
+const UNSUPPORTED_CODE_NAMES = new Set(['CommandNotFound', 'NotImplemented']);
+
+/**
+ * Whether an error means Atlas Search is unavailable, rather than a query
+ * bug. Decided by the server error code only: message text also matches
+ * ordinary failures of a $search or $vectorSearch query.
+ */
+export function isSearchUnsupportedError(error) {
+  return UNSUPPORTED_CODES.has(error?.code) || UNSUPPORTED_CODE_NAMES.has(error?.codeName);
+}
+
+/**
+ * Index definitions derived from configuration
+ */
+export function buildSearchIndexDefinitions() {
+  return [
+    {
+      name: config.VECTOR_INDEX_NAME,
+      type: 'vectorSearch',
+      definition: {
+        fields: [
+          {
+            type: 'vector',
+            path: 'embedding.vector',
+            numDimensions: config.VECTOR_DIMENSIONS,
+            similarity: config.VECTOR_SIMILARITY
+          },
+          { type: 'filter', path: 'tenant_id' },
+          { type: 'filter', path: 'session_id' },
+          { type: 'filter', path: 'owner_id' },
+          { type: 'filter', path: 'team_id' },
+          { type: 'filter', path: 'tags' },
+          { type: 'filter', path: 'speakers.ids' },
+          { type: 'filter', path: 'speakers.names' },
+          { type: 'filter', path: 'transcript.language' },
+          { type: 'filter', path: 'created_at' }
+        ]
+      }
+    },
+    {
+      name: config.SEARCH_INDEX_NAME,
+      type: 'search',
+      definition: {
+        mappings: {
+          dynamic: false,
+          fields: {
+            tenant_id: { type: 'token' },
+            session_id: { type: 'token' },
+            owner_id: { type: 'token' },
+            team_id: { type: 'token' },
+            tags: { type: 'token' },
+            speakers: {
+              type: 'document',
+              fields: {
+                ids: { type: 'token' },
+                names: { type: 'token' }
+              }
+            },
+            created_at: { type: 'date' },
+            transcript: {
+              type: 'document',
+              fields: {
+                textRedacted: { type: 'string', analyzer: `lucene.${config.SEARCH_ANALYZER}` },
+                language: { type: 'token' }
+              }
+            }
+          }
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Stable JSON for definition comparison (key order independent)
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class SearchIndexManager {
+  constructor() {
+    this.status = INDEX_STATUS.UNKNOWN;
+    this.indexes = {};
+    this.error = null;
+  }
+
+  isReady() {
+    return this.status === INDEX_STATUS.READY;
+  }
+
+  /**
+   * Create or update the declared indexes, then wait for readiness
+   * according to SEARCH_INDEX_STARTUP_MODE
+   */
+  async ensure(db) {
+    this.indexes = {};
+    this.error = null;
+
+    if (config.SEARCH_INDEX_STARTUP_MODE === 'skip') {
+      this.status = INDEX_STATUS.SKIPPED;
+      return this.getStatus();
+    }
+
+    const collection = db.collection(SEARCH_INDEX_COLLECTION);
+
+    try {
+      for (const index of buildSearchIndexDefinitions()) {
+        await this.reconcile(collection, index);
+      }
+    } catch (error) {
+      if (isSearchUnsupportedError(error)) {
+        this.status = INDEX_STATUS.UNSUPPORTED;
+        logger.warn('Atlas Search index management unavailable on this deployment', {
+          error: error.message,
+          code: error.code
+        });
+        return this.getStatus();
+      }
+      this.status = INDEX_STATUS.FAILED;
+      this.error = error.message;
+      throw error;
+    }
+
+    this.status = INDEX_STATUS.PENDING;
+
+    if (config.SEARCH_INDEX_STARTUP_MODE === 'block') {
+      await this.waitUntilQueryable(collection);
+    } else {
+      this.waitUntilQueryable(collection).catch(error => {
+        logger.error('Search indexes did not become queryable', { error: error.message });
+      });
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Create a missing index or update one whose definition has drifted
+   */
+  async reconcile(collection, { name, type, definition }) {
+    const [existing] = await collection.listSearchIndexes(name).toArray();
+
+    if (!existing) {
+      await collection.createSearchIndex({ name, type, definition });
+      logger.info('Search index created', { name, type });
+      this.indexes[name] = { status: INDEX_STATUS.PENDING, queryable: false, action: 'created' };
+      return;
+    }
+
+    const current = existing.latestDefinition || {};
+
+    if (type === 'vectorSearch') {
+      const vectorField = current.fields?.find(field => field.type === 'vector');
+      if (vectorField && vectorField.numDimensions !== config.VECTOR_DIMENSIONS) {
+        logger.error('Vector index dimensions do not match VECTOR_DIMENSIONS; rebuilding', {
+          name,
+          indexDimensions: vectorField.numDimensions,
+          configuredDimensions: config.VECTOR_DIMENSIONS
+        });
+      }
+    }
+
+    if (canonical(current) !== canonical(definition)) {
+      await collection.updateSearchIndex(name, definition);
+      logger.info('Search index definition updated', { name, type });
+      this.indexes[name] = { status: INDEX_STATUS.PENDING, queryable: false, action: 'updated' };
+      return;
+    }
+
+    this.indexes[name] = {
+      status: existing.queryable ? INDEX_STATUS.READY : INDEX_STATUS.PENDING,
+      queryable: Boolean(existing.queryable),
+      action: 'unchanged'
+    };
+  }
+
+  /**
+   * Poll until every declared index reports queryable with its latest
+   * definition, or SEARCH_INDEX_WAIT_TIMEOUT elapses
+   */
+  async waitUntilQueryable(collection) {
+    const names = buildSearchIndexDefinitions().map(index => index.name);
+    const deadline = Date.now() + config.SEARCH_INDEX_WAIT_TIMEOUT;
+
+    while (Date.now() < deadline) {
+      const listed = await collection.listSearchIndexes().toArray();
+      let allReady = true;
+
+      for (const name of names) {
+        const index = listed.find(candidate => candidate.name === name);
+        const ready = Boolean(index?.queryable) && index.status === 'READY';
+        this.indexes[name] = {
+          ...this.indexes[name],
+          status: ready ? INDEX_STATUS.READY : INDEX_STATUS.PENDING,
+          queryable: Boolean(index?.queryable),
+          atlasStatus: index?.status
+        };
+        if (index?.status === 'FAILED') {
+          this.status = INDEX_STATUS.FAILED;
+          throw new Error(`Search index ${name} failed to build`);
+        }
+        allReady = allReady && ready;
+      }
+
+      if (allReady) {
+        this.status = INDEX_STATUS.READY;
+        logger.info('Search indexes are queryable', { indexes: names });
+        return;
+      }
+
+      await sleep(config.SEARCH_INDEX_POLL_INTERVAL);
+    }
+
+    this.status = INDEX_STATUS.FAILED;
+    this.error = `Search indexes not queryable after ${config.SEARCH_INDEX_WAIT_TIMEOUT}ms`;
+    throw new Error(this.error);
+  }
+
+  getStatus() {
+    return {
+      status: this.status,
+      mode: config.SEARCH_INDEX_STARTUP_MODE,
+      indexes: this.indexes,
+      ...(this.error && { error: this.error })
+    };
+  }
+}
+
+// Create singleton instance
+export const searchIndexManager = new SearchIndexManager();
+
+export default searchIndexManager;
@@ -0,0 +1,140 @@
+/**
+ * AI Audio KB - Atlas Search Index Management tests
+ */
+
+import { jest } from '@jest/globals';
+import { config } from './index.js';
+import { INDEX_STATUS, SearchIndexManager, buildSearchIndexDefinitions, isSearchUnsupportedError } from './searchIndexes.js';
+
+const CONFIG_KEYS = ['SEARCH_INDEX_STARTUP_MODE', 'SEARCH_INDEX_WAIT_TIMEOUT', 'SEARCH_INDEX_POLL_INTERVAL', 'VECTOR_DIMENSIONS'];
+
+/**
+ * `audio_events` stub with the search index management commands. Indexes
+ * become queryable after `buildPolls` listings.
+ */
+function createCollection(existing = [], { buildPolls = 1 } = {}) {
+  const indexes = existing.map(index => ({ status: 'READY', queryable: true, ...index }));
+  let polls = 0;
+
+  return {
+    indexes,
+    listSearchIndexes: jest.fn(name => ({
+      toArray: async () => {
+        if (!name && ++polls >= buildPolls) {
+          indexes.forEach(index => Object.assign(index, { status: index.status === 'FAILED' ? 'FAILED' : 'READY', queryable: index.status !== 'FAILED' }));
+        }
+        return structuredClone(name ? indexes.filter(index => index.name === name) : indexes);
+      }
+    })),
+    createSearchIndex: jest.fn(async ({ name, type, definition }) => {
+      indexes.push({ name, type, latestDefinition: definition, status: 'PENDING', queryable: false });
+    }),
+    updateSearchIndex: jest.fn(async (name, definition) => {
+      Object.assign(indexes.find(index => index.name === name), { latestDefinition: definition, status: 'PENDING', queryable: false });
+    })
+  };
+}
+
+const current = () => buildSearchIndexDefinitions().map(({ name, type, definition }) => ({ name, type, latestDefinition: definition }));
+
+describe('SearchIndexManager', () => {
+  let saved;
+  let manager;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(CONFIG_KEYS.map(key => [key, config[key]]));
+    Object.assign(config, { SEARCH_INDEX_STARTUP_MODE: 'block', SEARCH_INDEX_WAIT_TIMEOUT: 1000, SEARCH_INDEX_POLL_INTERVAL: 1 });
+    manager = new SearchIndexManager();
+  });
+
+  afterEach(() => {
+    Object.assign(config, saved);
+  });
+
+  const ensure = collection => manager.ensure({ collection: () => collection });
+
+  it('creates missing indexes and blocks until they are queryable', async () => {
+    const collection = createCollection([], { buildPolls: 3 });
+
+    const status = await ensure(collection);
+
+    expect(collection.createSearchIndex.mock.calls.map(([index]) => [index.name, index.type])).toEqual([
+      [config.VECTOR_INDEX_NAME, 'vectorSearch'],
+      [config.SEARCH_INDEX_NAME, 'search']
+    ]);
+    expect(status.status).toBe(INDEX_STATUS.READY);
+    expect(status.indexes[config.VECTOR_INDEX_NAME]).toMatchObject({ action: 'created', queryable: true });
+    expect(manager.isReady()).toBe(true);
+  });
+
+  it('rebuilds a vector index whose dimensions no longer match VECTOR_DIMENSIONS', async () => {
+    const existing = current();
+    config.VECTOR_DIMENSIONS = 1536;
+    const collection = createCollection(existing);
+
+    const status = await ensure(collection);
+
+    expect(collection.updateSearchIndex).toHaveBeenCalledTimes(1);
+    const [name, definition] = collection.updateSearchIndex.mock.calls[0];
+    expect(name).toBe(config.VECTOR_INDEX_NAME);
+    expect(definition.fields[0].numDimensions).toBe(1536);
+    expect(status.indexes[config.SEARCH_INDEX_NAME].action).toBe('unchanged');
+  });
+
+  it('leaves matching definitions alone', async () => {
+    const collection = createCollection(current());
+
+    await ensure(collection);
+
+    expect(collection.createSearchIndex).not.toHaveBeenCalled();
+    expect(collection.updateSearchIndex).not.toHaveBeenCalled();
+    expect(manager.isReady()).toBe(true);
+  });
+
+  it('continues startup in background mode and reports pending', async () => {
+    config.SEARCH_INDEX_STARTUP_MODE = 'background';
+    const collection = createCollection([], { buildPolls: 1000 });
+
+    expect((await ensure(collection)).status).toBe(INDEX_STATUS.PENDING);
+    expect(manager.isReady()).toBe(false);
+  });
+
+  it('fails when Atlas reports a failed build', async () => {
+    const collection = createCollection(current().map(index => ({ ...index, status: 'FAILED', queryable: false })));
+
+    await expect(ensure(collection)).rejects.toThrow(`Search index ${config.VECTOR_INDEX_NAME} failed to build`);
+    expect(manager.getStatus().status).toBe(INDEX_STATUS.FAILED);
+  });
+
+  it('marks a deployment without Atlas Search unsupported', async () => {
+    const collection = createCollection();
+    collection.listSearchIndexes.mockImplementation(() => ({
+      toArray: async () => {
+        throw Object.assign(new Error('no such command: listSearchIndexes'), { code: 59 });
+      }
+    }));
+
+    expect((await ensure(collection)).status).toBe(INDEX_STATUS.UNSUPPORTED);
+  });
+
+  it('does nothing in skip mode', async () => {
+    config.SEARCH_INDEX_STARTUP_MODE = 'skip';
+    const collection = createCollection();
+
+    expect((await ensure(collection)).status).toBe(INDEX_STATUS.SKIPPED);
+    expect(collection.listSearchIndexes).not.toHaveBeenCalled();
+  });
+});
+
+describe('isSearchUnsupportedError', () => {
+  it('recognises the server codes of a deployment without Atlas Search', () => {
+    expect(isSearchUnsupportedError({ code: 40324, message: "Unrecognized pipeline stage name: '$vectorSearch'" })).toBe(true);
+    expect(isSearchUnsupportedError({ codeName: 'NotImplemented' })).toBe(true);
+  });
+
+  it('leaves failures of a search query on Atlas to the caller', () => {
+    expect(isSearchUnsupportedError({ code: 8, message: '$vectorSearch index audio_embeddings_index not found' })).toBe(false);
+    expect(isSearchUnsupportedError(new Error('Atlas search index timed out'))).toBe(false);
+    expect(isSearchUnsupportedError(undefined)).toBe(false);
+  });
+});
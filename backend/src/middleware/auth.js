@@ -0,0 +1,88 @@
+/**
+ * AI Audio KB - Authentication Middleware
+ *
+ * Resolves the caller from `Authorization: Bearer <access token>`, or an
+ * API key in `Authorization: Bearer aak_...` / `X-API-Key`, into
+ * `req.user`. `socketAuthentication` does the same for Socket.IO
+ * handshakes (`auth.token`, `auth.apiKey` or the same headers) into
+ * `socket.data.user`. `requireScope` limits API keys to their scopes.
+ */
+
+import { AuthService } from '../services/AuthService.js';
+import { AuthenticationError, ForbiddenError } from '../utils/errors.js';
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Credential from an Authorization header value or an API key header
+ */
+function extractCredential(authorization, apiKey) {
+  if (apiKey) return apiKey;
+
+  const [scheme, value] = (authorization || '').split(' ');
+  if (value && /^(bearer|apikey)$/i.test(scheme)) return value.trim();
+
+  return null;
+}
+
+/**
+ * Identity for a bearer credential (access token or API key)
+ */
+export async function authenticateCredential(credential) {
+  if (!credential) {
+    throw new AuthenticationError();
+  }
+  return AuthService.isApiKey(credential)
+    ? AuthService.authenticateApiKey(credential)
+    : AuthService.authenticateToken(credential);
+}
+
+export const authentication = async (req, res, next) => {
+  try {
+    const credential = extractCredential(req.get('authorization'), req.get('x-api-key'));
+    req.user = await authenticateCredential(credential);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const socketAuthentication = (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const credential = auth.token || auth.apiKey || extractCredential(headers.authorization, headers['x-api-key']);
+
+  authenticateCredential(credential)
+    .then(user => {
+      socket.data.user = user;
+      next();
+    })
+    .catch(error => {
+      // Socket.IO only forwards `message` and `data` to the client
+      const failure = new Error(error.message);
+      failure.data = { code: error.code || 'AUTHENTICATION_REQUIRED' };
+      next(failure);
+    });
+};
+
+/**
+ * Whether an identity holds `<area>:<access>`
+ */
+export function hasScope(user, area, access) {
+  const scopes = user?.scopes || [];
+  return scopes.includes('*') || scopes.includes(`${area}:${access}`);
+}
+
+/**
+ * Require `<area>:read` for reads and `<area>:write` for everything else,
+ * or a fixed access level (e.g. search queries are POSTed reads)
+ */
+export const requireScope = (area, fixedAccess) => (req, res, next) => {
+  const access = fixedAccess || (READ_METHODS.has(req.method) ? 'read' : 'write');
+
+  if (!hasScope(req.user, area, access)) {
+    return next(new ForbiddenError('API key lacks the required scope', { required: `${area}:${access}` }));
+  }
+  next();
+};
+
+export default authentication;
@@ -0,0 +1,102 @@
+/**
+ * AI Audio KB - Authentication Middleware tests
+ */
+
+import { jest } from '@jest/globals';
+import { AuthService } from '../services/AuthService.js';
+import { AuthenticationError, ForbiddenError } from '../utils/errors.js';
+import { authentication, hasScope, requireScope, socketAuthentication } from './auth.js';
+
+const AGENT = { id: 'agent:a1', tenant_id: 'tenant-a', role: 'agent', scopes: ['audio:read'], auth: 'api_key' };
+
+/**
+ * Run a middleware and resolve with what it passed to next()
+ */
+function run(middleware, req) {
+  return new Promise(resolve => middleware(req, {}, resolve));
+}
+
+describe('authentication', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const request = headers => ({ get: name => headers[name.toLowerCase()] });
+
+  it('resolves a bearer access token into req.user', async () => {
+    const authenticateToken = jest.spyOn(AuthService, 'authenticateToken').mockResolvedValue({ id: 'u1' });
+    const req = request({ authorization: 'Bearer eyJ.access.token' });
+
+    expect(await run(authentication, req)).toBeUndefined();
+    expect(authenticateToken).toHaveBeenCalledWith('eyJ.access.token');
+    expect(req.user).toEqual({ id: 'u1' });
+  });
+
+  it('resolves an API key from X-API-Key', async () => {
+    const authenticateApiKey = jest.spyOn(AuthService, 'authenticateApiKey').mockResolvedValue(AGENT);
+    const req = request({ 'x-api-key': 'aak_key' });
+
+    await run(authentication, req);
+
+    expect(authenticateApiKey).toHaveBeenCalledWith('aak_key');
+    expect(req.user).toBe(AGENT);
+  });
+
+  it('fails without a credential', async () => {
+    expect(await run(authentication, request({}))).toBeInstanceOf(AuthenticationError);
+  });
+});
+
+describe('requireScope', () => {
+  it('allows reads with the read scope', async () => {
+    expect(await run(requireScope('audio'), { method: 'GET', user: AGENT })).toBeUndefined();
+  });
+
+  it('denies writes without the write scope', async () => {
+    const error = await run(requireScope('audio'), { method: 'POST', user: AGENT });
+
+    expect(error).toBeInstanceOf(ForbiddenError);
+    expect(error.details).toEqual({ required: 'audio:write' });
+  });
+
+  it('denies other areas', async () => {
+    const error = await run(requireScope('search', 'read'), { method: 'POST', user: AGENT });
+
+    expect(error.details).toEqual({ required: 'search:read' });
+  });
+
+  it('lets users with every scope through', () => {
+    expect(hasScope({ scopes: ['*'] }, 'audit', 'read')).toBe(true);
+    expect(hasScope(undefined, 'audit', 'read')).toBe(false);
+  });
+});
+
+describe('socketAuthentication', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const connect = handshake => {
+    const socket = { handshake: { auth: {}, headers: {}, ...handshake }, data: {} };
+    return new Promise(resolve => socketAuthentication(socket, error => resolve({ socket, error })));
+  };
+
+  it('authenticates the handshake API key into socket.data.user', async () => {
+    jest.spyOn(AuthService, 'authenticateApiKey').mockResolvedValue(AGENT);
+
+    const { socket, error } = await connect({ auth: { apiKey: 'aak_key' } });
+
+    expect(error).toBeUndefined();
+    expect(socket.data.user).toBe(AGENT);
+  });
+
+  it('refuses the connection with a client-visible error code', async () => {
+    jest.spyOn(AuthService, 'authenticateToken').mockRejectedValue(new AuthenticationError('Access token expired'));
+
+    const { socket, error } = await connect({ headers: { authorization: 'Bearer expired' } });
+
+    expect(error.message).toBe('Access token expired');
+    expect(error.data).toEqual({ code: 'AUTHENTICATION_REQUIRED' });
+    expect(socket.data.user).toBeUndefined();
+  });
+});
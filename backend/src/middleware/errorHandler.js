@@ -0,0 +1,69 @@
+/**
+ * AI Audio KB - Error Handling Middleware
+ *
+ * Renders AppError instances and common library errors (multer, body
+ * parser) as structured JSON responses, logging server-side failures.
+ */
+
+import multer from 'multer';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { AppError, PayloadTooLargeError, ValidationError } from '../utils/errors.js';
+
+/**
+ * Map library errors onto the AppError hierarchy
+ */
+function normalizeError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return new PayloadTooLargeError('Audio file exceeds maximum size', {
+        maxBytes: config.AUDIO_MAX_FILE_SIZE
+      });
+    }
+    return new ValidationError(error.message, { field: error.field });
+  }
+
+  if (error.type === 'entity.too.large') {
+    return new PayloadTooLargeError('Request body too large');
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('Malformed JSON body');
+  }
+
+  return null;
+}
+
+// eslint-disable-next-line no-unused-vars
+export function errorHandler(error, req, res, next) {
+  const appError = normalizeError(error);
+
+  logger.logError(appError || error, {
+    requestId: req.requestId,
+    method: req.method,
+    url: req.originalUrl
+  });
+
+  if (appError) {
+    if (appError.retryAfter) {
+      res.set('Retry-After', String(appError.retryAfter));
+    }
+    return res.status(appError.statusCode).json({
+      ...appError.toJSON(),
+      requestId: req.requestId
+    });
+  }
+
+  res.status(500).json({
+    error: 'Internal server error',
+    code: 'INTERNAL_ERROR',
+    requestId: req.requestId,
+    ...(config.IS_DEVELOPMENT && { message: error.message })
+  });
+}
+
+export default errorHandler;
@@ -0,0 +1,39 @@
+/**
+ * AI Audio KB - Region Validator Middleware
+ *
+ * Resolves the caller's jurisdiction from the `x-region` header (default
+ * DEFAULT_REGION) against the region policy engine. Blocked regions are
+ * rejected with 403; otherwise the resolved policy is attached as
+ * `req.regionPolicy` (and the normalized code as `req.region`) for
+ * downstream consent, residency and redaction decisions.
+ */
+
+import { logger } from '../utils/logger.js';
+import { ForbiddenError } from '../utils/errors.js';
+import { RegionPolicyService, REGION_STATUS } from '../services/RegionPolicyService.js';
+
+export const regionValidator = (req, res, next) => {
+  try {
+    const policy = RegionPolicyService.resolve(req.get('x-region'));
+    req.region = policy.region;
+    res.set('X-Region-Policy-Version', policy.version);
+
+    if (policy.status === REGION_STATUS.BLOCKED) {
+      logger.securityEvent('region_blocked', {
+        region: policy.region,
+        known: policy.known,
+        userId: req.user?.id,
+        tenantId: req.user?.tenant_id,
+        path: req.originalUrl
+      });
+      throw new ForbiddenError('Region not supported', { region: policy.region, reason: policy.reason });
+    }
+
+    req.regionPolicy = policy;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default regionValidator;
@@ -0,0 +1,43 @@
+/**
+ * AI Audio KB - Region Validator Middleware tests
+ */
+
+import { jest } from '@jest/globals';
+import { RegionPolicyService } from '../services/RegionPolicyService.js';
+import { ForbiddenError } from '../utils/errors.js';
+import { regionValidator } from './regionValidator.js';
+
+describe('regionValidator', () => {
+  beforeEach(() => {
+    jest.spyOn(RegionPolicyService, 'resolve').mockImplementation(region => (region === 'CN'
+      ? { region: 'CN', known: true, version: 'v1', status: 'blocked', reason: 'Regulatory complexity' }
+      : { region: 'US-CA', known: true, version: 'v1', status: 'allowed', consent_mode: 'one-party' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const run = region => {
+    const req = { get: () => region, user: { id: 'u1', tenant_id: 'tenant-a' }, originalUrl: '/api/audio/sessions' };
+    const res = { set: jest.fn() };
+    return new Promise(resolve => regionValidator(req, res, error => resolve({ req, res, error })));
+  };
+
+  it('attaches the resolved policy to the request', async () => {
+    const { req, res, error } = await run('US-CA');
+
+    expect(error).toBeUndefined();
+    expect(req.region).toBe('US-CA');
+    expect(req.regionPolicy).toMatchObject({ consent_mode: 'one-party' });
+    expect(res.set).toHaveBeenCalledWith('X-Region-Policy-Version', 'v1');
+  });
+
+  it('rejects a blocked region', async () => {
+    const { req, error } = await run('CN');
+
+    expect(error).toBeInstanceOf(ForbiddenError);
+    expect(error.details).toEqual({ region: 'CN', reason: 'Regulatory complexity' });
+    expect(req.regionPolicy).toBeUndefined();
+  });
+});
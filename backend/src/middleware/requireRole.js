@@ -0,0 +1,31 @@
+/**
+ * AI Audio KB - Role Guard Middleware
+ *
+ * Restricts a router or route to users whose `req.user.role` is one of the
+ * given roles (or of a config list such as AUDIT_ACCESS_ROLES).
+ */
+
+import { logger } from '../utils/logger.js';
+import { AuthenticationError, ForbiddenError } from '../utils/errors.js';
+
+export const requireRole = (...roles) => (req, res, next) => {
+  const allowed = roles.flat();
+
+  if (!req.user) {
+    return next(new AuthenticationError());
+  }
+
+  if (!allowed.includes(req.user.role)) {
+    logger.securityEvent('role_denied', {
+      userId: req.user.id,
+      tenantId: req.user.tenant_id,
+      role: req.user.role,
+      path: req.originalUrl
+    });
+    return next(new ForbiddenError('Insufficient role', { required: allowed }));
+  }
+
+  next();
+};
+
+export default requireRole;
@@ -0,0 +1,34 @@
+/**
+ * AI Audio KB - Data Residency Middleware
+ *
+ * Resolves the authenticated tenant's residency zone and exposes it as
+ * `req.residencyZone`, with tenant-scoped data access as `req.tenant`.
+ * Runs after regionValidator; for writes the request's region must map to
+ * the tenant's zone. Only a write with an explicit x-region header pins an
+ * unpinned tenant; reads leave it unpinned (`req.residencyZone` null), and
+ * any tenant data access then fails with RESIDENCY_UNASSIGNED.
+ */
+
+import { ResidencyRouter } from '../services/ResidencyRouter.js';
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+export const residencyRouter = async (req, res, next) => {
+  try {
+    if (req.user?.tenant_id) {
+      req.residencyZone = READ_METHODS.has(req.method)
+        ? await ResidencyRouter.lookupTenantZone(req.user.tenant_id)
+        : await ResidencyRouter.resolveTenantZone(req.user.tenant_id, req.region, {
+          pin: Boolean(req.get('x-region'))
+        });
+      if (req.residencyZone) {
+        req.tenant = ResidencyRouter.createTenantContext(req.user);
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default residencyRouter;
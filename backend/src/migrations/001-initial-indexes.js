@@ -0,0 +1,93 @@
+/**
+ * AI Audio KB - Migration 001: Initial collections and indexes
+ *
+ * The collections and secondary indexes previously created inline by
+ * DatabaseManager.initializeCollections. Index names are left to the server
+ * default so databases initialized before migrations existed are a no-op.
+ */
+
+export const description = 'Create core collections and indexes';
+
+const COLLECTIONS = ['audio_events', 'audit_logs', 'users', 'sessions'];
+
+function buildIndexes(config) {
+  return {
+    audio_events: [
+      // Primary indexes for queries
+      { key: { event_id: 1 }, unique: true },
+      { key: { tenant_id: 1, created_at: -1 } },
+      { key: { session_id: 1, 'segment.idx': 1 }, unique: true },
+
+      // Search indexes
+      { key: { tags: 1 } },
+      { key: { 'transcript.language': 1 } },
+      { key: { 'consent.region': 1 } },
+      { key: { 'device.model': 1 } },
+
+      // Compound indexes for common queries
+      { key: { tenant_id: 1, 'consent.region': 1, created_at: -1 } },
+      { key: { tenant_id: 1, tags: 1, created_at: -1 } }
+    ],
+    audit_logs: [
+      { key: { timestamp: -1 } },
+      { key: { actor: 1, timestamp: -1 } },
+      { key: { action: 1, timestamp: -1 } },
+      { key: { subject: 1, timestamp: -1 } },
+
+      // TTL index for log retention (90 days default)
+      {
+        key: { timestamp: 1 },
+        expireAfterSeconds: parseInt(config.AUDIT_LOG_RETENTION_DAYS) * 24 * 60 * 60
+      }
+    ],
+    users: [
+      { key: { email: 1 }, unique: true },
+      { key: { tenant_id: 1 } },
+      { key: { api_key_hash: 1 }, sparse: true },
+      { key: { created_at: -1 } }
+    ],
+    sessions: [
+      { key: { session_id: 1 }, unique: true },
+      { key: { user_id: 1, created_at: -1 } },
+      { key: { tenant_id: 1, created_at: -1 } },
+      { key: { status: 1, updated_at: -1 } },
+
+      // TTL index for session cleanup (30 days)
+      { key: { updated_at: 1 }, expireAfterSeconds: 30 * 24 * 60 * 60 }
+    ]
+  };
+}
+
+/**
+ * Server-default index name, e.g. { tenant_id: 1, created_at: -1 } -> tenant_id_1_created_at_-1
+ */
+function defaultIndexName(key) {
+  return Object.entries(key).map(([field, direction]) => `${field}_${direction}`).join('_');
+}
+
+export async function up(db, { logger, config }) {
+  for (const name of COLLECTIONS) {
+    const exists = await db.listCollections({ name }).hasNext();
+    if (!exists) {
+      await db.createCollection(name);
+      logger.info(`Created collection: ${name}`);
+    }
+  }
+
+  for (const [name, indexes] of Object.entries(buildIndexes(config))) {
+    await db.collection(name).createIndexes(indexes);
+  }
+}
+
+export async function down(db, { config }) {
+  // Collections are kept: dropping them would destroy data
+  for (const [name, indexes] of Object.entries(buildIndexes(config))) {
+    const collection = db.collection(name);
+    for (const { key } of indexes) {
+      const indexName = defaultIndexName(key);
+      if (await collection.indexExists(indexName)) {
+        await collection.dropIndex(indexName);
+      }
+    }
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * AI Audio KB - Migration 002: Consent records
+ */
+
+export const description = 'Create consents collection and indexes';
+
+export async function up(db, { logger }) {
+  const exists = await db.listCollections({ name: 'consents' }).hasNext();
+  if (!exists) {
+    await db.createCollection('consents');
+    logger.info('Created collection: consents');
+  }
+
+  await db.collection('consents').createIndexes([
+    { key: { consent_id: 1 }, unique: true },
+    { key: { tenant_id: 1, session_id: 1, created_at: -1 } },
+    { key: { tenant_id: 1, actor_id: 1, status: 1 } }
+  ]);
+}
+
+export async function down(db) {
+  const consents = db.collection('consents');
+  for (const name of ['consent_id_1', 'tenant_id_1_session_id_1_created_at_-1', 'tenant_id_1_actor_id_1_status_1']) {
+    if (await consents.indexExists(name)) {
+      await consents.dropIndex(name);
+    }
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * AI Audio KB - Migration 003: Tenant residency pins
+ */
+
+export const description = 'Create tenant_residency collection with one pin per tenant';
+
+export async function up(db, { logger }) {
+  const exists = await db.listCollections({ name: 'tenant_residency' }).hasNext();
+  if (!exists) {
+    await db.createCollection('tenant_residency');
+    logger.info('Created collection: tenant_residency');
+  }
+
+  await db.collection('tenant_residency').createIndex({ tenant_id: 1 }, { unique: true });
+}
+
+export async function down(db) {
+  const pins = db.collection('tenant_residency');
+  if (await pins.indexExists('tenant_id_1')) {
+    await pins.dropIndex('tenant_id_1');
+  }
+}
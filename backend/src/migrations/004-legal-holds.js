@@ -0,0 +1,33 @@
+/**
+ * AI Audio KB - Migration 004: Legal holds and retention sweeps
+ */
+
+export const description = 'Create legal_holds collection and the retention sweep index on audio_events';
+
+export async function up(db, { logger }) {
+  const exists = await db.listCollections({ name: 'legal_holds' }).hasNext();
+  if (!exists) {
+    await db.createCollection('legal_holds');
+    logger.info('Created collection: legal_holds');
+  }
+
+  const holds = db.collection('legal_holds');
+  await holds.createIndex({ hold_id: 1 }, { unique: true });
+  await holds.createIndex({ tenant_id: 1, released_at: 1 });
+
+  await db.collection('audio_events').createIndex({ tenant_id: 1, 'consent.region': 1, created_at: 1 });
+}
+
+export async function down(db) {
+  const audioEvents = db.collection('audio_events');
+  if (await audioEvents.indexExists('tenant_id_1_consent.region_1_created_at_1')) {
+    await audioEvents.dropIndex('tenant_id_1_consent.region_1_created_at_1');
+  }
+
+  const holds = db.collection('legal_holds');
+  for (const name of ['hold_id_1', 'tenant_id_1_released_at_1']) {
+    if (await holds.indexExists(name)) {
+      await holds.dropIndex(name);
+    }
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * AI Audio KB - Migration 005: Transcript redaction backfill
+ */
+
+import { PiiService } from '../services/PiiService.js';
+import { RegionPolicyService } from '../services/RegionPolicyService.js';
+
+export const description = 'Detect PII in existing transcripts and populate transcript.textRedacted';
+
+const BATCH_SIZE = 500;
+
+export async function up(db, { logger }) {
+  // Migrations run before the services start
+  if (!RegionPolicyService.version) {
+    RegionPolicyService.load();
+  }
+
+  const audioEvents = db.collection('audio_events');
+  const cursor = audioEvents.find(
+    { 'transcript.text': { $exists: true }, 'transcript.textRedacted': { $exists: false } },
+    { projection: { _id: 1, transcript: 1, consent: 1 } }
+  );
+
+  let updates = [];
+  let processed = 0;
+  let masked = 0;
+
+  for await (const segment of cursor) {
+    const policy = RegionPolicyService.resolve(segment.consent?.region);
+    const { transcript, sensitive } = await PiiService.process(segment.transcript, policy);
+
+    updates.push({
+      updateOne: {
+        filter: { _id: segment._id },
+        update: { $set: { 'transcript.textRedacted': transcript.textRedacted, sensitive } }
+      }
+    });
+    processed++;
+    if (sensitive.masked) masked++;
+
+    if (updates.length === BATCH_SIZE) {
+      await audioEvents.bulkWrite(updates, { ordered: false });
+      updates = [];
+    }
+  }
+
+  if (updates.length > 0) {
+    await audioEvents.bulkWrite(updates, { ordered: false });
+  }
+
+  logger.info('Backfilled redacted transcripts', { processed, masked });
+}
+
+export async function down(db) {
+  await db.collection('audio_events').updateMany(
+    { 'transcript.textRedacted': { $exists: true } },
+    { $unset: { 'transcript.textRedacted': '', sensitive: '' } }
+  );
+}
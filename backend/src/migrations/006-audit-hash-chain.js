@@ -0,0 +1,59 @@
+/**
+ * AI Audio KB - Migration 006: Audit hash chain
+ */
+
+import { AuditService, GENESIS_HASH } from '../services/AuditService.js';
+
+export const description = 'Chain existing audit entries per tenant and index (tenant_id, seq) uniquely';
+
+export async function up(db, { logger }) {
+  const auditLogs = db.collection('audit_logs');
+  const tenants = await auditLogs.distinct('tenant_id', { seq: { $exists: false } });
+
+  for (const tenantId of tenants) {
+    const head = await auditLogs.findOne(
+      { tenant_id: tenantId, seq: { $exists: true } },
+      { sort: { seq: -1 }, projection: { seq: 1, hash: 1 } }
+    );
+
+    let seq = head?.seq ?? 0;
+    let prevHash = head?.hash ?? GENESIS_HASH;
+    const updates = [];
+
+    const cursor = auditLogs
+      .find({ tenant_id: tenantId, seq: { $exists: false } })
+      .sort({ timestamp: 1, audit_id: 1 });
+
+    for await (const entry of cursor) {
+      const chained = {
+        ...entry,
+        metadata: JSON.parse(JSON.stringify(entry.metadata ?? {})),
+        seq: ++seq,
+        prev_hash: prevHash
+      };
+      chained.hash = AuditService.computeHash(chained);
+      prevHash = chained.hash;
+
+      updates.push({
+        updateOne: {
+          filter: { _id: entry._id },
+          update: { $set: { metadata: chained.metadata, seq: chained.seq, prev_hash: chained.prev_hash, hash: chained.hash } }
+        }
+      });
+    }
+
+    if (updates.length > 0) {
+      await auditLogs.bulkWrite(updates, { ordered: true });
+    }
+    logger.info('Chained audit entries', { tenantId, entries: updates.length });
+  }
+
+  await auditLogs.createIndex({ tenant_id: 1, seq: 1 }, { unique: true });
+}
+
+export async function down(db) {
+  const auditLogs = db.collection('audit_logs');
+  if (await auditLogs.indexExists('tenant_id_1_seq_1')) {
+    await auditLogs.dropIndex('tenant_id_1_seq_1');
+  }
+}
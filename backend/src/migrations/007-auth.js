@@ -0,0 +1,48 @@
+/**
+ * AI Audio KB - Migration 007: Authentication
+ */
+
+export const description = 'Index users by user_id and create refresh_tokens and api_keys collections';
+
+export async function up(db, { logger }) {
+  for (const name of ['refresh_tokens', 'api_keys']) {
+    const exists = await db.listCollections({ name }).hasNext();
+    if (!exists) {
+      await db.createCollection(name);
+      logger.info(`Created collection: ${name}`);
+    }
+  }
+
+  await db.collection('users').createIndex({ user_id: 1 }, { unique: true, sparse: true });
+
+  await db.collection('refresh_tokens').createIndexes([
+    { key: { jti: 1 }, unique: true },
+    { key: { family_id: 1 } },
+    { key: { user_id: 1, revoked_at: 1 } },
+
+    // Expired refresh tokens are useless; drop them
+    { key: { expires_at: 1 }, expireAfterSeconds: 0 }
+  ]);
+
+  await db.collection('api_keys').createIndexes([
+    { key: { key_id: 1 }, unique: true },
+    { key: { tenant_id: 1, revoked_at: 1, created_at: -1 } }
+  ]);
+}
+
+export async function down(db) {
+  const drops = {
+    users: ['user_id_1'],
+    refresh_tokens: ['jti_1', 'family_id_1', 'user_id_1_revoked_at_1', 'expires_at_1'],
+    api_keys: ['key_id_1', 'tenant_id_1_revoked_at_1_created_at_-1']
+  };
+
+  for (const [collectionName, names] of Object.entries(drops)) {
+    const collection = db.collection(collectionName);
+    for (const name of names) {
+      if (await collection.indexExists(name)) {
+        await collection.dropIndex(name);
+      }
+    }
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * AI Audio KB - Migration 008: Team workspaces and sharing
+ */
+
+export const description = 'Create teams, team_invitations and session_shares; backfill segment owner_id and team_id';
+
+const COLLECTIONS = ['teams', 'team_invitations', 'session_shares'];
+
+export async function up(db, { logger }) {
+  for (const name of COLLECTIONS) {
+    const exists = await db.listCollections({ name }).hasNext();
+    if (!exists) {
+      await db.createCollection(name);
+      logger.info(`Created collection: ${name}`);
+    }
+  }
+
+  await db.collection('teams').createIndexes([
+    { key: { team_id: 1 }, unique: true },
+    { key: { tenant_id: 1, 'members.user_id': 1 } }
+  ]);
+
+  await db.collection('team_invitations').createIndexes([
+    { key: { invitation_id: 1 }, unique: true },
+    { key: { tenant_id: 1, email: 1, status: 1 } },
+    // One pending invitation per team and email
+    {
+      key: { team_id: 1, email: 1 },
+      name: 'team_id_1_email_1_pending',
+      unique: true,
+      partialFilterExpression: { status: 'pending' }
+    }
+  ]);
+
+  await db.collection('session_shares').createIndexes([
+    { key: { grant_id: 1 }, unique: true },
+    { key: { tenant_id: 1, session_id: 1, revoked_at: 1 } },
+    { key: { tenant_id: 1, grantee_type: 1, grantee_id: 1, revoked_at: 1 } }
+  ]);
+
+  await db.collection('sessions').createIndex({ tenant_id: 1, team_id: 1, session_id: -1 });
+  await db.collection('audio_events').createIndexes([
+    { key: { tenant_id: 1, owner_id: 1 } },
+    { key: { tenant_id: 1, team_id: 1 } }
+  ]);
+
+  // Segments take visibility from their session's owner and team
+  const sessions = db.collection('sessions').find(
+    {},
+    { projection: { _id: 0, session_id: 1, user_id: 1, team_id: 1 } }
+  );
+
+  let updated = 0;
+  for await (const session of sessions) {
+    const result = await db.collection('audio_events').updateMany(
+      { session_id: session.session_id, owner_id: { $exists: false } },
+      { $set: { owner_id: session.user_id, team_id: session.team_id ?? null } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  logger.info('Backfilled segment owners', { updated });
+}
+
+export async function down(db) {
+  const drops = {
+    teams: ['team_id_1', 'tenant_id_1_members.user_id_1'],
+    team_invitations: ['invitation_id_1', 'tenant_id_1_email_1_status_1', 'team_id_1_email_1_pending'],
+    session_shares: [
+      'grant_id_1',
+      'tenant_id_1_session_id_1_revoked_at_1',
+      'tenant_id_1_grantee_type_1_grantee_id_1_revoked_at_1'
+    ],
+    sessions: ['tenant_id_1_team_id_1_session_id_-1'],
+    audio_events: ['tenant_id_1_owner_id_1', 'tenant_id_1_team_id_1']
+  };
+
+  for (const [collectionName, names] of Object.entries(drops)) {
+    const collection = db.collection(collectionName);
+    for (const name of names) {
+      if (await collection.indexExists(name)) {
+        await collection.dropIndex(name);
+      }
+    }
+  }
+
+  await db.collection('audio_events').updateMany(
+    { owner_id: { $exists: true } },
+    { $unset: { owner_id: '', team_id: '' } }
+  );
+}
@@ -0,0 +1,38 @@
+/**
+ * AI Audio KB - Migration 009: Usage metering ledger
+ */
+
+export const description = 'Create usage_ledger and usage_hours collections for cost metering';
+
+export async function up(db, { logger }) {
+  for (const name of ['usage_ledger', 'usage_hours']) {
+    const exists = await db.listCollections({ name }).hasNext();
+    if (!exists) {
+      await db.createCollection(name);
+      logger.info(`Created collection: ${name}`);
+    }
+  }
+
+  // One line per tenant, hour, provider and unit; upserts rely on it
+  await db.collection('usage_ledger').createIndex(
+    { tenant_id: 1, hour: 1, provider: 1, unit: 1 },
+    { unique: true }
+  );
+  await db.collection('usage_hours').createIndex({ tenant_id: 1, hour: 1 }, { unique: true });
+}
+
+export async function down(db) {
+  const drops = {
+    usage_ledger: ['tenant_id_1_hour_1_provider_1_unit_1'],
+    usage_hours: ['tenant_id_1_hour_1']
+  };
+
+  for (const [collectionName, names] of Object.entries(drops)) {
+    const collection = db.collection(collectionName);
+    for (const name of names) {
+      if (await collection.indexExists(name)) {
+        await collection.dropIndex(name);
+      }
+    }
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * AI Audio KB - Migration 010: Segment pipeline state
+ */
+
+export const description = 'Index segment pipeline state for dead-letter listing and recovery';
+
+export async function up(db, { logger }) {
+  // Serves the tenant's dead-letter list and the cross-tenant recovery sweep
+  await db.collection('audio_events').createIndex(
+    { 'pipeline.state': 1, tenant_id: 1, 'pipeline.updated_at': -1 },
+    { name: 'pipeline_state_tenant_updated' }
+  );
+
+  logger.info('Created segment pipeline index');
+}
+
+export async function down(db) {
+  const collection = db.collection('audio_events');
+  if (await collection.indexExists('pipeline_state_tenant_updated')) {
+    await collection.dropIndex('pipeline_state_tenant_updated');
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * AI Audio KB - Migration 011: Long recordings
+ */
+
+export const description = 'Create recordings collection and indexes for server-side segmentation';
+
+export async function up(db, { logger }) {
+  const exists = await db.listCollections({ name: 'recordings' }).hasNext();
+  if (!exists) {
+    await db.createCollection('recordings');
+    logger.info('Created collection: recordings');
+  }
+
+  await db.collection('recordings').createIndexes([
+    { key: { recording_id: 1 }, unique: true },
+    { key: { tenant_id: 1, session_id: 1, created_at: -1 } }
+  ]);
+}
+
+export async function down(db) {
+  const recordings = db.collection('recordings');
+  for (const name of ['recording_id_1', 'tenant_id_1_session_id_1_created_at_-1']) {
+    if (await recordings.indexExists(name)) {
+      await recordings.dropIndex(name);
+    }
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * AI Audio KB - Migration 012: Session speakers
+ */
+
+export const description = 'Index reconciled segment speakers for renames and speaker search';
+
+export async function up(db, { logger }) {
+  const audioEvents = db.collection('audio_events');
+
+  // Renames rewrite every segment a speaker talks in
+  await audioEvents.createIndex(
+    { session_id: 1, 'speakers.ids': 1 },
+    { name: 'session_speaker_ids' }
+  );
+  // Speaker-filtered search without Atlas Search
+  await audioEvents.createIndex(
+    { tenant_id: 1, 'speakers.names': 1 },
+    { name: 'tenant_speaker_names' }
+  );
+
+  logger.info('Created segment speaker indexes');
+}
+
+export async function down(db) {
+  const collection = db.collection('audio_events');
+  for (const name of ['session_speaker_ids', 'tenant_speaker_names']) {
+    if (await collection.indexExists(name)) {
+      await collection.dropIndex(name);
+    }
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * AI Audio KB - Migration 013: Tenant data keys
+ */
+
+export const description = 'Create data_keys collection for envelope encryption';
+
+export async function up(db, { logger }) {
+  const exists = await db.listCollections({ name: 'data_keys' }).hasNext();
+  if (!exists) {
+    await db.createCollection('data_keys');
+    logger.info('Created collection: data_keys');
+  }
+
+  await db.collection('data_keys').createIndexes([
+    { key: { tenant_id: 1, key_version: 1 }, unique: true },
+    { key: { tenant_id: 1, status: 1, key_version: -1 } },
+    { key: { master_key_id: 1 } }
+  ]);
+}
+
+export async function down(db) {
+  const dataKeys = db.collection('data_keys');
+  for (const name of ['tenant_id_1_key_version_1', 'tenant_id_1_status_1_key_version_-1', 'master_key_id_1']) {
+    if (await dataKeys.indexExists(name)) {
+      await dataKeys.dropIndex(name);
+    }
+  }
+}
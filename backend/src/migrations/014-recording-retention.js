@@ -0,0 +1,58 @@
+/**
+ * AI Audio KB - Migration 014: Recording retention
+ */
+
+export const description = 'Copy session consent onto recordings and index them for the retention sweep';
+
+const BATCH_SIZE = 500;
+
+export async function up(db, { logger }) {
+  const recordings = db.collection('recordings');
+  const sessions = db.collection('sessions');
+
+  const cursor = recordings.find(
+    { consent: { $exists: false } },
+    { projection: { _id: 1, tenant_id: 1, session_id: 1 } }
+  );
+
+  let updates = [];
+  let backfilled = 0;
+
+  for await (const recording of cursor) {
+    const session = await sessions.findOne(
+      { tenant_id: recording.tenant_id, session_id: recording.session_id },
+      { projection: { _id: 0, consent: 1 } }
+    );
+    if (!session?.consent) continue;
+
+    updates.push({
+      updateOne: {
+        filter: { _id: recording._id },
+        update: { $set: { consent: { region: session.consent.region, policy_version: session.consent.policy_version } } }
+      }
+    });
+    backfilled++;
+
+    if (updates.length === BATCH_SIZE) {
+      await recordings.bulkWrite(updates, { ordered: false });
+      updates = [];
+    }
+  }
+
+  if (updates.length > 0) {
+    await recordings.bulkWrite(updates, { ordered: false });
+  }
+
+  await recordings.createIndexes([
+    { key: { tenant_id: 1, 'consent.region': 1, created_at: 1 } }
+  ]);
+
+  logger.info('Backfilled recording consent', { backfilled });
+}
+
+export async function down(db) {
+  const recordings = db.collection('recordings');
+  if (await recordings.indexExists('tenant_id_1_consent.region_1_created_at_1')) {
+    await recordings.dropIndex('tenant_id_1_consent.region_1_created_at_1');
+  }
+}
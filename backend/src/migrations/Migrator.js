@@ -0,0 +1,303 @@
+/**
+ * AI Audio KB - Database Migrator
+ *
+ * Applies versioned migrations from this directory in order. Files are
+ * named `<version>-<name>.js` and export `up(db, context)`, `down(db,
+ * context)` and an optional `description`. Applied versions are recorded in
+ * the `migrations` collection with a SHA-256 checksum of the file; editing
+ * an applied migration is refused. A lease in `migration_locks` keeps two
+ * instances from migrating at the same time.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+const MIGRATIONS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATION_FILE = /^(\d{3,})-([\w-]+)\.js$/;
+const LOCK_ID = 'migrations';
+const DUPLICATE_KEY = 11000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class MigrationError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'MigrationError';
+    this.details = details;
+  }
+}
+
+export class Migrator {
+  constructor(db, {
+    directory = MIGRATIONS_DIR,
+    lockTtl = config.MIGRATIONS_LOCK_TTL,
+    lockWait = config.MIGRATIONS_LOCK_WAIT
+  } = {}) {
+    this.db = db;
+    this.directory = directory;
+    this.lockTtl = lockTtl;
+    this.lockWait = lockWait;
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.applied = db.collection('migrations');
+    this.locks = db.collection('migration_locks');
+  }
+
+  /**
+   * Load migration files in version order with their checksums
+   */
+  async loadMigrations() {
+    const files = (await fs.readdir(this.directory))
+      .filter(file => MIGRATION_FILE.test(file))
+      .sort();
+
+    const migrations = [];
+    for (const file of files) {
+      const [, version, name] = file.match(MIGRATION_FILE);
+      const filePath = path.join(this.directory, file);
+      const source = await fs.readFile(filePath);
+      const module = await import(pathToFileURL(filePath).href);
+
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new MigrationError(`Migration ${file} must export up() and down()`);
+      }
+
+      if (migrations.some(migration => migration.version === version)) {
+        throw new MigrationError(`Duplicate migration version ${version}`, { file });
+      }
+
+      migrations.push({
+        version,
+        name,
+        file,
+        description: module.description || name,
+        checksum: crypto.createHash('sha256').update(source).digest('hex'),
+        up: module.up,
+        down: module.down
+      });
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Applied/pending state of every known migration
+   */
+  async status() {
+    const migrations = await this.loadMigrations();
+    const records = await this.applied.find({}).sort({ version: 1 }).toArray();
+    const byVersion = new Map(records.map(record => [record.version, record]));
+
+    const rows = migrations.map(migration => {
+      const record = byVersion.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        description: migration.description,
+        state: record ? 'applied' : 'pending',
+        applied_at: record?.applied_at || null,
+        checksum_mismatch: Boolean(record && record.checksum !== migration.checksum)
+      };
+    });
+
+    // Applied in the database but no longer on disk
+    for (const record of records) {
+      if (!migrations.some(migration => migration.version === record.version)) {
+        rows.push({
+          version: record.version,
+          name: record.name,
+          description: record.description,
+          state: 'missing',
+          applied_at: record.applied_at,
+          checksum_mismatch: false
+        });
+      }
+    }
+
+    return rows.sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  /**
+   * Refuse to run when an applied migration's file has been edited
+   */
+  verifyChecksums(migrations, records) {
+    const mismatched = records.filter(record => {
+      const migration = migrations.find(candidate => candidate.version === record.version);
+      return migration && migration.checksum !== record.checksum;
+    });
+
+    if (mismatched.length > 0) {
+      throw new MigrationError('Applied migrations have been modified', {
+        versions: mismatched.map(record => record.version)
+      });
+    }
+  }
+
+  /**
+   * Apply pending migrations up to and including `to`
+   */
+  async up({ to, dryRun = false } = {}) {
+    return this.withLock(dryRun, async () => {
+      const migrations = await this.loadMigrations();
+      const records = await this.applied.find({}).toArray();
+      this.verifyChecksums(migrations, records);
+
+      const appliedVersions = new Set(records.map(record => record.version));
+      const pending = migrations.filter(migration =>
+        !appliedVersions.has(migration.version) && (to === undefined || Number(migration.version) <= Number(to))
+      );
+
+      if (dryRun || pending.length === 0) {
+        return { direction: 'up', dryRun, migrations: pending.map(summarize) };
+      }
+
+      for (const migration of pending) {
+        await this.run(migration, 'up');
+      }
+
+      return { direction: 'up', dryRun, migrations: pending.map(summarize) };
+    });
+  }
+
+  /**
+   * Revert the most recently applied `steps` migrations
+   */
+  async down({ steps = 1, dryRun = false } = {}) {
+    return this.withLock(dryRun, async () => {
+      const migrations = await this.loadMigrations();
+      const records = await this.applied.find({}).sort({ version: -1 }).limit(steps).toArray();
+      this.verifyChecksums(migrations, records);
+
+      const targets = records.map(record => {
+        const migration = migrations.find(candidate => candidate.version === record.version);
+        if (!migration) {
+          throw new MigrationError(`Migration ${record.version} is applied but missing on disk`);
+        }
+        return migration;
+      });
+
+      if (!dryRun) {
+        for (const migration of targets) {
+          await this.run(migration, 'down');
+        }
+      }
+
+      return { direction: 'down', dryRun, migrations: targets.map(summarize) };
+    });
+  }
+
+  /**
+   * Execute one migration step and record the result
+   */
+  async run(migration, direction) {
+    const timer = logger.timeStart(`migration:${migration.version}:${direction}`);
+    logger.info(`Running migration ${migration.version}-${migration.name} (${direction})`);
+
+    try {
+      await migration[direction](this.db, { logger, config });
+    } catch (error) {
+      logger.error('Migration failed', {
+        version: migration.version,
+        direction,
+        error: error.message,
+        stack: error.stack
+      });
+      throw new MigrationError(`Migration ${migration.version}-${migration.name} failed: ${error.message}`, {
+        version: migration.version,
+        direction
+      });
+    }
+
+    const durationMs = Math.round(timer.end());
+
+    if (direction === 'up') {
+      await this.applied.insertOne({
+        version: migration.version,
+        name: migration.name,
+        description: migration.description,
+        checksum: migration.checksum,
+        applied_at: new Date(),
+        applied_by: this.owner,
+        duration_ms: durationMs
+      });
+    } else {
+      await this.applied.deleteOne({ version: migration.version });
+    }
+
+    await this.renewLock();
+  }
+
+  /**
+   * Run `fn` while holding the migration lock (read-only dry runs skip it)
+   */
+  async withLock(dryRun, fn) {
+    if (dryRun) return fn();
+
+    await this.applied.createIndex({ version: 1 }, { unique: true });
+    await this.acquireLock();
+    try {
+      return await fn();
+    } finally {
+      await this.releaseLock();
+    }
+  }
+
+  /**
+   * Take the lease, waiting up to lockWait for another holder to finish.
+   * The upsert only matches an expired lease, so a live one makes it fail
+   * with a duplicate key error.
+   */
+  async acquireLock() {
+    const deadline = Date.now() + this.lockWait;
+
+    while (true) {
+      const now = new Date();
+      try {
+        await this.locks.updateOne(
+          { _id: LOCK_ID, expires_at: { $lt: now } },
+          { $set: { owner: this.owner, acquired_at: now, expires_at: new Date(now.getTime() + this.lockTtl) } },
+          { upsert: true }
+        );
+        logger.info('Migration lock acquired', { owner: this.owner });
+        return;
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+      }
+
+      if (Date.now() >= deadline) {
+        const holder = await this.locks.findOne({ _id: LOCK_ID });
+        throw new MigrationError('Timed out waiting for migration lock', {
+          owner: holder?.owner,
+          expires_at: holder?.expires_at
+        });
+      }
+
+      await sleep(1000);
+    }
+  }
+
+  /**
+   * Extend the lease between steps of a long run
+   */
+  async renewLock() {
+    await this.locks.updateOne(
+      { _id: LOCK_ID, owner: this.owner },
+      { $set: { expires_at: new Date(Date.now() + this.lockTtl) } }
+    );
+  }
+
+  async releaseLock() {
+    await this.locks.deleteOne({ _id: LOCK_ID, owner: this.owner });
+    logger.info('Migration lock released', { owner: this.owner });
+  }
+}
+
+function summarize({ version, name, description }) {
+  return { version, name, description };
+}
+
+export default Migrator;
@@ -0,0 +1,186 @@
+/**
+ * AI Audio KB - Database Migrator tests
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { MigrationError, Migrator } from './Migrator.js';
+
+/**
+ * In-memory database with the operations the migrator uses. The lock
+ * upsert fails with a duplicate key while an unexpired lease exists.
+ */
+function createDatabase() {
+  const collections = {};
+  const collection = name => (collections[name] ??= (() => {
+    const docs = [];
+    const cursor = results => ({
+      sort: ({ version }) => cursor([...results].sort((a, b) => a.version.localeCompare(b.version) * version)),
+      limit: count => cursor(results.slice(0, count)),
+      toArray: async () => results.map(doc => ({ ...doc }))
+    });
+
+    return {
+      docs,
+      find: () => cursor(docs),
+      findOne: async ({ _id }) => docs.find(doc => doc._id === _id) ?? null,
+      insertOne: jest.fn(async doc => {
+        docs.push(doc);
+      }),
+      deleteOne: jest.fn(async filter => {
+        const index = docs.findIndex(doc => Object.entries(filter).every(([key, value]) => doc[key] === value));
+        if (index >= 0) docs.splice(index, 1);
+      }),
+      createIndex: jest.fn(async () => {}),
+      updateOne: jest.fn(async (filter, { $set }, { upsert } = {}) => {
+        const doc = docs.find(candidate => candidate._id === filter._id);
+        if (doc) {
+          const expired = !filter.expires_at || doc.expires_at < filter.expires_at.$lt;
+          if (expired && (!filter.owner || doc.owner === filter.owner)) Object.assign(doc, $set);
+          else if (upsert) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        } else if (upsert) {
+          docs.push({ _id: filter._id, ...$set });
+        }
+      })
+    };
+  })());
+
+  return { collection, collections };
+}
+
+/**
+ * Migration module source that logs its runs on globalThis
+ */
+const source = (version, { fail = false } = {}) => `
+export const description = 'Migration ${version}';
+export async function up() {
+  ${fail ? "throw new Error('index build failed');" : ''}
+  globalThis.migrationRuns.push('up:${version}');
+}
+export async function down() {
+  globalThis.migrationRuns.push('down:${version}');
+}
+`;
+
+describe('Migrator', () => {
+  let directory;
+  let db;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+    await fs.writeFile(path.join(directory, 'package.json'), '{ "type": "module" }');
+    globalThis.migrationRuns = [];
+    db = createDatabase();
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+    delete globalThis.migrationRuns;
+  });
+
+  const write = (file, options) => fs.writeFile(path.join(directory, file), source(file.slice(0, 3), options));
+  const migrator = () => new Migrator(db, { directory, lockTtl: 60000, lockWait: 0 });
+
+  it('applies pending migrations in version order and records them', async () => {
+    await write('002-backfill.js');
+    await write('001-indexes.js');
+    await fs.writeFile(path.join(directory, 'README.md'), 'not a migration');
+
+    const result = await migrator().up();
+
+    expect(result.migrations.map(migration => migration.version)).toEqual(['001', '002']);
+    expect(globalThis.migrationRuns).toEqual(['up:001', 'up:002']);
+    expect(db.collections.migrations.docs.map(record => [record.version, record.checksum.length])).toEqual([['001', 64], ['002', 64]]);
+    expect(db.collections.migration_locks.docs).toEqual([]);
+
+    expect((await migrator().up()).migrations).toEqual([]);
+    expect(globalThis.migrationRuns).toHaveLength(2);
+  });
+
+  it('stops at the requested version', async () => {
+    await write('001-indexes.js');
+    await write('002-backfill.js');
+
+    await migrator().up({ to: '001' });
+
+    expect(globalThis.migrationRuns).toEqual(['up:001']);
+  });
+
+  it('lists pending migrations on a dry run without running or locking', async () => {
+    await write('001-indexes.js');
+
+    const result = await migrator().up({ dryRun: true });
+
+    expect(result).toEqual({ direction: 'up', dryRun: true, migrations: [{ version: '001', name: 'indexes', description: 'Migration 001' }] });
+    expect(globalThis.migrationRuns).toEqual([]);
+    expect(db.collections.migration_locks.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('reverts the most recent migrations', async () => {
+    await write('001-indexes.js');
+    await write('002-backfill.js');
+    await migrator().up();
+
+    await migrator().down({ steps: 1 });
+
+    expect(globalThis.migrationRuns.slice(2)).toEqual(['down:002']);
+    expect(db.collections.migrations.docs.map(record => record.version)).toEqual(['001']);
+  });
+
+  it('refuses to run after an applied migration was edited', async () => {
+    await write('001-indexes.js');
+    await migrator().up();
+    await fs.appendFile(path.join(directory, '001-indexes.js'), '// edited\n');
+    await write('002-backfill.js');
+
+    await expect(migrator().up()).rejects.toMatchObject({
+      message: 'Applied migrations have been modified',
+      details: { versions: ['001'] }
+    });
+    expect((await migrator().status())[0]).toMatchObject({ version: '001', state: 'applied', checksum_mismatch: true });
+  });
+
+  it('records nothing for a failed migration and releases the lock', async () => {
+    await write('001-indexes.js', { fail: true });
+
+    await expect(migrator().up()).rejects.toThrow(MigrationError);
+
+    expect(db.collections.migrations.docs).toEqual([]);
+    expect(db.collections.migration_locks.docs).toEqual([]);
+  });
+
+  it('waits out another instance holding the lock', async () => {
+    await write('001-indexes.js');
+    db.collection('migration_locks').docs.push({ _id: 'migrations', owner: 'pod-2', expires_at: new Date(Date.now() + 60000) });
+
+    await expect(migrator().up()).rejects.toMatchObject({
+      message: 'Timed out waiting for migration lock',
+      details: { owner: 'pod-2' }
+    });
+    expect(globalThis.migrationRuns).toEqual([]);
+  });
+
+  it('takes over an expired lock', async () => {
+    await write('001-indexes.js');
+    db.collection('migration_locks').docs.push({ _id: 'migrations', owner: 'crashed-pod', expires_at: new Date(Date.now() - 1000) });
+
+    await migrator().up();
+
+    expect(globalThis.migrationRuns).toEqual(['up:001']);
+  });
+
+  it('reports applied, pending and missing migrations', async () => {
+    await write('001-indexes.js');
+    await migrator().up();
+    db.collections.migrations.docs.push({ version: '000', name: 'legacy', description: 'Legacy', applied_at: new Date() });
+    await write('002-backfill.js');
+
+    expect((await migrator().status()).map(row => [row.version, row.state])).toEqual([
+      ['000', 'missing'],
+      ['001', 'applied'],
+      ['002', 'pending']
+    ]);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * AI Audio KB - API Key Routes
+ *
+ * Issue, rotate and revoke agent API keys for the caller's tenant.
+ * Restricted to API_KEY_MANAGER_ROLES. Mounted at /api/v1/api-keys.
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import { config } from '../config/index.js';
+import { AuthService, SCOPES } from '../services/AuthService.js';
+import { AuditService } from '../services/AuditService.js';
+import { requireRole } from '../middleware/requireRole.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AuthenticationError } from '../utils/errors.js';
+import { validate } from '../utils/validation.js';
+
+const router = express.Router();
+
+router.use(requireRole(config.API_KEY_MANAGER_ROLES));
+
+const createSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(128).required(),
+  scopes: Joi.array().items(Joi.string().valid('*', ...SCOPES)).min(1).unique().required(),
+  expires_at: Joi.date().iso().greater('now')
+});
+
+const rotateSchema = Joi.object({
+  grace_period_ms: Joi.number().integer().min(0).max(30 * 24 * 60 * 60 * 1000)
+});
+
+const listSchema = Joi.object({
+  include_revoked: Joi.boolean().default(false)
+});
+
+/**
+ * Resolve the authenticated caller's tenant and user ids
+ */
+function getActor(req) {
+  if (!req.user?.tenant_id) {
+    throw new AuthenticationError();
+  }
+  return { tenantId: req.user.tenant_id, userId: req.user.id };
+}
+
+/**
+ * GET / - Keys of the tenant (hashes are never returned)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  const query = validate(listSchema, req.query);
+
+  res.json({ keys: await AuthService.listApiKeys(tenantId, { includeRevoked: query.include_revoked }) });
+}));
+
+/**
+ * POST / - Create a key; the plaintext `api_key` is only returned here
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(createSchema, req.body, 'Invalid API key');
+
+  const created = await AuthService.createApiKey(tenantId, {
+    name: body.name,
+    scopes: body.scopes,
+    expiresAt: body.expires_at,
+    createdBy: userId
+  });
+  await AuditService.record({
+    tenantId,
+    actor: userId,
+    action: 'api_key.created',
+    subject: `api_key:${created.key.key_id}`,
+    metadata: { agent_id: created.key.agent_id, scopes: created.key.scopes }
+  });
+
+  res.status(201).json(created);
+}));
+
+/**
+ * POST /:keyId/rotate - Issue a replacement; the old key expires after the grace period
+ */
+router.post('/:keyId/rotate', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(rotateSchema, req.body);
+
+  const rotated = await AuthService.rotateApiKey(tenantId, req.params.keyId, {
+    rotatedBy: userId,
+    gracePeriodMs: body.grace_period_ms
+  });
+  await AuditService.record({
+    tenantId,
+    actor: userId,
+    action: 'api_key.rotated',
+    subject: `api_key:${req.params.keyId}`,
+    metadata: { new_key_id: rotated.key.key_id, old_key_expires_at: rotated.previous.expires_at }
+  });
+
+  res.status(201).json(rotated);
+}));
+
+/**
+ * DELETE /:keyId - Revoke a key immediately
+ */
+router.delete('/:keyId', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+
+  const revoked = await AuthService.revokeApiKey(tenantId, req.params.keyId, { revokedBy: userId });
+  await AuditService.record({
+    tenantId,
+    actor: userId,
+    action: 'api_key.revoked',
+    subject: `api_key:${req.params.keyId}`
+  });
+
+  res.json(revoked);
+}));
+
+export default router;
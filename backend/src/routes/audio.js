@@ -0,0 +1,395 @@
+/**
+ * AI Audio KB - Audio Ingestion Routes
+ *
+ * Recording session lifecycle, multipart segment uploads, long recordings
+ * split server-side into segments, segment playback URLs, named session
+ * speakers, and (with FEATURE_TEAM_SHARING) per-session sharing grants.
+ * Mounted at /api/v1/audio behind authentication and region validation.
+ */
+
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import Joi from 'joi';
+import { config } from '../config/index.js';
+import { AuditService } from '../services/AuditService.js';
+import { PiiService } from '../services/PiiService.js';
+import { PlaybackService } from '../services/PlaybackService.js';
+import { SegmentationService } from '../services/SegmentationService.js';
+import { SessionService, SESSION_STATUS } from '../services/SessionService.js';
+import { SpeakerService } from '../services/SpeakerService.js';
+import { SharingService, SHARE_ACCESS, GRANTEE_TYPE } from '../services/SharingService.js';
+import { TeamService, TEAM_ROLE } from '../services/TeamService.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { validate } from '../utils/validation.js';
+import {
+  AuthenticationError,
+  NotFoundError,
+  ValidationError
+} from '../utils/errors.js';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.AUDIO_MAX_FILE_SIZE,
+    files: 1
+  }
+});
+
+const MIME_CODECS = {
+  'audio/ogg': 'opus',
+  'audio/opus': 'opus',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3'
+};
+
+const createSessionSchema = Joi.object({
+  team_id: Joi.string().max(64),
+  title: Joi.string().max(200),
+  tags: Joi.array().items(Joi.string().max(64)).max(50).default([]),
+  participants: Joi.array().items(Joi.string().max(128)).max(50).default([]),
+  started_at: Joi.date().iso(),
+  device: Joi.object({
+    model: Joi.string().max(64),
+    os: Joi.string().max(64),
+    app_version: Joi.string().max(32)
+  }).default({})
+});
+
+const segmentFieldsSchema = Joi.object({
+  seq: Joi.number().integer().min(0).required(),
+  start_ms: Joi.number().integer().min(0).required(),
+  end_ms: Joi.number().integer().greater(Joi.ref('start_ms')).required(),
+  codec: Joi.string().valid(...config.SUPPORTED_AUDIO_FORMATS)
+});
+
+const recordingFieldsSchema = Joi.object({
+  start_ms: Joi.number().integer().min(0).default(0),
+  codec: Joi.string().valid(...config.SUPPORTED_AUDIO_FORMATS)
+});
+
+const renameSpeakerSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(64).allow(null).required()
+});
+
+const completeSessionSchema = Joi.object({
+  ended_at: Joi.date().iso()
+});
+
+const listSessionsSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(SESSION_STATUS)),
+  team_id: Joi.string().max(64),
+  before: Joi.string().max(64),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const shareSchema = Joi.object({
+  grantee_type: Joi.string().valid(...Object.values(GRANTEE_TYPE)).required(),
+  grantee_id: Joi.string().max(128).required(),
+  access: Joi.string().valid(...Object.values(SHARE_ACCESS)).default(SHARE_ACCESS.READ)
+});
+
+const listSegmentsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(100),
+  after_seq: Joi.number().integer().min(-1).default(-1)
+});
+
+/**
+ * Resolve the authenticated caller's tenant and user ids
+ */
+function getActor(req) {
+  if (!req.user?.tenant_id) {
+    throw new AuthenticationError();
+  }
+  return { tenantId: req.user.tenant_id, userId: req.user.id };
+}
+
+/**
+ * Sharing endpoints only exist with FEATURE_TEAM_SHARING
+ */
+function requireSharing(req, res, next) {
+  if (!SharingService.isEnabled()) {
+    return next(new NotFoundError('Team sharing is not enabled'));
+  }
+  next();
+}
+
+/**
+ * The codec the client claims, from the explicit field, mimetype or
+ * extension. Ingest detects the real format; this is only a hint.
+ */
+function declaredCodec(file, codec) {
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+  return codec || MIME_CODECS[file.mimetype] || extension || null;
+}
+
+/**
+ * GET /sessions - Sessions visible to the caller, newest first
+ */
+router.get('/sessions', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  const query = validate(listSessionsSchema, req.query);
+
+  const sessions = await SessionService.listSessions(tenantId, {
+    visibility: SharingService.visibilityFilter(await SharingService.getVisibility(req.user)),
+    status: query.status,
+    teamId: query.team_id,
+    before: query.before,
+    limit: query.limit
+  });
+
+  res.json({
+    sessions,
+    next_before: sessions.length === query.limit ? sessions[sessions.length - 1].session_id : null
+  });
+}));
+
+/**
+ * POST /sessions - Create a recording session, optionally in a team the
+ * caller records into (member role or above)
+ */
+router.post('/sessions', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(createSessionSchema, req.body);
+
+  if (body.team_id) {
+    if (!SharingService.isEnabled()) {
+      throw new ValidationError('Team sharing is not enabled', [{ field: 'team_id', message: '"team_id" is not allowed' }]);
+    }
+    await TeamService.getTeamForMember(tenantId, body.team_id, userId, TEAM_ROLE.MEMBER);
+  }
+
+  const session = await SessionService.createSession({
+    tenantId,
+    userId,
+    teamId: body.team_id,
+    region: req.region,
+    policyVersion: req.regionPolicy.version,
+    consentMode: req.regionPolicy.consent_mode,
+    participants: body.participants,
+    title: body.title,
+    tags: body.tags,
+    device: body.device,
+    startedAt: body.started_at
+  });
+
+  delete session._id;
+  res.status(201).json({ session });
+}));
+
+/**
+ * GET /sessions/:sessionId - Session status with ingest progress
+ */
+router.get('/sessions/:sessionId', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  await SharingService.loadAuthorizedSession(req.user, req.params.sessionId, SHARE_ACCESS.READ);
+  const session = await SessionService.getSessionStatus(tenantId, req.params.sessionId);
+  res.json({ session });
+}));
+
+/**
+ * POST /sessions/:sessionId/complete - Close a session to further uploads
+ */
+router.post('/sessions/:sessionId/complete', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  const body = validate(completeSessionSchema, req.body);
+  await SharingService.loadAuthorizedSession(req.user, req.params.sessionId, SHARE_ACCESS.WRITE);
+  const session = await SessionService.completeSession(tenantId, req.params.sessionId, {
+    endedAt: body.ended_at
+  });
+  res.json({ session });
+}));
+
+/**
+ * GET /sessions/:sessionId/segments - List uploaded segments in order.
+ * Transcripts with masked PII are returned redacted unless the caller's
+ * role may read originals (which is audited).
+ */
+router.get('/sessions/:sessionId/segments', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const query = validate(listSegmentsSchema, req.query);
+  await SharingService.loadAuthorizedSession(req.user, req.params.sessionId, SHARE_ACCESS.READ);
+  const segments = await SessionService.listSegments(tenantId, req.params.sessionId, {
+    limit: query.limit,
+    afterSeq: query.after_seq
+  });
+
+  const masked = segments.filter(segment => segment.transcript && segment.sensitive?.masked);
+  if (masked.length && PiiService.canReadOriginal(req.user)) {
+    await AuditService.record({
+      tenantId,
+      actor: userId,
+      action: 'transcript.original_accessed',
+      subject: `session:${req.params.sessionId}`,
+      metadata: {
+        role: req.user.role,
+        event_ids: masked.map(segment => segment.event_id),
+        entity_types: [...new Set(masked.flatMap(segment => segment.sensitive.entities.map(entity => entity.type)))]
+      }
+    });
+  }
+
+  res.json({
+    segments: segments.map(segment => ({
+      ...segment,
+      transcript: PiiService.viewTranscript(segment.transcript, segment.sensitive, req.user)
+    }))
+  });
+}));
+
+/**
+ * POST /sessions/:sessionId/segments - Upload one audio segment
+ *
+ * multipart/form-data with an `audio` file part and `seq`, `start_ms`,
+ * `end_ms` (timeline offsets within the session) and optional `codec`.
+ * The stored format is detected from the audio's magic bytes; unsupported
+ * or malformed audio is rejected with 415 or 422.
+ */
+router.post('/sessions/:sessionId/segments', upload.single('audio'), asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const fields = validate(segmentFieldsSchema, req.body);
+
+  if (!req.file) {
+    throw new ValidationError('Missing audio file part', [{ field: 'audio', message: '"audio" is required' }]);
+  }
+  await SharingService.loadAuthorizedSession(req.user, req.params.sessionId, SHARE_ACCESS.WRITE);
+
+  const { segment, created } = await SessionService.ingestSegment({
+    tenantId,
+    userId,
+    sessionId: req.params.sessionId,
+    seq: fields.seq,
+    startMs: fields.start_ms,
+    endMs: fields.end_ms,
+    codec: declaredCodec(req.file, fields.codec),
+    mimetype: req.file.mimetype,
+    audio: req.file.buffer
+  });
+
+  delete segment._id;
+  res.status(created ? 201 : 200).json({ segment, created });
+}));
+
+/**
+ * GET /sessions/:sessionId/segments/:eventId/playback - Time-limited URL
+ * for a segment's audio, e.g. to play back a search hit
+ */
+router.get('/sessions/:sessionId/segments/:eventId/playback', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  await SharingService.loadAuthorizedSession(req.user, req.params.sessionId, SHARE_ACCESS.READ);
+  const playback = await PlaybackService.createPlayback(tenantId, req.params.sessionId, req.params.eventId, {
+    actor: userId
+  });
+  res.json({ playback });
+}));
+
+/**
+ * GET /sessions/:sessionId/speakers - Session speakers with talk time
+ */
+router.get('/sessions/:sessionId/speakers', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  await SharingService.loadAuthorizedSession(req.user, req.params.sessionId, SHARE_ACCESS.READ);
+  const speakers = await SpeakerService.listSpeakers(tenantId, req.params.sessionId);
+  res.json({ speakers });
+}));
+
+/**
+ * PATCH /sessions/:sessionId/speakers/:speakerId - Name a speaker across
+ * the whole session (`name: null` clears it)
+ */
+router.patch('/sessions/:sessionId/speakers/:speakerId', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(renameSpeakerSchema, req.body, 'Invalid speaker name');
+  await SharingService.loadAuthorizedSession(req.user, req.params.sessionId, SHARE_ACCESS.WRITE);
+
+  const speaker = await SpeakerService.renameSpeaker(tenantId, req.params.sessionId, req.params.speakerId, body.name, {
+    actor: userId
+  });
+  res.json({ speaker });
+}));
+
+/**
+ * POST /sessions/:sessionId/recordings - Upload a long recording to be
+ * split into speech segments
+ *
+ * multipart/form-data with an `audio` file part, optional `start_ms` (the
+ * recording's offset within the session) and `codec`. Segmentation runs
+ * in the background; poll the recording for its segments.
+ */
+router.post('/sessions/:sessionId/recordings', upload.single('audio'), asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const fields = validate(recordingFieldsSchema, req.body);
+
+  if (!req.file) {
+    throw new ValidationError('Missing audio file part', [{ field: 'audio', message: '"audio" is required' }]);
+  }
+  await SharingService.loadAuthorizedSession(req.user, req.params.sessionId, SHARE_ACCESS.WRITE);
+
+  const recording = await SegmentationService.submitRecording({
+    tenantId,
+    userId,
+    sessionId: req.params.sessionId,
+    startMs: fields.start_ms,
+    codec: declaredCodec(req.file, fields.codec),
+    mimetype: req.file.mimetype,
+    audio: req.file.buffer
+  });
+
+  res.status(202).json({ recording });
+}));
+
+/**
+ * GET /sessions/:sessionId/recordings/:recordingId - Segmentation status
+ * and the segments cut from a recording
+ */
+router.get('/sessions/:sessionId/recordings/:recordingId', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  await SharingService.loadAuthorizedSession(req.user, req.params.sessionId, SHARE_ACCESS.READ);
+  const recording = await SegmentationService.getRecording(tenantId, req.params.sessionId, req.params.recordingId);
+  res.json({ recording });
+}));
+
+/**
+ * GET /sessions/:sessionId/shares - Active sharing grants
+ */
+router.get('/sessions/:sessionId/shares', requireSharing, asyncHandler(async (req, res) => {
+  getActor(req);
+  const shares = await SharingService.listShares(req.user, req.params.sessionId);
+  res.json({ shares });
+}));
+
+/**
+ * POST /sessions/:sessionId/shares - Share with a user or team
+ * (`read` or `write`). Session owners and team owners/admins may share.
+ */
+router.post('/sessions/:sessionId/shares', requireSharing, asyncHandler(async (req, res) => {
+  getActor(req);
+  const body = validate(shareSchema, req.body, 'Invalid sharing grant');
+
+  const share = await SharingService.shareSession(req.user, req.params.sessionId, {
+    granteeType: body.grantee_type,
+    granteeId: body.grantee_id,
+    access: body.access
+  });
+
+  res.status(201).json({ share });
+}));
+
+/**
+ * DELETE /sessions/:sessionId/shares/:grantId - Revoke a sharing grant
+ */
+router.delete('/sessions/:sessionId/shares/:grantId', requireSharing, asyncHandler(async (req, res) => {
+  getActor(req);
+  const share = await SharingService.revokeShare(req.user, req.params.sessionId, req.params.grantId);
+  res.json({ share });
+}));
+
+export default router;
@@ -0,0 +1,152 @@
+/**
+ * AI Audio KB - Audio Routes tests
+ */
+
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import audioRoutes from './audio.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { AuditService } from '../services/AuditService.js';
+import { ConsentService } from '../services/ConsentService.js';
+import { PipelineService } from '../services/PipelineService.js';
+import { RegionPolicyService } from '../services/RegionPolicyService.js';
+import { ResidencyRouter } from '../services/ResidencyRouter.js';
+import { SESSION_STATUS, SessionService } from '../services/SessionService.js';
+import { SharingService } from '../services/SharingService.js';
+
+const SEGMENTS = [
+  {
+    event_id: 'e1',
+    transcript: {
+      text: 'my card is 4111 1111 1111 1111',
+      textRedacted: 'my card is [CREDIT_CARD]',
+      words: [
+        { word: 'my', start_ms: 0, end_ms: 100 },
+        { word: 'card', start_ms: 100, end_ms: 200 },
+        { word: 'is', start_ms: 200, end_ms: 300 },
+        { word: '4111', start_ms: 300, end_ms: 400 },
+        { word: '1111', start_ms: 400, end_ms: 500 },
+        { word: '1111', start_ms: 500, end_ms: 600 },
+        { word: '1111', start_ms: 600, end_ms: 700 }
+      ]
+    },
+    sensitive: { masked: true, entities: [{ type: 'CREDIT_CARD', start: 11, end: 30 }] }
+  },
+  {
+    event_id: 'e2',
+    transcript: { text: 'thanks', textRedacted: 'thanks', words: [{ word: 'thanks', start_ms: 0, end_ms: 300 }] },
+    sensitive: { masked: false, entities: [] }
+  }
+];
+
+/**
+ * App with the audio routes, authenticated as `user`
+ */
+function appFor(user) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/v1/audio', audioRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('GET /api/v1/audio/sessions/:sessionId/segments', () => {
+  beforeEach(() => {
+    jest.spyOn(SharingService, 'loadAuthorizedSession').mockResolvedValue({ session_id: 's1' });
+    jest.spyOn(SessionService, 'listSegments').mockImplementation(async () => structuredClone(SEGMENTS));
+    jest.spyOn(AuditService, 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const list = user => request(appFor({ id: 'u1', tenant_id: 'tenant-a', ...user })).get('/api/v1/audio/sessions/s1/segments');
+
+  it('returns masked transcripts redacted to other roles', async () => {
+    const res = await list({ role: 'agent' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.segments[0].transcript.text).toBe('my card is [CREDIT_CARD]');
+    expect(res.body.segments[0].transcript.words.map(word => word.word)).not.toContain('4111');
+    expect(res.body.segments[1].transcript.text).toBe('thanks');
+    expect(AuditService.record).not.toHaveBeenCalled();
+  });
+
+  it('returns originals to privileged roles and audits the access', async () => {
+    const res = await list({ role: 'compliance' });
+
+    expect(res.body.segments[0].transcript.text).toBe('my card is 4111 1111 1111 1111');
+    expect(AuditService.record).toHaveBeenCalledWith(expect.objectContaining({
+      actor: 'u1',
+      action: 'transcript.original_accessed',
+      subject: 'session:s1',
+      metadata: { role: 'compliance', event_ids: ['e1'], entity_types: ['CREDIT_CARD'] }
+    }));
+  });
+});
+
+describe('POST /api/v1/audio/sessions/:sessionId/segments', () => {
+  // First Ogg page of an Opus stream
+  const audio = Buffer.alloc(47);
+  audio.write('OggS', 0, 'latin1');
+  audio[26] = 1;
+  audio[27] = 19;
+  audio.write('OpusHead', 28, 'latin1');
+  audio[37] = 1;
+  audio.writeUInt32LE(48000, 40);
+
+  const processed = {
+    event_id: 'e1',
+    tenant_id: 'tenant-a',
+    session_id: 's1',
+    segment: { idx: 0, duration_ms: 5000, codec: 'opus' },
+    timeline: { startMs: 0, endMs: 5000 },
+    audio: { key: 'tenant-a/s1/000000-e1.opus', sha256: crypto.createHash('sha256').update(audio).digest('hex') },
+    status: 'uploaded',
+    pipeline: { state: 'completed' },
+    transcript: { text: 'my card is 4111 1111 1111 1111', textRedacted: 'my card is [CREDIT_CARD]', words: [] },
+    asr_result: { raw: 'my card is 4111 1111 1111 1111' },
+    embedding: [0.1, 0.2]
+  };
+
+  beforeEach(() => {
+    const session = { session_id: 's1', tenant_id: 'tenant-a', user_id: 'u1', status: SESSION_STATUS.ACTIVE, consent: { region: 'US-CA' } };
+    const collections = {
+      sessions: { findOne: jest.fn(async () => structuredClone(session)) },
+      audio_events: createCollection([processed])
+    };
+    jest.spyOn(SharingService, 'loadAuthorizedSession').mockResolvedValue(session);
+    jest.spyOn(ResidencyRouter, 'getCollection').mockImplementation((tenantId, name) => collections[name]);
+    jest.spyOn(RegionPolicyService, 'assertAllowed').mockReturnValue({ status: 'allowed' });
+    jest.spyOn(ConsentService, 'assertIngestAllowed').mockReturnValue(undefined);
+    jest.spyOn(PipelineService, 'enqueueSegment').mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers a retried upload without the transcript, ASR result or embedding', async () => {
+    const res = await request(appFor({ id: 'u1', tenant_id: 'tenant-a', role: 'agent' }))
+      .post('/api/v1/audio/sessions/s1/segments')
+      .field('seq', '0')
+      .field('start_ms', '0')
+      .field('end_ms', '5000')
+      .attach('audio', audio, { filename: 'segment.opus', contentType: 'audio/ogg' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.created).toBe(false);
+    expect(res.body.segment).toMatchObject({ event_id: 'e1', segment: { idx: 0 } });
+    expect(res.body.segment).not.toHaveProperty('transcript');
+    expect(res.body.segment).not.toHaveProperty('asr_result');
+    expect(res.body.segment).not.toHaveProperty('embedding');
+    expect(JSON.stringify(res.body)).not.toContain('4111');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * AI Audio KB - Audit Routes
+ *
+ * Read, verify and export the caller's tenant audit chain. Restricted to
+ * AUDIT_ACCESS_ROLES. Mounted at /api/v1/audit.
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import { config } from '../config/index.js';
+import { AuditService } from '../services/AuditService.js';
+import { requireRole } from '../middleware/requireRole.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AuthenticationError } from '../utils/errors.js';
+import { validate } from '../utils/validation.js';
+
+const router = express.Router();
+
+router.use(requireRole(config.AUDIT_ACCESS_ROLES));
+
+const listSchema = Joi.object({
+  action: Joi.string().max(128),
+  actor: Joi.string().max(128),
+  subject: Joi.string().max(256),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  after_seq: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+/**
+ * Resolve the authenticated caller's tenant and user ids
+ */
+function getActor(req) {
+  if (!req.user?.tenant_id) {
+    throw new AuthenticationError();
+  }
+  return { tenantId: req.user.tenant_id, userId: req.user.id };
+}
+
+/**
+ * GET /entries - Page through entries in chain order (`after_seq` cursor)
+ */
+router.get('/entries', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  const query = validate(listSchema, req.query, 'Invalid audit query');
+
+  const entries = await AuditService.list(tenantId, {
+    action: query.action,
+    actor: query.actor,
+    subject: query.subject,
+    from: query.from,
+    to: query.to,
+    afterSeq: query.after_seq,
+    limit: query.limit
+  });
+
+  res.json({
+    entries,
+    next_after_seq: entries.length === query.limit ? entries[entries.length - 1].seq : null
+  });
+}));
+
+/**
+ * GET /verify - Walk the hash chain and report the first broken link
+ */
+router.get('/verify', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  res.json(await AuditService.verify(tenantId));
+}));
+
+/**
+ * GET /export - Verified chain as NDJSON, one entry per line. The export is
+ * itself recorded, and the verified head is returned in X-Audit-* headers.
+ */
+router.get('/export', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+
+  await AuditService.record({
+    tenantId,
+    actor: userId,
+    action: 'audit.exported',
+    subject: `tenant:${tenantId}`,
+    metadata: { ip: req.ip }
+  });
+  const verification = await AuditService.verify(tenantId);
+
+  res.set({
+    'Content-Type': 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="audit-${tenantId}-${Date.now()}.ndjson"`,
+    'X-Audit-Chain-Valid': String(verification.valid),
+    'X-Audit-Head-Seq': String(verification.last_seq ?? ''),
+    'X-Audit-Head-Hash': verification.head_hash ?? ''
+  });
+
+  for await (const entry of AuditService.stream(tenantId)) {
+    if (!res.write(`${JSON.stringify(entry)}\n`)) {
+      await new Promise(resolve => res.once('drain', resolve));
+    }
+  }
+  res.end();
+}));
+
+export default router;
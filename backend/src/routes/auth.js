@@ -0,0 +1,77 @@
+/**
+ * AI Audio KB - Auth Routes
+ *
+ * Login, refresh-token rotation and logout. Mounted at /api/v1/auth ahead
+ * of the authentication middleware; `/me` and `/logout-all` authenticate
+ * themselves.
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import { AuthService } from '../services/AuthService.js';
+import { authentication } from '../middleware/auth.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { validate } from '../utils/validation.js';
+
+const router = express.Router();
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().max(254).required(),
+  password: Joi.string().min(1).max(256).required()
+});
+
+const refreshSchema = Joi.object({
+  refresh_token: Joi.string().max(4096).required()
+});
+
+/**
+ * POST /login - Exchange email and password for an access/refresh token pair
+ */
+router.post('/login', asyncHandler(async (req, res) => {
+  const body = validate(loginSchema, req.body, 'Invalid login');
+
+  res.json(await AuthService.login({
+    email: body.email,
+    password: body.password,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  }));
+}));
+
+/**
+ * POST /refresh - Rotate a refresh token (single use; reuse revokes the session)
+ */
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const body = validate(refreshSchema, req.body, 'Invalid refresh request');
+
+  res.json(await AuthService.refresh(body.refresh_token, {
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  }));
+}));
+
+/**
+ * POST /logout - Revoke the login session a refresh token belongs to
+ */
+router.post('/logout', asyncHandler(async (req, res) => {
+  const body = validate(refreshSchema, req.body, 'Invalid logout request');
+  await AuthService.logout(body.refresh_token);
+  res.status(204).end();
+}));
+
+/**
+ * POST /logout-all - Revoke every token issued to the caller
+ */
+router.post('/logout-all', authentication, asyncHandler(async (req, res) => {
+  await AuthService.revokeAllTokens(req.user.id, 'logout_all');
+  res.status(204).end();
+}));
+
+/**
+ * GET /me - The authenticated identity
+ */
+router.get('/me', authentication, (req, res) => {
+  res.json({ user: req.user });
+});
+
+export default router;
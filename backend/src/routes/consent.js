@@ -0,0 +1,118 @@
+/**
+ * AI Audio KB - Consent Routes
+ *
+ * Consent grants, revocation and verification for recording sessions.
+ * Parties to a session may always grant, read and revoke consent; other
+ * callers need access to the session (see SharingService).
+ * Mounted at /api/v1/consent.
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import { ConsentService, PARTY_ROLE } from '../services/ConsentService.js';
+import { AudioStreamService } from '../services/AudioStreamService.js';
+import { SharingService, SHARE_ACCESS } from '../services/SharingService.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AuthenticationError } from '../utils/errors.js';
+import { validate } from '../utils/validation.js';
+
+const router = express.Router();
+
+const grantSchema = Joi.object({
+  actor_id: Joi.string().max(128),
+  role: Joi.string().valid(...Object.values(PARTY_ROLE)),
+  policy_version: Joi.string().max(64),
+  timestamp: Joi.alternatives(Joi.number().positive(), Joi.string().pattern(/^\d+(\.\d+)?$/)).required(),
+  consent_hash: Joi.string().hex().max(128)
+});
+
+const revokeSchema = Joi.object({
+  actor_id: Joi.string().max(128),
+  reason: Joi.string().max(500)
+});
+
+/**
+ * Resolve the authenticated caller's tenant and user ids
+ */
+function getActor(req) {
+  if (!req.user?.tenant_id) {
+    throw new AuthenticationError();
+  }
+  return { tenantId: req.user.tenant_id, userId: req.user.id };
+}
+
+/**
+ * Require the caller to be a party to the session or hold `access` on it
+ */
+async function authorizeSessionCaller(req, access) {
+  const { tenantId, userId } = getActor(req);
+  const session = await ConsentService.loadSession(tenantId, req.params.sessionId);
+
+  if (!session.consent?.parties?.includes(userId)) {
+    await SharingService.authorizeSession(req.user, session, access);
+  }
+  return session;
+}
+
+/**
+ * POST /sessions/:sessionId - Record a consent grant
+ *
+ * `actor_id` defaults to the caller (the recorder). The consent hash may be
+ * supplied in the body or the `x-consent-hash` header.
+ */
+router.post('/sessions/:sessionId', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(grantSchema, req.body, 'Invalid consent grant');
+  const actorId = body.actor_id || userId;
+  await authorizeSessionCaller(req, SHARE_ACCESS.WRITE);
+
+  const consent = await ConsentService.grant(tenantId, req.params.sessionId, {
+    actorId,
+    recordedBy: userId,
+    role: body.role || (actorId === userId ? PARTY_ROLE.RECORDER : PARTY_ROLE.PARTICIPANT),
+    policyVersion: body.policy_version,
+    timestamp: body.timestamp,
+    hash: body.consent_hash ?? req.get('x-consent-hash')
+  });
+
+  res.status(201).json({ consent });
+}));
+
+/**
+ * GET /sessions/:sessionId - Grants and current ingest eligibility
+ */
+router.get('/sessions/:sessionId', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  const session = await authorizeSessionCaller(req, SHARE_ACCESS.READ);
+  const consents = await ConsentService.listConsents(tenantId, req.params.sessionId);
+
+  res.json({ consents, evaluation: ConsentService.evaluate(session) });
+}));
+
+/**
+ * POST /sessions/:sessionId/revoke - Revoke consent and stop ingest
+ */
+router.post('/sessions/:sessionId/revoke', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(revokeSchema, req.body);
+  await authorizeSessionCaller(req, SHARE_ACCESS.WRITE);
+
+  const result = await ConsentService.revoke(tenantId, req.params.sessionId, {
+    actorId: body.actor_id,
+    revokedBy: userId,
+    reason: body.reason
+  });
+  await AudioStreamService.closeSessionStream(req.params.sessionId, 'consent_revoked');
+
+  res.json(result);
+}));
+
+/**
+ * GET /:consentId/verify - Recompute a stored grant's hash
+ */
+router.get('/:consentId/verify', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  res.json(await ConsentService.verify(tenantId, req.params.consentId));
+}));
+
+export default router;
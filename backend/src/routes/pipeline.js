@@ -0,0 +1,101 @@
+/**
+ * AI Audio KB - Pipeline Routes
+ *
+ * Processing state of segments and sessions, and the tenant's
+ * dead-lettered segments. Listing and replaying dead letters is restricted
+ * to PIPELINE_ADMIN_ROLES. Mounted at /api/v1/pipeline.
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import { config } from '../config/index.js';
+import { PipelineService, PIPELINE_STAGES } from '../services/PipelineService.js';
+import { SharingService, SHARE_ACCESS } from '../services/SharingService.js';
+import { requireRole } from '../middleware/requireRole.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AuthenticationError } from '../utils/errors.js';
+import { validate } from '../utils/validation.js';
+
+const router = express.Router();
+
+const deadLetterListSchema = Joi.object({
+  stage: Joi.string().valid(...PIPELINE_STAGES),
+  before: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const replaySchema = Joi.object({
+  stage: Joi.string().valid(...PIPELINE_STAGES),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+/**
+ * Resolve the authenticated caller's tenant and user ids
+ */
+function getActor(req) {
+  if (!req.user?.tenant_id) {
+    throw new AuthenticationError();
+  }
+  return { tenantId: req.user.tenant_id, userId: req.user.id };
+}
+
+/**
+ * GET /segments/:eventId - Pipeline state of one segment
+ */
+router.get('/segments/:eventId', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  await SharingService.authorizeSegment(req.user, req.params.eventId, SHARE_ACCESS.READ);
+
+  const segment = await PipelineService.getSegmentState(tenantId, req.params.eventId);
+  res.json({ segment });
+}));
+
+/**
+ * GET /sessions/:sessionId - Pipeline state of every segment in a session
+ */
+router.get('/sessions/:sessionId', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  await SharingService.loadAuthorizedSession(req.user, req.params.sessionId, SHARE_ACCESS.READ);
+
+  const state = await PipelineService.getSessionState(tenantId, req.params.sessionId);
+  res.json(state);
+}));
+
+/**
+ * POST /segments/:eventId/replay - Replay a dead-lettered segment from the
+ * stage that failed
+ */
+router.post('/segments/:eventId/replay', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  await SharingService.authorizeSegment(req.user, req.params.eventId, SHARE_ACCESS.WRITE);
+
+  const segment = await PipelineService.replay(tenantId, req.params.eventId, { actor: userId });
+  res.status(202).json({ segment });
+}));
+
+/**
+ * GET /dead-letters - Dead-lettered segments, most recent failure first
+ */
+router.get('/dead-letters', requireRole(config.PIPELINE_ADMIN_ROLES), asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  const query = validate(deadLetterListSchema, req.query);
+
+  const segments = await PipelineService.listDeadLetters(tenantId, query);
+  res.json({
+    segments,
+    next_before: segments.length === query.limit ? segments[segments.length - 1].pipeline.updated_at : null
+  });
+}));
+
+/**
+ * POST /dead-letters/replay - Replay dead-lettered segments in bulk
+ */
+router.post('/dead-letters/replay', requireRole(config.PIPELINE_ADMIN_ROLES), asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(replaySchema, req.body ?? {}, 'Invalid replay request');
+
+  const report = await PipelineService.replayDeadLetters(tenantId, { ...body, actor: userId });
+  res.status(202).json(report);
+}));
+
+export default router;
@@ -0,0 +1,64 @@
+/**
+ * AI Audio KB - Playback Routes
+ *
+ * Streams segment audio for signed playback URLs issued by
+ * GET /audio/sessions/:sessionId/segments/:eventId/playback. The token in
+ * the URL is the authorization, so this router is mounted at
+ * /api/v1/playback ahead of authentication. Supports single HTTP byte
+ * ranges (206) so players can seek.
+ */
+
+import express from 'express';
+import { PlaybackService } from '../services/PlaybackService.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /:token - Segment audio, whole or a byte range
+ */
+router.get('/:token', asyncHandler(async (req, res) => {
+  const playback = await PlaybackService.openPlayback(req.params.token);
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, no-store',
+    // Players on the web app's origin load the audio cross-origin
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+
+  // -1: unsatisfiable; -2 (malformed) is ignored and the whole object sent
+  const ranges = req.range(playback.size, { combine: true });
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${playback.size}`);
+    throw new AppError('Requested range not satisfiable', {
+      statusCode: 416,
+      code: 'RANGE_NOT_SATISFIABLE'
+    });
+  }
+
+  // Set only once audio follows, so errors are still sent as JSON
+  res.set('Content-Type', playback.mimetype || 'application/octet-stream');
+
+  let range = { start: 0, end: playback.size - 1 };
+  if (Array.isArray(ranges) && ranges.type === 'bytes') {
+    range = ranges[0];
+    res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${playback.size}`);
+  }
+  res.set('Content-Length', String(range.end - range.start + 1));
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const stream = await playback.read(range);
+  stream.on('error', error => {
+    logger.logError(error, { operation: 'segment_playback' });
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}));
+
+export default router;
@@ -0,0 +1,109 @@
+/**
+ * AI Audio KB - Playback Routes tests
+ */
+
+import { Readable } from 'stream';
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import playbackRoutes from './playback.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { PlaybackService } from '../services/PlaybackService.js';
+import { ForbiddenError } from '../utils/errors.js';
+
+const AUDIO = Buffer.from('0123456789');
+
+const app = express();
+app.use('/api/v1/playback', playbackRoutes);
+app.use(errorHandler);
+
+/**
+ * Request the test audio with an optional Range header
+ */
+function fetchAudio(range, method = 'get') {
+  const req = request(app)[method]('/api/v1/playback/token').buffer(true).parse((res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  });
+  return range ? req.set('Range', range) : req;
+}
+
+describe('GET /api/v1/playback/:token', () => {
+  let read;
+
+  beforeEach(() => {
+    read = jest.fn(async ({ start, end }) => Readable.from([AUDIO.subarray(start, end + 1)]));
+    jest.spyOn(PlaybackService, 'openPlayback').mockResolvedValue({
+      mimetype: 'audio/wav',
+      size: AUDIO.length,
+      read
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves the whole object without a Range header', async () => {
+    const res = await fetchAudio();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(AUDIO);
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers['content-type']).toBe('audio/wav');
+    expect(res.headers['content-length']).toBe('10');
+    expect(res.headers['cache-control']).toBe('private, no-store');
+    expect(read).toHaveBeenCalledWith({ start: 0, end: 9 });
+  });
+
+  it.each([
+    ['bytes=2-5', 2, 5],
+    ['bytes=7-', 7, 9],
+    ['bytes=-3', 7, 9],
+    ['bytes=4-100', 4, 9],
+    ['bytes=0-1,2-3', 0, 3]
+  ])('serves %s as a partial response', async (range, start, end) => {
+    const res = await fetchAudio(range);
+
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe(`bytes ${start}-${end}/10`);
+    expect(res.headers['content-length']).toBe(String(end - start + 1));
+    expect(res.body).toEqual(AUDIO.subarray(start, end + 1));
+    expect(read).toHaveBeenCalledWith(expect.objectContaining({ start, end }));
+  });
+
+  it('rejects unsatisfiable ranges with 416', async () => {
+    const res = await request(app).get('/api/v1/playback/token').set('Range', 'bytes=20-30');
+
+    expect(res.status).toBe(416);
+    expect(res.headers['content-range']).toBe('bytes */10');
+    expect(res.body.code).toBe('RANGE_NOT_SATISFIABLE');
+    expect(read).not.toHaveBeenCalled();
+  });
+
+  it('ignores malformed ranges and serves the whole object', async () => {
+    const res = await fetchAudio('items=0-3');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(AUDIO);
+  });
+
+  it('answers HEAD with headers only', async () => {
+    const res = await request(app).head('/api/v1/playback/token').set('Range', 'bytes=2-5');
+
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe('bytes 2-5/10');
+    expect(res.headers['content-length']).toBe('4');
+    expect(read).not.toHaveBeenCalled();
+  });
+
+  it('rejects invalid tokens', async () => {
+    PlaybackService.openPlayback.mockRejectedValue(new ForbiddenError('Invalid playback link'));
+
+    const res = await request(app).get('/api/v1/playback/token');
+
+    expect(res.status).toBe(403);
+    expect(read).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * AI Audio KB - Retention Routes
+ *
+ * Legal holds and retention dry-run reports for the caller's tenant.
+ * Restricted to RETENTION_ADMIN_ROLES. Mounted at /api/v1/retention.
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import { config } from '../config/index.js';
+import { RetentionService } from '../services/RetentionService.js';
+import { requireRole } from '../middleware/requireRole.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AuthenticationError } from '../utils/errors.js';
+import { validate } from '../utils/validation.js';
+
+const router = express.Router();
+
+router.use(requireRole(config.RETENTION_ADMIN_ROLES));
+
+const holdSchema = Joi.object({
+  session_id: Joi.string().max(128),
+  reason: Joi.string().max(500).required()
+});
+
+const listSchema = Joi.object({
+  include_released: Joi.boolean().default(false)
+});
+
+/**
+ * Resolve the authenticated caller's tenant and user ids
+ */
+function getActor(req) {
+  if (!req.user?.tenant_id) {
+    throw new AuthenticationError();
+  }
+  return { tenantId: req.user.tenant_id, userId: req.user.id };
+}
+
+/**
+ * GET /holds - Legal holds (active only unless include_released=true)
+ */
+router.get('/holds', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  const query = validate(listSchema, req.query);
+
+  const holds = await RetentionService.listHolds(tenantId, { includeReleased: query.include_released });
+  res.json({ holds });
+}));
+
+/**
+ * POST /holds - Place a legal hold on the tenant or one session
+ */
+router.post('/holds', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(holdSchema, req.body, 'Invalid legal hold');
+
+  const hold = await RetentionService.placeHold(tenantId, {
+    sessionId: body.session_id,
+    reason: body.reason,
+    createdBy: userId
+  });
+  res.status(201).json({ hold });
+}));
+
+/**
+ * DELETE /holds/:holdId - Release a legal hold
+ */
+router.delete('/holds/:holdId', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const hold = await RetentionService.releaseHold(tenantId, req.params.holdId, { releasedBy: userId });
+  res.json({ hold });
+}));
+
+/**
+ * GET /report - Dry-run report of what the next retention run would purge
+ */
+router.get('/report', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  res.json(await RetentionService.run({ dryRun: true, tenantId }));
+}));
+
+export default router;
@@ -0,0 +1,57 @@
+/**
+ * AI Audio KB - Retention Routes tests
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import retentionRoutes from './retention.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { RetentionService } from '../services/RetentionService.js';
+
+/**
+ * App with the retention routes, authenticated as `user`
+ */
+function appFor(user) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/v1/retention', retentionRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('retention routes', () => {
+  beforeEach(() => {
+    jest.spyOn(RetentionService, 'placeHold').mockImplementation(async (tenantId, { sessionId }) => ({ hold_id: 'h1', session_id: sessionId }));
+    jest.spyOn(RetentionService, 'releaseHold').mockResolvedValue({ hold_id: 'h1' });
+    jest.spyOn(RetentionService, 'run').mockResolvedValue({ dry_run: true, groups: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const as = role => request(appFor({ id: 'u1', tenant_id: 'tenant-a', role }));
+
+  it('refuses holds and reports to other roles', async () => {
+    expect((await as('agent').post('/api/v1/retention/holds').send({ reason: 'litigation' })).status).toBe(403);
+    expect((await as('agent').delete('/api/v1/retention/holds/h1')).status).toBe(403);
+    expect((await as('agent').get('/api/v1/retention/report')).status).toBe(403);
+
+    expect(RetentionService.placeHold).not.toHaveBeenCalled();
+    expect(RetentionService.releaseHold).not.toHaveBeenCalled();
+    expect(RetentionService.run).not.toHaveBeenCalled();
+  });
+
+  it('lets compliance place and release holds', async () => {
+    const placed = await as('compliance').post('/api/v1/retention/holds').send({ session_id: 's1', reason: 'litigation' });
+
+    expect(placed.status).toBe(201);
+    expect(RetentionService.placeHold).toHaveBeenCalledWith('tenant-a', { sessionId: 's1', reason: 'litigation', createdBy: 'u1' });
+    expect((await as('compliance').delete('/api/v1/retention/holds/h1')).status).toBe(200);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * AI Audio KB - Search Routes
+ *
+ * Hybrid (vector + text, RRF-fused) segment search over the sessions the
+ * caller can see.
+ * Mounted at /api/v1/search.
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import { config } from '../config/index.js';
+import { SearchService } from '../services/SearchService.js';
+import { SharingService } from '../services/SharingService.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AuthenticationError } from '../utils/errors.js';
+import { validate } from '../utils/validation.js';
+
+const router = express.Router();
+
+const searchSchema = Joi.object({
+  query: Joi.string().trim().min(1).max(1000).required(),
+  top_k: Joi.number().integer().min(1).max(100).default(config.HYBRID_TOP_K),
+  rerank: Joi.boolean(),
+  weights: Joi.object({
+    vector: Joi.number().min(0).max(1),
+    text: Joi.number().min(0).max(1)
+  }).default({}),
+  filters: Joi.object({
+    session_id: Joi.string(),
+    tags: Joi.array().items(Joi.string()),
+    language: Joi.string(),
+    speaker: Joi.string().trim().min(1).max(64),
+    speaker_id: Joi.string().max(16),
+    from: Joi.date().iso(),
+    to: Joi.date().iso()
+  }).default({})
+});
+
+/**
+ * POST / - Hybrid search
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  if (!req.user?.tenant_id) {
+    throw new AuthenticationError();
+  }
+
+  const value = validate(searchSchema, req.body, 'Invalid search request');
+
+  const response = await SearchService.search(req.user.tenant_id, {
+    query: value.query,
+    topK: value.top_k,
+    filters: value.filters,
+    vectorWeight: value.weights.vector,
+    textWeight: value.weights.text,
+    rerank: value.rerank,
+    visibility: await SharingService.getVisibility(req.user)
+  });
+
+  res.json(response);
+}));
+
+export default router;
@@ -0,0 +1,192 @@
+/**
+ * AI Audio KB - Team Workspace Routes
+ *
+ * Teams, member roles and invitations for FEATURE_TEAM_SHARING.
+ * Mounted at /api/v1/teams; every route 404s while the flag is off.
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import { TeamService, TEAM_ROLE, INVITATION_STATUS } from '../services/TeamService.js';
+import { SharingService } from '../services/SharingService.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AuthenticationError, NotFoundError } from '../utils/errors.js';
+import { validate } from '../utils/validation.js';
+
+const router = express.Router();
+
+const teamSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(120).required()
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...Object.values(TEAM_ROLE)).required()
+});
+
+const invitationSchema = Joi.object({
+  email: Joi.string().email().max(254).required(),
+  role: Joi.string().valid(...Object.values(TEAM_ROLE)).default(TEAM_ROLE.MEMBER)
+});
+
+const listInvitationsSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(INVITATION_STATUS)).default(INVITATION_STATUS.PENDING)
+});
+
+/**
+ * Resolve the authenticated caller's tenant and user ids
+ */
+function getActor(req) {
+  if (!req.user?.tenant_id) {
+    throw new AuthenticationError();
+  }
+  return { tenantId: req.user.tenant_id, userId: req.user.id };
+}
+
+router.use((req, res, next) => {
+  if (!SharingService.isEnabled()) {
+    return next(new NotFoundError('Team sharing is not enabled'));
+  }
+  next();
+});
+
+/**
+ * GET / - Teams the caller belongs to, with their role
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const teams = await TeamService.listMemberships(tenantId, userId);
+  res.json({ teams });
+}));
+
+/**
+ * POST / - Create a team owned by the caller
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(teamSchema, req.body, 'Invalid team');
+
+  const team = await TeamService.createTeam(tenantId, { name: body.name, createdBy: userId });
+  res.status(201).json({ team });
+}));
+
+/**
+ * GET /invitations - Pending invitations addressed to the caller's email
+ */
+router.get('/invitations', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  const invitations = req.user.email ? await TeamService.listInvitationsFor(tenantId, req.user.email) : [];
+  res.json({ invitations });
+}));
+
+/**
+ * POST /invitations/:invitationId/accept - Join the inviting team
+ */
+router.post('/invitations/:invitationId/accept', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  const invitation = await TeamService.respondToInvitation(tenantId, req.params.invitationId, {
+    user: req.user,
+    accept: true
+  });
+  res.json({ invitation });
+}));
+
+/**
+ * POST /invitations/:invitationId/decline - Decline an invitation
+ */
+router.post('/invitations/:invitationId/decline', asyncHandler(async (req, res) => {
+  const { tenantId } = getActor(req);
+  const invitation = await TeamService.respondToInvitation(tenantId, req.params.invitationId, {
+    user: req.user,
+    accept: false
+  });
+  res.json({ invitation });
+}));
+
+/**
+ * GET /:teamId - Team with its members (members only)
+ */
+router.get('/:teamId', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const { team, role } = await TeamService.getTeamForMember(tenantId, req.params.teamId, userId);
+  res.json({ team, role });
+}));
+
+/**
+ * PATCH /:teamId - Rename a team (admins and owners)
+ */
+router.patch('/:teamId', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(teamSchema, req.body, 'Invalid team');
+
+  const team = await TeamService.updateTeam(tenantId, req.params.teamId, { name: body.name, updatedBy: userId });
+  res.json({ team });
+}));
+
+/**
+ * DELETE /:teamId - Delete a team (owners only)
+ */
+router.delete('/:teamId', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  res.json(await TeamService.deleteTeam(tenantId, req.params.teamId, { deletedBy: userId }));
+}));
+
+/**
+ * PATCH /:teamId/members/:userId - Change a member's role
+ */
+router.patch('/:teamId/members/:userId', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(roleSchema, req.body, 'Invalid team role');
+
+  const team = await TeamService.setMemberRole(tenantId, req.params.teamId, req.params.userId, {
+    role: body.role,
+    changedBy: userId
+  });
+  res.json({ team });
+}));
+
+/**
+ * DELETE /:teamId/members/:userId - Remove a member, or leave the team
+ */
+router.delete('/:teamId/members/:userId', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  res.json(await TeamService.removeMember(tenantId, req.params.teamId, req.params.userId, { removedBy: userId }));
+}));
+
+/**
+ * GET /:teamId/invitations - Team invitations (admins and owners)
+ */
+router.get('/:teamId/invitations', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const query = validate(listInvitationsSchema, req.query);
+
+  const invitations = await TeamService.listInvitations(tenantId, req.params.teamId, { userId, status: query.status });
+  res.json({ invitations });
+}));
+
+/**
+ * POST /:teamId/invitations - Invite an email address with a role
+ */
+router.post('/:teamId/invitations', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const body = validate(invitationSchema, req.body, 'Invalid invitation');
+
+  const invitation = await TeamService.createInvitation(tenantId, req.params.teamId, {
+    email: body.email,
+    role: body.role,
+    invitedBy: userId
+  });
+  res.status(201).json({ invitation });
+}));
+
+/**
+ * DELETE /:teamId/invitations/:invitationId - Revoke a pending invitation
+ */
+router.delete('/:teamId/invitations/:invitationId', asyncHandler(async (req, res) => {
+  const { tenantId, userId } = getActor(req);
+  const invitation = await TeamService.revokeInvitation(tenantId, req.params.teamId, req.params.invitationId, {
+    revokedBy: userId
+  });
+  res.json({ invitation });
+}));
+
+export default router;
@@ -0,0 +1,75 @@
+/**
+ * AI Audio KB - Transcription Routes
+ *
+ * On-demand segment transcription and embedding, and ASR provider status.
+ * Mounted at /api/v1/transcription.
+ */
+
+import express from 'express';
+import { TranscriptionService } from '../services/TranscriptionService.js';
+import { VectorService } from '../services/VectorService.js';
+import { PiiService } from '../services/PiiService.js';
+import { AuditService } from '../services/AuditService.js';
+import { SharingService, SHARE_ACCESS } from '../services/SharingService.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AuthenticationError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * Resolve the authenticated caller's tenant id
+ */
+function getTenantId(req) {
+  if (!req.user?.tenant_id) {
+    throw new AuthenticationError();
+  }
+  return req.user.tenant_id;
+}
+
+/**
+ * GET /providers - ASR provider chain and circuit breaker state
+ */
+router.get('/providers', (req, res) => {
+  res.json({ providers: TranscriptionService.getStatus() });
+});
+
+/**
+ * POST /segments/:eventId - Transcribe a stored segment and embed it with
+ * its session context (re-embedding neighbors whose context changed).
+ * The original transcript is returned to privileged roles only.
+ */
+router.post('/segments/:eventId', asyncHandler(async (req, res) => {
+  const tenantId = getTenantId(req);
+  await SharingService.authorizeSegment(req.user, req.params.eventId, SHARE_ACCESS.WRITE);
+  const segment = await TranscriptionService.transcribeSegment(tenantId, req.params.eventId);
+  const embedding = await VectorService.embedSegment(tenantId, req.params.eventId);
+
+  if (segment.sensitive.masked && PiiService.canReadOriginal(req.user)) {
+    await AuditService.record({
+      tenantId,
+      actor: req.user.id,
+      action: 'transcript.original_accessed',
+      subject: `segment:${segment.event_id}`,
+      metadata: { role: req.user.role, entity_types: [...new Set(segment.sensitive.entities.map(entity => entity.type))] }
+    });
+  }
+
+  res.json({
+    event_id: segment.event_id,
+    status: 'embedded',
+    transcript: PiiService.viewTranscript(segment.transcript, segment.sensitive, req.user),
+    sensitive: {
+      pii_detected: segment.sensitive.piiDetected,
+      masked: segment.sensitive.masked,
+      entities: segment.sensitive.entities.map(({ type, start, end }) => ({ type, start, end }))
+    },
+    embedding: {
+      provider: embedding.provider,
+      model: embedding.model,
+      dimensions: embedding.dimensions,
+      contextWindow: embedding.contextWindow
+    }
+  });
+}));
+
+export default router;
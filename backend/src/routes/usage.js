@@ -0,0 +1,69 @@
+/**
+ * AI Audio KB - Usage Routes
+ *
+ * Metered usage, spend and throttle state for the caller's tenant.
+ * Restricted to USAGE_ACCESS_ROLES. Mounted at /api/v1/usage.
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import { config } from '../config/index.js';
+import { MeteringService, USAGE_UNIT } from '../services/MeteringService.js';
+import { requireRole } from '../middleware/requireRole.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AuthenticationError } from '../utils/errors.js';
+import { validate } from '../utils/validation.js';
+
+const router = express.Router();
+
+router.use(requireRole(config.USAGE_ACCESS_ROLES));
+
+const ledgerSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  provider: Joi.string().max(64),
+  unit: Joi.string().valid(...Object.values(USAGE_UNIT))
+});
+
+/**
+ * Resolve the authenticated caller's tenant id
+ */
+function getTenantId(req) {
+  if (!req.user?.tenant_id) {
+    throw new AuthenticationError();
+  }
+  return req.user.tenant_id;
+}
+
+/**
+ * GET /budget - Current-hour spend, limits, alerts and throttle state
+ */
+router.get('/budget', asyncHandler(async (req, res) => {
+  const budget = await MeteringService.getBudget(getTenantId(req));
+  res.json(budget);
+}));
+
+/**
+ * GET /ledger - Hourly usage lines per provider and unit, with totals
+ */
+router.get('/ledger', asyncHandler(async (req, res) => {
+  const query = validate(ledgerSchema, req.query);
+  const lines = await MeteringService.listUsage(getTenantId(req), query);
+
+  const totals = { cost_usd: 0, units: {} };
+  for (const line of lines) {
+    totals.cost_usd += line.cost_usd;
+    totals.units[line.unit] = (totals.units[line.unit] || 0) + line.quantity;
+  }
+
+  res.json({ lines, totals });
+}));
+
+/**
+ * GET /prices - Active price table
+ */
+router.get('/prices', (req, res) => {
+  res.json(MeteringService.priceTable);
+});
+
+export default router;
@@ -24,21 +24,42 @@ import { database } from './config/database.js';
 import { redisClient } from './config/redis.js';
 import { metrics } from './middleware/metrics.js';
 import { errorHandler } from './middleware/errorHandler.js';
-import { authentication } from './middleware/auth.js';
+import { authentication, requireScope, socketAuthentication } from './middleware/auth.js';
 import { regionValidator } from './middleware/regionValidator.js';
+import { residencyRouter } from './middleware/residency.js';
 
 // Routes
 import healthRoutes from './routes/health.js';
+import authRoutes from './routes/auth.js';
+import apiKeyRoutes from './routes/apiKeys.js';
 import audioRoutes from './routes/audio.js';
+import consentRoutes from './routes/consent.js';
+import retentionRoutes from './routes/retention.js';
+import auditRoutes from './routes/audit.js';
+import teamRoutes from './routes/teams.js';
+import usageRoutes from './routes/usage.js';
+import pipelineRoutes from './routes/pipeline.js';
 import transcriptionRoutes from './routes/transcription.js';
 import searchRoutes from './routes/search.js';
 import agentRoutes from './routes/agents.js';
+import playbackRoutes from './routes/playback.js';
 
 // Services
 import { AudioStreamService } from './services/AudioStreamService.js';
 import { TranscriptionService } from './services/TranscriptionService.js';
 import { VectorService } from './services/VectorService.js';
 import { ConsentService } from './services/ConsentService.js';
+import { EncryptionService } from './services/EncryptionService.js';
+import { AuthService } from './services/AuthService.js';
+import { PiiService } from './services/PiiService.js';
+import { RegionPolicyService } from './services/RegionPolicyService.js';
+import { ResidencyRouter } from './services/ResidencyRouter.js';
+import { RetentionService } from './services/RetentionService.js';
+import { SegmentationService } from './services/SegmentationService.js';
+import { MeteringService } from './services/MeteringService.js';
+import { PipelineService } from './services/PipelineService.js';
+import { StorageService } from './services/StorageService.js';
+import { TranscodingService } from './services/TranscodingService.js';
 
 // WebSocket handlers
 import { setupWebSocketHandlers } from './websocket/index.js';
@@ -125,15 +146,26 @@ class AIAudioKBServer {
   setupRoutes() {
     // Public routes (no authentication required)
     this.app.use('/api/v1/health', healthRoutes);
+    this.app.use('/api/v1/auth', authRoutes);
+    // Signed playback URLs carry their own authorization
+    this.app.use('/api/v1/playback', playbackRoutes);
     
     // Protected routes (require authentication + region validation)
     this.app.use('/api/v1', authentication);
     this.app.use('/api/v1', regionValidator);
+    this.app.use('/api/v1', residencyRouter);
     
-    this.app.use('/api/v1/audio', audioRoutes);
-    this.app.use('/api/v1/transcription', transcriptionRoutes);
-    this.app.use('/api/v1/search', searchRoutes);
-    this.app.use('/api/v1/agents', agentRoutes);
+    this.app.use('/api/v1/api-keys', apiKeyRoutes);
+    this.app.use('/api/v1/audio', requireScope('audio'), audioRoutes);
+    this.app.use('/api/v1/consent', requireScope('consent'), consentRoutes);
+    this.app.use('/api/v1/retention', requireScope('retention'), retentionRoutes);
+    this.app.use('/api/v1/audit', requireScope('audit', 'read'), auditRoutes);
+    this.app.use('/api/v1/teams', requireScope('teams'), teamRoutes);
+    this.app.use('/api/v1/usage', requireScope('usage', 'read'), usageRoutes);
+    this.app.use('/api/v1/pipeline', requireScope('pipeline'), pipelineRoutes);
+    this.app.use('/api/v1/transcription', requireScope('transcription'), transcriptionRoutes);
+    this.app.use('/api/v1/search', requireScope('search', 'read'), searchRoutes);
+    this.app.use('/api/v1/agents', requireScope('agents'), agentRoutes);
 
     // Metrics endpoint for Prometheus
     this.app.get('/metrics', (req, res) => {
@@ -155,6 +187,7 @@ class AIAudioKBServer {
    * Setup WebSocket handlers
    */
   setupWebSocket() {
+    this.io.use(socketAuthentication);
     setupWebSocketHandlers(this.io);
     
     this.io.on('connection', (socket) => {
@@ -221,15 +254,45 @@ class AIAudioKBServer {
       await database.connect();
       logger.info('MongoDB Atlas connection established');
 
+      logger.info('Reconciling Atlas Search indexes...');
+      await database.ensureSearchIndexes();
+
       logger.info('Initializing Redis connection...');
       await redisClient.ping();
       logger.info('Redis connection established');
 
+      logger.info('Loading region policies...');
+      await RegionPolicyService.initialize();
+
+      logger.info('Initializing authentication...');
+      await AuthService.initialize();
+
+      logger.info('Loading encryption keys...');
+      await EncryptionService.initialize();
+
+      logger.info('Initializing audio storage...');
+      await StorageService.initialize();
+
+      logger.info('Connecting data residency zones...');
+      await ResidencyRouter.initialize();
+
+      logger.info('Loading price table...');
+      await MeteringService.initialize();
+
       logger.info('Initializing AI services...');
       // Initialize services that might need async setup
+      await TranscodingService.initialize();
       await TranscriptionService.initialize();
       await VectorService.initialize();
       await ConsentService.initialize();
+      await PiiService.initialize();
+
+      logger.info('Starting segment pipeline...');
+      await PipelineService.initialize();
+      await SegmentationService.initialize();
+
+      logger.info('Scheduling retention enforcement...');
+      await RetentionService.initialize();
       
       logger.info('All services initialized successfully');
     } catch (error) {
@@ -258,7 +321,14 @@ class AIAudioKBServer {
         logger.info('WebSocket server closed');
       });
 
+      // Stop scheduled jobs
+      RetentionService.stop();
+
+      // Let active pipeline jobs finish before connections close
+      await PipelineService.close();
+
       // Close database connections
+      await ResidencyRouter.disconnect();
       if (database) {
         await database.disconnect();
         logger.info('Database connections closed');
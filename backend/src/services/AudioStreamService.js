@@ -0,0 +1,308 @@
+/**
+ * AI Audio KB - Real-time Audio Stream Service
+ *
+ * Server side of the streaming ingest protocol: tracks one stream per
+ * recording session, persists binary frames as segments in strict
+ * sequence order, accounts buffered bytes for back-pressure, and keeps
+ * the last acknowledged sequence number durable so clients can resume
+ * after a reconnect.
+ */
+
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { SessionService, SESSION_STATUS } from './SessionService.js';
+import { ConflictError, ForbiddenError, PayloadTooLargeError, UnsupportedMediaTypeError } from '../utils/errors.js';
+import { RegionPolicyService } from './RegionPolicyService.js';
+import { ConsentService } from './ConsentService.js';
+import { WORK_CLASS } from './MeteringService.js';
+import { AudioDecodeError } from './TranscodingService.js';
+import { getTenantCollection } from './ResidencyRouter.js';
+
+export const NACK_REASONS = {
+  OUT_OF_ORDER: 'out_of_order',
+  BACKPRESSURE: 'backpressure',
+  INVALID_FRAME: 'invalid_frame',
+  SESSION_CLOSED: 'session_closed',
+  CONFLICT: 'conflict',
+  FORBIDDEN: 'forbidden',
+  PERSIST_FAILED: 'persist_failed'
+};
+
+// Pause the producer at 75% of the buffer budget, resume once drained to 25%
+const HIGH_WATER_RATIO = 0.75;
+const LOW_WATER_RATIO = 0.25;
+
+/**
+ * Per-session stream state. Emits `ack`, `nack`, `pause` and `resume`.
+ */
+class AudioStream extends EventEmitter {
+  constructor({ socketId, tenantId, userId, session, codec, maxBufferBytes }) {
+    super();
+    this.socketId = socketId;
+    this.codec = codec;
+    this.tenantId = tenantId;
+    this.userId = userId;
+    this.sessionId = session.session_id;
+    this.lastAckedSeq = session.stream?.last_acked_seq ?? -1;
+    this.nextExpectedSeq = this.lastAckedSeq + 1;
+    this.maxBufferBytes = maxBufferBytes;
+    this.bufferedBytes = 0;
+    this.paused = false;
+    this.closed = false;
+    this.chain = Promise.resolve();
+    this.stats = { framesAcked: 0, framesNacked: 0, bytesAcked: 0 };
+  }
+
+  get highWaterBytes() {
+    return Math.floor(this.maxBufferBytes * HIGH_WATER_RATIO);
+  }
+
+  get lowWaterBytes() {
+    return Math.floor(this.maxBufferBytes * LOW_WATER_RATIO);
+  }
+
+  nack(seq, reason, extra = {}) {
+    this.stats.framesNacked++;
+    this.emit('nack', {
+      seq,
+      reason,
+      expected_seq: this.nextExpectedSeq,
+      last_acked_seq: this.lastAckedSeq,
+      ...extra
+    });
+  }
+
+  updateFlowControl() {
+    if (!this.paused && this.bufferedBytes >= this.highWaterBytes) {
+      this.paused = true;
+      this.emit('pause', { buffered_bytes: this.bufferedBytes, max_buffer_bytes: this.maxBufferBytes });
+    } else if (this.paused && this.bufferedBytes <= this.lowWaterBytes) {
+      this.paused = false;
+      this.emit('resume', { buffered_bytes: this.bufferedBytes, last_acked_seq: this.lastAckedSeq });
+    }
+  }
+}
+
+class AudioStreamService {
+  constructor() {
+    this.streams = new Map(); // sessionId -> AudioStream
+  }
+
+  /**
+   * Open (or take over) the stream for a session and return its state.
+   * An existing stream for the same session, e.g. from a half-open socket
+   * that has not yet timed out, is closed and replaced.
+   */
+  async openStream({ socketId, tenantId, userId, sessionId, codec }) {
+    const session = await SessionService.getSession(tenantId, sessionId);
+    if (session.status !== SESSION_STATUS.ACTIVE) {
+      throw new ConflictError('Session is not accepting audio', { sessionId, status: session.status });
+    }
+    ConsentService.assertIngestAllowed(session, RegionPolicyService.assertAllowed(session.consent.region));
+
+    const previous = this.streams.get(sessionId);
+    if (previous) {
+      await this.closeStream(previous, 'taken_over');
+    }
+
+    const stream = new AudioStream({
+      socketId,
+      tenantId,
+      userId,
+      session,
+      codec,
+      maxBufferBytes: config.WS_MAX_BUFFER_SIZE
+    });
+    this.streams.set(sessionId, stream);
+
+    await this.persistStreamState(stream, { connected: true, socket_id: socketId });
+
+    logger.audioEvent('stream_opened', {
+      sessionId,
+      socketId,
+      resumeFromSeq: stream.nextExpectedSeq,
+      takeover: Boolean(previous)
+    });
+
+    return stream;
+  }
+
+  /**
+   * Accept a binary frame. Frames are validated and budgeted synchronously,
+   * then persisted one at a time so acks are emitted in sequence order.
+   */
+  enqueueFrame(stream, meta, data) {
+    const seq = meta?.seq;
+
+    if (stream.closed) {
+      return stream.nack(seq, NACK_REASONS.SESSION_CLOSED);
+    }
+
+    if (!Number.isInteger(seq) || !Buffer.isBuffer(data) || data.length === 0 ||
+        !Number.isInteger(meta.start_ms) || !Number.isInteger(meta.end_ms) || meta.end_ms <= meta.start_ms) {
+      return stream.nack(seq, NACK_REASONS.INVALID_FRAME);
+    }
+
+    if (stream.bufferedBytes + data.length > stream.maxBufferBytes) {
+      stream.nack(seq, NACK_REASONS.BACKPRESSURE, { retry_after_ms: 250 });
+      return stream.updateFlowControl();
+    }
+
+    stream.bufferedBytes += data.length;
+    stream.updateFlowControl();
+
+    stream.chain = stream.chain
+      .then(() => this.persistFrame(stream, meta, data))
+      .catch(error => {
+        logger.error('Unexpected audio frame failure', { sessionId: stream.sessionId, seq, error: error.message });
+        stream.nack(seq, NACK_REASONS.PERSIST_FAILED);
+      })
+      .finally(() => {
+        stream.bufferedBytes -= data.length;
+        stream.updateFlowControl();
+      });
+  }
+
+  /**
+   * Persist a single frame as a session segment
+   */
+  async persistFrame(stream, meta, data) {
+    const { seq } = meta;
+
+    // Retransmission of something already durable: re-ack idempotently
+    if (seq <= stream.lastAckedSeq) {
+      stream.emit('ack', { seq, last_acked_seq: stream.lastAckedSeq, duplicate: true });
+      return;
+    }
+
+    // Go-back-N: anything past a gap is rejected until the gap is resent
+    if (seq !== stream.nextExpectedSeq) {
+      return stream.nack(seq, NACK_REASONS.OUT_OF_ORDER);
+    }
+
+    if (stream.closed) {
+      return stream.nack(seq, NACK_REASONS.SESSION_CLOSED);
+    }
+
+    try {
+      await SessionService.ingestSegment({
+        tenantId: stream.tenantId,
+        userId: stream.userId,
+        sessionId: stream.sessionId,
+        seq,
+        startMs: meta.start_ms,
+        endMs: meta.end_ms,
+        codec: meta.codec || stream.codec,
+        mimetype: meta.mimetype || null,
+        audio: data,
+        workClass: WORK_CLASS.LIVE
+      });
+
+      stream.lastAckedSeq = seq;
+      stream.nextExpectedSeq = seq + 1;
+      stream.stats.framesAcked++;
+      stream.stats.bytesAcked += data.length;
+
+      await this.persistStreamState(stream);
+      stream.emit('ack', { seq, last_acked_seq: stream.lastAckedSeq });
+
+    } catch (error) {
+      logger.error('Failed to persist audio frame', {
+        sessionId: stream.sessionId,
+        seq,
+        error: error.message
+      });
+
+      let reason = NACK_REASONS.PERSIST_FAILED;
+      if (error instanceof ConflictError) {
+        reason = error.details?.status ? NACK_REASONS.SESSION_CLOSED : NACK_REASONS.CONFLICT;
+      } else if (error instanceof ForbiddenError) {
+        reason = NACK_REASONS.FORBIDDEN;
+      } else if (
+        error instanceof UnsupportedMediaTypeError ||
+        error instanceof PayloadTooLargeError ||
+        error instanceof AudioDecodeError
+      ) {
+        reason = NACK_REASONS.INVALID_FRAME;
+      }
+      stream.nack(seq, reason, { message: error.message });
+    }
+  }
+
+  /**
+   * Record the resume point on the session document
+   */
+  async persistStreamState(stream, extra = {}) {
+    const fields = {
+      'stream.last_acked_seq': stream.lastAckedSeq,
+      'stream.last_frame_at': new Date(),
+      updated_at: new Date()
+    };
+    for (const [key, value] of Object.entries(extra)) {
+      fields[`stream.${key}`] = value;
+    }
+
+    await getTenantCollection(stream.tenantId, 'sessions').updateOne(
+      { session_id: stream.sessionId, tenant_id: stream.tenantId },
+      { $set: fields }
+    );
+  }
+
+  /**
+   * Close a stream after its in-flight frames have settled
+   */
+  async closeStream(stream, reason = 'closed') {
+    if (stream.closed) return;
+    stream.closed = true;
+
+    if (this.streams.get(stream.sessionId) === stream) {
+      this.streams.delete(stream.sessionId);
+    }
+
+    stream.emit('close', { reason, last_acked_seq: stream.lastAckedSeq });
+
+    try {
+      await stream.chain;
+      await this.persistStreamState(stream, { connected: false, socket_id: null });
+    } catch (error) {
+      logger.warn('Failed to persist stream state on close', {
+        sessionId: stream.sessionId,
+        error: error.message
+      });
+    }
+
+    logger.audioEvent('stream_closed', {
+      sessionId: stream.sessionId,
+      socketId: stream.socketId,
+      reason,
+      lastAckedSeq: stream.lastAckedSeq,
+      ...stream.stats
+    });
+
+    stream.removeAllListeners();
+  }
+
+  /**
+   * Close the live stream for a session, if any (e.g. consent revoked)
+   */
+  async closeSessionStream(sessionId, reason) {
+    const stream = this.streams.get(sessionId);
+    if (stream) {
+      await this.closeStream(stream, reason);
+    }
+  }
+
+  /**
+   * Active stream count, for health and metrics
+   */
+  getActiveStreamCount() {
+    return this.streams.size;
+  }
+}
+
+// Create singleton instance
+const audioStreamService = new AudioStreamService();
+
+export { audioStreamService as AudioStreamService };
+export default audioStreamService;
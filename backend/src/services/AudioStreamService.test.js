@@ -0,0 +1,201 @@
+/**
+ * AI Audio KB - Real-time Audio Stream Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { database } from '../config/database.js';
+import { config } from '../config/index.js';
+import { ConflictError } from '../utils/errors.js';
+import { setPath } from '../__tests__/helpers/memoryCollection.js';
+import { AudioStreamService, NACK_REASONS } from './AudioStreamService.js';
+import { SESSION_STATUS, SessionService } from './SessionService.js';
+
+const frame = (seq, bytes = 10) => [{ seq, start_ms: seq * 1000, end_ms: (seq + 1) * 1000 }, Buffer.alloc(bytes, seq)];
+
+/**
+ * Record what a stream sends its client, in order
+ */
+function listen(stream) {
+  const events = [];
+  for (const name of ['ack', 'nack', 'pause', 'resume', 'close']) {
+    stream.on(name, payload => events.push([name, payload]));
+  }
+  return events;
+}
+
+describe('AudioStreamService', () => {
+  let session;
+  let ingested;
+  let maxBufferSize;
+
+  beforeEach(() => {
+    session = { session_id: 's1', tenant_id: 'tenant-a', status: SESSION_STATUS.ACTIVE, consent: { region: 'US-CA' } };
+    ingested = [];
+    maxBufferSize = config.WS_MAX_BUFFER_SIZE;
+
+    jest.spyOn(SessionService, 'getSession').mockImplementation(async () => structuredClone(session));
+    jest.spyOn(SessionService, 'ingestSegment').mockImplementation(async ({ seq }) => {
+      ingested.push(seq);
+    });
+    jest.spyOn(database, 'getCollection').mockReturnValue({
+      updateOne: jest.fn(async (filter, { $set }) => {
+        Object.entries($set).forEach(([path, value]) => setPath(session, path, value));
+      })
+    });
+  });
+
+  afterEach(async () => {
+    for (const stream of AudioStreamService.streams.values()) {
+      await AudioStreamService.closeStream(stream);
+    }
+    config.WS_MAX_BUFFER_SIZE = maxBufferSize;
+    jest.restoreAllMocks();
+  });
+
+  const open = () => AudioStreamService.openStream({
+    socketId: 'socket-1',
+    tenantId: 'tenant-a',
+    userId: 'u1',
+    sessionId: 's1',
+    codec: 'opus'
+  });
+
+  const send = async (stream, ...frames) => {
+    frames.forEach(([meta, data]) => AudioStreamService.enqueueFrame(stream, meta, data));
+    await stream.chain;
+  };
+
+  it('acks frames in sequence and keeps the resume point on the session', async () => {
+    const stream = await open();
+    const events = listen(stream);
+
+    await send(stream, frame(0), frame(1));
+
+    expect(events).toEqual([
+      ['ack', { seq: 0, last_acked_seq: 0 }],
+      ['ack', { seq: 1, last_acked_seq: 1 }]
+    ]);
+    expect(ingested).toEqual([0, 1]);
+    expect(session.stream).toMatchObject({ last_acked_seq: 1, connected: true, socket_id: 'socket-1' });
+  });
+
+  it('nacks a frame past a gap until the gap is resent (go-back-N)', async () => {
+    const stream = await open();
+    const events = listen(stream);
+
+    await send(stream, frame(0), frame(2), frame(3));
+
+    expect(events).toEqual([
+      ['ack', { seq: 0, last_acked_seq: 0 }],
+      ['nack', { seq: 2, reason: NACK_REASONS.OUT_OF_ORDER, expected_seq: 1, last_acked_seq: 0 }],
+      ['nack', { seq: 3, reason: NACK_REASONS.OUT_OF_ORDER, expected_seq: 1, last_acked_seq: 0 }]
+    ]);
+
+    await send(stream, frame(1), frame(2), frame(3));
+
+    expect(ingested).toEqual([0, 1, 2, 3]);
+    expect(stream.lastAckedSeq).toBe(3);
+  });
+
+  it('resumes after a reconnect from the last acked seq', async () => {
+    const first = await open();
+    await send(first, frame(0), frame(1), frame(2));
+    await AudioStreamService.closeStream(first, 'disconnect:transport close');
+
+    expect(session.stream).toMatchObject({ last_acked_seq: 2, connected: false });
+
+    const resumed = await open();
+    const events = listen(resumed);
+
+    expect(resumed.lastAckedSeq).toBe(2);
+    expect(resumed.nextExpectedSeq).toBe(3);
+
+    // The client resends what it had in flight; persisted frames are re-acked
+    await send(resumed, frame(2), frame(3));
+
+    expect(events).toEqual([
+      ['ack', { seq: 2, last_acked_seq: 2, duplicate: true }],
+      ['ack', { seq: 3, last_acked_seq: 3 }]
+    ]);
+    expect(ingested).toEqual([0, 1, 2, 3]);
+  });
+
+  it('closes a stream taken over by a new connection', async () => {
+    const stale = await open();
+    const events = listen(stale);
+
+    const current = await open();
+
+    expect(events).toEqual([['close', { reason: 'taken_over', last_acked_seq: -1 }]]);
+    expect(AudioStreamService.streams.get('s1')).toBe(current);
+  });
+
+  it('pauses at 75% of the buffer and resumes once drained to 25%', async () => {
+    config.WS_MAX_BUFFER_SIZE = 100;
+    const releases = [];
+    SessionService.ingestSegment.mockImplementation(() => new Promise(resolve => releases.push(resolve)));
+
+    const stream = await open();
+    const events = listen(stream);
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    AudioStreamService.enqueueFrame(stream, ...frame(0, 40));
+    expect(events).toEqual([]);
+
+    AudioStreamService.enqueueFrame(stream, ...frame(1, 40));
+    expect(events).toEqual([['pause', { buffered_bytes: 80, max_buffer_bytes: 100 }]]);
+
+    AudioStreamService.enqueueFrame(stream, ...frame(2, 40));
+    expect(events.at(-1)).toEqual([
+      'nack',
+      { seq: 2, reason: NACK_REASONS.BACKPRESSURE, expected_seq: 0, last_acked_seq: -1, retry_after_ms: 250 }
+    ]);
+
+    await settle();
+    releases.shift()();
+    await settle();
+
+    // 40 bytes still buffered: above the low-water mark
+    expect(stream.paused).toBe(true);
+
+    releases.shift()();
+    await stream.chain;
+
+    expect(events.slice(-2)).toEqual([
+      ['ack', { seq: 1, last_acked_seq: 1 }],
+      ['resume', { buffered_bytes: 0, last_acked_seq: 1 }]
+    ]);
+  });
+
+  it('nacks invalid frames without persisting them', async () => {
+    const stream = await open();
+    const events = listen(stream);
+
+    await send(stream, [{ seq: 0, start_ms: 1000, end_ms: 1000 }, Buffer.alloc(10)], [{ seq: 0, start_ms: 0, end_ms: 1000 }, Buffer.alloc(0)]);
+
+    expect(events.map(([name, { reason }]) => [name, reason])).toEqual([
+      ['nack', NACK_REASONS.INVALID_FRAME],
+      ['nack', NACK_REASONS.INVALID_FRAME]
+    ]);
+    expect(ingested).toEqual([]);
+  });
+
+  it('nacks a frame the session stopped accepting as session_closed', async () => {
+    SessionService.ingestSegment.mockRejectedValue(new ConflictError('Session is not accepting audio', { status: 'completed' }));
+    const stream = await open();
+    const events = listen(stream);
+
+    await send(stream, frame(0));
+
+    expect(events).toEqual([[
+      'nack',
+      { seq: 0, reason: NACK_REASONS.SESSION_CLOSED, expected_seq: 0, last_acked_seq: -1, message: 'Session is not accepting audio' }
+    ]]);
+  });
+
+  it('refuses to stream into a session that is not active', async () => {
+    session.status = SESSION_STATUS.COMPLETED;
+
+    await expect(open()).rejects.toThrow(ConflictError);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * AI Audio KB - Audit Service
+ *
+ * Append-only, tamper-evident audit log for compliance-relevant operations
+ * (consent, privileged access, deletion, export). Entries form one hash
+ * chain per tenant: each carries a gap-free `seq` and the hash of the
+ * previous entry, so editing, deleting or reordering any entry breaks every
+ * later link. `verify` walks the chain and reports the first broken link.
+ *
+ * The AUDIT_LOG_RETENTION_DAYS TTL prunes the oldest entries; verification
+ * then starts at the oldest remaining entry and reports how many were pruned.
+ */
+
+import crypto from 'crypto';
+import { ulid } from 'ulid';
+import { logger } from '../utils/logger.js';
+import { ServiceUnavailableError } from '../utils/errors.js';
+import { getTenantCollection } from './ResidencyRouter.js';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+const HASH_ALGORITHM = 'sha256';
+const DUPLICATE_KEY = 11000;
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Stable JSON (key order independent)
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class AuditService {
+  constructor() {
+    this.appendQueues = new Map(); // tenantId -> tail of pending appends
+  }
+
+  /**
+   * Hash of an entry's content and its link to the previous entry
+   */
+  computeHash({ tenant_id, seq, audit_id, actor, action, subject, metadata, timestamp, prev_hash }) {
+    return crypto
+      .createHash(HASH_ALGORITHM)
+      .update(canonical({
+        tenant_id,
+        seq,
+        audit_id,
+        actor,
+        action,
+        subject,
+        metadata,
+        timestamp: new Date(timestamp).toISOString(),
+        prev_hash
+      }))
+      .digest('hex');
+  }
+
+  /**
+   * Record one audit entry
+   *
+   * @param {object} entry
+   * @param {string} entry.tenantId
+   * @param {string} entry.actor - user or system id that performed the action
+   * @param {string} entry.action - dotted verb, e.g. `consent.granted`
+   * @param {string} entry.subject - affected resource, e.g. `session:<id>`
+   * @param {object} [entry.metadata]
+   */
+  async record({ tenantId, actor, action, subject, metadata = {} }) {
+    // Serialize appends per tenant in this process; concurrent writers in
+    // other processes are resolved by the unique (tenant_id, seq) index
+    const previous = this.appendQueues.get(tenantId) || Promise.resolve();
+    const append = previous.catch(() => {}).then(() => this.append({ tenantId, actor, action, subject, metadata }));
+
+    this.appendQueues.set(tenantId, append);
+    append.finally(() => {
+      if (this.appendQueues.get(tenantId) === append) {
+        this.appendQueues.delete(tenantId);
+      }
+    }).catch(() => {});
+
+    return append;
+  }
+
+  /**
+   * Link a new entry to the tenant's chain head and insert it
+   */
+  async append({ tenantId, actor, action, subject, metadata }) {
+    const auditLogs = getTenantCollection(tenantId, 'audit_logs');
+
+    // Round-trip through JSON so the stored metadata hashes identically
+    // when read back (dates become strings, undefined values are dropped)
+    const storedMetadata = JSON.parse(JSON.stringify(metadata ?? {}));
+
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      const head = await auditLogs.findOne(
+        { tenant_id: tenantId },
+        { sort: { seq: -1 }, projection: { _id: 0, seq: 1, hash: 1 } }
+      );
+
+      const entry = {
+        audit_id: ulid(),
+        tenant_id: tenantId,
+        seq: (head?.seq ?? 0) + 1,
+        actor,
+        action,
+        subject,
+        metadata: storedMetadata,
+        timestamp: new Date(),
+        prev_hash: head?.hash ?? GENESIS_HASH
+      };
+      entry.hash = this.computeHash(entry);
+
+      try {
+        await auditLogs.insertOne(entry);
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+        // Another writer appended this seq first; relink to the new head
+        continue;
+      }
+
+      logger.securityEvent(action, { tenantId, actor, subject, seq: entry.seq });
+
+      delete entry._id;
+      return entry;
+    }
+
+    throw new ServiceUnavailableError('Audit log is busy, try again', { tenantId });
+  }
+
+  /**
+   * Walk a tenant's chain in seq order, recomputing every hash and link.
+   * Reports the first broken link, if any.
+   */
+  async verify(tenantId) {
+    const cursor = getTenantCollection(tenantId, 'audit_logs')
+      .find({ tenant_id: tenantId }, { projection: { _id: 0 } })
+      .sort({ seq: 1 });
+
+    const result = {
+      tenant_id: tenantId,
+      valid: true,
+      entries_checked: 0,
+      first_seq: null,
+      last_seq: null,
+      pruned: 0,
+      head_hash: null,
+      broken_link: null,
+      verified_at: new Date()
+    };
+
+    let previous = null;
+
+    for await (const entry of cursor) {
+      let reason = null;
+      let expected = null;
+
+      if (previous === null) {
+        result.first_seq = entry.seq;
+        result.pruned = entry.seq - 1;
+        if (entry.seq === 1 && entry.prev_hash !== GENESIS_HASH) {
+          reason = 'genesis_mismatch';
+          expected = GENESIS_HASH;
+        }
+      } else if (entry.seq !== previous.seq + 1) {
+        reason = 'sequence_gap';
+        expected = previous.seq + 1;
+      } else if (entry.prev_hash !== previous.hash) {
+        reason = 'prev_hash_mismatch';
+        expected = previous.hash;
+      }
+
+      if (!reason) {
+        const recomputed = this.computeHash(entry);
+        if (recomputed !== entry.hash) {
+          reason = 'hash_mismatch';
+          expected = recomputed;
+        }
+      }
+
+      if (reason) {
+        result.valid = false;
+        result.broken_link = {
+          seq: entry.seq,
+          audit_id: entry.audit_id,
+          reason,
+          expected,
+          actual: reason === 'sequence_gap' ? entry.seq : reason === 'hash_mismatch' ? entry.hash : entry.prev_hash
+        };
+        logger.securityEvent('audit_chain_broken', { tenantId, ...result.broken_link });
+        break;
+      }
+
+      result.entries_checked++;
+      result.last_seq = entry.seq;
+      result.head_hash = entry.hash;
+      previous = entry;
+    }
+
+    return result;
+  }
+
+  /**
+   * Page through a tenant's entries in seq order
+   */
+  async list(tenantId, { action, actor, subject, from, to, afterSeq = 0, limit = 100 } = {}) {
+    const filter = { tenant_id: tenantId, seq: { $gt: afterSeq } };
+    if (action) filter.action = action;
+    if (actor) filter.actor = actor;
+    if (subject) filter.subject = subject;
+    if (from || to) {
+      filter.timestamp = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+    }
+
+    return getTenantCollection(tenantId, 'audit_logs')
+      .find(filter, { projection: { _id: 0 } })
+      .sort({ seq: 1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Stream every entry in seq order (for exports)
+   */
+  stream(tenantId) {
+    return getTenantCollection(tenantId, 'audit_logs')
+      .find({ tenant_id: tenantId }, { projection: { _id: 0 } })
+      .sort({ seq: 1 });
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+export { auditService as AuditService };
+export default auditService;
@@ -0,0 +1,172 @@
+/**
+ * AI Audio KB - Audit Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { AuditService, GENESIS_HASH } from './AuditService.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+
+/**
+ * In-memory `audit_logs` collection with the unique (tenant_id, seq) index
+ */
+function createAuditCollection() {
+  const entries = [];
+  const bySeq = () => [...entries].sort((a, b) => a.seq - b.seq);
+
+  return {
+    entries,
+    findOne: jest.fn(async () => {
+      const head = bySeq().pop();
+      return head ? { seq: head.seq, hash: head.hash } : null;
+    }),
+    insertOne: jest.fn(async entry => {
+      if (entries.some(other => other.tenant_id === entry.tenant_id && other.seq === entry.seq)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      entries.push(structuredClone(entry));
+      return { insertedId: entry.audit_id };
+    }),
+    find: jest.fn(() => {
+      const cursor = {
+        sort: () => cursor,
+        limit: () => cursor,
+        toArray: async () => bySeq(),
+        [Symbol.asyncIterator]: async function* () {
+          yield* bySeq().map(entry => structuredClone(entry));
+        }
+      };
+      return cursor;
+    })
+  };
+}
+
+const entry = (action, metadata = {}) => ({
+  tenantId: 'tenant-a',
+  actor: 'user-1',
+  action,
+  subject: 'session:s1',
+  metadata
+});
+
+describe('AuditService', () => {
+  let auditLogs;
+
+  beforeEach(() => {
+    auditLogs = createAuditCollection();
+    jest.spyOn(ResidencyRouter, 'getCollection').mockReturnValue(auditLogs);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('record', () => {
+    it('links each entry to the previous one', async () => {
+      const first = await AuditService.record(entry('consent.granted', { at: new Date(0) }));
+      const second = await AuditService.record(entry('transcript.original_accessed'));
+
+      expect(first).toMatchObject({ seq: 1, prev_hash: GENESIS_HASH, metadata: { at: '1970-01-01T00:00:00.000Z' } });
+      expect(first.hash).toBe(AuditService.computeHash(first));
+      expect(second).toMatchObject({ seq: 2, prev_hash: first.hash });
+    });
+
+    it('serializes concurrent appends into one gap-free chain', async () => {
+      const recorded = await Promise.all(
+        ['a', 'b', 'c', 'd'].map(action => AuditService.record(entry(`test.${action}`)))
+      );
+
+      expect(recorded.map(e => e.seq)).toEqual([1, 2, 3, 4]);
+      expect((await AuditService.verify('tenant-a')).valid).toBe(true);
+    });
+
+    it('relinks to the new head when another writer took its seq', async () => {
+      const competitor = {
+        audit_id: 'other-process',
+        tenant_id: 'tenant-a',
+        seq: 1,
+        actor: 'user-2',
+        action: 'consent.revoked',
+        subject: 'session:s2',
+        metadata: {},
+        timestamp: new Date(),
+        prev_hash: GENESIS_HASH
+      };
+      competitor.hash = AuditService.computeHash(competitor);
+
+      // The other writer commits between our head read and our insert
+      const insertOne = auditLogs.insertOne.getMockImplementation();
+      auditLogs.insertOne.mockImplementationOnce(async doc => {
+        auditLogs.entries.push(competitor);
+        return insertOne(doc);
+      });
+
+      const recorded = await AuditService.record(entry('consent.granted'));
+
+      expect(auditLogs.insertOne).toHaveBeenCalledTimes(2);
+      expect(recorded).toMatchObject({ seq: 2, prev_hash: competitor.hash });
+      expect(await AuditService.verify('tenant-a')).toMatchObject({ valid: true, entries_checked: 2 });
+    });
+
+    it('gives up when the chain head keeps moving', async () => {
+      auditLogs.insertOne.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(AuditService.record(entry('consent.granted'))).rejects.toThrow('Audit log is busy, try again');
+      expect(auditLogs.insertOne).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe('verify', () => {
+    beforeEach(async () => {
+      for (const action of ['consent.granted', 'transcript.original_accessed', 'session.deleted']) {
+        await AuditService.record(entry(action, { reason: action }));
+      }
+    });
+
+    it('accepts an intact chain', async () => {
+      expect(await AuditService.verify('tenant-a')).toMatchObject({
+        valid: true,
+        entries_checked: 3,
+        first_seq: 1,
+        last_seq: 3,
+        pruned: 0,
+        head_hash: auditLogs.entries[2].hash,
+        broken_link: null
+      });
+    });
+
+    it('reports the first broken link after an entry is edited', async () => {
+      auditLogs.entries[1].metadata.reason = 'nothing to see here';
+
+      const result = await AuditService.verify('tenant-a');
+
+      expect(result).toMatchObject({ valid: false, entries_checked: 1, last_seq: 1 });
+      expect(result.broken_link).toMatchObject({
+        seq: 2,
+        reason: 'hash_mismatch',
+        actual: auditLogs.entries[1].hash
+      });
+    });
+
+    it('reports a deleted entry as a sequence gap', async () => {
+      auditLogs.entries.splice(1, 1);
+
+      expect((await AuditService.verify('tenant-a')).broken_link)
+        .toMatchObject({ seq: 3, reason: 'sequence_gap', expected: 2, actual: 3 });
+    });
+
+    it('reports an entry rehashed without relinking the next one', async () => {
+      const edited = auditLogs.entries[1];
+      edited.actor = 'someone-else';
+      edited.hash = AuditService.computeHash(edited);
+
+      expect((await AuditService.verify('tenant-a')).broken_link)
+        .toMatchObject({ seq: 3, reason: 'prev_hash_mismatch', expected: edited.hash });
+    });
+
+    it('starts at the oldest entry left after pruning', async () => {
+      auditLogs.entries.shift();
+
+      expect(await AuditService.verify('tenant-a')).toMatchObject({ valid: true, first_seq: 2, pruned: 1 });
+    });
+  });
+});
@@ -0,0 +1,500 @@
+/**
+ * AI Audio KB - Authentication Service
+ *
+ * Two kinds of identity resolve to the same `req.user` / `socket.data.user`
+ * shape `{ id, tenant_id, role, scopes, auth }`:
+ *
+ * - Users log in with email and password and receive a short-lived access
+ *   JWT plus a refresh JWT. Refresh tokens are single use: each refresh
+ *   rotates the pair within the same token family, and presenting an
+ *   already-used refresh token revokes the whole family (reuse detection).
+ *   Bumping a user's `token_version` revokes every token issued so far.
+ *
+ * - Agents authenticate with API keys (`aak_<key_id>_<secret>`). Only an
+ *   HMAC of the secret (keyed with API_KEY_SALT) is stored. Keys carry
+ *   scopes, track last use and rotate with a grace period during which the
+ *   old key keeps working.
+ *
+ * Users, refresh tokens and API keys live in the control-plane database.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { ulid } from 'ulid';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { database } from '../config/database.js';
+import { AuthenticationError, ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+export const USER_STATUS = {
+  ACTIVE: 'active',
+  DISABLED: 'disabled'
+};
+
+export const AUTH_METHOD = {
+  JWT: 'jwt',
+  API_KEY: 'api_key'
+};
+
+// `<area>:read` covers GET requests, `<area>:write` everything else
+export const SCOPES = [
+  'audio:read', 'audio:write',
+  'consent:read', 'consent:write',
+  'transcription:read', 'transcription:write',
+  'search:read', 'search:write',
+  'retention:read', 'retention:write',
+  'audit:read',
+  'teams:read', 'teams:write',
+  'usage:read',
+  'pipeline:read', 'pipeline:write',
+  'agents:read', 'agents:write'
+];
+
+const TOKEN_ISSUER = 'ai-audio-kb';
+const API_KEY_PREFIX = 'aak';
+const API_KEY_PATTERN = /^aak_([0-9A-HJKMNP-TV-Z]{26})_([A-Za-z0-9_-]{43})$/;
+const AGENT_ROLE = 'agent';
+
+// Persist last_used_at at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+class AuthService {
+  constructor() {
+    this.dummyPasswordHash = null;
+  }
+
+  users() {
+    return database.getCollection('users');
+  }
+
+  refreshTokens() {
+    return database.getCollection('refresh_tokens');
+  }
+
+  apiKeys() {
+    return database.getCollection('api_keys');
+  }
+
+  /**
+   * Refuse to start without signing secrets
+   */
+  async initialize() {
+    const missing = ['JWT_SECRET', 'JWT_REFRESH_SECRET', 'API_KEY_SALT'].filter(key => !config[key]);
+    if (missing.length > 0) {
+      throw new Error(`Authentication requires ${missing.join(', ')}`);
+    }
+    if (config.JWT_SECRET === config.JWT_REFRESH_SECRET) {
+      throw new Error('JWT_SECRET and JWT_REFRESH_SECRET must differ');
+    }
+
+    // Compared against for unknown emails so login timing does not reveal them
+    this.dummyPasswordHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), config.AUTH_BCRYPT_ROUNDS);
+
+    logger.startup('AuthService', {
+      accessTokenTtl: config.JWT_EXPIRES_IN,
+      refreshTokenTtl: config.JWT_REFRESH_EXPIRES_IN,
+      apiKeyRotationGraceMs: config.API_KEY_ROTATION_GRACE_PERIOD
+    });
+  }
+
+  /**
+   * Create a user (used by the users CLI)
+   */
+  async createUser({ email, password, tenantId, role = 'member' }) {
+    const user = {
+      user_id: ulid(),
+      tenant_id: tenantId,
+      email: email.toLowerCase(),
+      password_hash: await bcrypt.hash(password, config.AUTH_BCRYPT_ROUNDS),
+      role,
+      status: USER_STATUS.ACTIVE,
+      token_version: 0,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    try {
+      await this.users().insertOne(user);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('A user with this email already exists', { email: user.email });
+      }
+      throw error;
+    }
+
+    return this.toIdentity(user);
+  }
+
+  /**
+   * Request identity for a user document
+   */
+  toIdentity(user) {
+    return {
+      id: user.user_id,
+      tenant_id: user.tenant_id,
+      email: user.email,
+      role: user.role,
+      scopes: ['*'],
+      auth: AUTH_METHOD.JWT
+    };
+  }
+
+  /**
+   * Verify email and password and issue a token pair
+   */
+  async login({ email, password, ip, userAgent }) {
+    const user = await this.users().findOne({ email: email.toLowerCase() });
+
+    const valid = await bcrypt.compare(password, user?.password_hash || this.dummyPasswordHash);
+
+    if (!user || !valid || user.status !== USER_STATUS.ACTIVE) {
+      logger.securityEvent('login_failed', { email, ip, reason: !user ? 'unknown_user' : !valid ? 'bad_password' : user.status });
+      throw new AuthenticationError('Invalid email or password');
+    }
+
+    await this.users().updateOne({ user_id: user.user_id }, { $set: { last_login_at: new Date() } });
+    logger.securityEvent('login_succeeded', { userId: user.user_id, tenantId: user.tenant_id, ip });
+
+    return {
+      user: this.toIdentity(user),
+      ...(await this.issueTokens(user, { familyId: ulid(), ip, userAgent }))
+    };
+  }
+
+  /**
+   * Sign an access token and a refresh token in the given family
+   */
+  async issueTokens(user, { familyId, ip, userAgent }) {
+    const claims = { tid: user.tenant_id, role: user.role, ver: user.token_version ?? 0 };
+
+    const accessToken = jwt.sign({ ...claims, typ: 'access' }, config.JWT_SECRET, {
+      subject: user.user_id,
+      issuer: TOKEN_ISSUER,
+      jwtid: ulid(),
+      expiresIn: config.JWT_EXPIRES_IN
+    });
+
+    const refreshJti = ulid();
+    const refreshToken = jwt.sign({ ...claims, typ: 'refresh', fam: familyId }, config.JWT_REFRESH_SECRET, {
+      subject: user.user_id,
+      issuer: TOKEN_ISSUER,
+      jwtid: refreshJti,
+      expiresIn: config.JWT_REFRESH_EXPIRES_IN
+    });
+
+    const { iat, exp } = jwt.decode(accessToken);
+    const refreshExp = jwt.decode(refreshToken).exp;
+
+    await this.refreshTokens().insertOne({
+      jti: refreshJti,
+      family_id: familyId,
+      user_id: user.user_id,
+      tenant_id: user.tenant_id,
+      issued_at: new Date(),
+      expires_at: new Date(refreshExp * 1000),
+      used_at: null,
+      replaced_by: null,
+      revoked_at: null,
+      revoked_reason: null,
+      ip: ip || null,
+      user_agent: userAgent || null
+    });
+
+    return {
+      token_type: 'Bearer',
+      access_token: accessToken,
+      expires_in: exp - iat,
+      refresh_token: refreshToken,
+      refresh_expires_at: new Date(refreshExp * 1000)
+    };
+  }
+
+  /**
+   * Verify a refresh token's signature and claims
+   */
+  decodeRefreshToken(token) {
+    try {
+      const claims = jwt.verify(token, config.JWT_REFRESH_SECRET, { issuer: TOKEN_ISSUER });
+      if (claims.typ !== 'refresh') throw new Error('not a refresh token');
+      return claims;
+    } catch (error) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+  }
+
+  /**
+   * Rotate a refresh token. A token may be used once; reusing one revokes
+   * its whole family, since either the client or an attacker holds a
+   * stolen copy.
+   */
+  async refresh(token, { ip, userAgent } = {}) {
+    const claims = this.decodeRefreshToken(token);
+    const now = new Date();
+
+    const consumed = await this.refreshTokens().findOneAndUpdate(
+      { jti: claims.jti, used_at: null, revoked_at: null },
+      { $set: { used_at: now } }
+    );
+
+    if (!consumed) {
+      const record = await this.refreshTokens().findOne({ jti: claims.jti });
+
+      if (record?.used_at && !record.revoked_at) {
+        await this.revokeFamily(record.family_id, 'reuse_detected');
+        logger.securityEvent('refresh_token_reuse', {
+          userId: record.user_id,
+          tenantId: record.tenant_id,
+          familyId: record.family_id,
+          ip
+        });
+        throw new AuthenticationError('Refresh token reuse detected; session revoked');
+      }
+
+      throw new AuthenticationError('Refresh token revoked');
+    }
+
+    const user = await this.loadActiveUser(claims.sub, claims.ver);
+    const tokens = await this.issueTokens(user, { familyId: consumed.family_id, ip, userAgent });
+
+    await this.refreshTokens().updateOne(
+      { jti: consumed.jti },
+      { $set: { replaced_by: jwt.decode(tokens.refresh_token).jti } }
+    );
+
+    return { user: this.toIdentity(user), ...tokens };
+  }
+
+  /**
+   * Revoke every refresh token in a family (logout of one login session)
+   */
+  async revokeFamily(familyId, reason) {
+    await this.refreshTokens().updateMany(
+      { family_id: familyId, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+  }
+
+  /**
+   * Log out the login session a refresh token belongs to
+   */
+  async logout(token) {
+    const claims = this.decodeRefreshToken(token);
+    await this.revokeFamily(claims.fam, 'logout');
+    logger.securityEvent('logout', { userId: claims.sub, familyId: claims.fam });
+  }
+
+  /**
+   * Revoke every access and refresh token issued to a user so far
+   */
+  async revokeAllTokens(userId, reason = 'revoked') {
+    await this.users().updateOne(
+      { user_id: userId },
+      { $inc: { token_version: 1 }, $set: { updated_at: new Date() } }
+    );
+    await this.refreshTokens().updateMany(
+      { user_id: userId, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+    logger.securityEvent('tokens_revoked', { userId, reason });
+  }
+
+  /**
+   * Load a user that may still act; tokens from an older token_version are
+   * revoked
+   */
+  async loadActiveUser(userId, tokenVersion) {
+    const user = await this.users().findOne({ user_id: userId }, { projection: { _id: 0, password_hash: 0 } });
+
+    if (!user || user.status !== USER_STATUS.ACTIVE) {
+      throw new AuthenticationError('User is disabled or no longer exists');
+    }
+    if (tokenVersion !== undefined && (user.token_version ?? 0) !== tokenVersion) {
+      throw new AuthenticationError('Token has been revoked');
+    }
+
+    return user;
+  }
+
+  /**
+   * Verify an access token and load its user
+   */
+  async authenticateToken(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, config.JWT_SECRET, { issuer: TOKEN_ISSUER });
+    } catch (error) {
+      throw new AuthenticationError(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+    }
+    if (claims.typ !== 'access') {
+      throw new AuthenticationError('Invalid access token');
+    }
+
+    return this.toIdentity(await this.loadActiveUser(claims.sub, claims.ver));
+  }
+
+  /**
+   * HMAC of an API key secret
+   */
+  hashApiKeySecret(secret) {
+    return crypto.createHmac('sha256', config.API_KEY_SALT).update(secret).digest('hex');
+  }
+
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(`${API_KEY_PREFIX}_`);
+  }
+
+  /**
+   * Verify an API key and record its use
+   */
+  async authenticateApiKey(rawKey) {
+    const match = API_KEY_PATTERN.exec(rawKey);
+    if (!match) {
+      throw new AuthenticationError('Invalid API key');
+    }
+
+    const [, keyId, secret] = match;
+    const key = await this.apiKeys().findOne({ key_id: keyId });
+    const now = new Date();
+
+    const expected = Buffer.from(key?.key_hash || '0'.repeat(64), 'hex');
+    const actual = Buffer.from(this.hashApiKeySecret(secret), 'hex');
+    const valid = Boolean(key) && crypto.timingSafeEqual(expected, actual);
+
+    if (!valid || key.revoked_at || (key.expires_at && key.expires_at <= now)) {
+      logger.securityEvent('api_key_rejected', {
+        keyId,
+        reason: !valid ? 'invalid' : key.revoked_at ? 'revoked' : 'expired'
+      });
+      throw new AuthenticationError('Invalid API key');
+    }
+
+    if (!key.last_used_at || now - key.last_used_at > LAST_USED_INTERVAL_MS) {
+      this.apiKeys()
+        .updateOne({ key_id: keyId }, { $set: { last_used_at: now } })
+        .catch(error => logger.warn('Failed to record API key use', { keyId, error: error.message }));
+    }
+
+    return {
+      id: `agent:${key.agent_id}`,
+      tenant_id: key.tenant_id,
+      role: AGENT_ROLE,
+      scopes: key.scopes,
+      auth: AUTH_METHOD.API_KEY,
+      key_id: keyId,
+      agent_id: key.agent_id
+    };
+  }
+
+  /**
+   * Public view of a key record (never includes the hash)
+   */
+  toKeyView(key) {
+    const { _id, key_hash, ...view } = key;
+    return view;
+  }
+
+  /**
+   * Create an API key. The plaintext key is returned only here.
+   */
+  async createApiKey(tenantId, { name, scopes, expiresAt, createdBy, agentId = ulid() }) {
+    const unknown = scopes.filter(scope => scope !== '*' && !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new ValidationError('Unknown API key scopes', unknown.map(scope => ({ field: 'scopes', message: `"${scope}" is not a scope` })));
+    }
+
+    const keyId = ulid();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const key = {
+      key_id: keyId,
+      agent_id: agentId,
+      tenant_id: tenantId,
+      name,
+      prefix: `${API_KEY_PREFIX}_${keyId.slice(0, 8)}`,
+      key_hash: this.hashApiKeySecret(secret),
+      scopes,
+      created_by: createdBy,
+      created_at: new Date(),
+      expires_at: expiresAt || null,
+      last_used_at: null,
+      rotated_to: null,
+      revoked_at: null
+    };
+
+    await this.apiKeys().insertOne(key);
+    logger.securityEvent('api_key_created', { tenantId, keyId, agentId, scopes, createdBy });
+
+    return { api_key: `${API_KEY_PREFIX}_${keyId}_${secret}`, key: this.toKeyView(key) };
+  }
+
+  /**
+   * API keys of a tenant
+   */
+  async listApiKeys(tenantId, { includeRevoked = false } = {}) {
+    const keys = await this.apiKeys()
+      .find({ tenant_id: tenantId, ...(!includeRevoked && { revoked_at: null }) }, { projection: { _id: 0, key_hash: 0 } })
+      .sort({ created_at: -1 })
+      .toArray();
+    return keys;
+  }
+
+  /**
+   * Active key of a tenant, or 404
+   */
+  async loadActiveKey(tenantId, keyId) {
+    const key = await this.apiKeys().findOne({ key_id: keyId, tenant_id: tenantId, revoked_at: null });
+    if (!key) {
+      throw new NotFoundError('API key not found', { keyId });
+    }
+    return key;
+  }
+
+  /**
+   * Replace a key with a new one for the same agent and scopes. The old key
+   * keeps working for API_KEY_ROTATION_GRACE_PERIOD so agents can roll over.
+   */
+  async rotateApiKey(tenantId, keyId, { rotatedBy, gracePeriodMs = config.API_KEY_ROTATION_GRACE_PERIOD }) {
+    const current = await this.loadActiveKey(tenantId, keyId);
+    if (current.rotated_to) {
+      throw new ConflictError('API key was already rotated', { keyId, rotated_to: current.rotated_to });
+    }
+
+    const created = await this.createApiKey(tenantId, {
+      name: current.name,
+      scopes: current.scopes,
+      expiresAt: current.expires_at,
+      createdBy: rotatedBy,
+      agentId: current.agent_id
+    });
+
+    const graceEnds = new Date(Date.now() + gracePeriodMs);
+    const expiresAt = current.expires_at && current.expires_at < graceEnds ? current.expires_at : graceEnds;
+
+    await this.apiKeys().updateOne(
+      { key_id: keyId },
+      { $set: { rotated_to: created.key.key_id, expires_at: expiresAt } }
+    );
+    logger.securityEvent('api_key_rotated', { tenantId, keyId, newKeyId: created.key.key_id, rotatedBy });
+
+    return { ...created, previous: { key_id: keyId, expires_at: expiresAt } };
+  }
+
+  /**
+   * Revoke a key immediately
+   */
+  async revokeApiKey(tenantId, keyId, { revokedBy }) {
+    await this.loadActiveKey(tenantId, keyId);
+    const revokedAt = new Date();
+
+    await this.apiKeys().updateOne({ key_id: keyId }, { $set: { revoked_at: revokedAt, revoked_by: revokedBy } });
+    logger.securityEvent('api_key_revoked', { tenantId, keyId, revokedBy });
+
+    return { key_id: keyId, revoked_at: revokedAt };
+  }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+export { authService as AuthService };
+export default authService;
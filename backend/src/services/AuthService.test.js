@@ -0,0 +1,163 @@
+/**
+ * AI Audio KB - Authentication Service tests
+ */
+
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { config } from '../config/index.js';
+import { database } from '../config/database.js';
+import { AuthenticationError } from '../utils/errors.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { AuthService } from './AuthService.js';
+
+describe('AuthService', () => {
+  const saved = {};
+  let collections;
+
+  beforeAll(() => {
+    for (const key of ['JWT_SECRET', 'JWT_REFRESH_SECRET', 'API_KEY_SALT', 'AUTH_BCRYPT_ROUNDS']) {
+      saved[key] = config[key];
+    }
+    Object.assign(config, {
+      JWT_SECRET: 'access-secret',
+      JWT_REFRESH_SECRET: 'refresh-secret',
+      API_KEY_SALT: 'api-key-salt',
+      AUTH_BCRYPT_ROUNDS: 4
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config, saved);
+  });
+
+  beforeEach(() => {
+    collections = {
+      users: createCollection(),
+      refresh_tokens: createCollection(),
+      api_keys: createCollection()
+    };
+    jest.spyOn(database, 'getCollection').mockImplementation(name => collections[name]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('refresh tokens', () => {
+    let session;
+
+    beforeEach(async () => {
+      await AuthService.createUser({ email: 'Ana@Example.com', password: 'correct horse', tenantId: 'tenant-a' });
+      session = await AuthService.login({ email: 'ana@example.com', password: 'correct horse' });
+    });
+
+    it('rotates the pair within the same family', async () => {
+      const rotated = await AuthService.refresh(session.refresh_token);
+      const [first, second] = collections.refresh_tokens.docs;
+
+      expect(rotated.refresh_token).not.toBe(session.refresh_token);
+      expect(second.family_id).toBe(first.family_id);
+      expect(first.used_at).toBeInstanceOf(Date);
+      expect(first.replaced_by).toBe(second.jti);
+      expect((await AuthService.authenticateToken(rotated.access_token)).email).toBe('ana@example.com');
+    });
+
+    it('revokes the whole family when a rotated token is replayed', async () => {
+      const rotated = await AuthService.refresh(session.refresh_token);
+
+      await expect(AuthService.refresh(session.refresh_token))
+        .rejects.toThrow('Refresh token reuse detected; session revoked');
+
+      expect(collections.refresh_tokens.docs.map(doc => doc.revoked_reason))
+        .toEqual(['reuse_detected', 'reuse_detected']);
+      await expect(AuthService.refresh(rotated.refresh_token)).rejects.toThrow('Refresh token revoked');
+    });
+
+    it('rejects an access token presented as a refresh token', async () => {
+      await expect(AuthService.refresh(session.access_token)).rejects.toThrow(AuthenticationError);
+    });
+
+    it('revokes every token issued so far when token_version is bumped', async () => {
+      await AuthService.revokeAllTokens(session.user.id, 'password_changed');
+
+      await expect(AuthService.authenticateToken(session.access_token)).rejects.toThrow('Token has been revoked');
+      await expect(AuthService.refresh(session.refresh_token)).rejects.toThrow('Refresh token revoked');
+
+      const again = await AuthService.login({ email: 'ana@example.com', password: 'correct horse' });
+      expect(jwt.decode(again.access_token).ver).toBe(1);
+      expect((await AuthService.authenticateToken(again.access_token)).id).toBe(session.user.id);
+    });
+
+    it('rejects a wrong password', async () => {
+      await expect(AuthService.login({ email: 'ana@example.com', password: 'wrong' }))
+        .rejects.toThrow('Invalid email or password');
+    });
+  });
+
+  describe('API keys', () => {
+    const create = (scopes = ['audio:read']) =>
+      AuthService.createApiKey('tenant-a', { name: 'ingest agent', scopes, createdBy: 'user-1' });
+
+    it('stores only an HMAC of the secret', async () => {
+      const { api_key: apiKey, key } = await create();
+      const secret = apiKey.split('_').slice(2).join('_');
+      const [stored] = collections.api_keys.docs;
+
+      expect(key.key_hash).toBeUndefined();
+      expect(stored.key_hash).toBe(AuthService.hashApiKeySecret(secret));
+      expect(JSON.stringify(stored)).not.toContain(secret);
+    });
+
+    it('authenticates a key as an agent with its scopes', async () => {
+      const { api_key: apiKey, key } = await create(['audio:read', 'search:read']);
+
+      expect(await AuthService.authenticateApiKey(apiKey)).toEqual(expect.objectContaining({
+        tenant_id: 'tenant-a',
+        role: 'agent',
+        scopes: ['audio:read', 'search:read'],
+        auth: 'api_key',
+        key_id: key.key_id
+      }));
+    });
+
+    it('rejects a key with the wrong secret', async () => {
+      const { key } = await create();
+
+      await expect(AuthService.authenticateApiKey(`aak_${key.key_id}_${'A'.repeat(43)}`))
+        .rejects.toThrow('Invalid API key');
+    });
+
+    it('rejects unknown scopes', async () => {
+      await expect(create(['audio:delete'])).rejects.toThrow('Unknown API key scopes');
+    });
+
+    it('keeps a rotated key working until its grace period ends', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'], now: new Date('2026-01-01T00:00:00Z') });
+      const { api_key: oldKey, key } = await create();
+
+      const rotated = await AuthService.rotateApiKey('tenant-a', key.key_id, { rotatedBy: 'user-1', gracePeriodMs: 60000 });
+      expect(rotated.previous.expires_at).toEqual(new Date('2026-01-01T00:01:00Z'));
+      expect((await AuthService.authenticateApiKey(oldKey)).agent_id).toBe(key.agent_id);
+
+      jest.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+      await expect(AuthService.authenticateApiKey(oldKey)).rejects.toThrow('Invalid API key');
+      expect((await AuthService.authenticateApiKey(rotated.api_key)).agent_id).toBe(key.agent_id);
+    });
+
+    it('refuses to rotate a key twice', async () => {
+      const { key } = await create();
+      await AuthService.rotateApiKey('tenant-a', key.key_id, { rotatedBy: 'user-1' });
+
+      await expect(AuthService.rotateApiKey('tenant-a', key.key_id, { rotatedBy: 'user-1' }))
+        .rejects.toThrow('API key was already rotated');
+    });
+
+    it('rejects a revoked key', async () => {
+      const { api_key: apiKey, key } = await create();
+      await AuthService.revokeApiKey('tenant-a', key.key_id, { revokedBy: 'user-1' });
+
+      await expect(AuthService.authenticateApiKey(apiKey)).rejects.toThrow('Invalid API key');
+    });
+  });
+});
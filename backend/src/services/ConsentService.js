@@ -0,0 +1,310 @@
+/**
+ * AI Audio KB - Consent Service
+ *
+ * Records verifiable consent grants per recording session and decides
+ * whether a session may ingest audio (ADR-001).
+ *
+ * Each grant stores the region, policy version, timestamp and actor it was
+ * made under, plus HASH(region:policy_version:timestamp:actor_id) computed
+ * with CONSENT_HASH_ALGORITHM. Clients may submit the hash they computed
+ * on device; it must match the server's recomputation.
+ *
+ * Consent is required in `grey` regions (and everywhere with
+ * CONSENT_ALWAYS_REQUIRED). `one-party` regions need any one party's grant,
+ * `all-party` regions need every party on the session. A revocation by any
+ * party flags the session and stops further ingest.
+ */
+
+import crypto from 'crypto';
+import { ulid } from 'ulid';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { AuditService } from './AuditService.js';
+import { RegionPolicyService, REGION_STATUS, CONSENT_MODE } from './RegionPolicyService.js';
+import { ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { getTenantCollection } from './ResidencyRouter.js';
+
+export const CONSENT_STATUS = {
+  PENDING: 'pending',
+  GRANTED: 'granted',
+  REVOKED: 'revoked'
+};
+
+export const PARTY_ROLE = {
+  RECORDER: 'recorder',
+  PARTICIPANT: 'participant'
+};
+
+// Accept device clocks up to this far ahead of the server
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class ConsentService {
+  /**
+   * Check that the configured hash algorithm is available
+   */
+  async initialize() {
+    if (!crypto.getHashes().includes(config.CONSENT_HASH_ALGORITHM)) {
+      throw new Error(`Unsupported CONSENT_HASH_ALGORITHM: ${config.CONSENT_HASH_ALGORITHM}`);
+    }
+
+    logger.startup('ConsentService', {
+      algorithm: config.CONSENT_HASH_ALGORITHM,
+      alwaysRequired: config.CONSENT_ALWAYS_REQUIRED
+    });
+  }
+
+  /**
+   * HASH(region:policy_version:timestamp:actor_id), hex encoded
+   */
+  computeHash({ region, policyVersion, timestamp, actorId }, algorithm = config.CONSENT_HASH_ALGORITHM) {
+    return crypto
+      .createHash(algorithm)
+      .update(`${region}:${policyVersion}:${timestamp}:${actorId}`)
+      .digest('hex');
+  }
+
+  /**
+   * Constant-time comparison of two hex hashes
+   */
+  hashesMatch(expected, actual) {
+    if (typeof actual !== 'string' || !/^[0-9a-f]+$/i.test(actual)) return false;
+
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(actual.toLowerCase(), 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  async loadSession(tenantId, sessionId) {
+    const session = await getTenantCollection(tenantId, 'sessions').findOne(
+      { session_id: sessionId, tenant_id: tenantId },
+      { projection: { _id: 0 } }
+    );
+    if (!session) {
+      throw new NotFoundError('Session not found', { sessionId });
+    }
+    return session;
+  }
+
+  /**
+   * Record a consent grant for one party of a session
+   *
+   * @param {object} grant
+   * @param {string} grant.actorId - the consenting party
+   * @param {string} grant.recordedBy - authenticated user submitting the grant
+   * @param {string} [grant.policyVersion] - region policy version consented to (defaults to the session's)
+   * @param {string|number} grant.timestamp - unix seconds as hashed on device
+   * @param {string} [grant.hash] - client-computed consent hash to verify
+   */
+  async grant(tenantId, sessionId, { actorId, recordedBy, role = PARTY_ROLE.PARTICIPANT, policyVersion, timestamp, hash }) {
+    const session = await this.loadSession(tenantId, sessionId);
+    const region = session.consent.region;
+    policyVersion = policyVersion ?? session.consent.policy_version;
+
+    if (session.consent.status === CONSENT_STATUS.REVOKED) {
+      throw new ConflictError('Consent for this session has been revoked', { sessionId });
+    }
+
+    const grantedAt = new Date(Number(timestamp) * 1000);
+    if (Number.isNaN(grantedAt.getTime()) || grantedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+      throw new ValidationError('Invalid consent timestamp', [{ field: 'timestamp', message: '"timestamp" must be a past unix time in seconds' }]);
+    }
+
+    const expected = this.computeHash({ region, policyVersion, timestamp: String(timestamp), actorId });
+    if (hash !== undefined && !this.hashesMatch(expected, hash)) {
+      logger.securityEvent('consent_hash_mismatch', { tenantId, sessionId, actorId, region });
+      throw new ValidationError('Consent hash does not match', [{ field: 'consent_hash', message: 'hash does not match region, policy version, timestamp and actor' }]);
+    }
+
+    const now = new Date();
+    const record = {
+      consent_id: ulid(),
+      tenant_id: tenantId,
+      session_id: sessionId,
+      actor_id: actorId,
+      role,
+      recorded_by: recordedBy,
+      region,
+      policy_version: policyVersion,
+      timestamp: String(timestamp),
+      granted_at: grantedAt,
+      algorithm: config.CONSENT_HASH_ALGORITHM,
+      hash: expected,
+      client_verified: hash !== undefined,
+      status: CONSENT_STATUS.GRANTED,
+      revoked_at: null,
+      created_at: now
+    };
+
+    await getTenantCollection(tenantId, 'consents').insertOne(record);
+    await getTenantCollection(tenantId, 'sessions').updateOne(
+      { session_id: sessionId, tenant_id: tenantId },
+      {
+        $addToSet: { 'consent.parties': actorId, 'consent.granted_parties': actorId },
+        $set: { 'consent.status': CONSENT_STATUS.GRANTED, updated_at: now }
+      }
+    );
+
+    await AuditService.record({
+      tenantId,
+      actor: recordedBy,
+      action: 'consent.granted',
+      subject: `session:${sessionId}`,
+      metadata: { consent_id: record.consent_id, actor_id: actorId, region, policy_version: policyVersion, hash: expected }
+    });
+
+    delete record._id;
+    return record;
+  }
+
+  /**
+   * Revoke consent for a session. With an actorId only that party's grants
+   * are revoked; either way the session is flagged and ingest stops.
+   */
+  async revoke(tenantId, sessionId, { actorId, revokedBy, reason }) {
+    const session = await this.loadSession(tenantId, sessionId);
+    const now = new Date();
+
+    const { modifiedCount } = await getTenantCollection(tenantId, 'consents').updateMany(
+      {
+        tenant_id: tenantId,
+        session_id: sessionId,
+        status: CONSENT_STATUS.GRANTED,
+        ...(actorId && { actor_id: actorId })
+      },
+      { $set: { status: CONSENT_STATUS.REVOKED, revoked_at: now, revoked_by: revokedBy, revocation_reason: reason || null } }
+    );
+
+    const update = {
+      $set: {
+        'consent.status': CONSENT_STATUS.REVOKED,
+        'consent.revoked_at': now,
+        'consent.revoked_by': revokedBy,
+        'consent.revocation_reason': reason || null,
+        updated_at: now
+      },
+      $addToSet: { flags: 'consent_revoked' }
+    };
+    if (actorId) {
+      update.$pull = { 'consent.granted_parties': actorId };
+    } else {
+      update.$set['consent.granted_parties'] = [];
+    }
+
+    await getTenantCollection(tenantId, 'sessions').updateOne({ session_id: sessionId, tenant_id: tenantId }, update);
+
+    await AuditService.record({
+      tenantId,
+      actor: revokedBy,
+      action: 'consent.revoked',
+      subject: `session:${sessionId}`,
+      metadata: { actor_id: actorId || null, reason: reason || null, revoked_grants: modifiedCount, region: session.consent.region }
+    });
+
+    return { session_id: sessionId, revoked_grants: modifiedCount, revoked_at: now };
+  }
+
+  /**
+   * Grants recorded for a session, newest first
+   */
+  async listConsents(tenantId, sessionId) {
+    await this.loadSession(tenantId, sessionId);
+    return getTenantCollection(tenantId, 'consents')
+      .find({ tenant_id: tenantId, session_id: sessionId }, { projection: { _id: 0 } })
+      .sort({ created_at: -1 })
+      .toArray();
+  }
+
+  /**
+   * Recompute a stored grant's hash to prove the record is unaltered
+   */
+  async verify(tenantId, consentId) {
+    const record = await getTenantCollection(tenantId, 'consents').findOne(
+      { consent_id: consentId, tenant_id: tenantId },
+      { projection: { _id: 0 } }
+    );
+    if (!record) {
+      throw new NotFoundError('Consent record not found', { consentId });
+    }
+
+    const recomputed = this.computeHash({
+      region: record.region,
+      policyVersion: record.policy_version,
+      timestamp: record.timestamp,
+      actorId: record.actor_id
+    }, record.algorithm);
+
+    return {
+      consent_id: consentId,
+      valid: this.hashesMatch(recomputed, record.hash),
+      status: record.status,
+      algorithm: record.algorithm
+    };
+  }
+
+  /**
+   * Whether a session may currently ingest audio under its region policy
+   */
+  evaluate(session, policy = RegionPolicyService.resolve(session.consent?.region)) {
+    const consent = session.consent || {};
+    const parties = consent.parties || [];
+    const granted = consent.granted_parties || [];
+    const mode = policy.consent_mode || CONSENT_MODE.ALL_PARTY;
+    const required = policy.status === REGION_STATUS.GREY || config.CONSENT_ALWAYS_REQUIRED;
+    const missing = parties.filter(party => !granted.includes(party));
+
+    let allowed = true;
+    let reason = null;
+
+    if (consent.status === CONSENT_STATUS.REVOKED) {
+      allowed = false;
+      reason = 'consent_revoked';
+    } else if (required) {
+      const satisfied = mode === CONSENT_MODE.ONE_PARTY
+        ? granted.length > 0
+        : granted.length > 0 && missing.length === 0;
+      if (!satisfied) {
+        allowed = false;
+        reason = 'consent_missing';
+      }
+    }
+
+    return {
+      allowed,
+      reason,
+      required,
+      mode,
+      status: consent.status === CONSENT_STATUS.REVOKED
+        ? CONSENT_STATUS.REVOKED
+        : (granted.length > 0 ? CONSENT_STATUS.GRANTED : CONSENT_STATUS.PENDING),
+      parties,
+      missing_parties: missing
+    };
+  }
+
+  /**
+   * Throw unless the session may ingest audio
+   */
+  assertIngestAllowed(session, policy) {
+    const evaluation = this.evaluate(session, policy);
+
+    if (!evaluation.allowed) {
+      throw new ForbiddenError(
+        evaluation.reason === 'consent_revoked' ? 'Consent revoked for this session' : 'Consent required before ingest',
+        {
+          sessionId: session.session_id,
+          reason: evaluation.reason,
+          mode: evaluation.mode,
+          missing_parties: evaluation.missing_parties
+        }
+      );
+    }
+
+    return evaluation;
+  }
+}
+
+// Create singleton instance
+const consentService = new ConsentService();
+
+export { consentService as ConsentService };
+export default consentService;
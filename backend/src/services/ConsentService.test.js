@@ -0,0 +1,145 @@
+/**
+ * AI Audio KB - Consent Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { database } from '../config/database.js';
+import { config } from '../config/index.js';
+import { ConflictError, ForbiddenError, ValidationError } from '../utils/errors.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { AuditService } from './AuditService.js';
+import { CONSENT_STATUS, ConsentService } from './ConsentService.js';
+
+const GREY_ALL_PARTY = { status: 'grey', consent_mode: 'all-party' };
+const GREY_ONE_PARTY = { status: 'grey', consent_mode: 'one-party' };
+const ALLOWED = { status: 'allowed', consent_mode: 'one-party' };
+
+const now = () => String(Math.floor(Date.now() / 1000));
+
+describe('ConsentService', () => {
+  let collections;
+
+  beforeEach(() => {
+    collections = {
+      sessions: createCollection([{
+        session_id: 's1',
+        tenant_id: 'tenant-a',
+        consent: { region: 'EU-DE', policy_version: 'v1', status: CONSENT_STATUS.PENDING, parties: ['u1', 'guest'], granted_parties: [] }
+      }]),
+      consents: createCollection()
+    };
+    jest.spyOn(database, 'getCollection').mockImplementation(name => collections[name]);
+    jest.spyOn(AuditService, 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const session = () => collections.sessions.docs[0];
+
+  describe('grant', () => {
+    it('records a grant whose client hash matches the server recomputation', async () => {
+      const timestamp = now();
+      const hash = ConsentService.computeHash({ region: 'EU-DE', policyVersion: 'v1', timestamp, actorId: 'guest' });
+
+      const record = await ConsentService.grant('tenant-a', 's1', { actorId: 'guest', recordedBy: 'u1', timestamp, hash: hash.toUpperCase() });
+
+      expect(record).toMatchObject({ actor_id: 'guest', region: 'EU-DE', policy_version: 'v1', hash, client_verified: true, status: 'granted' });
+      expect(collections.consents.docs).toHaveLength(1);
+      expect(session().consent).toMatchObject({ status: 'granted', granted_parties: ['guest'] });
+      expect(AuditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'consent.granted', subject: 'session:s1' }));
+    });
+
+    it('rejects a hash computed over different inputs', async () => {
+      const timestamp = now();
+      const hash = ConsentService.computeHash({ region: 'US-CA', policyVersion: 'v1', timestamp, actorId: 'guest' });
+
+      await expect(ConsentService.grant('tenant-a', 's1', { actorId: 'guest', recordedBy: 'u1', timestamp, hash }))
+        .rejects.toThrow('Consent hash does not match');
+      expect(collections.consents.docs).toEqual([]);
+    });
+
+    it('rejects a timestamp from the future', async () => {
+      const timestamp = String(Math.floor(Date.now() / 1000) + 3600);
+
+      await expect(ConsentService.grant('tenant-a', 's1', { actorId: 'guest', recordedBy: 'u1', timestamp }))
+        .rejects.toThrow(ValidationError);
+    });
+
+    it('refuses new grants once consent was revoked', async () => {
+      session().consent.status = CONSENT_STATUS.REVOKED;
+
+      await expect(ConsentService.grant('tenant-a', 's1', { actorId: 'guest', recordedBy: 'u1', timestamp: now() }))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('revoke', () => {
+    it('revokes one party and flags the session', async () => {
+      await ConsentService.grant('tenant-a', 's1', { actorId: 'u1', recordedBy: 'u1', timestamp: now() });
+      await ConsentService.grant('tenant-a', 's1', { actorId: 'guest', recordedBy: 'u1', timestamp: now() });
+
+      const result = await ConsentService.revoke('tenant-a', 's1', { actorId: 'guest', revokedBy: 'guest', reason: 'changed my mind' });
+
+      expect(result.revoked_grants).toBe(1);
+      expect(session().consent).toMatchObject({ status: 'revoked', granted_parties: ['u1'], revocation_reason: 'changed my mind' });
+      expect(session().flags).toEqual(['consent_revoked']);
+      expect(collections.consents.docs.map(record => [record.actor_id, record.status])).toEqual([['u1', 'granted'], ['guest', 'revoked']]);
+    });
+  });
+
+  describe('verify', () => {
+    it('detects a stored record that was altered', async () => {
+      const { consent_id: consentId } = await ConsentService.grant('tenant-a', 's1', { actorId: 'guest', recordedBy: 'u1', timestamp: now() });
+
+      expect((await ConsentService.verify('tenant-a', consentId)).valid).toBe(true);
+
+      collections.consents.docs[0].actor_id = 'someone-else';
+      expect((await ConsentService.verify('tenant-a', consentId)).valid).toBe(false);
+    });
+  });
+
+  describe('evaluate', () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = config.CONSENT_ALWAYS_REQUIRED;
+      config.CONSENT_ALWAYS_REQUIRED = false;
+    });
+
+    afterEach(() => {
+      config.CONSENT_ALWAYS_REQUIRED = saved;
+    });
+
+    const withGrants = (...granted) => ({ ...session(), consent: { ...session().consent, granted_parties: granted } });
+
+    it('needs every party in an all-party grey region', () => {
+      expect(ConsentService.evaluate(withGrants('u1'), GREY_ALL_PARTY)).toMatchObject({
+        allowed: false,
+        reason: 'consent_missing',
+        missing_parties: ['guest']
+      });
+      expect(ConsentService.evaluate(withGrants('u1', 'guest'), GREY_ALL_PARTY).allowed).toBe(true);
+    });
+
+    it('needs any one party in a one-party grey region', () => {
+      expect(ConsentService.evaluate(withGrants(), GREY_ONE_PARTY).allowed).toBe(false);
+      expect(ConsentService.evaluate(withGrants('u1'), GREY_ONE_PARTY).allowed).toBe(true);
+    });
+
+    it('requires no consent in allowed regions unless configured to', () => {
+      expect(ConsentService.evaluate(withGrants(), ALLOWED)).toMatchObject({ allowed: true, required: false, status: 'pending' });
+
+      config.CONSENT_ALWAYS_REQUIRED = true;
+      expect(ConsentService.evaluate(withGrants(), ALLOWED).allowed).toBe(false);
+    });
+
+    it('stops ingest after a revocation', () => {
+      const revoked = { ...session(), consent: { ...session().consent, status: CONSENT_STATUS.REVOKED } };
+
+      expect(() => ConsentService.assertIngestAllowed(revoked, ALLOWED)).toThrow(ForbiddenError);
+      expect(() => ConsentService.assertIngestAllowed(revoked, ALLOWED)).toThrow('Consent revoked for this session');
+    });
+  });
+});
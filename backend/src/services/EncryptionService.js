@@ -0,0 +1,414 @@
+/**
+ * AI Audio KB - Envelope Encryption Service
+ *
+ * Encrypts tenant data at rest with AES-256-GCM under per-tenant data keys.
+ * Data keys are stored (in the tenant's residency zone) only wrapped by a
+ * master key from the key provider, so rotating the master key re-wraps
+ * data keys without touching the data they protect. Issuing a new data key
+ * version leaves existing data readable under its recorded version.
+ *
+ * Encrypted: audio blobs (via tenant storage) and the original transcript
+ * text and words, including the raw ASR result held between recognition
+ * and redaction. `transcript.textRedacted` stays readable for the text
+ * index when it holds no detected PII (see sealTranscript).
+ *
+ * With ENCRYPTION_ENABLED=false nothing new is encrypted, but data written
+ * while it was enabled stays readable as long as the keys are configured.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { createSystemContext } from '../utils/tenantScope.js';
+import { LocalKeyProvider } from './keys/LocalKeyProvider.js';
+import { ResidencyRouter, getTenantCollection } from './ResidencyRouter.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const DUPLICATE_KEY = 11000;
+
+// Encrypted blobs: magic, data key version (uint32), IV, auth tag, ciphertext
+const BLOB_MAGIC = Buffer.from('AKE1');
+const BLOB_HEADER_BYTES = BLOB_MAGIC.length + 4 + IV_BYTES + TAG_BYTES;
+
+const KEY_PROVIDERS = { local: LocalKeyProvider };
+
+export const DATA_KEY_STATUS = {
+  ACTIVE: 'active',
+  RETIRED: 'retired'
+};
+
+// Key rotation walks every tenant's data keys in each zone
+const ROTATION_CONTEXT = createSystemContext('key-rotation');
+
+class EncryptionService {
+  constructor() {
+    this.provider = null;
+    this.dataKeys = new Map(); // `${tenantId}:${version}` -> key
+    this.activeVersions = new Map(); // tenantId -> { version, expiresAt }
+  }
+
+  isEnabled() {
+    return config.ENCRYPTION_ENABLED;
+  }
+
+  /**
+   * Load the master keys. Required when encryption is enabled; otherwise
+   * loaded when configured so previously encrypted data stays readable.
+   */
+  async initialize() {
+    const Provider = KEY_PROVIDERS[config.ENCRYPTION_KEY_PROVIDER];
+    if (!Provider) {
+      throw new Error(`Unknown ENCRYPTION_KEY_PROVIDER: ${config.ENCRYPTION_KEY_PROVIDER}`);
+    }
+
+    if (this.isEnabled() || Provider.isConfigured()) {
+      const provider = new Provider();
+      await provider.load();
+      this.provider = provider;
+    }
+
+    logger.startup('EncryptionService', {
+      enabled: this.isEnabled(),
+      provider: this.provider?.name ?? null,
+      masterKeyId: this.provider?.currentKeyId ?? null
+    });
+  }
+
+  assertAvailable() {
+    if (!this.provider) {
+      throw new AppError('Encryption keys are not configured', {
+        statusCode: 503,
+        code: 'ENCRYPTION_UNAVAILABLE'
+      });
+    }
+  }
+
+  /**
+   * Context bound into a wrapped data key, so a wrapped key copied to
+   * another tenant or version fails to unwrap
+   */
+  keyContext(tenantId, version) {
+    return `${tenantId}:${version}`;
+  }
+
+  /**
+   * The tenant's active data key, created on first use
+   */
+  async getActiveKey(tenantId) {
+    this.assertAvailable();
+
+    const cached = this.activeVersions.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { version: cached.version, key: await this.getKey(tenantId, cached.version) };
+    }
+
+    const dataKeys = getTenantCollection(tenantId, 'data_keys');
+    let active = await dataKeys.findOne(
+      { status: DATA_KEY_STATUS.ACTIVE },
+      { sort: { key_version: -1 }, projection: { _id: 0 } }
+    );
+    if (!active) {
+      active = await this.createDataKey(tenantId, 1);
+    }
+
+    this.activeVersions.set(tenantId, {
+      version: active.key_version,
+      expiresAt: Date.now() + config.ENCRYPTION_KEY_CACHE_TTL_MS
+    });
+    return { version: active.key_version, key: await this.getKey(tenantId, active.key_version, active) };
+  }
+
+  /**
+   * Generate and store a wrapped data key. Concurrent creators of the same
+   * version converge on whichever insert won.
+   */
+  async createDataKey(tenantId, version, dataKeys = getTenantCollection(tenantId, 'data_keys')) {
+    const dataKey = crypto.randomBytes(32);
+    const now = new Date();
+    const doc = {
+      tenant_id: tenantId,
+      key_version: version,
+      status: DATA_KEY_STATUS.ACTIVE,
+      ...(await this.provider.wrapKey(dataKey, this.keyContext(tenantId, version))),
+      created_at: now,
+      rewrapped_at: null
+    };
+
+    try {
+      await dataKeys.insertOne(doc);
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      return dataKeys.findOne({ tenant_id: tenantId, key_version: version }, { projection: { _id: 0 } });
+    }
+
+    delete doc._id;
+    this.dataKeys.set(this.keyContext(tenantId, version), dataKey);
+    logger.securityEvent('data_key_created', { tenantId, keyVersion: version, masterKeyId: doc.master_key_id });
+    return doc;
+  }
+
+  /**
+   * Unwrapped data key of a given version
+   */
+  async getKey(tenantId, version, stored = null) {
+    this.assertAvailable();
+
+    const cacheKey = this.keyContext(tenantId, version);
+    const cached = this.dataKeys.get(cacheKey);
+    if (cached) return cached;
+
+    const doc = stored ?? await getTenantCollection(tenantId, 'data_keys').findOne(
+      { key_version: version },
+      { projection: { _id: 0 } }
+    );
+    if (!doc) {
+      throw new AppError('Data key not found', {
+        statusCode: 500,
+        code: 'DATA_KEY_MISSING',
+        details: { tenantId, keyVersion: version }
+      });
+    }
+
+    const key = await this.provider.unwrapKey(doc, cacheKey);
+    this.dataKeys.set(cacheKey, key);
+    return key;
+  }
+
+  /**
+   * AES-256-GCM under a data key, bound to the tenant
+   */
+  seal(key, tenantId, plaintext) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(tenantId));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), ciphertext };
+  }
+
+  open(key, tenantId, { iv, tag, ciphertext }) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAAD(Buffer.from(tenantId));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+
+  /**
+   * Encrypt a blob. Returns the stored bytes and the data key version.
+   */
+  async encryptBlob(tenantId, buffer) {
+    const { version, key } = await this.getActiveKey(tenantId);
+    const { iv, tag, ciphertext } = this.seal(key, tenantId, buffer);
+
+    const header = Buffer.alloc(BLOB_HEADER_BYTES);
+    BLOB_MAGIC.copy(header, 0);
+    header.writeUInt32BE(version, BLOB_MAGIC.length);
+    iv.copy(header, BLOB_MAGIC.length + 4);
+    tag.copy(header, BLOB_MAGIC.length + 4 + IV_BYTES);
+
+    return { data: Buffer.concat([header, ciphertext]), keyVersion: version };
+  }
+
+  /**
+   * Decrypt a blob; blobs stored unencrypted are returned as they are
+   */
+  async decryptBlob(tenantId, buffer) {
+    if (buffer.length < BLOB_HEADER_BYTES || !buffer.subarray(0, BLOB_MAGIC.length).equals(BLOB_MAGIC)) {
+      return buffer;
+    }
+
+    const version = buffer.readUInt32BE(BLOB_MAGIC.length);
+    const ivStart = BLOB_MAGIC.length + 4;
+    return this.open(await this.getKey(tenantId, version), tenantId, {
+      iv: buffer.subarray(ivStart, ivStart + IV_BYTES),
+      tag: buffer.subarray(ivStart + IV_BYTES, BLOB_HEADER_BYTES),
+      ciphertext: buffer.subarray(BLOB_HEADER_BYTES)
+    });
+  }
+
+  /**
+   * A tenant's view of zone storage that encrypts on put (when enabled)
+   * and decrypts on get. `put` also reports the data key version used.
+   */
+  storageFor(tenantId, storage) {
+    const view = Object.create(storage);
+
+    view.put = async (key, buffer) => {
+      if (!this.isEnabled()) {
+        return { ...(await storage.put(key, buffer)), key_version: null };
+      }
+      const { data, keyVersion } = await this.encryptBlob(tenantId, buffer);
+      const stored = await storage.put(key, data);
+      return { ...stored, bytes: buffer.length, key_version: keyVersion };
+    };
+    view.get = async key => this.decryptBlob(tenantId, await storage.get(key));
+
+    return view;
+  }
+
+  /**
+   * Encrypt a JSON value into a stored envelope; returned as is when
+   * encryption is disabled
+   */
+  async sealValue(tenantId, value) {
+    if (!this.isEnabled() || value === null || value === undefined) return value;
+
+    const { version, key } = await this.getActiveKey(tenantId);
+    const { iv, tag, ciphertext } = this.seal(key, tenantId, Buffer.from(JSON.stringify(value)));
+    return {
+      alg: ALGORITHM,
+      key_version: version,
+      iv: iv.toString('base64'),
+      tag: tag.toString('base64'),
+      data: ciphertext.toString('base64')
+    };
+  }
+
+  isSealed(value) {
+    return value?.alg === ALGORITHM && typeof value.data === 'string';
+  }
+
+  /**
+   * Decrypt an envelope written by sealValue; other values pass through
+   */
+  async openValue(tenantId, value) {
+    if (!this.isSealed(value)) return value;
+
+    const plaintext = this.open(await this.getKey(tenantId, value.key_version), tenantId, {
+      iv: Buffer.from(value.iv, 'base64'),
+      tag: Buffer.from(value.tag, 'base64'),
+      ciphertext: Buffer.from(value.data, 'base64')
+    });
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * Transcript as stored: the original text and words move into `sealed`.
+   * `textRedacted` stays readable only when `indexSafe`
+   * (PiiService.isIndexSafe); otherwise it is original text with PII in it
+   * and is sealed in place, leaving the segment out of the text search leg.
+   */
+  async sealTranscript(tenantId, transcript, { indexSafe = false } = {}) {
+    if (!this.isEnabled() || !transcript) return transcript;
+
+    const { text, words, textRedacted, ...rest } = transcript;
+    return {
+      ...rest,
+      ...(textRedacted !== undefined && {
+        textRedacted: indexSafe ? textRedacted : await this.sealValue(tenantId, textRedacted)
+      }),
+      sealed: await this.sealValue(tenantId, { text, words })
+    };
+  }
+
+  /**
+   * Transcript with its sealed fields decrypted; works on projections that
+   * include only some of them
+   */
+  async openTranscript(tenantId, transcript) {
+    if (!transcript?.sealed && !this.isSealed(transcript?.textRedacted)) return transcript;
+
+    const { sealed, textRedacted, ...rest } = transcript;
+    return {
+      ...rest,
+      ...(textRedacted !== undefined && { textRedacted: await this.openValue(tenantId, textRedacted) }),
+      ...(sealed && (await this.openValue(tenantId, sealed)))
+    };
+  }
+
+  /**
+   * Re-wrap data keys not wrapped with the current master key and, with
+   * `newDataKeys`, retire each tenant's active data key for a new version.
+   * Encrypted data is never rewritten.
+   */
+  async rotate({ tenantId, newDataKeys = false, dryRun = false } = {}) {
+    this.assertAvailable();
+    const currentKeyId = this.provider.currentKeyId;
+    const report = { master_key_id: currentKeyId, rewrapped: 0, created: 0, failed: 0, zones: [] };
+
+    for (const { zone, database } of ResidencyRouter.listZones()) {
+      const dataKeys = database.getCollection('data_keys', ROTATION_CONTEXT);
+      const filter = tenantId ? { tenant_id: tenantId } : {};
+      const zoneReport = { zone, rewrapped: 0, created: 0, failed: 0 };
+
+      const stale = await dataKeys
+        .find({ ...filter, master_key_id: { $ne: currentKeyId } }, { projection: { _id: 0 } })
+        .toArray();
+
+      for (const doc of stale) {
+        if (dryRun) {
+          zoneReport.rewrapped++;
+          continue;
+        }
+        try {
+          const context = this.keyContext(doc.tenant_id, doc.key_version);
+          const dataKey = await this.provider.unwrapKey(doc, context);
+          const result = await dataKeys.updateOne(
+            { tenant_id: doc.tenant_id, key_version: doc.key_version, master_key_id: doc.master_key_id },
+            { $set: { ...(await this.provider.wrapKey(dataKey, context)), rewrapped_at: new Date() } }
+          );
+          if (result.modifiedCount) zoneReport.rewrapped++;
+        } catch (error) {
+          zoneReport.failed++;
+          logger.logError(error, { operation: 'data_key_rewrap', zone, tenantId: doc.tenant_id, keyVersion: doc.key_version });
+        }
+      }
+
+      if (newDataKeys) {
+        const active = await dataKeys
+          .find({ ...filter, status: DATA_KEY_STATUS.ACTIVE }, { projection: { _id: 0, tenant_id: 1, key_version: 1 } })
+          .toArray();
+
+        for (const { tenant_id: tenant, key_version: version } of active) {
+          zoneReport.created++;
+          if (dryRun) continue;
+
+          await this.createDataKey(tenant, version + 1, dataKeys);
+          await dataKeys.updateOne(
+            { tenant_id: tenant, key_version: version },
+            { $set: { status: DATA_KEY_STATUS.RETIRED, retired_at: new Date() } }
+          );
+          this.activeVersions.delete(tenant);
+        }
+      }
+
+      report.rewrapped += zoneReport.rewrapped;
+      report.created += zoneReport.created;
+      report.failed += zoneReport.failed;
+      report.zones.push(zoneReport);
+    }
+
+    logger.securityEvent('data_keys_rotated', { ...report, zones: report.zones.length, dryRun });
+    return report;
+  }
+
+  /**
+   * Data keys per zone and master key, for reporting
+   */
+  async keyStatus() {
+    const rows = [];
+    for (const { zone, database } of ResidencyRouter.listZones()) {
+      const keys = await database.getCollection('data_keys', ROTATION_CONTEXT)
+        .find({}, { projection: { _id: 0, tenant_id: 1, key_version: 1, status: 1, master_key_id: 1 } })
+        .toArray();
+      rows.push(...keys.map(key => ({ zone, ...key })));
+    }
+    return rows;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      provider: this.provider?.name ?? null,
+      master_key_id: this.provider?.currentKeyId ?? null
+    };
+  }
+}
+
+// Create singleton instance
+const encryptionService = new EncryptionService();
+
+export { encryptionService as EncryptionService };
+export default encryptionService;
@@ -0,0 +1,183 @@
+/**
+ * AI Audio KB - Envelope Encryption Service tests
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { config } from '../config/index.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { DATA_KEY_STATUS, EncryptionService } from './EncryptionService.js';
+import { LocalKeyProvider } from './keys/LocalKeyProvider.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+
+const TENANT = 'tenant-a';
+
+describe('EncryptionService', () => {
+  let enabled;
+
+  beforeEach(() => {
+    enabled = config.ENCRYPTION_ENABLED;
+    config.ENCRYPTION_ENABLED = true;
+
+    // An active data key already unwrapped, so no key store is needed
+    EncryptionService.provider = { name: 'stub', currentKeyId: 'master-1' };
+    EncryptionService.dataKeys = new Map([[`${TENANT}:1`, crypto.randomBytes(32)]]);
+    EncryptionService.activeVersions = new Map([[TENANT, { version: 1, expiresAt: Infinity }]]);
+  });
+
+  afterEach(() => {
+    config.ENCRYPTION_ENABLED = enabled;
+    EncryptionService.provider = null;
+    jest.restoreAllMocks();
+  });
+
+  describe('blobs', () => {
+    it('round-trips a blob and records the data key version', async () => {
+      const audio = Buffer.from('RIFF audio bytes');
+      const { data, keyVersion } = await EncryptionService.encryptBlob(TENANT, audio);
+
+      expect(keyVersion).toBe(1);
+      expect(data.includes(audio)).toBe(false);
+      expect(await EncryptionService.decryptBlob(TENANT, data)).toEqual(audio);
+    });
+
+    it('returns blobs stored unencrypted as they are', async () => {
+      const audio = Buffer.from('RIFF audio bytes written before encryption');
+
+      expect(await EncryptionService.decryptBlob(TENANT, audio)).toBe(audio);
+    });
+
+    it('refuses to open a blob under another tenant', async () => {
+      const { data } = await EncryptionService.encryptBlob(TENANT, Buffer.from('audio'));
+      EncryptionService.dataKeys.set('tenant-b:1', EncryptionService.dataKeys.get(`${TENANT}:1`));
+
+      await expect(EncryptionService.decryptBlob('tenant-b', data)).rejects.toThrow();
+    });
+
+    it('encrypts through the tenant storage view and reports the plaintext size', async () => {
+      const objects = new Map();
+      const storage = {
+        put: async (key, buffer) => {
+          objects.set(key, buffer);
+          return { key, bytes: buffer.length };
+        },
+        get: async key => objects.get(key)
+      };
+      const view = EncryptionService.storageFor(TENANT, storage);
+      const audio = Buffer.from('RIFF audio bytes');
+
+      expect(await view.put('a.wav', audio)).toEqual({ key: 'a.wav', bytes: audio.length, key_version: 1 });
+      expect(objects.get('a.wav').includes(audio)).toBe(false);
+      expect(await view.get('a.wav')).toEqual(audio);
+    });
+  });
+
+  describe('transcripts', () => {
+    const transcript = {
+      text: 'my card is 4111 1111 1111 1111',
+      words: [{ word: 'my', start_ms: 0, end_ms: 200 }],
+      language: 'en',
+      textRedacted: 'my card is [CREDIT_CARD]'
+    };
+
+    it('seals the original text and words and restores them', async () => {
+      const stored = await EncryptionService.sealTranscript(TENANT, transcript, { indexSafe: true });
+
+      expect(stored.text).toBeUndefined();
+      expect(stored.words).toBeUndefined();
+      expect(stored.sealed.key_version).toBe(1);
+      expect(JSON.stringify(stored)).not.toContain('4111');
+      expect(await EncryptionService.openTranscript(TENANT, stored)).toEqual(transcript);
+    });
+
+    it('keeps index-safe redacted text readable for the text index', async () => {
+      const stored = await EncryptionService.sealTranscript(TENANT, transcript, { indexSafe: true });
+
+      expect(stored.textRedacted).toBe('my card is [CREDIT_CARD]');
+    });
+
+    it('seals redacted text that may hold PII, since it is the original text', async () => {
+      const unmasked = { ...transcript, text: 'call me tomorrow', textRedacted: 'call me tomorrow' };
+      const stored = await EncryptionService.sealTranscript(TENANT, unmasked);
+
+      expect(EncryptionService.isSealed(stored.textRedacted)).toBe(true);
+      expect(JSON.stringify(stored)).not.toContain('tomorrow');
+      expect(await EncryptionService.openTranscript(TENANT, stored)).toEqual(unmasked);
+    });
+
+    it('opens a projection holding only the redacted text', async () => {
+      const stored = await EncryptionService.sealTranscript(TENANT, { ...transcript, textRedacted: transcript.text });
+
+      expect(await EncryptionService.openTranscript(TENANT, { textRedacted: stored.textRedacted }))
+        .toEqual({ textRedacted: transcript.text });
+    });
+
+    it('stores transcripts as they are while encryption is disabled', async () => {
+      config.ENCRYPTION_ENABLED = false;
+
+      expect(await EncryptionService.sealTranscript(TENANT, transcript)).toBe(transcript);
+    });
+  });
+
+  describe('rotate', () => {
+    let workDir;
+    let provider;
+    let dataKeys;
+
+    beforeEach(async () => {
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aakb-keys-'));
+      provider = new LocalKeyProvider({ file: path.join(workDir, 'keys.json') });
+      await provider.addMasterKey();
+
+      EncryptionService.provider = provider;
+      EncryptionService.dataKeys = new Map();
+      EncryptionService.activeVersions = new Map();
+
+      dataKeys = createCollection();
+      jest.spyOn(ResidencyRouter, 'getCollection').mockReturnValue(dataKeys);
+      jest.spyOn(ResidencyRouter, 'listZones').mockReturnValue([{ zone: 'us-west-2', database: { getCollection: () => dataKeys } }]);
+    });
+
+    afterEach(async () => {
+      await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    // Forget unwrapped keys, as a fresh process would
+    const restart = () => {
+      EncryptionService.dataKeys.clear();
+      EncryptionService.activeVersions.clear();
+    };
+
+    it('re-wraps data keys under a new master key and keeps data readable', async () => {
+      const { data } = await EncryptionService.encryptBlob(TENANT, Buffer.from('audio'));
+      const previous = provider.currentKeyId;
+      await provider.addMasterKey();
+
+      expect(await EncryptionService.rotate({ dryRun: true })).toMatchObject({ rewrapped: 1 });
+      expect(dataKeys.docs[0].master_key_id).toBe(previous);
+
+      expect(await EncryptionService.rotate()).toMatchObject({ master_key_id: provider.currentKeyId, rewrapped: 1, failed: 0 });
+      expect(dataKeys.docs[0].master_key_id).toBe(provider.currentKeyId);
+
+      restart();
+      expect(await EncryptionService.decryptBlob(TENANT, data)).toEqual(Buffer.from('audio'));
+    });
+
+    it('issues a new data key version without rewriting data', async () => {
+      const { data } = await EncryptionService.encryptBlob(TENANT, Buffer.from('audio'));
+
+      expect(await EncryptionService.rotate({ newDataKeys: true })).toMatchObject({ created: 1 });
+      expect(dataKeys.docs.map(doc => [doc.key_version, doc.status])).toEqual([
+        [1, DATA_KEY_STATUS.RETIRED],
+        [2, DATA_KEY_STATUS.ACTIVE]
+      ]);
+
+      restart();
+      expect((await EncryptionService.encryptBlob(TENANT, Buffer.from('more audio'))).keyVersion).toBe(2);
+      expect(await EncryptionService.decryptBlob(TENANT, data)).toEqual(Buffer.from('audio'));
+    });
+  });
+});
@@ -0,0 +1,333 @@
+/**
+ * AI Audio KB - Cost Metering Service
+ *
+ * Records unit usage per tenant, provider and hour (ASR minutes, embedding
+ * tokens, rerank calls) into `usage_ledger`, priced from the
+ * PRICE_TABLE_FILE price table, and keeps a running hourly total per
+ * tenant in `usage_hours`.
+ *
+ * With BILLING_ALERTS_ENABLED, crossing COST_ALERT_THRESHOLD_USD or
+ * MAX_COST_PER_HOUR_USD within an hour raises a billing alert (once per
+ * hour and kind, across instances). Once the cap is reached,
+ * AUTO_THROTTLE_ENABLED rejects non-live work (batch transcription and
+ * embedding) with BudgetExceededError until the next hour; live work
+ * (streaming, interactive search) is metered but never throttled.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Joi from 'joi';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { BudgetExceededError, ValidationError } from '../utils/errors.js';
+import { getTenantCollection } from './ResidencyRouter.js';
+
+export const USAGE_UNIT = {
+  ASR_MINUTES: 'asr_minutes',
+  EMBEDDING_TOKENS: 'embedding_tokens',
+  RERANK_CALLS: 'rerank_calls'
+};
+
+export const WORK_CLASS = {
+  LIVE: 'live',
+  BATCH: 'batch'
+};
+
+export const ALERT_KIND = {
+  THRESHOLD: 'threshold',
+  CAP: 'cap'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const priceSchema = Joi.object({
+  usd: Joi.number().min(0).required(),
+  per: Joi.number().positive().default(1)
+});
+
+const priceTableSchema = Joi.object({
+  version: Joi.string().required(),
+  currency: Joi.string().valid('USD').default('USD'),
+  providers: Joi.object().pattern(
+    Joi.string(),
+    Joi.object().pattern(Joi.string().valid(...Object.values(USAGE_UNIT)), priceSchema)
+  ).required()
+});
+
+/**
+ * Start of the UTC hour containing `date`
+ */
+export function hourStart(date = new Date()) {
+  return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+}
+
+/**
+ * Rough token count for providers that don't report usage
+ */
+export function estimateTokens(texts) {
+  return Math.ceil(texts.reduce((sum, text) => sum + (text?.length || 0), 0) / 4);
+}
+
+class MeteringService {
+  constructor() {
+    this.filePath = path.resolve(config.PRICE_TABLE_FILE);
+    this.priceTable = null;
+    this.unpriced = new Set();
+  }
+
+  /**
+   * Load the price table
+   */
+  async initialize() {
+    this.load();
+
+    logger.startup('MeteringService', {
+      file: this.filePath,
+      priceTableVersion: this.priceTable.version,
+      maxCostPerHourUsd: config.MAX_COST_PER_HOUR_USD,
+      alertThresholdUsd: config.COST_ALERT_THRESHOLD_USD,
+      autoThrottle: config.AUTO_THROTTLE_ENABLED
+    });
+  }
+
+  /**
+   * Read and validate the price table; the active table is kept if the
+   * file is invalid
+   */
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const { error, value } = priceTableSchema.validate(raw, { abortEarly: false });
+
+    if (error) {
+      throw new ValidationError('Invalid price table', error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      })));
+    }
+
+    this.priceTable = value;
+    this.unpriced.clear();
+    return value.version;
+  }
+
+  /**
+   * Cost in USD of `quantity` units from a provider. Unpriced usage is
+   * recorded at zero cost and reported once.
+   */
+  price(provider, unit, quantity) {
+    if (!this.priceTable) this.load();
+
+    const entry = this.priceTable.providers[provider]?.[unit];
+    if (!entry) {
+      const key = `${provider}:${unit}`;
+      if (!this.unpriced.has(key)) {
+        this.unpriced.add(key);
+        logger.warn('No price for metered usage; recording at zero cost', { provider, unit });
+      }
+      return 0;
+    }
+    return (quantity * entry.usd) / entry.per;
+  }
+
+  /**
+   * Record usage for a tenant. Never throws: metering must not fail the
+   * work it measures.
+   *
+   * @param {object} usage
+   * @param {string} usage.tenantId
+   * @param {string} usage.provider - provider name, e.g. `deepgram`
+   * @param {string} usage.unit - one of USAGE_UNIT
+   * @param {number} usage.quantity
+   * @param {string} [usage.workClass] - WORK_CLASS.LIVE or WORK_CLASS.BATCH
+   */
+  async record({ tenantId, provider, unit, quantity, workClass = WORK_CLASS.BATCH }) {
+    if (!tenantId || !(quantity > 0)) return null;
+
+    try {
+      const now = new Date();
+      const hour = hourStart(now);
+      const cost = this.price(provider, unit, quantity);
+
+      await getTenantCollection(tenantId, 'usage_ledger').updateOne(
+        { hour, provider, unit },
+        {
+          $inc: { quantity, cost_usd: cost, [`by_work_class.${workClass}`]: quantity, events: 1 },
+          $set: { updated_at: now },
+          $setOnInsert: { tenant_id: tenantId, hour, provider, unit, price_table_version: this.priceTable.version, created_at: now }
+        },
+        { upsert: true }
+      );
+
+      const totals = await getTenantCollection(tenantId, 'usage_hours').findOneAndUpdate(
+        { hour },
+        {
+          $inc: { cost_usd: cost, [`units.${unit}`]: quantity },
+          $set: { updated_at: now },
+          $setOnInsert: { tenant_id: tenantId, hour, alerts: [], created_at: now }
+        },
+        { upsert: true, returnDocument: 'after', projection: { _id: 0 } }
+      );
+
+      logger.costEvent('usage_recorded', {
+        tenantId,
+        provider,
+        unit,
+        quantity,
+        costUsd: cost,
+        hourCostUsd: totals.cost_usd,
+        workClass
+      });
+
+      await this.checkThresholds(tenantId, totals, cost);
+      return { cost_usd: cost, hour_cost_usd: totals.cost_usd };
+
+    } catch (error) {
+      logger.logError(error, { context: 'metering', tenantId, provider, unit, quantity });
+      return null;
+    }
+  }
+
+  /**
+   * Raise an alert when this write moved the hourly total across the
+   * alert threshold or the cap. Only the writer that crossed a line sees
+   * `previous < limit <= total`, so each alert is raised once.
+   */
+  async checkThresholds(tenantId, totals, cost) {
+    if (!config.BILLING_ALERTS_ENABLED) return;
+
+    const previous = totals.cost_usd - cost;
+    const limits = [
+      [ALERT_KIND.THRESHOLD, config.COST_ALERT_THRESHOLD_USD],
+      [ALERT_KIND.CAP, config.MAX_COST_PER_HOUR_USD]
+    ];
+
+    for (const [kind, limit] of limits) {
+      if (limit > 0 && previous < limit && totals.cost_usd >= limit) {
+        await this.raiseAlert(tenantId, totals.hour, { kind, limit, costUsd: totals.cost_usd });
+      }
+    }
+  }
+
+  /**
+   * Log, store and (optionally) deliver a billing alert
+   */
+  async raiseAlert(tenantId, hour, { kind, limit, costUsd }) {
+    const alert = {
+      kind,
+      limit_usd: limit,
+      cost_usd: costUsd,
+      throttling: kind === ALERT_KIND.CAP && config.AUTO_THROTTLE_ENABLED,
+      raised_at: new Date()
+    };
+
+    logger.costEvent(kind === ALERT_KIND.CAP ? 'hourly_cap_reached' : 'cost_alert_threshold_reached', {
+      tenantId,
+      hour,
+      limitUsd: limit,
+      costUsd,
+      throttling: alert.throttling
+    });
+
+    await getTenantCollection(tenantId, 'usage_hours').updateOne(
+      { hour },
+      { $push: { alerts: alert } }
+    );
+
+    if (config.BILLING_ALERT_WEBHOOK_URL) {
+      await this.deliverAlert({ tenant_id: tenantId, hour, ...alert });
+    }
+  }
+
+  /**
+   * POST an alert to BILLING_ALERT_WEBHOOK_URL
+   */
+  async deliverAlert(payload) {
+    try {
+      const response = await fetch(config.BILLING_ALERT_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ event: 'billing.alert', ...payload }),
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    } catch (error) {
+      logger.warn('Billing alert delivery failed', { tenantId: payload.tenant_id, kind: payload.kind, error: error.message });
+    }
+  }
+
+  /**
+   * Current-hour spend and throttle state for a tenant
+   */
+  async getBudget(tenantId, now = new Date()) {
+    const hour = hourStart(now);
+    const totals = await getTenantCollection(tenantId, 'usage_hours').findOne(
+      { hour },
+      { projection: { _id: 0, cost_usd: 1, units: 1, alerts: 1 } }
+    );
+
+    const spent = totals?.cost_usd ?? 0;
+    const cap = config.MAX_COST_PER_HOUR_USD;
+    const throttled = config.AUTO_THROTTLE_ENABLED && cap > 0 && spent >= cap;
+
+    return {
+      hour,
+      cost_usd: spent,
+      units: totals?.units ?? {},
+      alert_threshold_usd: config.COST_ALERT_THRESHOLD_USD,
+      max_cost_per_hour_usd: cap,
+      throttled,
+      retry_after_seconds: throttled ? Math.ceil((hour.getTime() + HOUR_MS - now.getTime()) / 1000) : null,
+      alerts: totals?.alerts ?? []
+    };
+  }
+
+  /**
+   * Refuse non-live work while the tenant is over its hourly cap
+   */
+  async assertBudget(tenantId, workClass = WORK_CLASS.BATCH) {
+    if (workClass === WORK_CLASS.LIVE || !config.AUTO_THROTTLE_ENABLED) return;
+
+    const budget = await this.getBudget(tenantId);
+    if (budget.throttled) {
+      logger.costEvent('work_throttled', { tenantId, costUsd: budget.cost_usd, workClass });
+      throw new BudgetExceededError('Hourly cost budget exceeded; retry next hour', {
+        cost_usd: budget.cost_usd,
+        max_cost_per_hour_usd: budget.max_cost_per_hour_usd,
+        retry_after_seconds: budget.retry_after_seconds
+      });
+    }
+  }
+
+  /**
+   * Ledger lines for a tenant in [from, to), oldest first
+   */
+  async listUsage(tenantId, { from, to, provider, unit } = {}) {
+    const filter = {};
+    if (provider) filter.provider = provider;
+    if (unit) filter.unit = unit;
+    if (from || to) {
+      filter.hour = { ...(from && { $gte: hourStart(new Date(from)) }), ...(to && { $lt: new Date(to) }) };
+    }
+
+    return getTenantCollection(tenantId, 'usage_ledger')
+      .find(filter, { projection: { _id: 0 } })
+      .sort({ hour: 1, provider: 1, unit: 1 })
+      .toArray();
+  }
+
+  getStatus() {
+    return {
+      priceTableVersion: this.priceTable?.version ?? null,
+      autoThrottle: config.AUTO_THROTTLE_ENABLED,
+      alerts: config.BILLING_ALERTS_ENABLED
+    };
+  }
+}
+
+// Create singleton instance
+const meteringService = new MeteringService();
+
+export { meteringService as MeteringService };
+export default meteringService;
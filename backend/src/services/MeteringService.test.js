@@ -0,0 +1,164 @@
+/**
+ * AI Audio KB - Cost Metering Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { config } from '../config/index.js';
+import { BudgetExceededError } from '../utils/errors.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { ALERT_KIND, MeteringService, USAGE_UNIT, WORK_CLASS, estimateTokens, hourStart } from './MeteringService.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+
+const CONFIG_KEYS = ['MAX_COST_PER_HOUR_USD', 'COST_ALERT_THRESHOLD_USD', 'AUTO_THROTTLE_ENABLED', 'BILLING_ALERTS_ENABLED', 'BILLING_ALERT_WEBHOOK_URL'];
+
+const PRICE_TABLE = {
+  version: 'test',
+  currency: 'USD',
+  providers: {
+    deepgram: { asr_minutes: { usd: 0.25, per: 1 } },
+    voyage: { embedding_tokens: { usd: 0.06, per: 1000000 } }
+  }
+};
+
+describe('hourStart', () => {
+  it('truncates to the UTC hour', () => {
+    expect(hourStart(new Date('2026-03-01T10:42:17Z'))).toEqual(new Date('2026-03-01T10:00:00Z'));
+  });
+});
+
+describe('estimateTokens', () => {
+  it('counts roughly four characters per token', () => {
+    expect(estimateTokens(['abcd', 'abcde', null])).toBe(3);
+  });
+});
+
+describe('MeteringService', () => {
+  let saved;
+  let collections;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(CONFIG_KEYS.map(key => [key, config[key]]));
+    Object.assign(config, {
+      MAX_COST_PER_HOUR_USD: 1,
+      COST_ALERT_THRESHOLD_USD: 0.5,
+      AUTO_THROTTLE_ENABLED: true,
+      BILLING_ALERTS_ENABLED: true,
+      BILLING_ALERT_WEBHOOK_URL: undefined
+    });
+    MeteringService.priceTable = PRICE_TABLE;
+    MeteringService.unpriced.clear();
+
+    collections = { usage_ledger: createCollection(), usage_hours: createCollection() };
+    jest.spyOn(ResidencyRouter, 'getCollection').mockImplementation((tenantId, name) => collections[name]);
+  });
+
+  afterEach(() => {
+    Object.assign(config, saved);
+    MeteringService.priceTable = null;
+    jest.restoreAllMocks();
+  });
+
+  const minutes = (quantity, workClass) => MeteringService.record({
+    tenantId: 'tenant-a',
+    provider: 'deepgram',
+    unit: USAGE_UNIT.ASR_MINUTES,
+    quantity,
+    workClass
+  });
+
+  describe('price', () => {
+    it('prices per unit block', () => {
+      expect(MeteringService.price('voyage', USAGE_UNIT.EMBEDDING_TOKENS, 500000)).toBeCloseTo(0.03);
+    });
+
+    it('prices unknown usage at zero', () => {
+      expect(MeteringService.price('acme', USAGE_UNIT.RERANK_CALLS, 10)).toBe(0);
+      expect(MeteringService.unpriced.has('acme:rerank_calls')).toBe(true);
+    });
+
+    it('loads the shipped price table', () => {
+      MeteringService.priceTable = null;
+
+      expect(MeteringService.price('deepgram', USAGE_UNIT.ASR_MINUTES, 10)).toBeCloseTo(0.043);
+    });
+  });
+
+  describe('record', () => {
+    it('adds usage to the hourly ledger line and tenant total', async () => {
+      await minutes(1, WORK_CLASS.LIVE);
+      const result = await minutes(0.5);
+
+      expect(result).toEqual({ cost_usd: 0.125, hour_cost_usd: 0.375 });
+      expect(collections.usage_ledger.docs).toEqual([expect.objectContaining({
+        tenant_id: 'tenant-a',
+        provider: 'deepgram',
+        unit: 'asr_minutes',
+        quantity: 1.5,
+        events: 2,
+        by_work_class: { live: 1, batch: 0.5 },
+        price_table_version: 'test'
+      })]);
+      expect(collections.usage_hours.docs[0]).toMatchObject({ cost_usd: 0.375, units: { asr_minutes: 1.5 } });
+    });
+
+    it('ignores empty usage', async () => {
+      expect(await minutes(0)).toBeNull();
+      expect(collections.usage_ledger.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('never throws', async () => {
+      collections.usage_ledger.updateOne.mockRejectedValue(new Error('ledger unavailable'));
+
+      await expect(minutes(1)).resolves.toBeNull();
+    });
+  });
+
+  describe('alerts', () => {
+    it('raises each alert once, when its line is crossed', async () => {
+      await minutes(1);
+      await minutes(1);
+      await minutes(2);
+      await minutes(1);
+
+      expect(collections.usage_hours.docs[0].alerts.map(alert => [alert.kind, alert.cost_usd, alert.throttling])).toEqual([
+        [ALERT_KIND.THRESHOLD, 0.5, false],
+        [ALERT_KIND.CAP, 1, true]
+      ]);
+    });
+
+    it('raises nothing when alerts are disabled', async () => {
+      config.BILLING_ALERTS_ENABLED = false;
+
+      await minutes(8);
+
+      expect(collections.usage_hours.docs[0].alerts).toEqual([]);
+    });
+  });
+
+  describe('assertBudget', () => {
+    it('throttles batch work over the hourly cap until the next hour', async () => {
+      await minutes(4);
+
+      const error = await MeteringService.assertBudget('tenant-a').catch(failure => failure);
+
+      expect(error).toBeInstanceOf(BudgetExceededError);
+      expect(error.retryAfter).toBeGreaterThan(0);
+      expect(error.retryAfter).toBeLessThanOrEqual(3600);
+    });
+
+    it('never throttles live work', async () => {
+      await minutes(4);
+
+      await expect(MeteringService.assertBudget('tenant-a', WORK_CLASS.LIVE)).resolves.toBeUndefined();
+    });
+
+    it('lets batch work through under the cap or with throttling off', async () => {
+      await minutes(3);
+      await expect(MeteringService.assertBudget('tenant-a')).resolves.toBeUndefined();
+
+      await minutes(1);
+      config.AUTO_THROTTLE_ENABLED = false;
+      await expect(MeteringService.assertBudget('tenant-a')).resolves.toBeUndefined();
+    });
+  });
+});
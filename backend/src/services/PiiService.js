@@ -0,0 +1,208 @@
+/**
+ * AI Audio KB - PII Detection & Redaction
+ *
+ * Runs after transcription: pattern detectors (plus any registered NER
+ * detectors) locate PII spans in the transcript, and when the segment's
+ * region policy sets `pii_masking` the spans are replaced with type
+ * placeholders ("[CREDIT_CARD]") in `transcript.textRedacted`. Without
+ * masking, `textRedacted` equals the original text; it is encrypted with
+ * it unless the scan found no PII (see isIndexSafe).
+ *
+ * Search and embeddings only ever use `textRedacted`; the original text and
+ * words are returned to PII_PRIVILEGED_ROLES only. Entity spans are stored
+ * as offsets into the original text, never as values.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { PATTERN_DETECTORS, PII_TYPE } from './pii/detectors.js';
+
+const REDACTED_WORD = '[REDACTED]';
+
+/**
+ * Whether two [start, end) spans overlap
+ */
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+class PiiService {
+  constructor() {
+    this.detectors = [...PATTERN_DETECTORS];
+  }
+
+  /**
+   * Load the NER detector module configured in PII_NER_MODULE
+   */
+  async initialize() {
+    if (config.PII_NER_MODULE) {
+      const modulePath = path.resolve(config.PII_NER_MODULE);
+      const { default: detector } = await import(pathToFileURL(modulePath).href);
+      this.registerDetector(typeof detector === 'function' ? await detector({ config, logger }) : detector);
+    }
+
+    logger.startup('PiiService', {
+      enabled: config.PII_DETECTION_ENABLED,
+      detectors: this.detectors.map(detector => detector.name),
+      privilegedRoles: config.PII_PRIVILEGED_ROLES
+    });
+  }
+
+  /**
+   * Add a detector, e.g. an NER model: `{ name, detect(text, context) }`
+   * where detect returns (a promise of) `{ type, start, end, confidence }`
+   * entities. Registered detectors rank below the pattern detectors when
+   * spans overlap.
+   */
+  registerDetector(detector) {
+    if (!detector?.name || typeof detector.detect !== 'function') {
+      throw new Error('A PII detector needs a name and a detect(text) function');
+    }
+    this.detectors.push(detector);
+  }
+
+  /**
+   * Detect PII spans, resolving overlaps by detector precedence and then
+   * by span length. Returns entities sorted by offset.
+   */
+  async detect(text, context = {}) {
+    if (!text) return [];
+
+    const candidates = [];
+    for (const [rank, detector] of this.detectors.entries()) {
+      try {
+        const entities = await detector.detect(text, context);
+        for (const entity of entities) {
+          candidates.push({ rank, entity: { detector: detector.name, ...entity } });
+        }
+      } catch (error) {
+        logger.error('PII detector failed', { detector: detector.name, error: error.message });
+      }
+    }
+
+    candidates.sort((a, b) => a.rank - b.rank || (b.entity.end - b.entity.start) - (a.entity.end - a.entity.start));
+
+    const accepted = [];
+    for (const { entity } of candidates) {
+      if (entity.end > entity.start && !accepted.some(other => overlaps(entity, other))) {
+        accepted.push({
+          type: entity.type,
+          start: entity.start,
+          end: entity.end,
+          detector: entity.detector,
+          confidence: entity.confidence ?? null
+        });
+      }
+    }
+
+    return accepted.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Replace entity spans with type placeholders
+   */
+  redact(text, entities) {
+    let redacted = '';
+    let cursor = 0;
+    for (const entity of entities) {
+      redacted += `${text.slice(cursor, entity.start)}[${entity.type}]`;
+      cursor = entity.end;
+    }
+    return redacted + text.slice(cursor);
+  }
+
+  /**
+   * Redaction stage for a normalized transcript. `policy` is the resolved
+   * region policy of the segment.
+   *
+   * @returns {{ transcript: object, sensitive: object }} transcript with
+   *   `textRedacted`, and the `sensitive` summary stored on the segment
+   */
+  async process(transcript, policy, context = {}) {
+    const text = transcript.text || '';
+    const entities = config.PII_DETECTION_ENABLED
+      ? await this.detect(text, { ...context, language: transcript.language })
+      : [];
+    const masked = Boolean(policy?.pii_masking) && entities.length > 0;
+
+    if (entities.length > 0) {
+      logger.securityEvent('pii_detected', {
+        ...context,
+        region: policy?.region,
+        masked,
+        types: [...new Set(entities.map(entity => entity.type))]
+      });
+    }
+
+    return {
+      transcript: { ...transcript, textRedacted: masked ? this.redact(text, entities) : text },
+      sensitive: {
+        scanned: config.PII_DETECTION_ENABLED,
+        piiDetected: entities.length > 0,
+        masked,
+        entities,
+        detected_at: new Date()
+      }
+    };
+  }
+
+  /**
+   * Whether `textRedacted` holds no detected PII and may be stored readable
+   * for the text index: it was masked, or scanned and nothing was found.
+   * Unmasked text with PII in it (regions without `pii_masking`) is not.
+   */
+  isIndexSafe(sensitive) {
+    return Boolean(sensitive?.masked || (sensitive?.scanned && !sensitive.piiDetected));
+  }
+
+  /**
+   * Whether a user may read original (unredacted) transcripts
+   */
+  canReadOriginal(user) {
+    return Boolean(user?.role) && config.PII_PRIVILEGED_ROLES.includes(user.role);
+  }
+
+  /**
+   * Transcript as a user may see it: the original for privileged roles,
+   * otherwise the redacted text with words inside PII spans masked
+   */
+  viewTranscript(transcript, sensitive, user) {
+    if (!transcript || !sensitive?.masked || this.canReadOriginal(user)) {
+      return transcript;
+    }
+
+    return {
+      ...transcript,
+      text: transcript.textRedacted,
+      words: this.maskWords(transcript.text, transcript.words || [], sensitive.entities)
+    };
+  }
+
+  /**
+   * Align words to the original text and mask those inside an entity span.
+   * Words that cannot be aligned are masked as well (fail closed).
+   */
+  maskWords(text, words, entities) {
+    const haystack = text.toLowerCase();
+    let cursor = 0;
+
+    return words.map(word => {
+      const start = haystack.indexOf(word.word.toLowerCase(), cursor);
+      if (start === -1) {
+        return { ...word, word: REDACTED_WORD };
+      }
+
+      const span = { start, end: start + word.word.length };
+      cursor = span.end;
+
+      const entity = entities.find(candidate => overlaps(span, candidate));
+      return entity ? { ...word, word: `[${entity.type}]` } : word;
+    });
+  }
+}
+
+// Create singleton instance
+const piiService = new PiiService();
+
+export { piiService as PiiService, PII_TYPE };
+export default piiService;
@@ -0,0 +1,123 @@
+/**
+ * AI Audio KB - PII Detection & Redaction tests
+ */
+
+import { PII_TYPE, PiiService } from './PiiService.js';
+
+const MASKING = { region: 'EU-DE', pii_masking: true };
+const NO_MASKING = { region: 'US-CA', pii_masking: false };
+
+const types = entities => entities.map(entity => entity.type);
+
+describe('PiiService', () => {
+  describe('detect', () => {
+    it('finds written cards, SSNs, emails and phone numbers', async () => {
+      const text = 'card 4111 1111 1111 1111, my social security number is 123-45-6789, mail jane.doe@example.com or call (415) 555-1234';
+
+      const entities = await PiiService.detect(text);
+
+      expect(types(entities)).toEqual([PII_TYPE.CREDIT_CARD, PII_TYPE.SSN, PII_TYPE.EMAIL, PII_TYPE.PHONE_NUMBER]);
+      expect(text.slice(entities[3].start, entities[3].end)).toBe('(415) 555-1234');
+    });
+
+    it('finds spoken numbers and addresses', async () => {
+      const text = 'call me on four one five five five five one two three four or write to jane at example dot com, 221 baker street';
+
+      const entities = await PiiService.detect(text);
+
+      expect(types(entities)).toEqual([PII_TYPE.PHONE_NUMBER, PII_TYPE.EMAIL, PII_TYPE.ADDRESS]);
+      expect(text.slice(entities[1].start, entities[1].end)).toBe('jane at example dot com');
+    });
+
+    it('ignores digit runs that fail the card checksum', async () => {
+      expect(await PiiService.detect('order 4111 1111 1111 1112 shipped')).toEqual([]);
+    });
+  });
+
+  describe('registered detectors', () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = [...PiiService.detectors];
+    });
+
+    afterEach(() => {
+      PiiService.detectors = saved;
+    });
+
+    it('rank below the pattern detectors on overlapping spans', async () => {
+      PiiService.registerDetector({
+        name: 'ner',
+        detect: text => [
+          { type: 'PERSON', start: text.indexOf('Dana'), end: text.indexOf('Dana') + 4 },
+          { type: 'ORG', start: 0, end: 10 }
+        ]
+      });
+
+      const entities = await PiiService.detect('4111111111111111 for Dana');
+
+      expect(entities.map(({ type, detector }) => [type, detector])).toEqual([['CREDIT_CARD', 'card'], ['PERSON', 'ner']]);
+    });
+
+    it('are skipped when they fail', async () => {
+      PiiService.registerDetector({ name: 'ner', detect: () => { throw new Error('model offline'); } });
+
+      expect(types(await PiiService.detect('call 415 555 1234'))).toEqual([PII_TYPE.PHONE_NUMBER]);
+    });
+
+    it('need a name and a detect function', () => {
+      expect(() => PiiService.registerDetector({ name: 'ner' })).toThrow('A PII detector needs a name');
+    });
+  });
+
+  describe('process', () => {
+    const transcript = { text: 'my number is 415 555 1234 thanks', language: 'en' };
+
+    it('masks PII in textRedacted when the region requires it', async () => {
+      const { transcript: result, sensitive } = await PiiService.process(transcript, MASKING);
+
+      expect(result).toMatchObject({ text: transcript.text, textRedacted: 'my number is [PHONE_NUMBER] thanks' });
+      expect(sensitive).toMatchObject({ piiDetected: true, masked: true, entities: [{ type: 'PHONE_NUMBER', start: 13, end: 25 }] });
+    });
+
+    it('records detections without masking elsewhere', async () => {
+      const { transcript: result, sensitive } = await PiiService.process(transcript, NO_MASKING);
+
+      expect(result.textRedacted).toBe(transcript.text);
+      expect(sensitive).toMatchObject({ piiDetected: true, masked: false });
+    });
+  });
+
+  describe('isIndexSafe', () => {
+    it('accepts masked text and text scanned without findings', async () => {
+      expect(PiiService.isIndexSafe((await PiiService.process({ text: 'my number is 415 555 1234' }, MASKING)).sensitive)).toBe(true);
+      expect(PiiService.isIndexSafe((await PiiService.process({ text: 'see you tomorrow' }, NO_MASKING)).sensitive)).toBe(true);
+    });
+
+    it('refuses unmasked PII and text that was never scanned', async () => {
+      expect(PiiService.isIndexSafe((await PiiService.process({ text: 'my number is 415 555 1234' }, NO_MASKING)).sensitive)).toBe(false);
+      expect(PiiService.isIndexSafe({ scanned: false, piiDetected: false, masked: false })).toBe(false);
+      expect(PiiService.isIndexSafe(undefined)).toBe(false);
+    });
+  });
+
+  describe('viewTranscript', () => {
+    const transcript = {
+      text: 'call 415 555 1234 now',
+      textRedacted: 'call [PHONE_NUMBER] now',
+      words: ['call', '415', '555', '1234', 'now'].map(word => ({ word }))
+    };
+    const sensitive = { masked: true, entities: [{ type: 'PHONE_NUMBER', start: 5, end: 17 }] };
+
+    it('shows privileged roles the original transcript', () => {
+      expect(PiiService.viewTranscript(transcript, sensitive, { role: 'compliance' })).toBe(transcript);
+    });
+
+    it('shows everyone else the redacted text and masked words', () => {
+      const view = PiiService.viewTranscript(transcript, sensitive, { role: 'agent' });
+
+      expect(view.text).toBe('call [PHONE_NUMBER] now');
+      expect(view.words.map(word => word.word)).toEqual(['call', '[PHONE_NUMBER]', '[PHONE_NUMBER]', '[PHONE_NUMBER]', 'now']);
+    });
+  });
+});
@@ -0,0 +1,872 @@
+/**
+ * AI Audio KB - Segment Processing Pipeline
+ *
+ * Moves every ingested segment through durable Bull queues, one per stage:
+ * transcode -> transcribe -> redact -> diarize -> embed -> index. Each
+ * stage is retried JOB_RETRY_ATTEMPTS times with exponential backoff from
+ * JOB_RETRY_DELAY; a stage that still fails (or fails permanently) parks the
+ * segment in the dead-letter queue until it is replayed.
+ *
+ * Progress is mirrored on the segment as `pipeline`, written before work is
+ * queued, so a segment is never lost between upload and processing: jobs
+ * interrupted by a crash are recovered by Bull's stalled-job check, and
+ * segments that never reached Redis, or whose job was lost from it, are
+ * re-queued by the recovery sweep.
+ * Workers may serve a tenant before anything in their process has, so
+ * every job and recovery path loads the tenant's residency pin first; the
+ * sweep dead-letters segments of a tenant that has none.
+ * Batch work deferred by the hourly cost cap waits in its queue until the
+ * next hour instead of failing.
+ */
+
+import Queue from 'bull';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { createQueueClient, closeQueueConnections } from '../config/redis.js';
+import { AppError, BudgetExceededError, ConflictError, NotFoundError } from '../utils/errors.js';
+import { createSystemContext } from '../utils/tenantScope.js';
+import { indexText } from './asr/transcript.js';
+import { AuditService } from './AuditService.js';
+import { EncryptionService } from './EncryptionService.js';
+import { SpeakerService } from './SpeakerService.js';
+import { TranscodingService } from './TranscodingService.js';
+import { TranscriptionService } from './TranscriptionService.js';
+import { VectorService } from './VectorService.js';
+import { WORK_CLASS } from './MeteringService.js';
+import { ResidencyRouter, getTenantCollection } from './ResidencyRouter.js';
+
+export const PIPELINE_STAGES = ['transcode', 'transcribe', 'redact', 'diarize', 'embed', 'index'];
+
+export const PIPELINE_STATE = {
+  PENDING: 'pending',
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  RETRYING: 'retrying',
+  DEFERRED: 'deferred',
+  COMPLETED: 'completed',
+  SKIPPED: 'skipped',
+  DEAD_LETTERED: 'dead_lettered'
+};
+
+// States in which a stage job may (still) run
+const RUNNABLE_STATES = [
+  PIPELINE_STATE.PENDING,
+  PIPELINE_STATE.QUEUED,
+  PIPELINE_STATE.RUNNING,
+  PIPELINE_STATE.RETRYING,
+  PIPELINE_STATE.DEFERRED
+];
+
+const DEAD_LETTER_QUEUE = 'pipeline-dead-letter';
+
+// The recovery sweep reads pending segments across a whole zone
+const PIPELINE_CONTEXT = createSystemContext('pipeline-recovery');
+
+/**
+ * Client errors (bad or corrupt input) fail the same way on every attempt
+ */
+export function isRetryable(error) {
+  return !(error instanceof AppError) || error.statusCode >= 500;
+}
+
+class PipelineService {
+  constructor() {
+    this.queues = new Map();
+    this.auxiliary = new Map();
+    this.deadLetters = null;
+    this.workers = false;
+    this.recoveryTimer = null;
+    this.initialized = false;
+
+    this.handlers = {
+      transcode: data => this.transcodeSegment(data),
+      transcribe: data => this.transcribeSegment(data),
+      redact: data => this.redactSegment(data),
+      diarize: data => this.diarizeSegment(data),
+      embed: data => this.embedSegment(data),
+      index: data => this.indexSegment(data)
+    };
+  }
+
+  isEnabled() {
+    return config.FEATURE_BATCH_PROCESSING;
+  }
+
+  /**
+   * Open the stage queues and, with PIPELINE_WORKERS_ENABLED, start
+   * processing them
+   */
+  async initialize() {
+    if (!this.isEnabled()) {
+      logger.startup('PipelineService', { enabled: false });
+      return;
+    }
+
+    for (const stage of PIPELINE_STAGES) {
+      this.queues.set(stage, new Queue(`pipeline-${stage}`, this.getQueueOptions()));
+    }
+    // Dead letters have no processor; they wait to be replayed or inspected
+    this.deadLetters = new Queue(DEAD_LETTER_QUEUE, {
+      prefix: config.REDIS_QUEUE_PREFIX,
+      createClient: createQueueClient
+    });
+
+    if (config.PIPELINE_WORKERS_ENABLED) {
+      for (const [stage, queue] of this.queues) {
+        queue.process(config.QUEUE_CONCURRENCY, job => this.processJob(stage, job));
+        // Jobs that fail outside the processor (stalled past the limit)
+        queue.on('failed', (job, error) => {
+          this.handleFailed(stage, job, error).catch(failure => {
+            logger.logError(failure, { context: 'pipeline_failed_handler', stage, jobId: job.id });
+          });
+        });
+      }
+      this.workers = true;
+
+      this.recoveryTimer = setInterval(() => {
+        this.recover().catch(error => logger.logError(error, { job: 'pipeline_recovery' }));
+      }, config.PIPELINE_RECOVERY_INTERVAL_MS);
+      this.recoveryTimer.unref();
+    }
+
+    this.initialized = true;
+    if (this.workers) {
+      this.recover().catch(error => logger.logError(error, { job: 'pipeline_recovery' }));
+    }
+
+    logger.startup('PipelineService', {
+      enabled: true,
+      workers: this.workers,
+      stages: PIPELINE_STAGES,
+      concurrency: config.QUEUE_CONCURRENCY,
+      attempts: config.JOB_RETRY_ATTEMPTS,
+      backoffMs: config.JOB_RETRY_DELAY
+    });
+  }
+
+  /**
+   * Options shared by every work queue: retries with exponential backoff
+   */
+  getQueueOptions() {
+    return {
+      prefix: config.REDIS_QUEUE_PREFIX,
+      createClient: createQueueClient,
+      defaultJobOptions: {
+        attempts: config.JOB_RETRY_ATTEMPTS,
+        backoff: { type: 'exponential', delay: config.JOB_RETRY_DELAY },
+        removeOnComplete: true,
+        removeOnFail: 1000
+      }
+    };
+  }
+
+  /**
+   * Open an additional work queue closed and reported with the stage queues
+   */
+  createQueue(name) {
+    this.assertInitialized();
+
+    const queue = new Queue(name, this.getQueueOptions());
+    this.auxiliary.set(name, queue);
+    return queue;
+  }
+
+  /**
+   * Initial `pipeline` state for a new segment, or null when the pipeline
+   * is disabled
+   */
+  initialState(workClass = WORK_CLASS.BATCH, now = new Date()) {
+    if (!this.isEnabled()) return null;
+
+    return {
+      run: 1,
+      state: PIPELINE_STATE.PENDING,
+      stage: PIPELINE_STAGES[0],
+      work_class: workClass,
+      stages: {},
+      error: null,
+      dead_letter: null,
+      created_at: now,
+      updated_at: now
+    };
+  }
+
+  /**
+   * Queue a pending segment at its current stage. Never throws: a segment
+   * that could not be queued stays pending and is picked up by recovery.
+   */
+  async enqueueSegment(segment) {
+    const { tenant_id: tenantId, event_id: eventId, pipeline } = segment;
+    if (!this.initialized || pipeline?.state !== PIPELINE_STATE.PENDING) return false;
+
+    try {
+      if (!await ResidencyRouter.lookupTenantZone(tenantId)) return false;
+
+      await this.addStageJob(pipeline.stage, {
+        tenantId,
+        eventId,
+        run: pipeline.run,
+        workClass: pipeline.work_class
+      });
+
+      // A worker may already have claimed the job; only pending moves on
+      await getTenantCollection(tenantId, 'audio_events').updateOne(
+        { event_id: eventId, 'pipeline.run': pipeline.run, 'pipeline.state': PIPELINE_STATE.PENDING },
+        {
+          $set: {
+            'pipeline.state': PIPELINE_STATE.QUEUED,
+            [`pipeline.stages.${pipeline.stage}.state`]: PIPELINE_STATE.QUEUED,
+            'pipeline.updated_at': new Date()
+          }
+        }
+      );
+      return true;
+
+    } catch (error) {
+      logger.logError(error, { context: 'pipeline_enqueue', tenantId, eventId, stage: pipeline.stage });
+      return false;
+    }
+  }
+
+  /**
+   * Add a stage job. Job ids are derived from the segment, run and stage so
+   * re-queueing the same work is a no-op while the job exists.
+   */
+  async addStageJob(stage, data, { delay, suffix } = {}) {
+    const jobId = [data.eventId, data.run, stage, suffix].filter(Boolean).join(':');
+    return this.queues.get(stage).add(data, { jobId, ...(delay && { delay }) });
+  }
+
+  /**
+   * Run one stage for a segment, then hand it to the next stage
+   */
+  async processJob(stage, job) {
+    const { tenantId, eventId, run, workClass } = job.data;
+    const attempt = job.attemptsMade + 1;
+
+    // Without a pin the segment's zone is unknown; recovery dead-letters it
+    if (!await ResidencyRouter.lookupTenantZone(tenantId)) {
+      logger.jobEvent('stage_skipped', { stage, tenantId, eventId, run, jobId: job.id, reason: 'residency_unassigned' });
+      return { skipped: true };
+    }
+    const audioEvents = getTenantCollection(tenantId, 'audio_events');
+
+    const claimed = await audioEvents.updateOne(
+      {
+        event_id: eventId,
+        'pipeline.run': run,
+        'pipeline.stage': stage,
+        'pipeline.state': { $in: RUNNABLE_STATES }
+      },
+      {
+        $set: {
+          'pipeline.state': PIPELINE_STATE.RUNNING,
+          [`pipeline.stages.${stage}.state`]: PIPELINE_STATE.RUNNING,
+          [`pipeline.stages.${stage}.attempts`]: attempt,
+          [`pipeline.stages.${stage}.started_at`]: new Date(),
+          'pipeline.updated_at': new Date()
+        }
+      }
+    );
+
+    if (!claimed.matchedCount) {
+      // A retry of a stage that completed but could not queue the next one
+      if (await this.requeueNext(stage, job.data)) {
+        return { requeued: true };
+      }
+      // Deleted, replayed or already past this stage
+      logger.jobEvent('stage_skipped', { stage, tenantId, eventId, run, jobId: job.id });
+      return { skipped: true };
+    }
+
+    const timer = logger.timeStart(`pipeline:${stage}`);
+    let outcome;
+    try {
+      outcome = (await this.handlers[stage]({ tenantId, eventId, run, workClass })) ?? {};
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        logger.jobEvent('segment_gone', { stage, tenantId, eventId });
+        return { skipped: true };
+      }
+
+      if (error instanceof BudgetExceededError) {
+        await this.defer(stage, job, error);
+        return { deferred: true };
+      }
+
+      const final = !isRetryable(error) || attempt >= (job.opts.attempts ?? 1);
+      if (final) {
+        job.discard();
+        await this.deadLetter(stage, job, error);
+      } else {
+        await this.setStageState(tenantId, eventId, run, stage, PIPELINE_STATE.RETRYING, {
+          'pipeline.error': { stage, message: error.message, code: error.code ?? null, attempt }
+        });
+        logger.jobEvent('stage_retrying', { stage, tenantId, eventId, attempt, error: error.message });
+      }
+      throw error;
+    }
+
+    timer.end({ stage, eventId });
+    await this.advance(stage, job.data, outcome);
+    return outcome;
+  }
+
+  /**
+   * Record a completed stage and queue the next one
+   */
+  async advance(stage, data, outcome) {
+    const { tenantId, eventId, run, workClass } = data;
+    const index = PIPELINE_STAGES.indexOf(stage);
+    const rest = outcome.complete ? PIPELINE_STAGES.slice(index + 1) : [];
+    const next = outcome.complete ? null : PIPELINE_STAGES[index + 1] ?? null;
+    const now = new Date();
+
+    const fields = {
+      [`pipeline.stages.${stage}.state`]: PIPELINE_STATE.COMPLETED,
+      [`pipeline.stages.${stage}.completed_at`]: now,
+      [`pipeline.stages.${stage}.result`]: outcome.result ?? null,
+      'pipeline.error': null,
+      'pipeline.updated_at': now
+    };
+    for (const skipped of rest) {
+      fields[`pipeline.stages.${skipped}.state`] = PIPELINE_STATE.SKIPPED;
+    }
+
+    if (next) {
+      fields['pipeline.stage'] = next;
+      fields['pipeline.state'] = PIPELINE_STATE.QUEUED;
+      fields[`pipeline.stages.${next}.state`] = PIPELINE_STATE.QUEUED;
+    } else {
+      fields['pipeline.state'] = PIPELINE_STATE.COMPLETED;
+      fields['pipeline.completed_at'] = now;
+    }
+
+    await getTenantCollection(tenantId, 'audio_events').updateOne(
+      { event_id: eventId, 'pipeline.run': run, 'pipeline.stage': stage },
+      { $set: fields }
+    );
+
+    // The segment moves to the next stage before its job is added, so that
+    // job's claim always finds it. If adding fails, this job's retry finds
+    // the next stage still queued and adds it again (requeueNext); after the
+    // last attempt the recovery sweep re-queues the stale segment.
+    if (next) {
+      await this.addStageJob(next, { tenantId, eventId, run, workClass });
+    } else {
+      logger.jobEvent('pipeline_completed', { tenantId, eventId, run });
+    }
+  }
+
+  /**
+   * Add the job for the stage after `stage` when the segment was advanced
+   * to it but the job may never have been added. Job ids make this a no-op
+   * while the job exists; a job that already claimed the stage has moved
+   * it out of queued.
+   */
+  async requeueNext(stage, { tenantId, eventId, run, workClass }) {
+    const next = PIPELINE_STAGES[PIPELINE_STAGES.indexOf(stage) + 1];
+    if (!next) return false;
+
+    const segment = await getTenantCollection(tenantId, 'audio_events').findOne(
+      {
+        event_id: eventId,
+        'pipeline.run': run,
+        'pipeline.stage': next,
+        'pipeline.state': PIPELINE_STATE.QUEUED,
+        [`pipeline.stages.${stage}.state`]: PIPELINE_STATE.COMPLETED
+      },
+      { projection: { _id: 0, event_id: 1 } }
+    );
+    if (!segment) return false;
+
+    await this.addStageJob(next, { tenantId, eventId, run, workClass });
+    logger.jobEvent('next_stage_requeued', { stage: next, tenantId, eventId, run });
+    return true;
+  }
+
+  /**
+   * Park over-budget batch work until the tenant's next hour
+   */
+  async defer(stage, job, error) {
+    const { tenantId, eventId, run } = job.data;
+    const delay = Math.max(1, error.retryAfter ?? 60) * 1000;
+    const resumeAt = new Date(Date.now() + delay);
+
+    await this.setStageState(tenantId, eventId, run, stage, PIPELINE_STATE.DEFERRED, {
+      'pipeline.resume_at': resumeAt
+    });
+    await this.addStageJob(stage, job.data, { delay, suffix: `deferred-${resumeAt.getTime()}` });
+
+    logger.jobEvent('stage_deferred', { stage, tenantId, eventId, resumeAt });
+  }
+
+  /**
+   * Move a terminally failed stage job to the dead-letter queue. Keyed by
+   * segment and run, so recording the same failure twice is harmless.
+   */
+  async deadLetter(stage, job, error) {
+    const { tenantId, eventId, run, workClass } = job.data;
+    const failedAt = new Date();
+    const entry = {
+      job_id: `${eventId}:${run}`,
+      stage,
+      source_job_id: job.id,
+      attempts: job.attemptsMade + 1,
+      error: { message: error.message, code: error.code ?? null },
+      failed_at: failedAt
+    };
+
+    await this.deadLetters.add(
+      { tenantId, eventId, run, workClass, ...entry },
+      { jobId: entry.job_id, removeOnComplete: true }
+    );
+    await this.setStageState(tenantId, eventId, run, stage, PIPELINE_STATE.DEAD_LETTERED, {
+      'pipeline.error': { stage, ...entry.error, attempt: entry.attempts },
+      'pipeline.dead_letter': entry
+    });
+
+    logger.jobEvent('dead_lettered', { stage, tenantId, eventId, run, attempts: entry.attempts, error: error.message });
+  }
+
+  /**
+   * Dead-letter jobs Bull failed without running the processor's error
+   * path, e.g. jobs that stalled more often than allowed. The processor
+   * always leaves a failing stage retrying or dead-lettered, so a stage
+   * still marked running was failed by Bull itself.
+   */
+  async handleFailed(stage, job, error) {
+    if (!job.data?.eventId || !await ResidencyRouter.lookupTenantZone(job.data.tenantId)) return;
+
+    const segment = await getTenantCollection(job.data.tenantId, 'audio_events').findOne(
+      { event_id: job.data.eventId, 'pipeline.run': job.data.run, 'pipeline.stage': stage },
+      { projection: { _id: 0, 'pipeline.state': 1 } }
+    );
+    if (segment?.pipeline.state === PIPELINE_STATE.RUNNING) {
+      await this.deadLetter(stage, job, error);
+    }
+  }
+
+  /**
+   * Set the overall and per-stage state of the current run
+   */
+  async setStageState(tenantId, eventId, run, stage, state, extra = {}) {
+    await getTenantCollection(tenantId, 'audio_events').updateOne(
+      { event_id: eventId, 'pipeline.run': run, 'pipeline.stage': stage },
+      {
+        $set: {
+          'pipeline.state': state,
+          [`pipeline.stages.${stage}.state`]: state,
+          'pipeline.updated_at': new Date(),
+          ...extra
+        }
+      }
+    );
+  }
+
+  /**
+   * Transcode stage: verify the stored audio and convert it for ASR
+   */
+  async transcodeSegment({ tenantId, eventId }) {
+    const { transcoded, codec, durationMs } = await TranscodingService.transcodeSegment(tenantId, eventId);
+    return { result: transcoded ? `${codec}:${durationMs}ms` : 'passthrough' };
+  }
+
+  /**
+   * Transcribe stage. Outcomes are kept short: Bull stores them in Redis.
+   */
+  async transcribeSegment({ tenantId, eventId, workClass }) {
+    const raw = await TranscriptionService.recognizeSegment(tenantId, eventId, { workClass });
+    return { result: `${raw.provider}:${raw.model}` };
+  }
+
+  /**
+   * Redact stage
+   */
+  async redactSegment({ tenantId, eventId }) {
+    const { sensitive } = await TranscriptionService.redactSegment(tenantId, eventId);
+    return { result: sensitive?.masked ? 'masked' : 'unmasked' };
+  }
+
+  /**
+   * Diarize stage: map the segment's speakers onto session speakers
+   */
+  async diarizeSegment({ tenantId, eventId }) {
+    const { ids } = await SpeakerService.reconcileSegment(tenantId, eventId);
+    return { result: ids.length ? ids.join(',') : 'undiarized' };
+  }
+
+  /**
+   * Embed stage: segments without speech finish the pipeline here
+   */
+  async embedSegment({ tenantId, eventId, workClass }) {
+    const segment = await getTenantCollection(tenantId, 'audio_events').findOne(
+      { event_id: eventId },
+      { projection: { _id: 0, transcript: 1 } }
+    );
+    if (!segment) {
+      throw new NotFoundError('Segment not found', { eventId });
+    }
+    if (!indexText(await EncryptionService.openTranscript(tenantId, segment.transcript))) {
+      return { result: 'no_speech', complete: true };
+    }
+
+    const embedding = await VectorService.embedSegment(tenantId, eventId, { workClass });
+    return { result: `${embedding.provider}:${embedding.model}` };
+  }
+
+  /**
+   * Index stage: mark a fully processed segment as searchable
+   */
+  async indexSegment({ tenantId, eventId }) {
+    const audioEvents = getTenantCollection(tenantId, 'audio_events');
+    const segment = await audioEvents.findOne(
+      { event_id: eventId },
+      { projection: { _id: 0, 'embedding.dimensions': 1 } }
+    );
+    if (!segment) {
+      throw new NotFoundError('Segment not found', { eventId });
+    }
+    if (!segment.embedding?.dimensions) {
+      throw new AppError('Segment has no embedding to index', {
+        statusCode: 409,
+        code: 'SEGMENT_NOT_EMBEDDED',
+        details: { eventId }
+      });
+    }
+
+    const now = new Date();
+    await audioEvents.updateOne(
+      { event_id: eventId },
+      { $set: { status: 'indexed', indexed_at: now, updated_at: now } }
+    );
+    return { result: 'indexed' };
+  }
+
+  /**
+   * Pipeline state of one segment
+   */
+  async getSegmentState(tenantId, eventId) {
+    const segment = await getTenantCollection(tenantId, 'audio_events').findOne(
+      { event_id: eventId },
+      { projection: { _id: 0, event_id: 1, session_id: 1, 'segment.idx': 1, status: 1, pipeline: 1 } }
+    );
+    if (!segment) {
+      throw new NotFoundError('Segment not found', { eventId });
+    }
+    return segment;
+  }
+
+  /**
+   * Pipeline state of every segment in a session, with counts per state
+   */
+  async getSessionState(tenantId, sessionId) {
+    const segments = await getTenantCollection(tenantId, 'audio_events')
+      .find(
+        { session_id: sessionId },
+        { projection: { _id: 0, event_id: 1, 'segment.idx': 1, status: 1, pipeline: 1 } }
+      )
+      .sort({ 'segment.idx': 1 })
+      .toArray();
+
+    const counts = {};
+    for (const { pipeline } of segments) {
+      const state = pipeline?.state ?? 'untracked';
+      counts[state] = (counts[state] || 0) + 1;
+    }
+
+    return { session_id: sessionId, counts, segments };
+  }
+
+  /**
+   * Dead-lettered segments of a tenant, most recent failure first
+   */
+  async listDeadLetters(tenantId, { stage, before, limit = 50 } = {}) {
+    const filter = { 'pipeline.state': PIPELINE_STATE.DEAD_LETTERED };
+    if (stage) filter['pipeline.dead_letter.stage'] = stage;
+    if (before) filter['pipeline.updated_at'] = { $lt: new Date(before) };
+
+    return getTenantCollection(tenantId, 'audio_events')
+      .find(filter, { projection: { _id: 0, event_id: 1, session_id: 1, 'segment.idx': 1, pipeline: 1 } })
+      .sort({ 'pipeline.updated_at': -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Replay a dead-lettered segment from the stage that failed, as a new run
+   */
+  async replay(tenantId, eventId, { actor } = {}) {
+    this.assertInitialized();
+
+    const audioEvents = getTenantCollection(tenantId, 'audio_events');
+    const segment = await audioEvents.findOne(
+      { event_id: eventId },
+      { projection: { _id: 0, event_id: 1, pipeline: 1 } }
+    );
+    if (!segment) {
+      throw new NotFoundError('Segment not found', { eventId });
+    }
+    if (segment.pipeline?.state !== PIPELINE_STATE.DEAD_LETTERED) {
+      throw new ConflictError('Segment is not dead-lettered', { eventId, state: segment.pipeline?.state ?? null });
+    }
+
+    const { run, dead_letter: deadLetter, work_class: workClass } = segment.pipeline;
+    const stage = deadLetter.stage;
+    const now = new Date();
+
+    // Conditional on the run so concurrent replays start it only once
+    const result = await audioEvents.updateOne(
+      { event_id: eventId, 'pipeline.run': run, 'pipeline.state': PIPELINE_STATE.DEAD_LETTERED },
+      {
+        $set: {
+          'pipeline.run': run + 1,
+          'pipeline.stage': stage,
+          'pipeline.state': PIPELINE_STATE.PENDING,
+          [`pipeline.stages.${stage}.state`]: PIPELINE_STATE.PENDING,
+          'pipeline.error': null,
+          'pipeline.dead_letter': null,
+          'pipeline.updated_at': now
+        },
+        $push: { 'pipeline.replays': { from_run: run, stage, actor: actor ?? null, replayed_at: now } }
+      }
+    );
+    if (!result.modifiedCount) {
+      throw new ConflictError('Segment is already being replayed', { eventId });
+    }
+
+    const job = await this.deadLetters.getJob(deadLetter.job_id);
+    await job?.remove();
+
+    await AuditService.record({
+      tenantId,
+      actor: actor ?? 'system:pipeline',
+      action: 'pipeline.replayed',
+      subject: `segment:${eventId}`,
+      metadata: { stage, from_run: run, error: deadLetter.error }
+    });
+    logger.jobEvent('replayed', { tenantId, eventId, stage, run: run + 1 });
+
+    await this.enqueueSegment({
+      tenant_id: tenantId,
+      event_id: eventId,
+      pipeline: { run: run + 1, stage, state: PIPELINE_STATE.PENDING, work_class: workClass }
+    });
+
+    return this.getSegmentState(tenantId, eventId);
+  }
+
+  /**
+   * Replay up to `limit` dead-lettered segments of a tenant
+   */
+  async replayDeadLetters(tenantId, { stage, limit = 50, actor } = {}) {
+    const entries = await this.listDeadLetters(tenantId, { stage, limit });
+    const report = { replayed: [], failed: [] };
+
+    for (const { event_id: eventId } of entries) {
+      try {
+        await this.replay(tenantId, eventId, { actor });
+        report.replayed.push(eventId);
+      } catch (error) {
+        report.failed.push({ event_id: eventId, error: error.message });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Re-queue segments left pending (e.g. Redis was unreachable at upload)
+   * for longer than one recovery interval, and queued or running segments
+   * untouched for PIPELINE_STALE_AFTER_MS whose stage job no longer exists.
+   * Segments of a tenant without a residency pin are dead-lettered instead.
+   */
+  async recover(now = new Date()) {
+    const cutoff = new Date(now.getTime() - config.PIPELINE_RECOVERY_INTERVAL_MS);
+    const staleCutoff = new Date(now.getTime() - config.PIPELINE_STALE_AFTER_MS);
+    const projection = { _id: 0, tenant_id: 1, event_id: 1, pipeline: 1 };
+    let requeued = 0;
+    let stale = 0;
+
+    for (const { database } of ResidencyRouter.listZones()) {
+      const audioEvents = database.getCollection('audio_events', PIPELINE_CONTEXT);
+
+      const pending = await audioEvents
+        .find(
+          { 'pipeline.state': PIPELINE_STATE.PENDING, 'pipeline.updated_at': { $lt: cutoff } },
+          { projection }
+        )
+        .limit(config.PIPELINE_RECOVERY_BATCH_SIZE)
+        .toArray();
+
+      for (const segment of pending) {
+        if (await this.deadLetterUnassigned(audioEvents, segment)) continue;
+        if (await this.enqueueSegment(segment)) requeued++;
+      }
+
+      const orphaned = await audioEvents
+        .find(
+          {
+            'pipeline.state': { $in: [PIPELINE_STATE.QUEUED, PIPELINE_STATE.RUNNING] },
+            'pipeline.updated_at': { $lt: staleCutoff }
+          },
+          { projection }
+        )
+        .limit(config.PIPELINE_RECOVERY_BATCH_SIZE)
+        .toArray();
+
+      for (const segment of orphaned) {
+        if (await this.deadLetterUnassigned(audioEvents, segment)) continue;
+        if (await this.requeueStale(segment)) stale++;
+      }
+    }
+
+    if (requeued > 0 || stale > 0) {
+      logger.jobEvent('pending_requeued', { requeued, stale });
+    }
+    return requeued + stale;
+  }
+
+  /**
+   * Re-queue a stale queued or running segment at its current stage when
+   * Bull no longer has the stage job. Never throws, like enqueueSegment.
+   */
+  async requeueStale(segment) {
+    const { tenant_id: tenantId, event_id: eventId, pipeline } = segment;
+    const { run, stage, state } = pipeline;
+
+    try {
+      if (!await ResidencyRouter.lookupTenantZone(tenantId)) return false;
+
+      const jobId = [eventId, run, stage].join(':');
+      if (await this.queues.get(stage).getJob(jobId)) return false;
+
+      // Conditional on the state seen, so a job that claimed the stage
+      // since the read is left alone
+      const reset = await getTenantCollection(tenantId, 'audio_events').updateOne(
+        {
+          event_id: eventId,
+          'pipeline.run': run,
+          'pipeline.stage': stage,
+          'pipeline.state': state,
+          'pipeline.updated_at': pipeline.updated_at
+        },
+        {
+          $set: {
+            'pipeline.state': PIPELINE_STATE.QUEUED,
+            [`pipeline.stages.${stage}.state`]: PIPELINE_STATE.QUEUED,
+            'pipeline.updated_at': new Date()
+          }
+        }
+      );
+      if (!reset.modifiedCount) return false;
+
+      await this.addStageJob(stage, { tenantId, eventId, run, workClass: pipeline.work_class });
+      logger.jobEvent('stale_requeued', { stage, tenantId, eventId, run, state });
+      return true;
+
+    } catch (error) {
+      logger.logError(error, { context: 'pipeline_stale_requeue', tenantId, eventId, stage });
+      return false;
+    }
+  }
+
+  /**
+   * Dead-letter a segment found in a zone sweep when its tenant has no
+   * residency pin: no job can reach its data, so it waits to be replayed
+   * once the tenant is pinned. Written through the zone collection the
+   * segment was read from. Returns whether the tenant was unassigned.
+   */
+  async deadLetterUnassigned(audioEvents, segment) {
+    const { tenant_id: tenantId, event_id: eventId, pipeline } = segment;
+    if (await ResidencyRouter.lookupTenantZone(tenantId)) return false;
+
+    const entry = {
+      job_id: `${eventId}:${pipeline.run}`,
+      stage: pipeline.stage,
+      source_job_id: null,
+      attempts: 0,
+      error: { message: 'Tenant has no data residency zone', code: 'RESIDENCY_UNASSIGNED' },
+      failed_at: new Date()
+    };
+    await audioEvents.updateOne(
+      {
+        tenant_id: tenantId,
+        event_id: eventId,
+        'pipeline.run': pipeline.run,
+        'pipeline.state': pipeline.state,
+        'pipeline.updated_at': pipeline.updated_at
+      },
+      {
+        $set: {
+          'pipeline.state': PIPELINE_STATE.DEAD_LETTERED,
+          [`pipeline.stages.${pipeline.stage}.state`]: PIPELINE_STATE.DEAD_LETTERED,
+          'pipeline.error': { stage: pipeline.stage, ...entry.error, attempt: 0 },
+          'pipeline.dead_letter': entry,
+          'pipeline.updated_at': entry.failed_at
+        }
+      }
+    );
+
+    logger.jobEvent('dead_lettered', { stage: pipeline.stage, tenantId, eventId, run: pipeline.run, error: entry.error.message });
+    return true;
+  }
+
+  assertInitialized() {
+    if (!this.initialized) {
+      throw new AppError('Processing pipeline is not running', {
+        statusCode: 503,
+        code: 'PIPELINE_UNAVAILABLE'
+      });
+    }
+  }
+
+  /**
+   * Job counts per queue
+   */
+  async getQueueCounts() {
+    this.assertInitialized();
+
+    const counts = {};
+    for (const [stage, queue] of this.queues) {
+      counts[stage] = await queue.getJobCounts();
+    }
+    for (const [name, queue] of this.auxiliary) {
+      counts[name] = await queue.getJobCounts();
+    }
+    counts.dead_letter = await this.deadLetters.getJobCounts();
+    return counts;
+  }
+
+  /**
+   * Stop the recovery sweep and close the queues, letting active jobs finish
+   */
+  async close() {
+    clearInterval(this.recoveryTimer);
+    this.recoveryTimer = null;
+
+    const queues = [...this.queues.values(), ...this.auxiliary.values(), this.deadLetters].filter(Boolean);
+    await Promise.allSettled(queues.map(queue => queue.close()));
+    await closeQueueConnections();
+
+    this.queues.clear();
+    this.auxiliary.clear();
+    this.deadLetters = null;
+    this.initialized = false;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      running: this.initialized,
+      workers: this.workers,
+      stages: PIPELINE_STAGES
+    };
+  }
+}
+
+// Create singleton instance
+const pipelineService = new PipelineService();
+
+export { pipelineService as PipelineService };
+export default pipelineService;
@@ -0,0 +1,302 @@
+/**
+ * AI Audio KB - Segment Processing Pipeline tests
+ */
+
+import { jest } from '@jest/globals';
+import { config } from '../config/index.js';
+import { database } from '../config/database.js';
+import { AppError } from '../utils/errors.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { PIPELINE_STAGES, PIPELINE_STATE, PipelineService, isRetryable } from './PipelineService.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+
+/**
+ * Bull queue stub: job ids already present are not added again
+ */
+function createQueue() {
+  const jobs = new Map();
+  return {
+    jobs,
+    add: jest.fn(async (data, { jobId }) => {
+      if (!jobs.has(jobId)) jobs.set(jobId, { id: jobId, data });
+      return jobs.get(jobId);
+    }),
+    getJob: jest.fn(async jobId => jobs.get(jobId) ?? null)
+  };
+}
+
+const segment = (pipeline = {}) => ({
+  tenant_id: 'tenant-a',
+  event_id: 'e1',
+  pipeline: {
+    run: 1,
+    stage: 'transcode',
+    state: PIPELINE_STATE.QUEUED,
+    work_class: 'batch',
+    stages: {},
+    error: null,
+    dead_letter: null,
+    updated_at: new Date('2026-01-01T00:00:00Z'),
+    ...pipeline
+  }
+});
+
+const job = (stage, { attemptsMade = 0, attempts = 3 } = {}) => ({
+  id: `e1:1:${stage}`,
+  data: { tenantId: 'tenant-a', eventId: 'e1', run: 1, workClass: 'batch' },
+  attemptsMade,
+  opts: { attempts },
+  discard: jest.fn()
+});
+
+describe('isRetryable', () => {
+  it('retries server-side failures and unknown errors only', () => {
+    expect(isRetryable(new Error('ECONNRESET'))).toBe(true);
+    expect(isRetryable(new AppError('upstream', { statusCode: 503 }))).toBe(true);
+    expect(isRetryable(new AppError('corrupt audio', { statusCode: 422 }))).toBe(false);
+  });
+});
+
+describe('PipelineService', () => {
+  let audioEvents;
+  let handlers;
+
+  beforeEach(() => {
+    audioEvents = createCollection([segment()]);
+    jest.spyOn(ResidencyRouter, 'getCollection').mockReturnValue(audioEvents);
+    jest.spyOn(ResidencyRouter, 'listZones').mockReturnValue([
+      { zone: 'us-west-2', database: { getCollection: () => audioEvents } }
+    ]);
+
+    PipelineService.queues = new Map(PIPELINE_STAGES.map(stage => [stage, createQueue()]));
+    PipelineService.deadLetters = createQueue();
+    PipelineService.initialized = true;
+
+    handlers = PipelineService.handlers;
+    PipelineService.handlers = Object.fromEntries(
+      PIPELINE_STAGES.map(stage => [stage, jest.fn().mockResolvedValue({ result: `${stage}:ok` })])
+    );
+  });
+
+  afterEach(() => {
+    PipelineService.handlers = handlers;
+    PipelineService.queues = new Map();
+    PipelineService.deadLetters = null;
+    PipelineService.initialized = false;
+    jest.restoreAllMocks();
+  });
+
+  const stored = () => audioEvents.docs[0].pipeline;
+  const queue = stage => PipelineService.queues.get(stage);
+
+  describe('processJob', () => {
+    it('completes a stage and queues the next one', async () => {
+      const outcome = await PipelineService.processJob('transcode', job('transcode'));
+
+      expect(outcome).toEqual({ result: 'transcode:ok' });
+      expect(stored()).toMatchObject({
+        stage: 'transcribe',
+        state: PIPELINE_STATE.QUEUED,
+        stages: {
+          transcode: { state: PIPELINE_STATE.COMPLETED, attempts: 1, result: 'transcode:ok' },
+          transcribe: { state: PIPELINE_STATE.QUEUED }
+        }
+      });
+      expect(queue('transcribe').jobs.has('e1:1:transcribe')).toBe(true);
+    });
+
+    it('skips the remaining stages of a segment without speech', async () => {
+      audioEvents.docs[0] = segment({ stage: 'embed' });
+      PipelineService.handlers.embed.mockResolvedValue({ result: 'no_speech', complete: true });
+
+      await PipelineService.processJob('embed', job('embed'));
+
+      expect(stored()).toMatchObject({ state: PIPELINE_STATE.COMPLETED, stages: { index: { state: PIPELINE_STATE.SKIPPED } } });
+      expect(queue('index').add).not.toHaveBeenCalled();
+    });
+
+    it('marks a failed attempt as retrying and rethrows for Bull to back off', async () => {
+      PipelineService.handlers.transcode.mockRejectedValue(new Error('ffmpeg crashed'));
+      const first = job('transcode');
+
+      await expect(PipelineService.processJob('transcode', first)).rejects.toThrow('ffmpeg crashed');
+
+      expect(first.discard).not.toHaveBeenCalled();
+      expect(stored()).toMatchObject({
+        state: PIPELINE_STATE.RETRYING,
+        error: { stage: 'transcode', message: 'ffmpeg crashed', attempt: 1 }
+      });
+      expect(PipelineService.deadLetters.add).not.toHaveBeenCalled();
+    });
+
+    it('dead-letters the segment after the last attempt', async () => {
+      PipelineService.handlers.transcode.mockRejectedValue(new Error('ffmpeg crashed'));
+      const last = job('transcode', { attemptsMade: 2 });
+
+      await expect(PipelineService.processJob('transcode', last)).rejects.toThrow('ffmpeg crashed');
+
+      expect(last.discard).toHaveBeenCalled();
+      expect(PipelineService.deadLetters.jobs.get('e1:1').data).toMatchObject({
+        eventId: 'e1',
+        stage: 'transcode',
+        attempts: 3,
+        error: { message: 'ffmpeg crashed', code: null }
+      });
+      expect(stored()).toMatchObject({
+        state: PIPELINE_STATE.DEAD_LETTERED,
+        stages: { transcode: { state: PIPELINE_STATE.DEAD_LETTERED } },
+        dead_letter: { job_id: 'e1:1', stage: 'transcode' }
+      });
+    });
+
+    it('dead-letters client errors without retrying', async () => {
+      PipelineService.handlers.transcode.mockRejectedValue(
+        new AppError('Unsupported audio format', { statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE' })
+      );
+
+      await expect(PipelineService.processJob('transcode', job('transcode'))).rejects.toThrow();
+
+      expect(stored()).toMatchObject({ state: PIPELINE_STATE.DEAD_LETTERED, error: { code: 'UNSUPPORTED_MEDIA_TYPE', attempt: 1 } });
+    });
+
+    it('re-adds the next stage job when a retry finds it queued but never added', async () => {
+      queue('transcribe').add.mockRejectedValueOnce(new Error('Redis connection lost'));
+
+      await expect(PipelineService.processJob('transcode', job('transcode'))).rejects.toThrow('Redis connection lost');
+      expect(stored()).toMatchObject({ stage: 'transcribe', state: PIPELINE_STATE.QUEUED });
+      expect(queue('transcribe').jobs.size).toBe(0);
+
+      const outcome = await PipelineService.processJob('transcode', job('transcode', { attemptsMade: 1 }));
+
+      expect(outcome).toEqual({ requeued: true });
+      expect(PipelineService.handlers.transcode).toHaveBeenCalledTimes(1);
+      expect(queue('transcribe').jobs.has('e1:1:transcribe')).toBe(true);
+    });
+
+    it('skips a job whose stage was already claimed by the next one', async () => {
+      audioEvents.docs[0] = segment({ stage: 'transcribe', state: PIPELINE_STATE.RUNNING, stages: { transcode: { state: PIPELINE_STATE.COMPLETED } } });
+
+      expect(await PipelineService.processJob('transcode', job('transcode'))).toEqual({ skipped: true });
+      expect(queue('transcribe').add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleFailed', () => {
+    it('dead-letters a job Bull failed while the stage was still running', async () => {
+      audioEvents.docs[0] = segment({ state: PIPELINE_STATE.RUNNING });
+
+      await PipelineService.handleFailed('transcode', job('transcode', { attemptsMade: 1 }), new Error('job stalled more than allowable limit'));
+
+      expect(stored().state).toBe(PIPELINE_STATE.DEAD_LETTERED);
+      expect(PipelineService.deadLetters.add).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves failures the processor already handled alone', async () => {
+      audioEvents.docs[0] = segment({ state: PIPELINE_STATE.RETRYING });
+
+      await PipelineService.handleFailed('transcode', job('transcode'), new Error('ffmpeg crashed'));
+
+      expect(PipelineService.deadLetters.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recover', () => {
+    const now = new Date('2026-01-01T01:00:00Z');
+    const longAgo = new Date(now.getTime() - config.PIPELINE_STALE_AFTER_MS - 1);
+
+    it('queues segments left pending', async () => {
+      audioEvents.docs[0] = segment({ state: PIPELINE_STATE.PENDING, updated_at: longAgo });
+
+      expect(await PipelineService.recover(now)).toBe(1);
+      expect(stored().state).toBe(PIPELINE_STATE.QUEUED);
+      expect(queue('transcode').jobs.has('e1:1:transcode')).toBe(true);
+    });
+
+    it.each([PIPELINE_STATE.QUEUED, PIPELINE_STATE.RUNNING])('re-queues a stale %s segment whose job is gone', async state => {
+      audioEvents.docs[0] = segment({ stage: 'embed', state, updated_at: longAgo });
+
+      expect(await PipelineService.recover(now)).toBe(1);
+      expect(stored()).toMatchObject({ stage: 'embed', state: PIPELINE_STATE.QUEUED });
+      expect(stored().updated_at.getTime()).toBeGreaterThan(longAgo.getTime());
+      expect(queue('embed').jobs.has('e1:1:embed')).toBe(true);
+    });
+
+    it('leaves a stale segment alone while its job still exists', async () => {
+      audioEvents.docs[0] = segment({ stage: 'embed', state: PIPELINE_STATE.RUNNING, updated_at: longAgo });
+      await queue('embed').add({}, { jobId: 'e1:1:embed' });
+      queue('embed').add.mockClear();
+
+      expect(await PipelineService.recover(now)).toBe(0);
+      expect(stored().state).toBe(PIPELINE_STATE.RUNNING);
+      expect(queue('embed').add).not.toHaveBeenCalled();
+    });
+
+    it('leaves segments updated recently alone', async () => {
+      audioEvents.docs[0] = segment({ state: PIPELINE_STATE.QUEUED, updated_at: new Date(now.getTime() - 1000) });
+
+      expect(await PipelineService.recover(now)).toBe(0);
+      expect(queue('transcode').add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('with residency routing and a cold pin cache', () => {
+    const now = new Date('2026-01-01T01:00:00Z');
+    const longAgo = new Date(now.getTime() - config.PIPELINE_STALE_AFTER_MS - 1);
+    let saved;
+    let pins;
+
+    beforeEach(() => {
+      saved = config.RESIDENCY_ROUTING_ENABLED;
+      config.RESIDENCY_ROUTING_ENABLED = true;
+      ResidencyRouter.tenantZones = new Map();
+
+      pins = new Map([['tenant-a', { tenant_id: 'tenant-a', zone: 'us-west-2' }]]);
+      jest.spyOn(database, 'getCollection').mockReturnValue({
+        findOne: jest.fn(async ({ tenant_id: tenantId }) => pins.get(tenantId) ?? null)
+      });
+      // Like the real router, tenant data is only reachable once the pin is loaded
+      ResidencyRouter.getCollection.mockImplementation(tenantId => {
+        ResidencyRouter.getZone(tenantId);
+        return audioEvents;
+      });
+    });
+
+    afterEach(() => {
+      config.RESIDENCY_ROUTING_ENABLED = saved;
+      ResidencyRouter.tenantZones = new Map();
+    });
+
+    it('loads the pin before running a stage', async () => {
+      expect(await PipelineService.processJob('transcode', job('transcode'))).toEqual({ result: 'transcode:ok' });
+      expect(stored().stage).toBe('transcribe');
+    });
+
+    it('loads the pin before re-queueing in recovery', async () => {
+      audioEvents.docs[0] = segment({ stage: 'embed', state: PIPELINE_STATE.RUNNING, updated_at: longAgo });
+
+      expect(await PipelineService.recover(now)).toBe(1);
+      expect(queue('embed').jobs.has('e1:1:embed')).toBe(true);
+    });
+
+    it('skips jobs of a tenant without a pin', async () => {
+      pins.clear();
+
+      expect(await PipelineService.processJob('transcode', job('transcode'))).toEqual({ skipped: true });
+      expect(PipelineService.handlers.transcode).not.toHaveBeenCalled();
+      await expect(PipelineService.handleFailed('transcode', job('transcode'), new Error('stalled'))).resolves.toBeUndefined();
+    });
+
+    it('dead-letters segments of a tenant without a pin in recovery', async () => {
+      pins.clear();
+      audioEvents.docs[0] = segment({ state: PIPELINE_STATE.PENDING, updated_at: longAgo });
+
+      expect(await PipelineService.recover(now)).toBe(0);
+      expect(stored()).toMatchObject({
+        state: PIPELINE_STATE.DEAD_LETTERED,
+        error: { code: 'RESIDENCY_UNASSIGNED' },
+        dead_letter: { stage: 'transcode', job_id: 'e1:1' }
+      });
+      expect(queue('transcode').add).not.toHaveBeenCalled();
+    });
+  });
+});
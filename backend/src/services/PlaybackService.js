@@ -0,0 +1,154 @@
+/**
+ * AI Audio KB - Segment Playback Service
+ *
+ * Issues time-limited playback URLs for a segment's audio (the canonical
+ * WAV when transcoded, else the upload). Unencrypted objects on a driver
+ * with signed URLs (S3) are fetched straight from the bucket; everything
+ * else - local storage, and audio encrypted at rest - streams through the
+ * API's playback route, whose URL carries an HMAC-signed token that is its
+ * own authorization (audio elements can't send bearer tokens). The route
+ * serves HTTP byte ranges so players can seek.
+ *
+ * Both kinds of URL expire after S3_PRESIGNED_URL_EXPIRES seconds.
+ */
+
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { config } from '../config/index.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { AuditService } from './AuditService.js';
+import { ResidencyRouter, getTenantCollection, getTenantStorage } from './ResidencyRouter.js';
+
+export const PLAYBACK_DELIVERY = {
+  DIRECT: 'direct',
+  STREAM: 'stream'
+};
+
+class PlaybackService {
+  /**
+   * HMAC of a token payload
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', config.STORAGE_URL_SECRET).update(payload).digest('base64url');
+  }
+
+  createToken(claims) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Claims of a valid, unexpired token
+   */
+  verifyToken(token) {
+    const [payload, signature] = String(token).split('.');
+    const expected = Buffer.from(this.sign(payload ?? ''));
+    const actual = Buffer.from(signature ?? '');
+    if (!payload || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new ForbiddenError('Invalid playback link');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.exp * 1000 <= Date.now()) {
+      throw new ForbiddenError('Playback link has expired');
+    }
+    return claims;
+  }
+
+  /**
+   * Playback URL for a segment's audio
+   */
+  async createPlayback(tenantId, sessionId, eventId, { actor } = {}) {
+    const segment = await getTenantCollection(tenantId, 'audio_events').findOne(
+      { event_id: eventId, session_id: sessionId },
+      { projection: { _id: 0, event_id: 1, audio: 1 } }
+    );
+    if (!segment) {
+      throw new NotFoundError('Segment not found', { eventId });
+    }
+
+    const audio = segment.audio?.canonical ?? segment.audio;
+    if (!audio?.key || audio.deleted_at) {
+      throw new NotFoundError('Segment audio is no longer available', { eventId });
+    }
+
+    const expiresIn = config.S3_PRESIGNED_URL_EXPIRES;
+    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+    const storage = getTenantStorage(tenantId);
+
+    let url;
+    let delivery;
+    if (storage.supportsSignedUrls() && !audio.key_version) {
+      url = await storage.getSignedUrl(audio.key, { expiresIn, mimetype: audio.mimetype });
+      delivery = PLAYBACK_DELIVERY.DIRECT;
+    } else {
+      const token = this.createToken({
+        tenant_id: tenantId,
+        event_id: eventId,
+        key: audio.key,
+        mimetype: audio.mimetype,
+        key_version: audio.key_version ?? null,
+        exp: Math.floor(expiresAt.getTime() / 1000)
+      });
+      url = `${config.BASE_URL}/api/${config.API_VERSION}/playback/${token}`;
+      delivery = PLAYBACK_DELIVERY.STREAM;
+    }
+
+    await AuditService.record({
+      tenantId,
+      actor: actor ?? 'system',
+      action: 'segment.playback_issued',
+      subject: `segment:${eventId}`,
+      metadata: { delivery, expires_at: expiresAt.toISOString() }
+    });
+
+    return {
+      event_id: eventId,
+      url,
+      delivery,
+      expires_at: expiresAt,
+      mimetype: audio.mimetype,
+      codec: audio.codec,
+      duration_ms: audio.duration_ms ?? segment.audio.duration_ms ?? null,
+      bytes: audio.bytes
+    };
+  }
+
+  /**
+   * Resolve a playback token to the audio it grants. Returns the size and
+   * `read({ start, end })`, a readable stream of an inclusive byte range.
+   */
+  async openPlayback(token) {
+    const claims = this.verifyToken(token);
+    const tenantId = claims.tenant_id;
+
+    if (!await ResidencyRouter.lookupTenantZone(tenantId)) {
+      throw new NotFoundError('Audio object not found');
+    }
+    const storage = getTenantStorage(tenantId);
+
+    // Encrypted audio is sealed as a whole, so ranges come from the
+    // decrypted object; segments are small enough to hold in memory
+    if (claims.key_version) {
+      const audio = await storage.get(claims.key);
+      return {
+        mimetype: claims.mimetype,
+        size: audio.length,
+        read: async ({ start, end }) => Readable.from([audio.subarray(start, end + 1)])
+      };
+    }
+
+    const { bytes } = await storage.stat(claims.key);
+    return {
+      mimetype: claims.mimetype,
+      size: bytes,
+      read: range => storage.openRange(claims.key, range)
+    };
+  }
+}
+
+// Create singleton instance
+const playbackService = new PlaybackService();
+
+export { playbackService as PlaybackService };
+export default playbackService;
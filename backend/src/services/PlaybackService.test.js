@@ -0,0 +1,113 @@
+/**
+ * AI Audio KB - Segment Playback Service tests
+ */
+
+import { Readable } from 'stream';
+import { jest } from '@jest/globals';
+import { config } from '../config/index.js';
+import { PlaybackService } from './PlaybackService.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+const AUDIO = Buffer.from('0123456789');
+
+/**
+ * Collect a readable stream into a string
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+const claims = (overrides = {}) => ({
+  tenant_id: 'tenant-a',
+  event_id: 'e1',
+  key: 't1/s1/e1.wav',
+  mimetype: 'audio/wav',
+  key_version: null,
+  exp: Math.floor(Date.now() / 1000) + 60,
+  ...overrides
+});
+
+describe('PlaybackService', () => {
+  const secret = config.STORAGE_URL_SECRET;
+
+  beforeAll(() => {
+    config.STORAGE_URL_SECRET = 'playback-test-secret';
+  });
+
+  afterAll(() => {
+    config.STORAGE_URL_SECRET = secret;
+  });
+
+  describe('tokens', () => {
+    it('verifies its own tokens', () => {
+      const token = PlaybackService.createToken(claims());
+
+      expect(PlaybackService.verifyToken(token)).toMatchObject({ tenant_id: 'tenant-a', key: 't1/s1/e1.wav' });
+    });
+
+    it('rejects tampered tokens', () => {
+      const [, signature] = PlaybackService.createToken(claims()).split('.');
+      const forged = Buffer.from(JSON.stringify(claims({ tenant_id: 'tenant-b' }))).toString('base64url');
+
+      expect(() => PlaybackService.verifyToken(`${forged}.${signature}`)).toThrow(ForbiddenError);
+      expect(() => PlaybackService.verifyToken(forged)).toThrow(ForbiddenError);
+      expect(() => PlaybackService.verifyToken('')).toThrow(ForbiddenError);
+    });
+
+    it('rejects expired tokens', () => {
+      const token = PlaybackService.createToken(claims({ exp: Math.floor(Date.now() / 1000) - 1 }));
+
+      expect(() => PlaybackService.verifyToken(token)).toThrow('Playback link has expired');
+    });
+  });
+
+  describe('openPlayback', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = {
+        get: jest.fn().mockResolvedValue(AUDIO),
+        stat: jest.fn().mockResolvedValue({ bytes: AUDIO.length }),
+        openRange: jest.fn(async (key, { start, end }) => Readable.from([AUDIO.subarray(start, end + 1)]))
+      };
+      jest.spyOn(ResidencyRouter, 'lookupTenantZone').mockResolvedValue('us-west-2');
+      jest.spyOn(ResidencyRouter, 'getStorage').mockReturnValue(storage);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('streams ranges of unencrypted audio from storage', async () => {
+      const playback = await PlaybackService.openPlayback(PlaybackService.createToken(claims()));
+
+      expect(playback).toMatchObject({ mimetype: 'audio/wav', size: 10 });
+      expect(await readAll(await playback.read({ start: 3, end: 6 }))).toBe('3456');
+      expect(storage.openRange).toHaveBeenCalledWith('t1/s1/e1.wav', { start: 3, end: 6 });
+      expect(storage.get).not.toHaveBeenCalled();
+    });
+
+    it('slices ranges from decrypted audio', async () => {
+      const playback = await PlaybackService.openPlayback(PlaybackService.createToken(claims({ key_version: 2 })));
+
+      expect(playback.size).toBe(10);
+      expect(await readAll(await playback.read({ start: 0, end: 0 }))).toBe('0');
+      expect(await readAll(await playback.read({ start: 8, end: 9 }))).toBe('89');
+      expect(storage.get).toHaveBeenCalledTimes(1);
+      expect(storage.openRange).not.toHaveBeenCalled();
+    });
+
+    it('does not resolve storage for a tenant without a residency zone', async () => {
+      ResidencyRouter.lookupTenantZone.mockResolvedValue(null);
+
+      await expect(PlaybackService.openPlayback(PlaybackService.createToken(claims())))
+        .rejects.toBeInstanceOf(NotFoundError);
+      expect(ResidencyRouter.getStorage).not.toHaveBeenCalled();
+    });
+  });
+});
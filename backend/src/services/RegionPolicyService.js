@@ -0,0 +1,237 @@
+/**
+ * AI Audio KB - Region Policy Service
+ *
+ * Loads the jurisdictional policy file (REGION_POLICY_FILE, see ADR-001),
+ * validates it, and resolves the policy for a region code. The file is
+ * watched and reloaded on change so a region can be blocked without a
+ * redeploy; an invalid edit is rejected and the last good policy set stays
+ * in force.
+ *
+ * Unknown regions resolve to the file's `fallback` entry when present,
+ * otherwise to the most restrictive combination of the configured policies.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Joi from 'joi';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { ForbiddenError, ValidationError } from '../utils/errors.js';
+
+export const REGION_STATUS = {
+  ALLOWED: 'allowed',
+  GREY: 'grey',
+  BLOCKED: 'blocked'
+};
+
+export const CONSENT_MODE = {
+  ONE_PARTY: 'one-party',
+  ALL_PARTY: 'all-party'
+};
+
+// Most restrictive last
+const STATUS_SEVERITY = [REGION_STATUS.ALLOWED, REGION_STATUS.GREY, REGION_STATUS.BLOCKED];
+
+// ISO 3166-1 alpha-2 with an optional subdivision, e.g. US-CA, EU-DE, CN
+const REGION_CODE = /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/;
+
+const RELOAD_DEBOUNCE_MS = 200;
+
+const policySchema = Joi.object({
+  status: Joi.string().valid(...Object.values(REGION_STATUS)).required(),
+  consent_mode: Joi.string().valid(...Object.values(CONSENT_MODE)).when('status', {
+    is: REGION_STATUS.BLOCKED,
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  }),
+  data_residency: Joi.string(),
+  retention_days: Joi.number().integer().min(1),
+  pii_masking: Joi.boolean().default(false),
+  reason: Joi.string()
+}).unknown(true);
+
+const policyFileSchema = Joi.object({
+  version: Joi.string().required(),
+  regions: Joi.object().pattern(Joi.string().pattern(REGION_CODE), policySchema).min(1).required(),
+  fallback: policySchema
+});
+
+/**
+ * Combine policies into one that is at least as strict as each of them
+ */
+export function mostRestrictive(policies) {
+  const status = policies
+    .map(policy => policy.status)
+    .reduce((a, b) => (STATUS_SEVERITY.indexOf(b) > STATUS_SEVERITY.indexOf(a) ? b : a), REGION_STATUS.ALLOWED);
+
+  const retention = policies
+    .map(policy => policy.retention_days)
+    .filter(days => Number.isInteger(days));
+
+  return {
+    status,
+    consent_mode: CONSENT_MODE.ALL_PARTY,
+    data_residency: null,
+    retention_days: retention.length ? Math.min(...retention) : null,
+    pii_masking: true,
+    reason: 'Unknown region'
+  };
+}
+
+class RegionPolicyService {
+  constructor() {
+    this.filePath = path.resolve(config.REGION_POLICY_FILE);
+    this.version = null;
+    this.regions = new Map();
+    this.fallback = null;
+    this.loadedAt = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Load the policy file and start watching it
+   */
+  async initialize() {
+    this.load();
+
+    if (config.REGION_POLICY_HOT_RELOAD && !this.watcher) {
+      this.watch();
+    }
+
+    logger.startup('RegionPolicyService', {
+      file: this.filePath,
+      policyVersion: this.version,
+      regions: this.regions.size,
+      hotReload: config.REGION_POLICY_HOT_RELOAD
+    });
+  }
+
+  /**
+   * Read and validate the policy file; throws without touching the active
+   * policies if the file is unreadable or invalid
+   */
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const { error, value } = policyFileSchema.validate(raw, { abortEarly: false });
+
+    if (error) {
+      throw new ValidationError('Invalid region policy file', error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      })));
+    }
+
+    const regions = new Map(Object.entries(value.regions));
+
+    this.version = value.version;
+    this.regions = regions;
+    this.fallback = value.fallback || mostRestrictive([...regions.values()]);
+    this.loadedAt = new Date();
+
+    return this.version;
+  }
+
+  /**
+   * Reload on change. Watches the directory rather than the file so that
+   * editors and config-map updates that replace the file are picked up.
+   */
+  watch() {
+    const directory = path.dirname(this.filePath);
+    const fileName = path.basename(this.filePath);
+
+    this.watcher = fs.watch(directory, (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+    });
+    this.watcher.unref();
+  }
+
+  /**
+   * Hot reload, keeping the previous policies if the new file is invalid
+   */
+  reload() {
+    const previousVersion = this.version;
+    try {
+      this.load();
+      logger.securityEvent('region_policies_reloaded', {
+        previousVersion,
+        policyVersion: this.version,
+        regions: this.regions.size
+      });
+    } catch (error) {
+      logger.error('Region policy reload rejected; keeping previous policies', {
+        file: this.filePath,
+        policyVersion: previousVersion,
+        error: error.message,
+        details: error.details
+      });
+    }
+  }
+
+  /**
+   * Normalize a region header value, defaulting to DEFAULT_REGION
+   */
+  normalizeRegion(region) {
+    const code = (region || config.DEFAULT_REGION).trim().toUpperCase();
+    if (!REGION_CODE.test(code)) {
+      throw new ValidationError('Invalid region code', [{ field: 'x-region', message: `"${region}" is not a region code` }]);
+    }
+    return code;
+  }
+
+  /**
+   * Resolve the effective policy for a region
+   */
+  resolve(region) {
+    const code = this.normalizeRegion(region);
+    const policy = this.regions.get(code);
+
+    return {
+      region: code,
+      known: Boolean(policy),
+      version: this.version,
+      ...(policy || this.fallback)
+    };
+  }
+
+  /**
+   * Resolve a region and reject it if blocked
+   */
+  assertAllowed(region) {
+    const policy = this.resolve(region);
+
+    if (policy.status === REGION_STATUS.BLOCKED) {
+      throw new ForbiddenError('Region not supported', {
+        region: policy.region,
+        reason: policy.reason
+      });
+    }
+
+    return policy;
+  }
+
+  getStatus() {
+    return {
+      file: this.filePath,
+      version: this.version,
+      regions: this.regions.size,
+      loaded_at: this.loadedAt,
+      hot_reload: Boolean(this.watcher)
+    };
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+}
+
+// Create singleton instance
+const regionPolicyService = new RegionPolicyService();
+
+export { regionPolicyService as RegionPolicyService };
+export default regionPolicyService;
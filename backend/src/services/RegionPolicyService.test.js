@@ -0,0 +1,125 @@
+/**
+ * AI Audio KB - Region Policy Service tests
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { config } from '../config/index.js';
+import { ForbiddenError, ValidationError } from '../utils/errors.js';
+import { CONSENT_MODE, REGION_STATUS, RegionPolicyService, mostRestrictive } from './RegionPolicyService.js';
+
+const POLICIES = {
+  version: 'v1',
+  regions: {
+    'US-CA': { status: 'allowed', consent_mode: 'one-party', data_residency: 'us-west-2', retention_days: 2555 },
+    'EU-DE': { status: 'grey', consent_mode: 'all-party', data_residency: 'eu-central-1', retention_days: 1095, pii_masking: true },
+    CN: { status: 'blocked', reason: 'Regulatory complexity' }
+  }
+};
+
+describe('mostRestrictive', () => {
+  it('takes the strictest status and shortest retention', () => {
+    expect(mostRestrictive(Object.values(POLICIES.regions))).toEqual({
+      status: REGION_STATUS.BLOCKED,
+      consent_mode: CONSENT_MODE.ALL_PARTY,
+      data_residency: null,
+      retention_days: 1095,
+      pii_masking: true,
+      reason: 'Unknown region'
+    });
+  });
+});
+
+describe('RegionPolicyService', () => {
+  let directory;
+  let saved;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'region-policies-'));
+    saved = { filePath: RegionPolicyService.filePath, DEFAULT_REGION: config.DEFAULT_REGION };
+    RegionPolicyService.filePath = path.join(directory, 'region-policies.json');
+    config.DEFAULT_REGION = 'US-CA';
+  });
+
+  afterEach(async () => {
+    RegionPolicyService.filePath = saved.filePath;
+    config.DEFAULT_REGION = saved.DEFAULT_REGION;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const writePolicies = policies => fs.writeFile(RegionPolicyService.filePath, JSON.stringify(policies));
+
+  it('loads the shipped policy file', () => {
+    RegionPolicyService.filePath = saved.filePath;
+
+    RegionPolicyService.load();
+
+    expect(RegionPolicyService.resolve('US-FL')).toMatchObject({ known: true, status: 'allowed', data_residency: 'us-east-1' });
+  });
+
+  it('resolves a region case-insensitively, defaulting to DEFAULT_REGION', async () => {
+    await writePolicies(POLICIES);
+    RegionPolicyService.load();
+
+    expect(RegionPolicyService.resolve(' eu-de ')).toMatchObject({ region: 'EU-DE', known: true, version: 'v1', status: 'grey' });
+    expect(RegionPolicyService.resolve(undefined)).toMatchObject({ region: 'US-CA', consent_mode: 'one-party', pii_masking: false });
+  });
+
+  it('rejects malformed region codes', async () => {
+    await writePolicies(POLICIES);
+    RegionPolicyService.load();
+
+    expect(() => RegionPolicyService.resolve('california')).toThrow(ValidationError);
+  });
+
+  it('applies the most restrictive policy to unknown regions', async () => {
+    await writePolicies(POLICIES);
+    RegionPolicyService.load();
+
+    expect(RegionPolicyService.resolve('FR')).toMatchObject({ region: 'FR', known: false, status: 'blocked', pii_masking: true });
+  });
+
+  it('prefers an explicit fallback for unknown regions', async () => {
+    await writePolicies({ ...POLICIES, fallback: { status: 'grey', consent_mode: 'all-party', retention_days: 30 } });
+    RegionPolicyService.load();
+
+    expect(RegionPolicyService.resolve('FR')).toMatchObject({ known: false, status: 'grey', retention_days: 30 });
+  });
+
+  it('rejects a blocked region with its reason', async () => {
+    await writePolicies(POLICIES);
+    RegionPolicyService.load();
+
+    const error = (() => {
+      try {
+        RegionPolicyService.assertAllowed('CN');
+      } catch (failure) {
+        return failure;
+      }
+    })();
+
+    expect(error).toBeInstanceOf(ForbiddenError);
+    expect(error.details).toEqual({ region: 'CN', reason: 'Regulatory complexity' });
+    expect(RegionPolicyService.assertAllowed('US-CA').status).toBe('allowed');
+  });
+
+  it('refuses a policy file that fails validation', async () => {
+    await writePolicies({ version: 'v2', regions: { 'US-CA': { status: 'allowed' } } });
+
+    expect(() => RegionPolicyService.load()).toThrow(ValidationError);
+  });
+
+  it('keeps the previous policies when a reload is invalid', async () => {
+    await writePolicies(POLICIES);
+    RegionPolicyService.load();
+
+    await writePolicies({ ...POLICIES, version: 'v2', regions: { ...POLICIES.regions, 'US-CA': { status: 'blocked', reason: 'Paused' } } });
+    RegionPolicyService.reload();
+    expect(RegionPolicyService.resolve('US-CA')).toMatchObject({ version: 'v2', status: 'blocked' });
+
+    await fs.writeFile(RegionPolicyService.filePath, '{ "version": ');
+    RegionPolicyService.reload();
+    expect(RegionPolicyService.resolve('US-CA')).toMatchObject({ version: 'v2', status: 'blocked' });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * AI Audio KB - Reranking Service
+ *
+ * Optional second stage after hybrid retrieval. RERANKING_PROVIDER selects
+ * voyage (falls back to local when unavailable), local or none; with
+ * RERANKING_ENABLED=false every query uses the pass-through reranker.
+ */
+
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+import { VoyageReranker } from './rerank/VoyageReranker.js';
+import { LocalReranker } from './rerank/LocalReranker.js';
+import { PassThroughReranker } from './rerank/PassThroughReranker.js';
+
+class RerankingService {
+  constructor() {
+    this.local = new LocalReranker();
+    this.passThrough = new PassThroughReranker();
+    this.voyage = null;
+    this.voyageBreaker = null;
+  }
+
+  /**
+   * Lazily construct the remote reranker
+   */
+  getVoyage() {
+    if (!this.voyage && VoyageReranker.isConfigured()) {
+      this.voyage = new VoyageReranker();
+      this.voyageBreaker = new CircuitBreaker('rerank:voyage');
+    }
+    return this.voyage;
+  }
+
+  /**
+   * Rerankers to try, in order, for a request
+   */
+  getChain(enabled = config.RERANKING_ENABLED) {
+    if (!enabled) return [this.passThrough];
+
+    switch (config.RERANKING_PROVIDER) {
+      case 'none':
+        return [this.passThrough];
+      case 'local':
+        return [this.local];
+      default:
+        return this.getVoyage() ? [this.voyage, this.local] : [this.local];
+    }
+  }
+
+  /**
+   * Rerank hits by their text. Each returned hit is annotated with
+   * `rerank_score`; order is the reranked order.
+   *
+   * @param {string} query
+   * @param {Array<{ text: string, retrievalScore: number }>} hits
+   */
+  async rerank(query, hits, { topK = hits.length, enabled } = {}) {
+    const documents = hits.map(hit => hit.text || '');
+    const retrievalScores = hits.map(hit => hit.retrievalScore);
+
+    for (const reranker of this.getChain(enabled)) {
+      const timer = logger.timeStart(`rerank:${reranker.name}`);
+      try {
+        const call = () => reranker.rerank(query, documents, { topK, retrievalScores });
+        const { results, tokens } = reranker === this.voyage
+          ? await this.voyageBreaker.exec(call)
+          : await call();
+
+        timer.end({ reranker: reranker.name, candidates: hits.length });
+        logger.vectorEvent('rerank_completed', {
+          reranker: reranker.name,
+          model: reranker.model,
+          candidates: hits.length,
+          tokens
+        });
+
+        return {
+          reranker: reranker.name,
+          model: reranker.model,
+          tokens,
+          hits: results.map(({ index, score }) => ({ ...hits[index], rerank_score: score }))
+        };
+
+      } catch (error) {
+        logger.warn('Reranker failed; trying next', { reranker: reranker.name, error: error.message });
+      }
+    }
+
+    // Only reachable if every reranker failed; keep retrieval order
+    return {
+      reranker: this.passThrough.name,
+      model: null,
+      tokens: null,
+      hits: hits.slice(0, topK).map(hit => ({ ...hit, rerank_score: null }))
+    };
+  }
+}
+
+// Create singleton instance
+const rerankingService = new RerankingService();
+
+export { rerankingService as RerankingService };
+export default rerankingService;
@@ -0,0 +1,100 @@
+/**
+ * AI Audio KB - Reranking Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { config } from '../config/index.js';
+import { RerankingService } from './RerankingService.js';
+import { LocalReranker } from './rerank/LocalReranker.js';
+import { PassThroughReranker } from './rerank/PassThroughReranker.js';
+
+const hits = [
+  { id: 'weather', text: 'the weather was lovely last week', retrievalScore: 0.9 },
+  { id: 'scattered', text: 'enterprise customers asked about a discount on pricing', retrievalScore: 0.5 },
+  { id: 'phrase', text: 'our enterprise pricing starts at ten seats', retrievalScore: 0.4 }
+];
+
+describe('LocalReranker', () => {
+  const reranker = new LocalReranker();
+
+  it('ranks phrase matches over scattered terms over no match', async () => {
+    const { results } = await reranker.rerank('enterprise pricing', hits.map(hit => hit.text), {
+      retrievalScores: hits.map(hit => hit.retrievalScore)
+    });
+
+    expect(results.map(result => result.index)).toEqual([2, 1, 0]);
+    expect(results[0].features).toEqual({ coverage: 1, bigrams: 1, proximity: 1, retrieval: 0.4 / 0.9 });
+  });
+
+  it('keeps the topK best', async () => {
+    const { results } = await reranker.rerank('pricing', hits.map(hit => hit.text), { topK: 1 });
+
+    expect(results).toHaveLength(1);
+  });
+});
+
+describe('PassThroughReranker', () => {
+  it('keeps retrieval order and scores', async () => {
+    const { results } = await new PassThroughReranker().rerank('q', ['a', 'b', 'c'], { topK: 2, retrievalScores: [0.9, 0.5, 0.1] });
+
+    expect(results).toEqual([{ index: 0, score: 0.9 }, { index: 1, score: 0.5 }]);
+  });
+});
+
+describe('RerankingService', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { RERANKING_ENABLED: config.RERANKING_ENABLED, RERANKING_PROVIDER: config.RERANKING_PROVIDER };
+    config.RERANKING_ENABLED = true;
+  });
+
+  afterEach(() => {
+    Object.assign(config, saved);
+    RerankingService.voyage = null;
+    RerankingService.voyageBreaker = null;
+    jest.restoreAllMocks();
+  });
+
+  it('annotates hits with the rerank score in reranked order', async () => {
+    config.RERANKING_PROVIDER = 'local';
+
+    const result = await RerankingService.rerank('enterprise pricing', hits, { topK: 2 });
+
+    expect(result).toMatchObject({ reranker: 'local', model: 'lexical-features-1' });
+    expect(result.hits.map(hit => hit.id)).toEqual(['phrase', 'scattered']);
+    expect(result.hits[0].rerank_score).toBeGreaterThan(result.hits[1].rerank_score);
+  });
+
+  it('passes hits through when reranking is disabled for the request', async () => {
+    config.RERANKING_PROVIDER = 'local';
+
+    const result = await RerankingService.rerank('enterprise pricing', hits, { enabled: false });
+
+    expect(result.reranker).toBe('none');
+    expect(result.hits.map(hit => [hit.id, hit.rerank_score])).toEqual([['weather', 0.9], ['scattered', 0.5], ['phrase', 0.4]]);
+  });
+
+  it('falls back to the local reranker when Voyage fails', async () => {
+    config.RERANKING_PROVIDER = 'voyage';
+    const voyage = { name: 'voyage', model: 'rerank-2.5', rerank: jest.fn().mockRejectedValue(new Error('503')) };
+    RerankingService.voyage = voyage;
+    RerankingService.voyageBreaker = { exec: fn => fn() };
+
+    const result = await RerankingService.rerank('enterprise pricing', hits);
+
+    expect(voyage.rerank).toHaveBeenCalled();
+    expect(result.reranker).toBe('local');
+    expect(result.hits[0].id).toBe('phrase');
+  });
+
+  it('keeps retrieval order when every reranker fails', async () => {
+    config.RERANKING_PROVIDER = 'local';
+    jest.spyOn(RerankingService.local, 'rerank').mockRejectedValue(new Error('bad input'));
+
+    const result = await RerankingService.rerank('enterprise pricing', hits, { topK: 2 });
+
+    expect(result.reranker).toBe('none');
+    expect(result.hits.map(hit => [hit.id, hit.rerank_score])).toEqual([['weather', null], ['scattered', null]]);
+  });
+});
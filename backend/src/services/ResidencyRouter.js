@@ -0,0 +1,264 @@
+/**
+ * AI Audio KB - Data Residency Router
+ *
+ * Keeps one database connection and one audio storage target per residency
+ * zone and routes each tenant's reads and writes to its zone. A region's
+ * zone comes from the `data_residency` of its region policy (or
+ * RESIDENCY_ZONE_ALIASES). A tenant is pinned to the zone of its first
+ * write that names its region; reads, sockets and background jobs only
+ * look pins up. The pin is immutable, and writes from a region that
+ * resolves to a different zone are rejected, so tenant data never crosses
+ * zones.
+ *
+ * Pins live in the control-plane (default zone) database. With
+ * RESIDENCY_ROUTING_ENABLED=false every tenant uses the default zone.
+ *
+ * Tenant collections are handed out wrapped in a tenant scope (see
+ * utils/tenantScope.js), so every query is confined to the tenant.
+ */
+
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { database, DatabaseManager } from '../config/database.js';
+import { StorageService, createStorage } from './StorageService.js';
+import { EncryptionService } from './EncryptionService.js';
+import { RegionPolicyService } from './RegionPolicyService.js';
+import { AppError, ForbiddenError, ServiceUnavailableError } from '../utils/errors.js';
+import { createSystemContext, scopeToTenant } from '../utils/tenantScope.js';
+
+const PIN_COLLECTION = 'tenant_residency';
+const DUPLICATE_KEY = 11000;
+
+// Raw collections are only fetched here to be wrapped in a tenant scope
+const SCOPING_CONTEXT = createSystemContext('tenant-scope');
+
+/**
+ * The tenant has no residency zone yet: it gets one on its first write
+ * that names a region (x-region)
+ */
+export class ResidencyUnassignedError extends AppError {
+  constructor(tenantId) {
+    super('Tenant has no data residency zone yet; send x-region with the first write', {
+      statusCode: 409,
+      code: 'RESIDENCY_UNASSIGNED',
+      details: { tenantId }
+    });
+  }
+}
+
+class ResidencyRouter {
+  constructor() {
+    this.zones = new Map(); // zone -> { database, storage }
+    this.tenantZones = new Map(); // tenantId -> zone (pins are immutable)
+  }
+
+  isEnabled() {
+    return config.RESIDENCY_ROUTING_ENABLED;
+  }
+
+  /**
+   * Register the default zone and connect every additional zone
+   */
+  async initialize() {
+    this.zones.set(config.RESIDENCY_DEFAULT_ZONE, { database, storage: StorageService });
+
+    if (!this.isEnabled()) {
+      logger.startup('ResidencyRouter', { enabled: false, defaultZone: config.RESIDENCY_DEFAULT_ZONE });
+      return;
+    }
+
+    for (const { zone, mongodbUri, dbName, storagePath, s3Bucket, s3Region } of config.RESIDENCY_ZONES) {
+      if (zone === config.RESIDENCY_DEFAULT_ZONE) continue;
+
+      const target = config.STORAGE_DRIVER === 's3' ? s3Bucket : storagePath;
+      if (!mongodbUri || !target) {
+        throw new Error(`Residency zone ${zone} requires a MongoDB URI and a storage ${config.STORAGE_DRIVER === 's3' ? 'bucket' : 'path'}`);
+      }
+
+      const zoneDatabase = new DatabaseManager({ zone, uri: mongodbUri, dbName });
+      if (!await zoneDatabase.connect()) {
+        throw new Error(`Failed to connect residency zone ${zone}`);
+      }
+      await zoneDatabase.ensureSearchIndexes();
+
+      const storage = createStorage({ zone, rootDir: storagePath, bucket: s3Bucket, region: s3Region });
+      await storage.initialize();
+
+      this.zones.set(zone, { database: zoneDatabase, storage });
+    }
+
+    logger.startup('ResidencyRouter', {
+      enabled: true,
+      defaultZone: config.RESIDENCY_DEFAULT_ZONE,
+      zones: [...this.zones.keys()],
+      aliases: config.RESIDENCY_ZONE_ALIASES
+    });
+  }
+
+  /**
+   * Zone that must hold data recorded in a region
+   */
+  zoneForRegion(region) {
+    if (!this.isEnabled()) return config.RESIDENCY_DEFAULT_ZONE;
+
+    const policy = RegionPolicyService.resolve(region);
+    const requested = policy.data_residency || config.RESIDENCY_DEFAULT_ZONE;
+    const zone = config.RESIDENCY_ZONE_ALIASES[requested] || requested;
+
+    if (!this.zones.has(zone)) {
+      throw new ServiceUnavailableError('No storage configured for the required residency zone', {
+        region: policy.region,
+        zone
+      });
+    }
+
+    return zone;
+  }
+
+  /**
+   * A tenant's pinned zone, or null when it has none yet. Never pins.
+   */
+  async lookupTenantZone(tenantId) {
+    if (!this.isEnabled()) return config.RESIDENCY_DEFAULT_ZONE;
+
+    let zone = this.tenantZones.get(tenantId);
+    if (!zone) {
+      const pin = await database.getCollection(PIN_COLLECTION).findOne({ tenant_id: tenantId });
+      zone = pin?.zone;
+      if (!zone) return null;
+      this.tenantZones.set(tenantId, zone);
+    }
+    return zone;
+  }
+
+  /**
+   * Resolve a tenant's zone for a write from `region`, which must resolve
+   * to the pinned zone. An unpinned tenant is pinned to the region's zone
+   * only with `pin` - i.e. when the caller named the region explicitly -
+   * so a defaulted region never decides where a tenant's data lives.
+   */
+  async resolveTenantZone(tenantId, region, { pin = false } = {}) {
+    if (!this.isEnabled()) return config.RESIDENCY_DEFAULT_ZONE;
+
+    let zone = await this.lookupTenantZone(tenantId);
+
+    if (!zone) {
+      if (!region || !pin) {
+        throw new ResidencyUnassignedError(tenantId);
+      }
+
+      zone = this.zoneForRegion(region);
+      const pins = database.getCollection(PIN_COLLECTION);
+      try {
+        await pins.insertOne({ tenant_id: tenantId, zone, region, pinned_at: new Date() });
+        logger.securityEvent('tenant_residency_pinned', { tenantId, zone, region });
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+        // Another instance pinned it first
+        zone = (await pins.findOne({ tenant_id: tenantId })).zone;
+      }
+      this.tenantZones.set(tenantId, zone);
+    }
+
+    if (region && this.zoneForRegion(region) !== zone) {
+      logger.securityEvent('residency_violation_blocked', { tenantId, region, zone });
+      throw new ForbiddenError('Region resides in a different zone than this tenant', {
+        region,
+        tenant_zone: zone
+      });
+    }
+
+    return zone;
+  }
+
+  /**
+   * Zone of a tenant already resolved by lookupTenantZone or
+   * resolveTenantZone
+   */
+  getZone(tenantId) {
+    if (!this.isEnabled()) return config.RESIDENCY_DEFAULT_ZONE;
+
+    const zone = this.tenantZones.get(tenantId);
+    if (!zone) {
+      throw new ResidencyUnassignedError(tenantId);
+    }
+    return zone;
+  }
+
+  getDatabase(tenantId) {
+    return this.zones.get(this.getZone(tenantId))?.database ?? database;
+  }
+
+  /**
+   * The tenant's storage in its zone, encrypting and decrypting with the
+   * tenant's data keys
+   */
+  getStorage(tenantId) {
+    return EncryptionService.storageFor(tenantId, this.zones.get(this.getZone(tenantId))?.storage ?? StorageService);
+  }
+
+  /**
+   * Tenant-scoped collection in the tenant's residency zone
+   */
+  getCollection(tenantId, name) {
+    return scopeToTenant(this.getDatabase(tenantId).getCollection(name, SCOPING_CONTEXT), tenantId);
+  }
+
+  /**
+   * Data access bound to an authenticated identity (`req.user`)
+   */
+  createTenantContext(user) {
+    const tenantId = user.tenant_id;
+    return {
+      tenantId,
+      zone: this.getZone(tenantId),
+      collection: (name) => this.getCollection(tenantId, name),
+      storage: () => this.getStorage(tenantId)
+    };
+  }
+
+  /**
+   * Every configured zone with its database and storage, for jobs that
+   * sweep all zones (the default zone alone when routing is disabled)
+   */
+  listZones() {
+    if (this.zones.size === 0) {
+      return [{ zone: config.RESIDENCY_DEFAULT_ZONE, database, storage: StorageService }];
+    }
+    return [...this.zones].map(([zone, targets]) => ({ zone, ...targets }));
+  }
+
+  /**
+   * Health of every zone
+   */
+  async healthCheck() {
+    const zones = {};
+    for (const [zone, { database: zoneDatabase, storage }] of this.zones) {
+      zones[zone] = { database: await zoneDatabase.healthCheck(), storage: storage.describe() };
+    }
+    return { enabled: this.isEnabled(), default_zone: config.RESIDENCY_DEFAULT_ZONE, zones };
+  }
+
+  /**
+   * Close connections of the additional zones (the default is closed by the server)
+   */
+  async disconnect() {
+    for (const [zone, { database: zoneDatabase }] of this.zones) {
+      if (zoneDatabase !== database) {
+        await zoneDatabase.disconnect();
+      }
+      this.zones.delete(zone);
+    }
+    this.tenantZones.clear();
+  }
+}
+
+// Create singleton instance
+const residencyRouter = new ResidencyRouter();
+
+export { residencyRouter as ResidencyRouter };
+
+export const getTenantCollection = (tenantId, name) => residencyRouter.getCollection(tenantId, name);
+export const getTenantStorage = (tenantId) => residencyRouter.getStorage(tenantId);
+
+export default residencyRouter;
@@ -0,0 +1,162 @@
+/**
+ * AI Audio KB - Data Residency Router tests
+ */
+
+import { jest } from '@jest/globals';
+import { config } from '../config/index.js';
+import { database } from '../config/database.js';
+import { ForbiddenError, ServiceUnavailableError } from '../utils/errors.js';
+import { RegionPolicyService } from './RegionPolicyService.js';
+import { ResidencyRouter, ResidencyUnassignedError } from './ResidencyRouter.js';
+
+const POLICIES = {
+  'US-CA': { data_residency: 'us-west-2' },
+  DE: { data_residency: 'eu-central-1' },
+  FR: { data_residency: 'eu' },
+  BR: {}
+};
+
+/**
+ * In-memory `tenant_residency` collection with a unique tenant_id
+ */
+function createPinCollection() {
+  const pins = new Map();
+  return {
+    pins,
+    findOne: jest.fn(async ({ tenant_id: tenantId }) => pins.get(tenantId) ?? null),
+    insertOne: jest.fn(async (doc) => {
+      if (pins.has(doc.tenant_id)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      pins.set(doc.tenant_id, doc);
+      return { insertedId: doc.tenant_id };
+    })
+  };
+}
+
+describe('ResidencyRouter', () => {
+  const saved = {};
+  let pinCollection;
+
+  beforeEach(() => {
+    for (const key of ['RESIDENCY_ROUTING_ENABLED', 'RESIDENCY_DEFAULT_ZONE', 'RESIDENCY_ZONE_ALIASES']) {
+      saved[key] = config[key];
+    }
+    Object.assign(config, {
+      RESIDENCY_ROUTING_ENABLED: true,
+      RESIDENCY_DEFAULT_ZONE: 'us-west-2',
+      RESIDENCY_ZONE_ALIASES: { eu: 'eu-central-1' }
+    });
+
+    ResidencyRouter.zones = new Map([
+      ['us-west-2', { database: {}, storage: {} }],
+      ['eu-central-1', { database: {}, storage: {} }]
+    ]);
+    ResidencyRouter.tenantZones = new Map();
+
+    pinCollection = createPinCollection();
+    jest.spyOn(database, 'getCollection').mockReturnValue(pinCollection);
+    jest.spyOn(RegionPolicyService, 'resolve').mockImplementation(region => ({
+      region,
+      ...(POLICIES[region] ?? {})
+    }));
+  });
+
+  afterEach(() => {
+    Object.assign(config, saved);
+    ResidencyRouter.zones = new Map();
+    ResidencyRouter.tenantZones = new Map();
+    jest.restoreAllMocks();
+  });
+
+  describe('zoneForRegion', () => {
+    it("returns the zone named by the region's data_residency", () => {
+      expect(ResidencyRouter.zoneForRegion('US-CA')).toBe('us-west-2');
+      expect(ResidencyRouter.zoneForRegion('DE')).toBe('eu-central-1');
+    });
+
+    it('resolves zone aliases', () => {
+      expect(ResidencyRouter.zoneForRegion('FR')).toBe('eu-central-1');
+    });
+
+    it('falls back to the default zone for regions without data_residency', () => {
+      expect(ResidencyRouter.zoneForRegion('BR')).toBe('us-west-2');
+    });
+
+    it('rejects regions whose zone is not configured', () => {
+      POLICIES.JP = { data_residency: 'ap-northeast-1' };
+      try {
+        expect(() => ResidencyRouter.zoneForRegion('JP')).toThrow(ServiceUnavailableError);
+      } finally {
+        delete POLICIES.JP;
+      }
+    });
+
+    it('always returns the default zone when routing is disabled', () => {
+      config.RESIDENCY_ROUTING_ENABLED = false;
+      expect(ResidencyRouter.zoneForRegion('DE')).toBe('us-west-2');
+    });
+  });
+
+  describe('resolveTenantZone', () => {
+    it('pins an unpinned tenant on a write that names its region', async () => {
+      await expect(ResidencyRouter.resolveTenantZone('tenant-a', 'DE', { pin: true }))
+        .resolves.toBe('eu-central-1');
+
+      expect(pinCollection.pins.get('tenant-a')).toMatchObject({ zone: 'eu-central-1', region: 'DE' });
+      expect(ResidencyRouter.getZone('tenant-a')).toBe('eu-central-1');
+    });
+
+    it('does not pin from a defaulted region', async () => {
+      await expect(ResidencyRouter.resolveTenantZone('tenant-a', 'DE'))
+        .rejects.toBeInstanceOf(ResidencyUnassignedError);
+      await expect(ResidencyRouter.resolveTenantZone('tenant-a', null, { pin: true }))
+        .rejects.toBeInstanceOf(ResidencyUnassignedError);
+
+      expect(pinCollection.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('keeps the existing pin for later writes from the same zone', async () => {
+      await ResidencyRouter.resolveTenantZone('tenant-a', 'DE', { pin: true });
+
+      await expect(ResidencyRouter.resolveTenantZone('tenant-a', 'FR', { pin: true }))
+        .resolves.toBe('eu-central-1');
+      await expect(ResidencyRouter.resolveTenantZone('tenant-a', null)).resolves.toBe('eu-central-1');
+      expect(pinCollection.insertOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('refuses writes from a region in another zone', async () => {
+      await ResidencyRouter.resolveTenantZone('tenant-a', 'DE', { pin: true });
+
+      await expect(ResidencyRouter.resolveTenantZone('tenant-a', 'US-CA', { pin: true }))
+        .rejects.toBeInstanceOf(ForbiddenError);
+      expect(pinCollection.pins.get('tenant-a').zone).toBe('eu-central-1');
+    });
+
+    it('adopts the pin written first by another instance', async () => {
+      pinCollection.findOne.mockResolvedValueOnce(null);
+      pinCollection.pins.set('tenant-a', { tenant_id: 'tenant-a', zone: 'us-west-2', region: 'US-CA' });
+
+      await expect(ResidencyRouter.resolveTenantZone('tenant-a', 'BR', { pin: true }))
+        .resolves.toBe('us-west-2');
+      expect(ResidencyRouter.getZone('tenant-a')).toBe('us-west-2');
+    });
+  });
+
+  describe('lookupTenantZone', () => {
+    it('returns the stored pin and caches it', async () => {
+      pinCollection.pins.set('tenant-a', { tenant_id: 'tenant-a', zone: 'eu-central-1' });
+
+      await expect(ResidencyRouter.lookupTenantZone('tenant-a')).resolves.toBe('eu-central-1');
+      await expect(ResidencyRouter.lookupTenantZone('tenant-a')).resolves.toBe('eu-central-1');
+      expect(pinCollection.findOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('returns null for an unpinned tenant without pinning it', async () => {
+      await expect(ResidencyRouter.lookupTenantZone('tenant-a')).resolves.toBeNull();
+
+      expect(pinCollection.insertOne).not.toHaveBeenCalled();
+      expect(() => ResidencyRouter.getZone('tenant-a')).toThrow(ResidencyUnassignedError);
+    });
+  });
+});
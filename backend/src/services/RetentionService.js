@@ -0,0 +1,468 @@
+/**
+ * AI Audio KB - Retention Service
+ *
+ * Enforces the `retention_days` of each segment's region policy
+ * (consent.region). A scheduled job (RETENTION_CRON) sweeps every residency
+ * zone and deletes expired `audio_events` documents - including their
+ * transcripts and embeddings - together with the stored audio blobs, and
+ * expired `recordings` together with any original upload still stored.
+ *
+ * Segments under an active legal hold (tenant-wide or for one session) are
+ * never purged. Each purge batch is recorded in the audit log, and a
+ * dry-run mode reports what would be purged without deleting anything.
+ */
+
+import cron from 'node-cron';
+import { ulid } from 'ulid';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { AuditService } from './AuditService.js';
+import { RegionPolicyService } from './RegionPolicyService.js';
+import { SessionService } from './SessionService.js';
+import { ResidencyRouter, getTenantCollection } from './ResidencyRouter.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { createSystemContext, scopeToTenant } from '../utils/tenantScope.js';
+
+const RETENTION_ACTOR = 'system:retention';
+
+// The sweep lists tenants across a whole zone
+const RETENTION_CONTEXT = createSystemContext('retention-sweep');
+
+class RetentionService {
+  constructor() {
+    this.task = null;
+    this.running = false;
+    this.lastReport = null;
+  }
+
+  /**
+   * Schedule the retention job
+   */
+  async initialize() {
+    if (!config.RETENTION_ENABLED) {
+      logger.startup('RetentionService', { enabled: false });
+      return;
+    }
+
+    if (!cron.validate(config.RETENTION_CRON)) {
+      throw new Error(`Invalid RETENTION_CRON expression: ${config.RETENTION_CRON}`);
+    }
+
+    this.task = cron.schedule(config.RETENTION_CRON, () => {
+      this.run({ dryRun: config.RETENTION_DRY_RUN }).catch(error => {
+        logger.logError(error, { job: 'retention' });
+      });
+    });
+
+    logger.startup('RetentionService', {
+      enabled: true,
+      schedule: config.RETENTION_CRON,
+      dryRun: config.RETENTION_DRY_RUN,
+      batchSize: config.RETENTION_BATCH_SIZE
+    });
+  }
+
+  stop() {
+    this.task?.stop();
+    this.task = null;
+  }
+
+  /**
+   * Place a legal hold on a tenant, or on one of its sessions
+   */
+  async placeHold(tenantId, { sessionId, reason, createdBy }) {
+    if (sessionId) {
+      await SessionService.getSession(tenantId, sessionId);
+    }
+
+    const hold = {
+      hold_id: ulid(),
+      tenant_id: tenantId,
+      session_id: sessionId || null,
+      reason,
+      created_by: createdBy,
+      created_at: new Date(),
+      released_at: null,
+      released_by: null
+    };
+
+    await getTenantCollection(tenantId, 'legal_holds').insertOne(hold);
+    await AuditService.record({
+      tenantId,
+      actor: createdBy,
+      action: 'legal_hold.placed',
+      subject: sessionId ? `session:${sessionId}` : `tenant:${tenantId}`,
+      metadata: { hold_id: hold.hold_id, reason }
+    });
+
+    delete hold._id;
+    return hold;
+  }
+
+  /**
+   * Release an active legal hold
+   */
+  async releaseHold(tenantId, holdId, { releasedBy }) {
+    const holds = getTenantCollection(tenantId, 'legal_holds');
+    const hold = await holds.findOne({ hold_id: holdId, tenant_id: tenantId }, { projection: { _id: 0 } });
+
+    if (!hold) {
+      throw new NotFoundError('Legal hold not found', { holdId });
+    }
+    if (hold.released_at) {
+      throw new ConflictError('Legal hold already released', { holdId, released_at: hold.released_at });
+    }
+
+    const releasedAt = new Date();
+    await holds.updateOne(
+      { hold_id: holdId, tenant_id: tenantId },
+      { $set: { released_at: releasedAt, released_by: releasedBy } }
+    );
+    await AuditService.record({
+      tenantId,
+      actor: releasedBy,
+      action: 'legal_hold.released',
+      subject: hold.session_id ? `session:${hold.session_id}` : `tenant:${tenantId}`,
+      metadata: { hold_id: holdId }
+    });
+
+    return { ...hold, released_at: releasedAt, released_by: releasedBy };
+  }
+
+  /**
+   * Legal holds of a tenant (active only by default)
+   */
+  async listHolds(tenantId, { includeReleased = false } = {}) {
+    return getTenantCollection(tenantId, 'legal_holds')
+      .find(
+        { tenant_id: tenantId, ...(!includeReleased && { released_at: null }) },
+        { projection: { _id: 0 } }
+      )
+      .sort({ created_at: -1 })
+      .toArray();
+  }
+
+  /**
+   * Sweep every zone, purging (or with dryRun, reporting) expired segments.
+   * `tenantId` restricts the sweep to one tenant.
+   */
+  async run({ dryRun = false, tenantId, now = new Date() } = {}) {
+    // Reports may run alongside a purge; purges never overlap
+    if (!dryRun) {
+      if (this.running) {
+        throw new ConflictError('Retention run already in progress');
+      }
+      this.running = true;
+    }
+
+    const timer = logger.timeStart('retention_run');
+    const report = {
+      dry_run: dryRun,
+      started_at: now,
+      finished_at: null,
+      totals: { expired: 0, held: 0, purged: 0, failed: 0, recordings: 0, bytes: 0 },
+      groups: []
+    };
+
+    try {
+      for (const zone of ResidencyRouter.listZones()) {
+        await this.sweepZone(zone, { dryRun, tenantId, now, report });
+      }
+    } finally {
+      if (!dryRun) this.running = false;
+    }
+
+    report.finished_at = new Date();
+    timer.end({ dryRun, ...report.totals });
+    logger.info('Retention run completed', { dryRun, tenantId, ...report.totals });
+
+    if (!tenantId) this.lastReport = report;
+    return report;
+  }
+
+  /**
+   * Process each (tenant, region) group stored in one zone
+   */
+  async sweepZone({ zone, database, storage }, { dryRun, tenantId, now, report }) {
+    const audioEvents = database.getCollection('audio_events', RETENTION_CONTEXT);
+    const recordings = database.getCollection('recordings', RETENTION_CONTEXT);
+    const pipeline = [
+      { $match: tenantId ? { tenant_id: tenantId } : {} },
+      { $group: { _id: { tenant_id: '$tenant_id', region: '$consent.region' } } }
+    ];
+
+    // A tenant may have recordings in a region it has no segments in yet
+    const groups = new Map();
+    for (const collection of [audioEvents, recordings]) {
+      for (const { _id: group } of await collection.aggregate(pipeline).toArray()) {
+        groups.set(`${group.tenant_id}:${group.region}`, group);
+      }
+    }
+
+    for (const { tenant_id: groupTenantId, region } of groups.values()) {
+      // Look the pin up only: the sweep must never pin a tenant
+      const tenantZone = await ResidencyRouter.lookupTenantZone(groupTenantId);
+      if (ResidencyRouter.isEnabled() && tenantZone !== zone) {
+        logger.warn('Skipping retention for tenant data outside its residency zone', {
+          tenantId: groupTenantId,
+          zone,
+          tenantZone
+        });
+        continue;
+      }
+
+      let policy;
+      try {
+        policy = RegionPolicyService.resolve(region);
+      } catch (error) {
+        logger.warn('Skipping retention for segments with an invalid region', { tenantId: groupTenantId, region });
+        continue;
+      }
+      if (!policy.retention_days) continue;
+
+      const group = await this.sweepGroup({
+        zone,
+        audioEvents: scopeToTenant(audioEvents, groupTenantId),
+        recordings: scopeToTenant(recordings, groupTenantId),
+        holds: scopeToTenant(database.getCollection('legal_holds', RETENTION_CONTEXT), groupTenantId),
+        storage,
+        tenantId: groupTenantId,
+        region,
+        policy,
+        now,
+        dryRun
+      });
+
+      if (group.expired > 0 || group.recordings > 0 || group.failed > 0) {
+        report.groups.push(group);
+        for (const key of Object.keys(report.totals)) {
+          report.totals[key] += group[key];
+        }
+      }
+    }
+  }
+
+  /**
+   * Purge one tenant's expired segments and recordings for one region
+   */
+  async sweepGroup({ recordings, holds, tenantId, policy, now, ...options }) {
+    const cutoff = new Date(now.getTime() - policy.retention_days * 24 * 60 * 60 * 1000);
+
+    const activeHolds = await holds.find({ tenant_id: tenantId, released_at: null }).toArray();
+    const tenantHeld = activeHolds.some(hold => !hold.session_id);
+    const heldSessions = activeHolds.filter(hold => hold.session_id).map(hold => hold.session_id);
+
+    const group = await this.sweepSegments({ ...options, tenantId, policy, cutoff, tenantHeld, heldSessions });
+    if (!tenantHeld) {
+      await this.sweepRecordings({ ...options, recordings, tenantId, policy, cutoff, heldSessions, group });
+    }
+    return group;
+  }
+
+  /**
+   * Purge one tenant's expired segments for one region, batch by batch
+   */
+  async sweepSegments({ zone, audioEvents, storage, tenantId, region, policy, cutoff, tenantHeld, heldSessions, dryRun }) {
+    const expiredFilter = { tenant_id: tenantId, 'consent.region': region, created_at: { $lt: cutoff } };
+
+    const purgeFilter = { ...expiredFilter, session_id: { $nin: heldSessions } };
+
+    const expired = await audioEvents.countDocuments(expiredFilter);
+    const purgeable = tenantHeld ? 0 : await audioEvents.countDocuments(purgeFilter);
+
+    const group = {
+      zone,
+      tenant_id: tenantId,
+      region,
+      policy_version: policy.version,
+      retention_days: policy.retention_days,
+      cutoff,
+      expired,
+      held: expired - purgeable,
+      purged: 0,
+      failed: 0,
+      recordings: 0,
+      bytes: 0
+    };
+
+    if (dryRun || purgeable === 0) {
+      if (purgeable > 0) {
+        const [size] = await audioEvents
+          .aggregate([{ $match: purgeFilter }, { $group: { _id: null, bytes: { $sum: { $add: ['$audio.bytes', { $ifNull: ['$audio.canonical.bytes', 0] }] } } } }])
+          .toArray();
+        group.bytes = size?.bytes || 0;
+      }
+      return group;
+    }
+
+    const failedIds = [];
+
+    while (true) {
+      const batch = await audioEvents
+        .find(
+          { ...purgeFilter, event_id: { $nin: failedIds } },
+          { projection: { _id: 0, event_id: 1, session_id: 1, 'audio.key': 1, 'audio.bytes': 1, 'audio.canonical': 1 } }
+        )
+        .limit(config.RETENTION_BATCH_SIZE)
+        .toArray();
+
+      if (batch.length === 0) break;
+
+      // Remove blobs first so a failure never leaves orphaned audio behind
+      // a deleted document; failed segments are retried on the next run
+      const deleted = [];
+      for (const segment of batch) {
+        try {
+          if (segment.audio?.canonical?.key) {
+            await storage.delete(segment.audio.canonical.key);
+          }
+          if (segment.audio?.key) {
+            await storage.delete(segment.audio.key);
+          }
+          deleted.push(segment);
+        } catch (error) {
+          failedIds.push(segment.event_id);
+          logger.error('Failed to delete expired audio blob', {
+            eventId: segment.event_id,
+            key: segment.audio?.key,
+            error: error.message
+          });
+        }
+      }
+
+      const eventIds = deleted.map(segment => segment.event_id);
+      const { deletedCount } = await audioEvents.deleteMany({ ...purgeFilter, event_id: { $in: eventIds } });
+      const bytes = deleted.reduce((sum, segment) => sum + (segment.audio?.bytes || 0) + (segment.audio?.canonical?.bytes || 0), 0);
+
+      group.purged += deletedCount;
+      group.failed = failedIds.length;
+      group.bytes += bytes;
+
+      await AuditService.record({
+        tenantId,
+        actor: RETENTION_ACTOR,
+        action: 'retention.purged',
+        subject: `tenant:${tenantId}`,
+        metadata: {
+          zone,
+          region,
+          policy_version: policy.version,
+          retention_days: policy.retention_days,
+          cutoff,
+          purged: deletedCount,
+          bytes,
+          event_ids: eventIds,
+          session_ids: [...new Set(deleted.map(segment => segment.session_id))],
+          failed_event_ids: [...failedIds]
+        }
+      });
+
+      logger.audioEvent('retention_batch_purged', { tenantId, zone, region, purged: deletedCount, bytes });
+
+      if (batch.length < config.RETENTION_BATCH_SIZE) break;
+    }
+
+    return group;
+  }
+
+  /**
+   * Purge one tenant's expired recordings for one region, deleting any
+   * original upload still stored (segmented recordings' uploads are gone
+   * already). Counts go into the segment group's report.
+   */
+  async sweepRecordings({ zone, recordings, storage, tenantId, region, policy, cutoff, heldSessions, dryRun, group }) {
+    const purgeFilter = {
+      tenant_id: tenantId,
+      'consent.region': region,
+      created_at: { $lt: cutoff },
+      session_id: { $nin: heldSessions }
+    };
+    const storedBytes = recording => (recording.audio?.key && !recording.audio.deleted_at ? recording.audio.bytes || 0 : 0);
+
+    if (dryRun) {
+      const expired = await recordings
+        .find(purgeFilter, { projection: { _id: 0, 'audio.key': 1, 'audio.bytes': 1, 'audio.deleted_at': 1 } })
+        .toArray();
+      group.recordings = expired.length;
+      group.bytes += expired.reduce((sum, recording) => sum + storedBytes(recording), 0);
+      return;
+    }
+
+    const failedIds = [];
+
+    while (true) {
+      const batch = await recordings
+        .find(
+          { ...purgeFilter, recording_id: { $nin: failedIds } },
+          { projection: { _id: 0, recording_id: 1, session_id: 1, 'audio.key': 1, 'audio.bytes': 1, 'audio.deleted_at': 1 } }
+        )
+        .limit(config.RETENTION_BATCH_SIZE)
+        .toArray();
+
+      if (batch.length === 0) break;
+
+      const deleted = [];
+      for (const recording of batch) {
+        try {
+          if (recording.audio?.key && !recording.audio.deleted_at) {
+            await storage.delete(recording.audio.key);
+          }
+          deleted.push(recording);
+        } catch (error) {
+          failedIds.push(recording.recording_id);
+          logger.error('Failed to delete expired recording blob', {
+            recordingId: recording.recording_id,
+            key: recording.audio?.key,
+            error: error.message
+          });
+        }
+      }
+
+      const recordingIds = deleted.map(recording => recording.recording_id);
+      const { deletedCount } = await recordings.deleteMany({ ...purgeFilter, recording_id: { $in: recordingIds } });
+      const bytes = deleted.reduce((sum, recording) => sum + storedBytes(recording), 0);
+
+      group.recordings += deletedCount;
+      group.failed += batch.length - deleted.length;
+      group.bytes += bytes;
+
+      await AuditService.record({
+        tenantId,
+        actor: RETENTION_ACTOR,
+        action: 'retention.purged',
+        subject: `tenant:${tenantId}`,
+        metadata: {
+          zone,
+          region,
+          policy_version: policy.version,
+          retention_days: policy.retention_days,
+          cutoff,
+          purged: deletedCount,
+          bytes,
+          recording_ids: recordingIds,
+          session_ids: [...new Set(deleted.map(recording => recording.session_id))],
+          failed_recording_ids: [...failedIds]
+        }
+      });
+
+      logger.audioEvent('retention_recordings_purged', { tenantId, zone, region, purged: deletedCount, bytes });
+
+      if (batch.length < config.RETENTION_BATCH_SIZE) break;
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: config.RETENTION_ENABLED,
+      schedule: config.RETENTION_CRON,
+      running: this.running,
+      last_report: this.lastReport && { ...this.lastReport, groups: undefined }
+    };
+  }
+}
+
+// Create singleton instance
+const retentionService = new RetentionService();
+
+export { retentionService as RetentionService };
+export default retentionService;
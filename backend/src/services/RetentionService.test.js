@@ -0,0 +1,199 @@
+/**
+ * AI Audio KB - Retention Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { config } from '../config/index.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { createCollection as createMemoryCollection, matches } from '../__tests__/helpers/memoryCollection.js';
+import { AuditService } from './AuditService.js';
+import { RegionPolicyService } from './RegionPolicyService.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+import { RetentionService } from './RetentionService.js';
+
+/**
+ * In-memory collection, grouping by tenant and region or summing audio
+ * bytes for the sweep's aggregates
+ */
+function createCollection(docs = []) {
+  return Object.assign(createMemoryCollection(docs), {
+    aggregate: jest.fn(pipeline => {
+      const selected = docs.filter(doc => pipeline.every(({ $match }) => !$match || matches(doc, $match)));
+      const { $group } = pipeline.find(stage => stage.$group);
+      if ($group._id === null) {
+        return { toArray: async () => [{ _id: null, bytes: selected.reduce((sum, doc) => sum + doc.audio.bytes, 0) }] };
+      }
+      const keys = new Map(selected.map(doc => [`${doc.tenant_id}:${doc.consent.region}`, { tenant_id: doc.tenant_id, region: doc.consent.region }]));
+      return { toArray: async () => [...keys.values()].map(_id => ({ _id })) };
+    })
+  });
+}
+
+const NOW = new Date('2026-06-01T00:00:00Z');
+const OLD = new Date('2026-01-01T00:00:00Z');
+const RECENT = new Date('2026-05-30T00:00:00Z');
+
+const segment = (eventId, sessionId, createdAt, region = 'US-CA') => ({
+  event_id: eventId,
+  tenant_id: 'tenant-a',
+  session_id: sessionId,
+  consent: { region },
+  audio: { key: `tenant-a/${sessionId}/${eventId}.opus`, bytes: 100 },
+  created_at: createdAt
+});
+
+const recording = (recordingId, sessionId, createdAt, audio = {}) => ({
+  recording_id: recordingId,
+  tenant_id: 'tenant-a',
+  session_id: sessionId,
+  consent: { region: 'US-CA' },
+  audio: { key: `tenant-a/${sessionId}/recordings/${recordingId}.mp3`, bytes: 500, deleted_at: null, ...audio },
+  created_at: createdAt
+});
+
+describe('RetentionService', () => {
+  let audioEvents;
+  let recordings;
+  let holds;
+  let sessions;
+  let storage;
+  let saved;
+
+  beforeEach(() => {
+    saved = config.RETENTION_BATCH_SIZE;
+    audioEvents = createCollection([
+      segment('e1', 's1', OLD),
+      segment('e2', 's1', OLD),
+      segment('e3', 's2', OLD),
+      segment('e4', 's2', RECENT)
+    ]);
+    recordings = createCollection();
+    holds = createCollection();
+    sessions = createCollection([{ session_id: 's1', tenant_id: 'tenant-a' }, { session_id: 's2', tenant_id: 'tenant-a' }]);
+    storage = { delete: jest.fn(async () => true) };
+
+    const collections = { audio_events: audioEvents, recordings, legal_holds: holds, sessions };
+    const database = { getCollection: name => collections[name] };
+    jest.spyOn(ResidencyRouter, 'listZones').mockReturnValue([{ zone: 'us-west-2', database, storage }]);
+    jest.spyOn(ResidencyRouter, 'getCollection').mockImplementation((tenantId, name) => collections[name]);
+    jest.spyOn(RegionPolicyService, 'resolve').mockImplementation(region => ({ region, version: 'v1', retention_days: 30 }));
+    jest.spyOn(AuditService, 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    config.RETENTION_BATCH_SIZE = saved;
+    jest.restoreAllMocks();
+  });
+
+  const remaining = () => audioEvents.docs.map(doc => doc.event_id);
+
+  it('purges expired segments with their audio and audits the batch', async () => {
+    const report = await RetentionService.run({ now: NOW });
+
+    expect(remaining()).toEqual(['e4']);
+    expect(storage.delete.mock.calls.map(([key]) => key)).toEqual([
+      'tenant-a/s1/e1.opus',
+      'tenant-a/s1/e2.opus',
+      'tenant-a/s2/e3.opus'
+    ]);
+    expect(report.totals).toEqual({ expired: 3, held: 0, purged: 3, failed: 0, recordings: 0, bytes: 300 });
+    expect(AuditService.record).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'retention.purged',
+      metadata: expect.objectContaining({ purged: 3, event_ids: ['e1', 'e2', 'e3'], session_ids: ['s1', 's2'] })
+    }));
+  });
+
+  it('reports what would be purged on a dry run', async () => {
+    const report = await RetentionService.run({ dryRun: true, now: NOW });
+
+    expect(report.totals).toEqual({ expired: 3, held: 0, purged: 0, failed: 0, recordings: 0, bytes: 300 });
+    expect(report.groups[0]).toMatchObject({ tenant_id: 'tenant-a', region: 'US-CA', retention_days: 30 });
+    expect(remaining()).toHaveLength(4);
+    expect(storage.delete).not.toHaveBeenCalled();
+  });
+
+  it('spares sessions under a legal hold', async () => {
+    await RetentionService.placeHold('tenant-a', { sessionId: 's1', reason: 'litigation', createdBy: 'u1' });
+
+    const report = await RetentionService.run({ now: NOW });
+
+    expect(remaining()).toEqual(['e1', 'e2', 'e4']);
+    expect(report.totals).toMatchObject({ expired: 3, held: 2, purged: 1 });
+  });
+
+  it('purges nothing for a tenant under a tenant-wide hold until it is released', async () => {
+    const hold = await RetentionService.placeHold('tenant-a', { reason: 'audit', createdBy: 'u1' });
+
+    expect((await RetentionService.run({ now: NOW })).totals).toMatchObject({ held: 3, purged: 0 });
+
+    await RetentionService.releaseHold('tenant-a', hold.hold_id, { releasedBy: 'u1' });
+    await expect(RetentionService.releaseHold('tenant-a', hold.hold_id, { releasedBy: 'u1' })).rejects.toThrow(ConflictError);
+    expect(await RetentionService.listHolds('tenant-a')).toEqual([]);
+
+    expect((await RetentionService.run({ now: NOW })).totals.purged).toBe(3);
+  });
+
+  it('refuses a hold on a session the tenant does not have', async () => {
+    await expect(RetentionService.placeHold('tenant-a', { sessionId: 's9', reason: 'litigation', createdBy: 'u1' }))
+      .rejects.toThrow(NotFoundError);
+    expect(holds.docs).toEqual([]);
+  });
+
+  it('keeps a segment whose audio could not be deleted for the next run', async () => {
+    storage.delete.mockImplementation(async key => {
+      if (key.endsWith('e2.opus')) throw new Error('EACCES');
+    });
+
+    const report = await RetentionService.run({ now: NOW });
+
+    expect(remaining()).toEqual(['e2', 'e4']);
+    expect(report.totals).toMatchObject({ purged: 2, failed: 1 });
+  });
+
+  it('purges expired recordings with any upload still stored', async () => {
+    recordings.docs.push(
+      recording('r1', 's1', OLD),
+      recording('r2', 's2', OLD, { deleted_at: OLD }),
+      recording('r3', 's2', RECENT)
+    );
+
+    const report = await RetentionService.run({ now: NOW });
+
+    expect(recordings.docs.map(doc => doc.recording_id)).toEqual(['r3']);
+    expect(storage.delete).toHaveBeenCalledWith('tenant-a/s1/recordings/r1.mp3');
+    expect(storage.delete).not.toHaveBeenCalledWith('tenant-a/s2/recordings/r2.mp3');
+    expect(report.totals).toMatchObject({ purged: 3, recordings: 2, bytes: 800 });
+    expect(AuditService.record).toHaveBeenCalledWith(expect.objectContaining({
+      metadata: expect.objectContaining({ purged: 2, recording_ids: ['r1', 'r2'] })
+    }));
+  });
+
+  it('purges recordings of a tenant without segments in their region', async () => {
+    audioEvents.docs.splice(0);
+    recordings.docs.push(recording('r1', 's1', OLD), recording('r2', 's2', OLD));
+    await RetentionService.placeHold('tenant-a', { sessionId: 's2', reason: 'litigation', createdBy: 'u1' });
+
+    const report = await RetentionService.run({ now: NOW });
+
+    expect(recordings.docs.map(doc => doc.recording_id)).toEqual(['r2']);
+    expect(report.totals).toMatchObject({ expired: 0, recordings: 1 });
+  });
+
+  it('purges in batches of RETENTION_BATCH_SIZE', async () => {
+    config.RETENTION_BATCH_SIZE = 2;
+
+    await RetentionService.run({ now: NOW });
+
+    expect(AuditService.record.mock.calls.map(([entry]) => entry.metadata.event_ids)).toEqual([['e1', 'e2'], ['e3']]);
+  });
+
+  it('refuses to start a purge while another is running', async () => {
+    RetentionService.running = true;
+    try {
+      await expect(RetentionService.run({ now: NOW })).rejects.toThrow(ConflictError);
+      await expect(RetentionService.run({ dryRun: true, now: NOW })).resolves.toMatchObject({ dry_run: true });
+    } finally {
+      RetentionService.running = false;
+    }
+  });
+});
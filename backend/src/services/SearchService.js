@@ -0,0 +1,262 @@
+/**
+ * AI Audio KB - Hybrid Search Service
+ *
+ * Runs vector and text retrieval over transcribed segments and fuses the
+ * two rankings with weighted Reciprocal Rank Fusion. Uses Atlas
+ * $vectorSearch/$search when available and falls back to the in-process
+ * LocalSearchEngine otherwise (SEARCH_ENGINE=auto|atlas|local). When an
+ * auto-mode query finds Atlas Search unsupported, the local engine serves
+ * for SEARCH_ATLAS_REPROBE_MS before Atlas is tried again.
+ *
+ * The fused top RERANKING_TOP_K candidates then pass through the reranking
+ * stage; each hit reports its pre-rerank (`ranks.retrieval`) and
+ * post-rerank (`ranks.rerank`) position.
+ *
+ * Only the PII-redacted transcript (`transcript.textRedacted`) is indexed,
+ * searched and returned. With encryption on, it is sealed when it still
+ * holds PII (regions without `pii_masking`), and such segments are
+ * reachable through the vector leg only. The `speaker` filter
+ * narrows results to segments in which a named session speaker talks.
+ * With FEATURE_TEAM_SHARING, a caller's visibility
+ * (SharingService.getVisibility) narrows both legs to segments of sessions
+ * they can see.
+ *
+ * Query embeddings and remote reranking are metered as live work.
+ */
+
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { INDEX_STATUS } from '../config/searchIndexes.js';
+import { ServiceUnavailableError } from '../utils/errors.js';
+import { VectorService } from './VectorService.js';
+import { RerankingService } from './RerankingService.js';
+import { AtlasSearchEngine, isSearchUnsupportedError } from './search/AtlasSearchEngine.js';
+import { LocalSearchEngine } from './search/LocalSearchEngine.js';
+import { reciprocalRankFusion } from './search/rrf.js';
+import { indexText } from './asr/transcript.js';
+import { speakerNameKey } from './asr/speakers.js';
+import { SharingService } from './SharingService.js';
+import { EncryptionService } from './EncryptionService.js';
+import { MeteringService, USAGE_UNIT, WORK_CLASS, estimateTokens } from './MeteringService.js';
+import { ResidencyRouter, getTenantCollection } from './ResidencyRouter.js';
+
+const RESULT_PROJECTION = {
+  _id: 0,
+  event_id: 1,
+  session_id: 1,
+  segment: 1,
+  timeline: 1,
+  tags: 1,
+  'speakers.ids': 1,
+  created_at: 1,
+  'transcript.textRedacted': 1,
+  'transcript.language': 1,
+  'transcript.confidence': 1
+};
+
+const NOT_READY_STATUSES = new Set([INDEX_STATUS.PENDING, INDEX_STATUS.FAILED]);
+
+class SearchService {
+  constructor() {
+    this.atlas = new AtlasSearchEngine();
+    this.local = new LocalSearchEngine();
+    // Until when auto mode skips Atlas after an "unsupported" error
+    this.atlasRetryAt = 0;
+  }
+
+  /**
+   * Engine to use for the next query. Until the managed Atlas indexes in
+   * the tenant's residency zone are queryable, auto mode serves from the
+   * local engine and atlas mode reports not-ready.
+   */
+  selectEngine(tenantId) {
+    if (config.SEARCH_ENGINE === 'local') return this.local;
+
+    const { status } = ResidencyRouter.getDatabase(tenantId).searchIndexes.getStatus();
+    const indexesNotReady = NOT_READY_STATUSES.has(status);
+
+    if (config.SEARCH_ENGINE === 'atlas') {
+      if (indexesNotReady) {
+        throw new ServiceUnavailableError('Search indexes are not ready', { search_indexes: status });
+      }
+      return this.atlas;
+    }
+
+    return Date.now() < this.atlasRetryAt || indexesNotReady || status === INDEX_STATUS.UNSUPPORTED
+      ? this.local
+      : this.atlas;
+  }
+
+  /**
+   * Build the tenant-scoped pre-filter shared by both legs
+   */
+  buildFilter(tenantId, filters = {}, visibility = null) {
+    const filter = {
+      tenant_id: tenantId,
+      ...SharingService.visibilityFilter(visibility, { ownerField: 'owner_id' })
+    };
+
+    if (filters.session_id) filter.session_id = filters.session_id;
+    if (filters.language) filter['transcript.language'] = filters.language;
+    if (filters.tags?.length) filter.tags = { $all: filters.tags };
+    // Segments the speaker talks in, by session speaker id or by name
+    if (filters.speaker_id) filter['speakers.ids'] = filters.speaker_id;
+    if (filters.speaker) filter['speakers.names'] = speakerNameKey(filters.speaker);
+    if (filters.from || filters.to) {
+      filter.created_at = {
+        ...(filters.from && { $gte: new Date(filters.from) }),
+        ...(filters.to && { $lte: new Date(filters.to) })
+      };
+    }
+
+    return filter;
+  }
+
+  /**
+   * Embed the query; on failure degrade to text-only retrieval
+   */
+  async embedQuery(tenantId, query) {
+    try {
+      const { vector, provider, tokens } = await VectorService.embedQuery(query);
+      await MeteringService.record({
+        tenantId,
+        provider,
+        unit: USAGE_UNIT.EMBEDDING_TOKENS,
+        quantity: tokens ?? estimateTokens([query]),
+        workClass: WORK_CLASS.LIVE
+      });
+      return vector;
+    } catch (error) {
+      logger.warn('Query embedding failed; running text-only search', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Retrieve vector and text candidates, falling back to the local engine
+   * when Atlas Search isn't available on this deployment
+   */
+  async retrieve(tenantId, options) {
+    const collection = getTenantCollection(tenantId, 'audio_events');
+    const engine = this.selectEngine(tenantId);
+
+    try {
+      return { engine: engine.name, ...(await engine.search(collection, options)) };
+    } catch (error) {
+      if (engine !== this.atlas || config.SEARCH_ENGINE !== 'auto' || !isSearchUnsupportedError(error)) {
+        throw error;
+      }
+
+      this.atlasRetryAt = Date.now() + config.SEARCH_ATLAS_REPROBE_MS;
+      logger.warn('Atlas Search unavailable; falling back to local search engine', {
+        error: error.message,
+        code: error.code,
+        retryAt: new Date(this.atlasRetryAt).toISOString()
+      });
+      return { engine: this.local.name, ...(await this.local.search(collection, options)) };
+    }
+  }
+
+  /**
+   * Hybrid search over a tenant's segments
+   */
+  async search(tenantId, {
+    query,
+    topK = config.HYBRID_TOP_K,
+    filters = {},
+    vectorWeight = config.HYBRID_VECTOR_WEIGHT,
+    textWeight = config.HYBRID_TEXT_WEIGHT,
+    minScore = config.HYBRID_MIN_SCORE,
+    rerank,
+    visibility = null
+  }) {
+    const timer = logger.timeStart('hybrid_search');
+    const queryVector = await this.embedQuery(tenantId, query);
+
+    const filter = this.buildFilter(tenantId, filters, visibility);
+
+    const retrieved = await this.retrieve(tenantId, {
+      filter,
+      queryVector,
+      query,
+      limit: config.HYBRID_VECTOR_CANDIDATES,
+      minScore
+    });
+
+    const rerankEnabled = rerank ?? config.RERANKING_ENABLED;
+    const poolSize = rerankEnabled ? Math.max(topK, config.RERANKING_TOP_K) : topK;
+
+    const fused = reciprocalRankFusion([
+      { name: 'vector', weight: vectorWeight, results: retrieved.vector },
+      { name: 'text', weight: textWeight, results: retrieved.text }
+    ], { limit: poolSize });
+
+    const docs = await getTenantCollection(tenantId, 'audio_events')
+      .find(
+        { ...filter, event_id: { $in: fused.map(hit => hit.event_id) } },
+        { projection: RESULT_PROJECTION }
+      )
+      .toArray();
+    const byId = new Map(await Promise.all(docs.map(async doc => [
+      doc.event_id,
+      { ...doc, transcript: await EncryptionService.openTranscript(tenantId, doc.transcript) }
+    ])));
+
+    const candidates = fused
+      .filter(hit => byId.has(hit.event_id))
+      .map((hit, index) => ({
+        hit,
+        doc: byId.get(hit.event_id),
+        retrievalRank: index + 1,
+        text: indexText(byId.get(hit.event_id).transcript),
+        retrievalScore: hit.score
+      }));
+
+    const reranked = await RerankingService.rerank(query, candidates, { topK, enabled: rerankEnabled });
+    if (reranked.reranker !== RerankingService.passThrough.name) {
+      await MeteringService.record({
+        tenantId,
+        provider: reranked.reranker,
+        unit: USAGE_UNIT.RERANK_CALLS,
+        quantity: 1,
+        workClass: WORK_CLASS.LIVE
+      });
+    }
+
+    const results = reranked.hits.map(({ hit, doc, retrievalRank, rerank_score: rerankScore }, index) => ({
+      rank: index + 1,
+      score: hit.score,
+      rerank_score: rerankScore,
+      ranks: { ...hit.ranks, retrieval: retrievalRank, rerank: index + 1 },
+      scores: hit.scores,
+      ...doc
+    }));
+
+    const tookMs = timer.end({ engine: retrieved.engine, results: results.length });
+
+    logger.vectorEvent('hybrid_search', {
+      tenantId,
+      engine: retrieved.engine,
+      vectorHits: retrieved.vector.length,
+      textHits: retrieved.text.length,
+      results: results.length,
+      reranker: reranked.reranker
+    });
+
+    return {
+      query,
+      engine: retrieved.engine,
+      took_ms: Math.round(tookMs),
+      weights: { vector: vectorWeight, text: textWeight },
+      degraded: queryVector === null,
+      rerank: { reranker: reranked.reranker, model: reranked.model, candidates: candidates.length },
+      results
+    };
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+export { searchService as SearchService };
+export default searchService;
@@ -0,0 +1,175 @@
+/**
+ * AI Audio KB - Hybrid Search Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { database } from '../config/database.js';
+import { config } from '../config/index.js';
+import { INDEX_STATUS, searchIndexManager } from '../config/searchIndexes.js';
+import { ServiceUnavailableError } from '../utils/errors.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+import { SearchService } from './SearchService.js';
+import { VectorService } from './VectorService.js';
+
+const segment = (eventId, text) => ({ event_id: eventId, tenant_id: 'tenant-a', session_id: 's1', transcript: { text } });
+
+const DOCS = [
+  segment('weather', 'the weather was lovely last week'),
+  segment('scattered', 'enterprise customers asked about a discount on pricing'),
+  segment('phrase', 'our enterprise pricing starts at ten seats')
+];
+
+describe('SearchService.search', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { RERANKING_ENABLED: config.RERANKING_ENABLED, RERANKING_PROVIDER: config.RERANKING_PROVIDER };
+    Object.assign(config, { RERANKING_ENABLED: true, RERANKING_PROVIDER: 'local' });
+
+    jest.spyOn(VectorService, 'embedQuery').mockResolvedValue({ vector: [1, 0] });
+    jest.spyOn(SearchService, 'retrieve').mockResolvedValue({
+      engine: 'local',
+      vector: [{ event_id: 'weather', score: 0.9 }, { event_id: 'scattered', score: 0.8 }, { event_id: 'phrase', score: 0.7 }],
+      text: [{ event_id: 'scattered', score: 2.1 }, { event_id: 'phrase', score: 1.8 }]
+    });
+    jest.spyOn(database, 'getCollection').mockReturnValue({
+      find: jest.fn(filter => ({
+        toArray: async () => DOCS.filter(doc => filter.event_id.$in.includes(doc.event_id))
+      }))
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(config, saved);
+    jest.restoreAllMocks();
+  });
+
+  const ranks = response => response.results.map(hit => [hit.event_id, hit.ranks.retrieval, hit.ranks.rerank]);
+
+  it('reports the pre-rerank and post-rerank rank of each hit', async () => {
+    const response = await SearchService.search('tenant-a', { query: 'enterprise pricing', topK: 3 });
+
+    expect(response.rerank).toEqual({ reranker: 'local', model: 'lexical-features-1', candidates: 3 });
+    expect(ranks(response)).toEqual([
+      ['phrase', 2, 1],
+      ['scattered', 1, 2],
+      ['weather', 3, 3]
+    ]);
+    expect(response.results.map(hit => hit.rank)).toEqual([1, 2, 3]);
+    expect(response.results[0]).toMatchObject({ transcript: { text: DOCS[2].transcript.text }, rerank_score: expect.any(Number) });
+  });
+
+  it('keeps fused order when reranking is turned off for the query', async () => {
+    const response = await SearchService.search('tenant-a', { query: 'enterprise pricing', topK: 3, rerank: false });
+
+    expect(response.rerank.reranker).toBe('none');
+    expect(ranks(response)).toEqual([
+      ['scattered', 1, 1],
+      ['phrase', 2, 2],
+      ['weather', 3, 3]
+    ]);
+  });
+
+  it('reranks a pool of RERANKING_TOP_K candidates down to topK', async () => {
+    const response = await SearchService.search('tenant-a', { query: 'enterprise pricing', topK: 1 });
+
+    expect(response.rerank.candidates).toBe(3);
+    expect(ranks(response)).toEqual([['phrase', 2, 1]]);
+  });
+
+  it("narrows retrieval and hydration to the caller's visibility", async () => {
+    const visibility = { userId: 'u1', teamIds: [], sharedSessionIds: ['s1'] };
+
+    await SearchService.search('tenant-a', { query: 'enterprise pricing', topK: 3, visibility });
+
+    const clause = { $or: [{ owner_id: 'u1' }, { session_id: { $in: ['s1'] } }] };
+    expect(SearchService.retrieve.mock.calls[0][1].filter).toMatchObject({ tenant_id: 'tenant-a', ...clause });
+    expect(database.getCollection.mock.results[0].value.find).toHaveBeenCalledWith(
+      expect.objectContaining(clause),
+      expect.anything()
+    );
+  });
+});
+
+describe('SearchService.buildFilter', () => {
+  it('filters by session speaker id or by name, ignoring case', () => {
+    expect(SearchService.buildFilter('tenant-a', { speaker_id: 'S2', speaker: ' Dana ' })).toEqual({
+      tenant_id: 'tenant-a',
+      'speakers.ids': 'S2',
+      'speakers.names': 'dana'
+    });
+  });
+});
+
+describe('SearchService.selectEngine', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { engine: config.SEARCH_ENGINE, status: searchIndexManager.status };
+  });
+
+  afterEach(() => {
+    config.SEARCH_ENGINE = saved.engine;
+    searchIndexManager.status = saved.status;
+  });
+
+  it('serves from the local engine until the Atlas indexes are queryable', () => {
+    config.SEARCH_ENGINE = 'auto';
+
+    searchIndexManager.status = INDEX_STATUS.PENDING;
+    expect(SearchService.selectEngine().name).toBe('local');
+
+    searchIndexManager.status = INDEX_STATUS.READY;
+    expect(SearchService.selectEngine().name).toBe('atlas');
+  });
+
+  it('reports not-ready in atlas mode while the indexes build', () => {
+    config.SEARCH_ENGINE = 'atlas';
+    searchIndexManager.status = INDEX_STATUS.PENDING;
+
+    expect(() => SearchService.selectEngine()).toThrow(ServiceUnavailableError);
+  });
+});
+
+describe('SearchService.retrieve', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { engine: config.SEARCH_ENGINE, reprobe: config.SEARCH_ATLAS_REPROBE_MS, status: searchIndexManager.status };
+    Object.assign(config, { SEARCH_ENGINE: 'auto', SEARCH_ATLAS_REPROBE_MS: 60000 });
+    searchIndexManager.status = INDEX_STATUS.READY;
+    SearchService.atlasRetryAt = 0;
+
+    jest.spyOn(ResidencyRouter, 'getCollection').mockReturnValue({});
+    jest.spyOn(SearchService.local, 'search').mockResolvedValue({ vector: [], text: [] });
+  });
+
+  afterEach(() => {
+    Object.assign(config, { SEARCH_ENGINE: saved.engine, SEARCH_ATLAS_REPROBE_MS: saved.reprobe });
+    searchIndexManager.status = saved.status;
+    SearchService.atlasRetryAt = 0;
+    jest.restoreAllMocks();
+  });
+
+  const unsupported = () => Object.assign(new Error("Unrecognized pipeline stage name: '$vectorSearch'"), { code: 40324 });
+
+  it('falls back to the local engine and tries Atlas again after the re-probe delay', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    jest.spyOn(SearchService.atlas, 'search').mockRejectedValueOnce(unsupported()).mockResolvedValue({ vector: [], text: [] });
+
+    expect((await SearchService.retrieve('tenant-a', {})).engine).toBe('local');
+    expect((await SearchService.retrieve('tenant-a', {})).engine).toBe('local');
+    expect(SearchService.atlas.search).toHaveBeenCalledTimes(1);
+
+    now.mockReturnValue(61000);
+    expect((await SearchService.retrieve('tenant-a', {})).engine).toBe('atlas');
+  });
+
+  it('surfaces Atlas query errors instead of falling back', async () => {
+    const error = Object.assign(new Error('$vectorSearch index audio_embeddings_index not found'), { code: 8 });
+    jest.spyOn(SearchService.atlas, 'search').mockRejectedValue(error);
+
+    await expect(SearchService.retrieve('tenant-a', {})).rejects.toBe(error);
+    expect(SearchService.local.search).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,353 @@
+/**
+ * AI Audio KB - Recording Segmentation Service
+ *
+ * Accepts long batch recordings, decodes them to PCM and splits them with
+ * energy-based VAD into speech segments of about AUDIO_SEGMENT_DURATION,
+ * cut at silences. Pure-silence stretches are dropped; each segment is
+ * ingested into the session at its offset in the recording and then runs
+ * through the processing pipeline like any other upload.
+ *
+ * Segmentation runs as a durable queue job. Segments are derived
+ * deterministically and ingested at sequence numbers fixed on the first
+ * attempt, so a retried job re-ingests idempotently. Completing the session
+ * doesn't stop a recording it accepted earlier from being ingested. The
+ * original upload is deleted once its segments are stored, or once the
+ * recording has failed for good.
+ */
+
+import { ulid } from 'ulid';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { AppError, ConflictError, NotFoundError, ServiceUnavailableError } from '../utils/errors.js';
+import { encodeWav } from './audio/formats.js';
+import { pcmRange, segmentSpeech } from './audio/vad.js';
+import { ConsentService } from './ConsentService.js';
+import { WORK_CLASS } from './MeteringService.js';
+import { PipelineService, isRetryable } from './PipelineService.js';
+import { RegionPolicyService } from './RegionPolicyService.js';
+import { SessionService, SESSION_STATUS } from './SessionService.js';
+import { TranscodingService } from './TranscodingService.js';
+import { ResidencyRouter, getTenantCollection, getTenantStorage } from './ResidencyRouter.js';
+
+export const RECORDING_STATUS = {
+  QUEUED: 'queued',
+  SEGMENTING: 'segmenting',
+  SEGMENTED: 'segmented',
+  FAILED: 'failed'
+};
+
+const SEGMENTATION_QUEUE = 'pipeline-segmentation';
+
+// Decoded recordings are large; segment one at a time per worker
+const SEGMENTATION_CONCURRENCY = 1;
+
+class SegmentationService {
+  constructor() {
+    this.queue = null;
+  }
+
+  /**
+   * Open the segmentation queue and, with PIPELINE_WORKERS_ENABLED,
+   * process it
+   */
+  async initialize() {
+    if (!PipelineService.isEnabled()) {
+      logger.startup('SegmentationService', { enabled: false });
+      return;
+    }
+
+    this.queue = PipelineService.createQueue(SEGMENTATION_QUEUE);
+    if (config.PIPELINE_WORKERS_ENABLED) {
+      this.queue.process(SEGMENTATION_CONCURRENCY, job => this.processJob(job));
+    }
+
+    logger.startup('SegmentationService', {
+      enabled: true,
+      workers: config.PIPELINE_WORKERS_ENABLED,
+      targetMs: config.AUDIO_SEGMENT_DURATION,
+      maxMs: config.AUDIO_SEGMENT_MAX_DURATION,
+      silenceMs: config.AUDIO_SILENCE_THRESHOLD,
+      vadThreshold: config.AUDIO_VAD_THRESHOLD
+    });
+  }
+
+  assertAvailable() {
+    if (!this.queue || !TranscodingService.isAvailable()) {
+      throw new AppError('Recording segmentation is not available', {
+        statusCode: 503,
+        code: 'SEGMENTATION_UNAVAILABLE'
+      });
+    }
+  }
+
+  /**
+   * Store a recording and queue it for segmentation. `startMs` is the
+   * recording's offset in the session timeline.
+   */
+  async submitRecording({ tenantId, userId, sessionId, startMs = 0, codec, mimetype, audio }) {
+    this.assertAvailable();
+
+    const session = await SessionService.getSession(tenantId, sessionId);
+    if (session.status !== SESSION_STATUS.ACTIVE) {
+      throw new ConflictError('Session is not accepting recordings', { sessionId, status: session.status });
+    }
+    ConsentService.assertIngestAllowed(session, RegionPolicyService.assertAllowed(session.consent.region));
+
+    const format = TranscodingService.inspect(audio, { codec, mimetype });
+    const recordingId = ulid();
+    const storage = getTenantStorage(tenantId);
+    const stored = await storage.put(
+      storage.buildRecordingKey({ tenantId, sessionId, recordingId, extension: format.format }),
+      audio
+    );
+
+    const now = new Date();
+    const recording = {
+      recording_id: recordingId,
+      tenant_id: tenantId,
+      session_id: sessionId,
+      user_id: userId,
+      offset_ms: startMs,
+      audio: {
+        key: stored.key,
+        codec: format.format,
+        container: format.container,
+        bytes: stored.bytes,
+        key_version: stored.key_version
+      },
+      // Retention follows the session's region, as for its segments
+      consent: { region: session.consent.region, policy_version: session.consent.policy_version },
+      status: RECORDING_STATUS.QUEUED,
+      first_seq: null,
+      segments: [],
+      error: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    const recordings = getTenantCollection(tenantId, 'recordings');
+    await recordings.insertOne(recording);
+
+    try {
+      await this.queue.add({ tenantId, recordingId }, { jobId: recordingId });
+    } catch (error) {
+      await this.failRecording(tenantId, recordingId, { message: 'Could not queue recording' });
+      logger.logError(error, { operation: 'queue_recording', tenantId, recordingId });
+      throw new ServiceUnavailableError('Recording could not be queued for segmentation', { recordingId });
+    }
+
+    logger.audioEvent('recording_submitted', { tenantId, sessionId, recordingId, codec: format.format, bytes: stored.bytes });
+
+    delete recording._id;
+    return recording;
+  }
+
+  /**
+   * Segment a recording; the last failed attempt marks it failed. The
+   * tenant's residency pin is loaded first, as the worker may not have
+   * served the tenant yet; without one the recording can't be reached.
+   */
+  async processJob(job) {
+    const { tenantId, recordingId } = job.data;
+    if (!await ResidencyRouter.lookupTenantZone(tenantId)) {
+      job.discard();
+      logger.audioEvent('recording_segmentation_skipped', { tenantId, recordingId, reason: 'residency_unassigned' });
+      return { skipped: true };
+    }
+
+    try {
+      return await this.segmentRecording(tenantId, recordingId);
+    } catch (error) {
+      const final = !isRetryable(error) || job.attemptsMade + 1 >= (job.opts.attempts ?? 1);
+      if (final) {
+        job.discard();
+        await this.failRecording(tenantId, recordingId, { message: error.message, code: error.code ?? null });
+      }
+      logger.audioEvent('recording_segmentation_failed', { tenantId, recordingId, final, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a recording failed and delete its upload: failed recordings are
+   * never segmented again, so nothing would ever remove it
+   */
+  async failRecording(tenantId, recordingId, error) {
+    const recordings = getTenantCollection(tenantId, 'recordings');
+    const recording = await recordings.findOneAndUpdate(
+      { recording_id: recordingId },
+      { $set: { status: RECORDING_STATUS.FAILED, error, updated_at: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0, audio: 1 } }
+    );
+    if (!recording?.audio?.key || recording.audio.deleted_at) return;
+
+    try {
+      await getTenantStorage(tenantId).delete(recording.audio.key);
+      await recordings.updateOne(
+        { recording_id: recordingId },
+        { $set: { 'audio.deleted_at': new Date() } }
+      );
+    } catch (deleteError) {
+      // Left for the retention sweep, which purges failed recordings too
+      logger.logError(deleteError, { operation: 'delete_failed_recording', tenantId, recordingId });
+    }
+  }
+
+  /**
+   * Decode, segment and ingest a recording
+   */
+  async segmentRecording(tenantId, recordingId) {
+    const recordings = getTenantCollection(tenantId, 'recordings');
+    const recording = await recordings.findOne({ recording_id: recordingId }, { projection: { _id: 0 } });
+    if (!recording) {
+      throw new NotFoundError('Recording not found', { recordingId });
+    }
+    if (recording.status === RECORDING_STATUS.SEGMENTED) {
+      return { segments: recording.segments.length };
+    }
+
+    await recordings.updateOne(
+      { recording_id: recordingId },
+      { $set: { status: RECORDING_STATUS.SEGMENTING, updated_at: new Date() } }
+    );
+
+    const timer = logger.timeStart('recording_segmentation');
+    const storage = getTenantStorage(tenantId);
+    const { pcm, sampleRate, channels } = await TranscodingService.decode(
+      await storage.get(recording.audio.key),
+      { format: recording.audio.codec }
+    );
+
+    const plan = segmentSpeech(pcm, {
+      sampleRate,
+      channels,
+      sensitivity: config.AUDIO_VAD_THRESHOLD,
+      targetMs: config.AUDIO_SEGMENT_DURATION,
+      maxMs: config.AUDIO_SEGMENT_MAX_DURATION,
+      silenceMs: config.AUDIO_SILENCE_THRESHOLD
+    });
+
+    const firstSeq = await this.reserveSequence(tenantId, recording, plan.segments.length);
+    const segments = [];
+
+    for (const [index, span] of plan.segments.entries()) {
+      const { start, end } = pcmRange(span, { sampleRate, channels });
+      const { segment } = await SessionService.ingestSegment({
+        tenantId,
+        userId: recording.user_id,
+        sessionId: recording.session_id,
+        seq: firstSeq + index,
+        startMs: recording.offset_ms + span.startMs,
+        endMs: recording.offset_ms + span.endMs,
+        codec: 'wav',
+        mimetype: 'audio/wav',
+        audio: encodeWav(pcm.subarray(start, end), { sampleRate, channels }),
+        workClass: WORK_CLASS.BATCH,
+        acceptedAt: recording.created_at
+      });
+      segments.push({
+        seq: firstSeq + index,
+        event_id: segment.event_id,
+        start_ms: segment.timeline.startMs,
+        end_ms: segment.timeline.endMs
+      });
+    }
+
+    const now = new Date();
+    await recordings.updateOne(
+      { recording_id: recordingId },
+      {
+        $set: {
+          status: RECORDING_STATUS.SEGMENTED,
+          segments,
+          duration_ms: plan.durationMs,
+          speech_ms: plan.speechMs,
+          dropped_ms: plan.durationMs - plan.speechMs,
+          vad_threshold_db: plan.threshold,
+          error: null,
+          segmented_at: now,
+          updated_at: now
+        }
+      }
+    );
+
+    // The segments now hold all of the speech
+    await storage.delete(recording.audio.key);
+    await recordings.updateOne(
+      { recording_id: recordingId },
+      { $set: { 'audio.deleted_at': new Date() } }
+    );
+
+    timer.end({ recordingId, segments: segments.length });
+    logger.audioEvent('recording_segmented', {
+      tenantId,
+      sessionId: recording.session_id,
+      recordingId,
+      segments: segments.length,
+      durationMs: plan.durationMs,
+      speechMs: plan.speechMs
+    });
+
+    return { segments: segments.length };
+  }
+
+  /**
+   * Sequence numbers for a recording's segments, fixed on the first
+   * attempt. The range is claimed with one atomic increment of the
+   * session's last sequence number, so concurrent recordings and uploads
+   * never share numbers; a claim lost to a crashed attempt only leaves a gap.
+   */
+  async reserveSequence(tenantId, recording, count) {
+    if (recording.first_seq !== null) return recording.first_seq;
+
+    const sessions = getTenantCollection(tenantId, 'sessions');
+    // $inc can't start from the null of a session with no segments yet
+    await sessions.updateOne(
+      { session_id: recording.session_id, 'stats.last_segment_idx': null },
+      { $set: { 'stats.last_segment_idx': -1 } }
+    );
+    const before = await sessions.findOneAndUpdate(
+      { session_id: recording.session_id },
+      { $inc: { 'stats.last_segment_idx': count } },
+      { returnDocument: 'before', projection: { _id: 0, 'stats.last_segment_idx': 1 } }
+    );
+    if (!before) {
+      throw new NotFoundError('Session not found', { sessionId: recording.session_id });
+    }
+    const firstSeq = before.stats.last_segment_idx + 1;
+
+    const recordings = getTenantCollection(tenantId, 'recordings');
+    const result = await recordings.updateOne(
+      { recording_id: recording.recording_id, first_seq: null },
+      { $set: { first_seq: firstSeq, updated_at: new Date() } }
+    );
+    if (!result.modifiedCount) {
+      const current = await recordings.findOne(
+        { recording_id: recording.recording_id },
+        { projection: { _id: 0, first_seq: 1 } }
+      );
+      return current.first_seq;
+    }
+    return firstSeq;
+  }
+
+  /**
+   * A recording and its segmentation result
+   */
+  async getRecording(tenantId, sessionId, recordingId) {
+    const recording = await getTenantCollection(tenantId, 'recordings').findOne(
+      { recording_id: recordingId, session_id: sessionId },
+      { projection: { _id: 0 } }
+    );
+    if (!recording) {
+      throw new NotFoundError('Recording not found', { recordingId });
+    }
+    return recording;
+  }
+}
+
+// Create singleton instance
+const segmentationService = new SegmentationService();
+
+export { segmentationService as SegmentationService };
+export default segmentationService;
@@ -0,0 +1,235 @@
+/**
+ * AI Audio KB - Recording Segmentation Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { config } from '../config/index.js';
+import { database } from '../config/database.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+import { RECORDING_STATUS, SegmentationService } from './SegmentationService.js';
+import { SessionService } from './SessionService.js';
+import { TranscodingService } from './TranscodingService.js';
+
+const recording = (overrides = {}) => ({
+  recording_id: 'r1',
+  tenant_id: 'tenant-a',
+  session_id: 's1',
+  user_id: 'u1',
+  offset_ms: 60000,
+  audio: { key: 'tenant-a/s1/recordings/r1.mp3', codec: 'mp3' },
+  status: RECORDING_STATUS.QUEUED,
+  first_seq: null,
+  segments: [],
+  created_at: new Date('2026-01-01T00:00:00Z'),
+  ...overrides
+});
+
+describe('SegmentationService', () => {
+  let collections;
+  let storage;
+
+  beforeEach(() => {
+    collections = {
+      sessions: createCollection([{ session_id: 's1', stats: { last_segment_idx: 4 } }]),
+      recordings: createCollection([recording()])
+    };
+    storage = { get: jest.fn().mockResolvedValue(Buffer.from('mp3')), delete: jest.fn().mockResolvedValue(undefined) };
+    jest.spyOn(ResidencyRouter, 'getCollection').mockImplementation((tenantId, name) => collections[name]);
+    jest.spyOn(ResidencyRouter, 'getStorage').mockReturnValue(storage);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const stored = () => collections.recordings.docs[0];
+
+  describe('reserveSequence', () => {
+    it('claims the numbers after the session\'s last segment', async () => {
+      expect(await SegmentationService.reserveSequence('tenant-a', recording(), 3)).toBe(5);
+
+      expect(collections.sessions.docs[0].stats.last_segment_idx).toBe(7);
+      expect(stored().first_seq).toBe(5);
+    });
+
+    it('starts at 0 in a session without segments', async () => {
+      collections.sessions.docs[0].stats.last_segment_idx = null;
+
+      expect(await SegmentationService.reserveSequence('tenant-a', recording(), 2)).toBe(0);
+      expect(collections.sessions.docs[0].stats.last_segment_idx).toBe(1);
+    });
+
+    it('gives concurrent recordings disjoint ranges', async () => {
+      collections.recordings.docs.push(recording({ recording_id: 'r2' }));
+
+      const [first, second] = await Promise.all([
+        SegmentationService.reserveSequence('tenant-a', recording(), 3),
+        SegmentationService.reserveSequence('tenant-a', recording({ recording_id: 'r2' }), 2)
+      ]);
+
+      expect([first, second].sort()).toEqual([5, 8]);
+      expect(collections.sessions.docs[0].stats.last_segment_idx).toBe(9);
+    });
+
+    it('keeps the range fixed on the first attempt', async () => {
+      expect(await SegmentationService.reserveSequence('tenant-a', recording({ first_seq: 2 }), 3)).toBe(2);
+      expect(collections.sessions.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns the range another attempt stored first', async () => {
+      stored().first_seq = 11;
+
+      expect(await SegmentationService.reserveSequence('tenant-a', recording(), 3)).toBe(11);
+    });
+  });
+
+  describe('segmentRecording', () => {
+    const SAMPLE_RATE = 8000;
+    let ingestSegment;
+
+    // 2 s of tone, 3 s of silence, 2 s of tone
+    const speech = () => {
+      const samples = new Int16Array(SAMPLE_RATE * 7);
+      for (let i = 0; i < samples.length; i++) {
+        const silent = i >= SAMPLE_RATE * 2 && i < SAMPLE_RATE * 5;
+        samples[i] = silent ? 0 : Math.round(8000 * Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE));
+      }
+      return Buffer.from(samples.buffer);
+    };
+
+    beforeEach(() => {
+      jest.spyOn(TranscodingService, 'decode').mockResolvedValue({ pcm: speech(), sampleRate: SAMPLE_RATE, channels: 1 });
+      ingestSegment = jest.spyOn(SessionService, 'ingestSegment').mockImplementation(async ({ seq, startMs, endMs }) => ({
+        segment: { event_id: `e${seq}`, timeline: { startMs, endMs } }
+      }));
+    });
+
+    it('ingests speech segments at consecutive sequence numbers and recording offsets', async () => {
+      expect(await SegmentationService.segmentRecording('tenant-a', 'r1')).toEqual({ segments: 2 });
+
+      expect(ingestSegment.mock.calls.map(([call]) => [call.seq, call.startMs, call.endMs])).toEqual([
+        [5, 60000, 62120],
+        [6, 64880, 67000]
+      ]);
+      expect(ingestSegment).toHaveBeenCalledWith(expect.objectContaining({
+        codec: 'wav',
+        acceptedAt: recording().created_at
+      }));
+      expect(stored()).toMatchObject({
+        status: RECORDING_STATUS.SEGMENTED,
+        first_seq: 5,
+        segments: [
+          { seq: 5, event_id: 'e5', start_ms: 60000, end_ms: 62120 },
+          { seq: 6, event_id: 'e6', start_ms: 64880, end_ms: 67000 }
+        ],
+        duration_ms: 7000,
+        dropped_ms: 2760
+      });
+      expect(storage.delete).toHaveBeenCalledWith('tenant-a/s1/recordings/r1.mp3');
+    });
+
+    it('re-ingests a retried recording at the numbers of its first attempt', async () => {
+      await SegmentationService.segmentRecording('tenant-a', 'r1');
+      stored().status = RECORDING_STATUS.SEGMENTING;
+      ingestSegment.mockClear();
+
+      await SegmentationService.segmentRecording('tenant-a', 'r1');
+
+      expect(ingestSegment.mock.calls.map(([call]) => call.seq)).toEqual([5, 6]);
+      expect(collections.sessions.docs[0].stats.last_segment_idx).toBe(6);
+    });
+
+    it('returns a segmented recording as it is', async () => {
+      stored().status = RECORDING_STATUS.SEGMENTED;
+      stored().segments = [{ seq: 5 }];
+
+      expect(await SegmentationService.segmentRecording('tenant-a', 'r1')).toEqual({ segments: 1 });
+      expect(ingestSegment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('failRecording', () => {
+    it('marks the recording failed and deletes its upload', async () => {
+      await SegmentationService.failRecording('tenant-a', 'r1', { message: 'Corrupt audio' });
+
+      expect(stored()).toMatchObject({ status: RECORDING_STATUS.FAILED, error: { message: 'Corrupt audio' } });
+      expect(storage.delete).toHaveBeenCalledWith('tenant-a/s1/recordings/r1.mp3');
+      expect(stored().audio.deleted_at).toBeInstanceOf(Date);
+    });
+
+    it('leaves an upload it cannot delete to the retention sweep', async () => {
+      storage.delete.mockRejectedValue(new Error('S3 unavailable'));
+
+      await SegmentationService.failRecording('tenant-a', 'r1', { message: 'Corrupt audio' });
+
+      expect(stored().status).toBe(RECORDING_STATUS.FAILED);
+      expect(stored().audio.deleted_at).toBeUndefined();
+    });
+  });
+
+  describe('processJob', () => {
+    const job = attemptsMade => ({ data: { tenantId: 'tenant-a', recordingId: 'r1' }, attemptsMade, opts: { attempts: 3 }, discard: jest.fn() });
+
+    it('leaves the recording queued for a retry after an early failure', async () => {
+      jest.spyOn(TranscodingService, 'decode').mockRejectedValue(new Error('ffmpeg crashed'));
+      const first = job(0);
+
+      await expect(SegmentationService.processJob(first)).rejects.toThrow('ffmpeg crashed');
+
+      expect(first.discard).not.toHaveBeenCalled();
+      expect(stored().status).toBe(RECORDING_STATUS.SEGMENTING);
+      expect(storage.delete).not.toHaveBeenCalled();
+    });
+
+    it('fails the recording on the last attempt', async () => {
+      jest.spyOn(TranscodingService, 'decode').mockRejectedValue(new Error('ffmpeg crashed'));
+      const last = job(2);
+
+      await expect(SegmentationService.processJob(last)).rejects.toThrow('ffmpeg crashed');
+
+      expect(last.discard).toHaveBeenCalled();
+      expect(stored()).toMatchObject({ status: RECORDING_STATUS.FAILED, error: { message: 'ffmpeg crashed' } });
+    });
+
+    describe('with residency routing and a cold pin cache', () => {
+      let saved;
+      let pin;
+
+      beforeEach(() => {
+        saved = config.RESIDENCY_ROUTING_ENABLED;
+        config.RESIDENCY_ROUTING_ENABLED = true;
+        ResidencyRouter.tenantZones = new Map();
+
+        pin = { tenant_id: 'tenant-a', zone: 'us-west-2' };
+        jest.spyOn(database, 'getCollection').mockReturnValue({ findOne: jest.fn(async () => pin) });
+        // Like the real router, tenant data is only reachable once the pin is loaded
+        ResidencyRouter.getCollection.mockImplementation((tenantId, name) => {
+          ResidencyRouter.getZone(tenantId);
+          return collections[name];
+        });
+        jest.spyOn(TranscodingService, 'decode').mockResolvedValue({ pcm: Buffer.alloc(16000), sampleRate: 8000, channels: 1 });
+      });
+
+      afterEach(() => {
+        config.RESIDENCY_ROUTING_ENABLED = saved;
+        ResidencyRouter.tenantZones = new Map();
+      });
+
+      it('loads the pin before segmenting', async () => {
+        expect(await SegmentationService.processJob(job(0))).toEqual({ segments: 0 });
+        expect(stored().status).toBe(RECORDING_STATUS.SEGMENTED);
+      });
+
+      it('skips the recording of a tenant without a pin', async () => {
+        pin = null;
+        const first = job(0);
+
+        expect(await SegmentationService.processJob(first)).toEqual({ skipped: true });
+        expect(first.discard).toHaveBeenCalled();
+        expect(TranscodingService.decode).not.toHaveBeenCalled();
+        expect(stored().status).toBe(RECORDING_STATUS.QUEUED);
+      });
+    });
+  });
+});
@@ -0,0 +1,366 @@
+/**
+ * AI Audio KB - Recording Session Service
+ *
+ * Creates recording sessions, ingests audio segments into storage and
+ * the `audio_events` collection, and reports per-session ingest status.
+ */
+
+import crypto from 'crypto';
+import { ulid } from 'ulid';
+import { logger } from '../utils/logger.js';
+import { RegionPolicyService } from './RegionPolicyService.js';
+import { ConsentService, CONSENT_STATUS } from './ConsentService.js';
+import { EncryptionService } from './EncryptionService.js';
+import { PipelineService } from './PipelineService.js';
+import { TranscodingService } from './TranscodingService.js';
+import { WORK_CLASS } from './MeteringService.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { getTenantCollection, getTenantStorage } from './ResidencyRouter.js';
+
+export const SESSION_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed'
+};
+
+export const SEGMENT_STATUS = {
+  UPLOADED: 'uploaded'
+};
+
+// Fields of a newly ingested segment. A retried upload returns only these,
+// never the transcript, ASR result or embedding added by the pipeline since.
+const UPLOAD_PROJECTION = {
+  _id: 0,
+  event_id: 1,
+  tenant_id: 1,
+  session_id: 1,
+  user_id: 1,
+  owner_id: 1,
+  team_id: 1,
+  segment: 1,
+  timeline: 1,
+  audio: 1,
+  consent: 1,
+  device: 1,
+  tags: 1,
+  status: 1,
+  pipeline: 1,
+  created_at: 1,
+  updated_at: 1
+};
+
+class SessionService {
+  /**
+   * Create a new recording session
+   */
+  async createSession({ tenantId, userId, teamId, region, policyVersion, consentMode, participants = [], title, tags = [], device = {}, startedAt }) {
+    const now = new Date();
+    const session = {
+      session_id: ulid(),
+      tenant_id: tenantId,
+      user_id: userId,
+      team_id: teamId || null,
+      status: SESSION_STATUS.ACTIVE,
+      title: title || null,
+      tags,
+      consent: {
+        region,
+        policy_version: policyVersion || null,
+        mode: consentMode || null,
+        status: CONSENT_STATUS.PENDING,
+        parties: [...new Set([userId, ...participants])],
+        granted_parties: []
+      },
+      flags: [],
+      device,
+      started_at: startedAt ? new Date(startedAt) : now,
+      ended_at: null,
+      stats: {
+        segment_count: 0,
+        total_bytes: 0,
+        total_duration_ms: 0,
+        last_segment_idx: null
+      },
+      speakers: [],
+      speaker_rev: 0,
+      created_at: now,
+      updated_at: now
+    };
+
+    await getTenantCollection(tenantId, 'sessions').insertOne(session);
+
+    logger.audioEvent('session_created', {
+      sessionId: session.session_id,
+      tenantId,
+      region
+    });
+
+    return session;
+  }
+
+  /**
+   * Load a session owned by the tenant
+   */
+  async getSession(tenantId, sessionId) {
+    const session = await getTenantCollection(tenantId, 'sessions').findOne(
+      { session_id: sessionId, tenant_id: tenantId },
+      { projection: { _id: 0 } }
+    );
+
+    if (!session) {
+      throw new NotFoundError('Session not found', { sessionId });
+    }
+
+    return session;
+  }
+
+  /**
+   * List sessions newest first. `visibility` is a filter clause from
+   * SharingService.visibilityFilter; `before` pages by session id.
+   */
+  async listSessions(tenantId, { visibility = {}, status, teamId, before, limit = 50 } = {}) {
+    const filter = { tenant_id: tenantId, ...visibility };
+    if (status) filter.status = status;
+    if (teamId) filter.team_id = teamId;
+    if (before) filter.session_id = { $lt: before };
+
+    return getTenantCollection(tenantId, 'sessions')
+      .find(filter, { projection: { _id: 0 } })
+      .sort({ session_id: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Ingest one audio segment for a session.
+   *
+   * Segments are idempotent on (session_id, seq): re-uploading identical
+   * bytes returns the existing event as uploaded (UPLOAD_PROJECTION),
+   * differing bytes are a conflict.
+   * New segments enter the processing pipeline as `workClass` work.
+   * `acceptedAt` is when a recording was accepted for the session: its
+   * segments are still ingested if the session was completed after that.
+   */
+  async ingestSegment({ tenantId, userId, sessionId, seq, startMs, endMs, codec, mimetype, audio, workClass = WORK_CLASS.BATCH, acceptedAt = null }) {
+    const session = await this.getSession(tenantId, sessionId);
+    const completedAfterAccept = session.status === SESSION_STATUS.COMPLETED
+      && acceptedAt !== null && session.completed_at >= acceptedAt;
+    if (session.status !== SESSION_STATUS.ACTIVE && !completedAfterAccept) {
+      throw new ConflictError('Session is not accepting segments', {
+        sessionId,
+        status: session.status
+      });
+    }
+
+    // Policies are hot-reloaded: a region blocked mid-session stops ingest,
+    // as does a consent revocation
+    const policy = RegionPolicyService.assertAllowed(session.consent.region);
+    ConsentService.assertIngestAllowed(session, policy);
+
+    // The format comes from the audio itself; the client's codec is a hint
+    const format = TranscodingService.inspect(audio, { codec, mimetype });
+
+    const audioEvents = getTenantCollection(tenantId, 'audio_events');
+    const checksum = crypto.createHash('sha256').update(audio).digest('hex');
+
+    const existing = await audioEvents.findOne(
+      { session_id: sessionId, 'segment.idx': seq },
+      { projection: UPLOAD_PROJECTION }
+    );
+    if (existing) {
+      if (existing.audio?.sha256 === checksum) {
+        // A retried upload also retries queueing a segment left pending
+        await PipelineService.enqueueSegment(existing);
+        return { segment: existing, created: false };
+      }
+      throw new ConflictError('Segment sequence already uploaded with different audio', {
+        sessionId,
+        seq
+      });
+    }
+
+    const eventId = ulid();
+    const storage = getTenantStorage(tenantId);
+    const key = storage.buildSegmentKey({
+      tenantId,
+      sessionId,
+      idx: seq,
+      eventId,
+      extension: format.format
+    });
+    const stored = await storage.put(key, audio);
+
+    const now = new Date();
+    const segment = {
+      event_id: eventId,
+      tenant_id: tenantId,
+      session_id: sessionId,
+      user_id: userId,
+      // Visibility follows the session, not the uploader
+      owner_id: session.user_id,
+      team_id: session.team_id ?? null,
+      segment: {
+        idx: seq,
+        duration_ms: endMs - startMs,
+        codec: format.format
+      },
+      timeline: { startMs, endMs },
+      audio: {
+        key: stored.key,
+        uri: stored.uri,
+        zone: storage.zone,
+        codec: format.format,
+        container: format.container,
+        mimetype: format.mimetype,
+        sample_rate: format.sampleRate ?? null,
+        channels: format.channels ?? null,
+        declared: { codec: codec ?? null, mimetype: mimetype ?? null },
+        bytes: stored.bytes,
+        sha256: checksum,
+        key_version: stored.key_version
+      },
+      transcript: null,
+      consent: { region: session.consent.region, policy_version: session.consent.policy_version },
+      device: session.device,
+      tags: session.tags,
+      status: SEGMENT_STATUS.UPLOADED,
+      pipeline: PipelineService.initialState(workClass, now),
+      created_at: now,
+      updated_at: now
+    };
+
+    // Upsert keyed on (session_id, segment.idx) so concurrent retries of the
+    // same sequence number cannot both insert
+    const result = await audioEvents.updateOne(
+      { session_id: sessionId, 'segment.idx': seq },
+      { $setOnInsert: segment },
+      { upsert: true }
+    );
+
+    if (!result.upsertedCount) {
+      await storage.delete(key);
+      return this.ingestSegment({ tenantId, userId, sessionId, seq, startMs, endMs, codec, mimetype, audio, workClass, acceptedAt });
+    }
+
+    await getTenantCollection(tenantId, 'sessions').updateOne(
+      { session_id: sessionId },
+      {
+        $inc: {
+          'stats.segment_count': 1,
+          'stats.total_bytes': stored.bytes,
+          'stats.total_duration_ms': endMs - startMs
+        },
+        $max: { 'stats.last_segment_idx': seq },
+        $set: { updated_at: now }
+      }
+    );
+
+    logger.audioEvent('segment_ingested', {
+      eventId,
+      sessionId,
+      seq,
+      bytes: stored.bytes,
+      durationMs: endMs - startMs
+    });
+
+    await PipelineService.enqueueSegment(segment);
+    return { segment, created: true };
+  }
+
+  /**
+   * List segments of a session in sequence order, transcripts decrypted.
+   * These are the originals: callers show them through
+   * PiiService.viewTranscript.
+   */
+  async listSegments(tenantId, sessionId, { limit = 100, afterSeq = -1 } = {}) {
+    await this.getSession(tenantId, sessionId);
+
+    const segments = await getTenantCollection(tenantId, 'audio_events')
+      .find(
+        { session_id: sessionId, tenant_id: tenantId, 'segment.idx': { $gt: afterSeq } },
+        { projection: { _id: 0, embedding: 0, asr_result: 0 } }
+      )
+      .sort({ 'segment.idx': 1 })
+      .limit(limit)
+      .toArray();
+
+    return Promise.all(segments.map(async segment => ({
+      ...segment,
+      transcript: await EncryptionService.openTranscript(tenantId, segment.transcript)
+    })));
+  }
+
+  /**
+   * Summarize ingest progress for a session, including sequence gaps
+   * the client still needs to upload
+   */
+  async getSessionStatus(tenantId, sessionId) {
+    const session = await this.getSession(tenantId, sessionId);
+
+    const seqs = await getTenantCollection(tenantId, 'audio_events')
+      .find({ session_id: sessionId, tenant_id: tenantId }, { projection: { _id: 0, 'segment.idx': 1 } })
+      .sort({ 'segment.idx': 1 })
+      .map(doc => doc.segment.idx)
+      .toArray();
+
+    const statusCounts = await getTenantCollection(tenantId, 'audio_events')
+      .aggregate([
+        { $match: { session_id: sessionId, tenant_id: tenantId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+      .toArray();
+
+    const missingSeqs = [];
+    const last = seqs.length ? seqs[seqs.length - 1] : -1;
+    for (let i = 0, expected = 0; expected <= last; expected++) {
+      if (seqs[i] === expected) {
+        i++;
+      } else {
+        missingSeqs.push(expected);
+      }
+    }
+
+    return {
+      ...session,
+      segments: {
+        received: seqs.length,
+        last_seq: seqs.length ? last : null,
+        missing_seqs: missingSeqs,
+        by_status: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count]))
+      }
+    };
+  }
+
+  /**
+   * Mark a session as completed; further segment uploads are rejected.
+   * `completed_at` keeps the first completion, so recordings accepted
+   * before it can still finish ingesting.
+   */
+  async completeSession(tenantId, sessionId, { endedAt } = {}) {
+    const now = new Date();
+    const result = await getTenantCollection(tenantId, 'sessions').findOneAndUpdate(
+      { session_id: sessionId, tenant_id: tenantId },
+      {
+        $set: {
+          status: SESSION_STATUS.COMPLETED,
+          ended_at: endedAt ? new Date(endedAt) : now,
+          updated_at: now
+        },
+        $min: { completed_at: now }
+      },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (!result) {
+      throw new NotFoundError('Session not found', { sessionId });
+    }
+
+    logger.audioEvent('session_completed', { sessionId, tenantId });
+    return result;
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+export { sessionService as SessionService };
+export default sessionService;
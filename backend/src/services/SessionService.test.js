@@ -0,0 +1,250 @@
+/**
+ * AI Audio KB - Recording Session Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { database } from '../config/database.js';
+import { ConflictError, ForbiddenError, NotFoundError, UnsupportedMediaTypeError } from '../utils/errors.js';
+import { createCollection as createMemoryCollection, matches } from '../__tests__/helpers/memoryCollection.js';
+import { RegionPolicyService } from './RegionPolicyService.js';
+import { SEGMENT_STATUS, SESSION_STATUS, SessionService } from './SessionService.js';
+import { StorageService } from './StorageService.js';
+
+/**
+ * In-memory collection, counting statuses for getSessionStatus' aggregate
+ */
+function createCollection(docs = []) {
+  return Object.assign(createMemoryCollection(docs), {
+    aggregate: jest.fn(([{ $match }]) => {
+      const counts = {};
+      docs.filter(doc => matches(doc, $match)).forEach(doc => {
+        counts[doc.status] = (counts[doc.status] ?? 0) + 1;
+      });
+      return { toArray: async () => Object.entries(counts).map(([_id, count]) => ({ _id, count })) };
+    })
+  });
+}
+
+/**
+ * First Ogg page of an Opus stream, followed by `payload`
+ */
+function oggOpus(payload) {
+  const page = Buffer.alloc(47);
+  page.write('OggS', 0, 'latin1');
+  page[26] = 1;
+  page[27] = 19;
+  page.write('OpusHead', 28, 'latin1');
+  page[37] = 1;
+  page.writeUInt32LE(48000, 40);
+  return Buffer.concat([page, Buffer.from(payload)]);
+}
+
+const AUDIO = oggOpus('frame-0');
+
+describe('SessionService', () => {
+  let collections;
+  let session;
+
+  beforeEach(async () => {
+    collections = { sessions: createCollection(), audio_events: createCollection() };
+    jest.spyOn(database, 'getCollection').mockImplementation(name => collections[name]);
+    jest.spyOn(StorageService, 'put').mockImplementation(async (key, buffer) => ({ key, uri: `local://${key}`, bytes: buffer.length }));
+    jest.spyOn(StorageService, 'delete').mockResolvedValue(true);
+
+    session = await SessionService.createSession({
+      tenantId: 'tenant-a',
+      userId: 'u1',
+      region: 'US-CA',
+      tags: ['sales'],
+      device: { model: 'iPhone15,2' }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const ingest = (seq, audio = AUDIO, options = {}) => SessionService.ingestSegment({
+    tenantId: 'tenant-a',
+    userId: 'u1',
+    sessionId: session.session_id,
+    seq,
+    startMs: seq * 5000,
+    endMs: (seq + 1) * 5000,
+    codec: 'opus',
+    mimetype: 'audio/ogg',
+    audio,
+    ...options
+  });
+
+  describe('createSession', () => {
+    it('stores an active session with a ULID', () => {
+      expect(session.session_id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+      expect(collections.sessions.docs[0]).toMatchObject({
+        tenant_id: 'tenant-a',
+        status: SESSION_STATUS.ACTIVE,
+        consent: { region: 'US-CA' },
+        device: { model: 'iPhone15,2' },
+        stats: { segment_count: 0, last_segment_idx: null }
+      });
+    });
+
+    it('keeps sessions to their tenant', async () => {
+      await expect(SessionService.getSession('tenant-b', session.session_id)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('ingestSegment', () => {
+    it('stores the audio and writes the audio_events document', async () => {
+      const { segment, created } = await ingest(0);
+
+      expect(created).toBe(true);
+      expect(StorageService.put).toHaveBeenCalledWith(`tenant-a/${session.session_id}/000000-${segment.event_id}.opus`, AUDIO);
+      expect(collections.audio_events.docs[0]).toMatchObject({
+        event_id: segment.event_id,
+        session_id: session.session_id,
+        segment: { idx: 0, duration_ms: 5000, codec: 'opus' },
+        timeline: { startMs: 0, endMs: 5000 },
+        audio: { bytes: AUDIO.length, mimetype: 'audio/ogg' },
+        consent: { region: 'US-CA' },
+        device: { model: 'iPhone15,2' },
+        tags: ['sales'],
+        status: SEGMENT_STATUS.UPLOADED
+      });
+      expect(collections.sessions.docs[0].stats).toMatchObject({
+        segment_count: 1,
+        total_bytes: AUDIO.length,
+        total_duration_ms: 5000,
+        last_segment_idx: 0
+      });
+    });
+
+    it('records the format detected in the audio over the declared codec', async () => {
+      await SessionService.ingestSegment({
+        tenantId: 'tenant-a',
+        userId: 'u1',
+        sessionId: session.session_id,
+        seq: 0,
+        startMs: 0,
+        endMs: 5000,
+        codec: 'm4a',
+        mimetype: 'audio/mp4',
+        audio: AUDIO
+      });
+
+      expect(collections.audio_events.docs[0].audio).toMatchObject({
+        codec: 'opus',
+        container: 'ogg',
+        sample_rate: 48000,
+        declared: { codec: 'm4a', mimetype: 'audio/mp4' }
+      });
+    });
+
+    it('stores nothing for audio in an unsupported format', async () => {
+      await expect(ingest(0, Buffer.from('not audio at all'))).rejects.toThrow(UnsupportedMediaTypeError);
+
+      expect(StorageService.put).not.toHaveBeenCalled();
+      expect(collections.audio_events.docs).toEqual([]);
+    });
+
+    it('returns the existing segment when the same bytes are uploaded again', async () => {
+      const first = await ingest(0);
+      const retry = await ingest(0);
+
+      const { transcript, ...uploaded } = first.segment;
+      expect(retry).toEqual({ segment: uploaded, created: false });
+      expect(StorageService.put).toHaveBeenCalledTimes(1);
+      expect(collections.sessions.docs[0].stats.segment_count).toBe(1);
+    });
+
+    it('rejects different audio for a sequence number already uploaded', async () => {
+      await ingest(0);
+
+      await expect(ingest(0, oggOpus('other audio'))).rejects.toThrow(ConflictError);
+    });
+
+    it('drops its upload when a concurrent retry inserted the segment first', async () => {
+      const updateOne = collections.audio_events.updateOne.getMockImplementation();
+      collections.audio_events.updateOne.mockImplementationOnce(async (filter, update, options) => {
+        await updateOne(filter, { $setOnInsert: { ...update.$setOnInsert, event_id: 'winner' } }, options);
+        return { matchedCount: 1, upsertedCount: 0 };
+      });
+
+      const { segment, created } = await ingest(0);
+
+      expect(created).toBe(false);
+      expect(segment.event_id).toBe('winner');
+      expect(StorageService.delete).toHaveBeenCalledWith(expect.stringMatching(/000000-.+\.opus$/));
+      expect(collections.audio_events.docs).toHaveLength(1);
+    });
+
+    it('rejects segments for a completed session', async () => {
+      await SessionService.completeSession('tenant-a', session.session_id);
+
+      await expect(ingest(0)).rejects.toThrow('Session is not accepting segments');
+    });
+
+    it('still ingests a recording accepted before the session completed', async () => {
+      const acceptedAt = new Date();
+      await SessionService.completeSession('tenant-a', session.session_id);
+      await SessionService.completeSession('tenant-a', session.session_id);
+
+      const { created } = await ingest(0, AUDIO, { acceptedAt });
+
+      expect(created).toBe(true);
+      await expect(ingest(1, AUDIO, { acceptedAt: new Date(Date.now() + 60000) })).rejects.toThrow(ConflictError);
+    });
+
+    it('stops ingest once the session region is blocked', async () => {
+      jest.spyOn(RegionPolicyService, 'assertAllowed').mockImplementation(region => {
+        throw new ForbiddenError('Region not supported', { region });
+      });
+
+      await expect(ingest(0)).rejects.toThrow(ForbiddenError);
+      expect(RegionPolicyService.assertAllowed).toHaveBeenCalledWith('US-CA');
+      expect(StorageService.put).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSessionStatus', () => {
+    it('reports the sequence gaps still to upload', async () => {
+      await ingest(0);
+      await ingest(2);
+      await ingest(5);
+
+      expect((await SessionService.getSessionStatus('tenant-a', session.session_id)).segments).toEqual({
+        received: 3,
+        last_seq: 5,
+        missing_seqs: [1, 3, 4],
+        by_status: { [SEGMENT_STATUS.UPLOADED]: 3 }
+      });
+    });
+
+    it('reports an empty session', async () => {
+      expect((await SessionService.getSessionStatus('tenant-a', session.session_id)).segments)
+        .toMatchObject({ received: 0, last_seq: null, missing_seqs: [] });
+    });
+  });
+
+  describe('listSegments', () => {
+    it('pages segments in sequence order', async () => {
+      for (const seq of [2, 0, 1]) await ingest(seq);
+
+      const page = await SessionService.listSegments('tenant-a', session.session_id, { afterSeq: 0, limit: 5 });
+
+      expect(page.map(segment => segment.segment.idx)).toEqual([1, 2]);
+    });
+  });
+
+  describe('completeSession', () => {
+    it('marks the session completed', async () => {
+      const completed = await SessionService.completeSession('tenant-a', session.session_id, { endedAt: '2026-01-01T00:10:00Z' });
+
+      expect(completed).toMatchObject({ status: SESSION_STATUS.COMPLETED, ended_at: new Date('2026-01-01T00:10:00Z') });
+    });
+
+    it('fails for an unknown session', async () => {
+      await expect(SessionService.completeSession('tenant-a', 'missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+});
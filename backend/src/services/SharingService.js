@@ -0,0 +1,291 @@
+/**
+ * AI Audio KB - Session Sharing Service
+ *
+ * Decides which sessions a caller can see and change when
+ * FEATURE_TEAM_SHARING is on. A session is visible to:
+ *
+ *   - its owner (the user who created it)
+ *   - every member of the team it was recorded into; team owners and
+ *     admins may also change and share it
+ *   - users and teams holding an active sharing grant (`read` or `write`)
+ *   - roles in TEAM_SHARING_ADMIN_ROLES, which see the whole tenant
+ *
+ * With the flag off every tenant user sees every session of the tenant,
+ * as before. Sessions the caller can't see are reported as not found.
+ */
+
+import { ulid } from 'ulid';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { AuditService } from './AuditService.js';
+import { AuthService } from './AuthService.js';
+import { SessionService } from './SessionService.js';
+import { TeamService, TEAM_ROLE } from './TeamService.js';
+import { getTenantCollection } from './ResidencyRouter.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+export const SHARE_ACCESS = {
+  READ: 'read',
+  WRITE: 'write'
+};
+
+export const GRANTEE_TYPE = {
+  USER: 'user',
+  TEAM: 'team'
+};
+
+class SharingService {
+  isEnabled() {
+    return config.FEATURE_TEAM_SHARING;
+  }
+
+  /**
+   * Whether the caller sees every session of the tenant
+   */
+  seesTenant(user) {
+    return !this.isEnabled() || config.TEAM_SHARING_ADMIN_ROLES.includes(user.role);
+  }
+
+  /**
+   * Active grants held by the user directly or through one of their teams
+   */
+  async listGrantsFor(tenantId, userId, teamIds, filter = {}) {
+    return getTenantCollection(tenantId, 'session_shares')
+      .find(
+        {
+          ...filter,
+          revoked_at: null,
+          $or: [
+            { grantee_type: GRANTEE_TYPE.USER, grantee_id: userId },
+            { grantee_type: GRANTEE_TYPE.TEAM, grantee_id: { $in: teamIds } }
+          ]
+        },
+        { projection: { _id: 0, session_id: 1, access: 1 } }
+      )
+      .toArray();
+  }
+
+  /**
+   * What the caller can see: null for the whole tenant, otherwise the
+   * user, their teams and the sessions shared with them
+   */
+  async getVisibility(user) {
+    if (this.seesTenant(user)) return null;
+
+    const memberships = await TeamService.listMemberships(user.tenant_id, user.id);
+    const teamIds = memberships.map(membership => membership.team_id);
+    const grants = await this.listGrantsFor(user.tenant_id, user.id, teamIds);
+
+    return {
+      userId: user.id,
+      teamIds,
+      sharedSessionIds: [...new Set(grants.map(grant => grant.session_id))]
+    };
+  }
+
+  /**
+   * Query clause restricting sessions (`ownerField: 'user_id'`) or
+   * segments (`ownerField: 'owner_id'`) to a visibility; empty for the
+   * whole tenant
+   */
+  visibilityFilter(visibility, { ownerField = 'user_id' } = {}) {
+    if (!visibility) return {};
+
+    const clauses = [{ [ownerField]: visibility.userId }];
+    if (visibility.teamIds.length) clauses.push({ team_id: { $in: visibility.teamIds } });
+    if (visibility.sharedSessionIds.length) clauses.push({ session_id: { $in: visibility.sharedSessionIds } });
+
+    return { $or: clauses };
+  }
+
+  /**
+   * The caller's access to one session: 'write', 'read' or null.
+   * `manage` additionally reports whether the caller may share it.
+   */
+  async resolveAccess(user, session) {
+    if (this.seesTenant(user) || session.user_id === user.id) {
+      return { access: SHARE_ACCESS.WRITE, manage: true };
+    }
+
+    const memberships = await TeamService.listMemberships(user.tenant_id, user.id);
+    const teamRole = memberships.find(membership => membership.team_id === session.team_id)?.role;
+
+    if (session.team_id && TeamService.hasRole(teamRole, TEAM_ROLE.ADMIN)) {
+      return { access: SHARE_ACCESS.WRITE, manage: true };
+    }
+
+    const grants = await this.listGrantsFor(
+      user.tenant_id,
+      user.id,
+      memberships.map(membership => membership.team_id),
+      { session_id: session.session_id }
+    );
+
+    if (grants.some(grant => grant.access === SHARE_ACCESS.WRITE)) {
+      return { access: SHARE_ACCESS.WRITE, manage: false };
+    }
+    if (grants.length || (session.team_id && teamRole)) {
+      return { access: SHARE_ACCESS.READ, manage: false };
+    }
+    return { access: null, manage: false };
+  }
+
+  /**
+   * Require `access` (or the right to share, with `manage`) on a session
+   */
+  async authorizeSession(user, session, access = SHARE_ACCESS.READ, { manage = false } = {}) {
+    const granted = await this.resolveAccess(user, session);
+
+    if (!granted.access) {
+      logger.securityEvent('session_access_denied', {
+        tenantId: user.tenant_id,
+        userId: user.id,
+        sessionId: session.session_id,
+        access
+      });
+      throw new NotFoundError('Session not found', { sessionId: session.session_id });
+    }
+    if ((access === SHARE_ACCESS.WRITE && granted.access !== SHARE_ACCESS.WRITE) || (manage && !granted.manage)) {
+      throw new ForbiddenError('Insufficient access to this session', {
+        sessionId: session.session_id,
+        required: manage ? 'manage' : access
+      });
+    }
+
+    return session;
+  }
+
+  /**
+   * Load a session and require access to it
+   */
+  async loadAuthorizedSession(user, sessionId, access, options) {
+    const session = await SessionService.getSession(user.tenant_id, sessionId);
+    return this.authorizeSession(user, session, access, options);
+  }
+
+  /**
+   * Require access to the session a segment belongs to
+   */
+  async authorizeSegment(user, eventId, access) {
+    if (this.seesTenant(user)) return;
+
+    const segment = await getTenantCollection(user.tenant_id, 'audio_events').findOne(
+      { event_id: eventId },
+      { projection: { _id: 0, session_id: 1 } }
+    );
+    if (!segment) {
+      throw new NotFoundError('Segment not found', { eventId });
+    }
+
+    try {
+      await this.loadAuthorizedSession(user, segment.session_id, access);
+    } catch (error) {
+      // Don't reveal the segment's session to callers who can't see it
+      if (error instanceof NotFoundError) {
+        throw new NotFoundError('Segment not found', { eventId });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a grantee exists in the tenant
+   */
+  async assertGrantee(tenantId, granteeType, granteeId) {
+    if (granteeType === GRANTEE_TYPE.TEAM) {
+      const team = await getTenantCollection(tenantId, 'teams').findOne({ team_id: granteeId });
+      if (team) return;
+    } else {
+      const user = await AuthService.loadActiveUser(granteeId).catch(() => null);
+      if (user?.tenant_id === tenantId) return;
+    }
+
+    throw new ValidationError('Unknown grantee', [{ field: 'grantee_id', message: `no such ${granteeType} in this tenant` }]);
+  }
+
+  /**
+   * Grant a user or team access to a session. Re-sharing with the same
+   * grantee replaces the previous access level.
+   */
+  async shareSession(user, sessionId, { granteeType, granteeId, access }) {
+    const tenantId = user.tenant_id;
+    await this.loadAuthorizedSession(user, sessionId, SHARE_ACCESS.WRITE, { manage: true });
+    await this.assertGrantee(tenantId, granteeType, granteeId);
+
+    const now = new Date();
+    const grant = await getTenantCollection(tenantId, 'session_shares').findOneAndUpdate(
+      { session_id: sessionId, grantee_type: granteeType, grantee_id: granteeId, revoked_at: null },
+      {
+        $set: { access, granted_by: user.id, updated_at: now },
+        $setOnInsert: {
+          grant_id: ulid(),
+          tenant_id: tenantId,
+          session_id: sessionId,
+          grantee_type: granteeType,
+          grantee_id: granteeId,
+          created_at: now,
+          revoked_at: null,
+          revoked_by: null
+        }
+      },
+      { upsert: true, returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    await AuditService.record({
+      tenantId,
+      actor: user.id,
+      action: 'session.shared',
+      subject: `session:${sessionId}`,
+      metadata: { grant_id: grant.grant_id, grantee_type: granteeType, grantee_id: granteeId, access }
+    });
+
+    return grant;
+  }
+
+  /**
+   * Active grants on a session (for those who may share it)
+   */
+  async listShares(user, sessionId) {
+    await this.loadAuthorizedSession(user, sessionId, SHARE_ACCESS.WRITE, { manage: true });
+
+    return getTenantCollection(user.tenant_id, 'session_shares')
+      .find({ session_id: sessionId, revoked_at: null }, { projection: { _id: 0 } })
+      .sort({ created_at: 1 })
+      .toArray();
+  }
+
+  /**
+   * Revoke a sharing grant
+   */
+  async revokeShare(user, sessionId, grantId) {
+    const tenantId = user.tenant_id;
+    await this.loadAuthorizedSession(user, sessionId, SHARE_ACCESS.WRITE, { manage: true });
+
+    const revokedAt = new Date();
+    const grant = await getTenantCollection(tenantId, 'session_shares').findOneAndUpdate(
+      { grant_id: grantId, session_id: sessionId, revoked_at: null },
+      { $set: { revoked_at: revokedAt, revoked_by: user.id } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (!grant) {
+      throw new NotFoundError('Sharing grant not found', { grantId });
+    }
+
+    await AuditService.record({
+      tenantId,
+      actor: user.id,
+      action: 'session.share_revoked',
+      subject: `session:${sessionId}`,
+      metadata: { grant_id: grantId, grantee_type: grant.grantee_type, grantee_id: grant.grantee_id }
+    });
+
+    return grant;
+  }
+}
+
+// Create singleton instance
+const sharingService = new SharingService();
+
+export { sharingService as SharingService };
+export default sharingService;
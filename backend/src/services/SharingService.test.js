@@ -0,0 +1,141 @@
+/**
+ * AI Audio KB - Session Sharing Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { config } from '../config/index.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { AuditService } from './AuditService.js';
+import { AuthService } from './AuthService.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+import { SessionService } from './SessionService.js';
+import { SharingService } from './SharingService.js';
+import { TeamService } from './TeamService.js';
+
+const SESSIONS = {
+  own: { session_id: 'own', tenant_id: 'tenant-a', user_id: 'u1', team_id: null },
+  team: { session_id: 'team', tenant_id: 'tenant-a', user_id: 'u2', team_id: 'sales' },
+  shared: { session_id: 'shared', tenant_id: 'tenant-a', user_id: 'u2', team_id: null },
+  private: { session_id: 'private', tenant_id: 'tenant-a', user_id: 'u2', team_id: null }
+};
+
+const USER = { id: 'u1', tenant_id: 'tenant-a', role: 'agent' };
+
+const grant = (sessionId, granteeType, granteeId, access) => ({
+  grant_id: `g-${sessionId}`,
+  session_id: sessionId,
+  grantee_type: granteeType,
+  grantee_id: granteeId,
+  access,
+  revoked_at: null
+});
+
+describe('SharingService', () => {
+  let saved;
+  let collections;
+  let memberships;
+
+  beforeEach(() => {
+    saved = config.FEATURE_TEAM_SHARING;
+    config.FEATURE_TEAM_SHARING = true;
+
+    memberships = [{ team_id: 'sales', name: 'Sales', role: 'member' }];
+    collections = {
+      session_shares: createCollection([grant('shared', 'team', 'sales', 'write'), grant('private', 'user', 'u3', 'read')]),
+      audio_events: { findOne: jest.fn(async ({ event_id: eventId }) => ({ e1: { session_id: 'private' } })[eventId] ?? null) },
+      teams: { findOne: jest.fn(async ({ team_id: teamId }) => (teamId === 'sales' ? { team_id: 'sales' } : null)) }
+    };
+    jest.spyOn(ResidencyRouter, 'getCollection').mockImplementation((tenantId, name) => collections[name]);
+    jest.spyOn(TeamService, 'listMemberships').mockImplementation(async () => memberships);
+    jest.spyOn(SessionService, 'getSession').mockImplementation(async (tenantId, sessionId) => structuredClone(SESSIONS[sessionId]));
+    jest.spyOn(AuditService, 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    config.FEATURE_TEAM_SHARING = saved;
+    jest.restoreAllMocks();
+  });
+
+  const access = sessionId => SharingService.resolveAccess(USER, SESSIONS[sessionId]);
+
+  describe('visibility', () => {
+    it('covers own, team and shared sessions', async () => {
+      const visibility = await SharingService.getVisibility(USER);
+
+      expect(visibility).toEqual({ userId: 'u1', teamIds: ['sales'], sharedSessionIds: ['shared'] });
+      expect(SharingService.visibilityFilter(visibility, { ownerField: 'owner_id' })).toEqual({
+        $or: [{ owner_id: 'u1' }, { team_id: { $in: ['sales'] } }, { session_id: { $in: ['shared'] } }]
+      });
+    });
+
+    it('is the whole tenant for sharing admins and with the feature off', async () => {
+      expect(await SharingService.getVisibility({ ...USER, role: 'admin' })).toBeNull();
+
+      config.FEATURE_TEAM_SHARING = false;
+      expect(await SharingService.getVisibility(USER)).toBeNull();
+      expect(SharingService.visibilityFilter(null)).toEqual({});
+    });
+  });
+
+  describe('resolveAccess', () => {
+    it('gives owners and team admins write and manage', async () => {
+      expect(await access('own')).toEqual({ access: 'write', manage: true });
+
+      memberships[0].role = 'admin';
+      expect(await access('team')).toEqual({ access: 'write', manage: true });
+    });
+
+    it('gives team members read and grantees their granted access', async () => {
+      expect(await access('team')).toEqual({ access: 'read', manage: false });
+      expect(await access('shared')).toEqual({ access: 'write', manage: false });
+      expect(await access('private')).toEqual({ access: null, manage: false });
+    });
+  });
+
+  describe('authorizeSession', () => {
+    it('reports invisible sessions as not found', async () => {
+      await expect(SharingService.loadAuthorizedSession(USER, 'private', 'read')).rejects.toThrow(NotFoundError);
+    });
+
+    it('refuses writes and sharing without the access for them', async () => {
+      await expect(SharingService.loadAuthorizedSession(USER, 'team', 'write')).rejects.toThrow(ForbiddenError);
+      await expect(SharingService.loadAuthorizedSession(USER, 'shared', 'write', { manage: true }))
+        .rejects.toMatchObject({ details: { required: 'manage' } });
+      await expect(SharingService.loadAuthorizedSession(USER, 'shared', 'write')).resolves.toMatchObject({ session_id: 'shared' });
+    });
+
+    it('hides the session of a segment the caller cannot see', async () => {
+      await expect(SharingService.authorizeSegment(USER, 'e1', 'read')).rejects.toThrow('Segment not found');
+    });
+  });
+
+  describe('shareSession', () => {
+    it('grants a team access and replaces it when shared again', async () => {
+      const first = await SharingService.shareSession(USER, 'own', { granteeType: 'team', granteeId: 'sales', access: 'read' });
+      const second = await SharingService.shareSession(USER, 'own', { granteeType: 'team', granteeId: 'sales', access: 'write' });
+
+      expect(second).toMatchObject({ grant_id: first.grant_id, access: 'write', granted_by: 'u1' });
+      expect(collections.session_shares.docs.filter(doc => doc.session_id === 'own')).toHaveLength(1);
+      expect(AuditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'session.shared', subject: 'session:own' }));
+    });
+
+    it('refuses grantees outside the tenant', async () => {
+      jest.spyOn(AuthService, 'loadActiveUser').mockResolvedValue({ user_id: 'x', tenant_id: 'tenant-b' });
+
+      await expect(SharingService.shareSession(USER, 'own', { granteeType: 'user', granteeId: 'x', access: 'read' }))
+        .rejects.toThrow(ValidationError);
+      await expect(SharingService.shareSession(USER, 'own', { granteeType: 'team', granteeId: 'nope', access: 'read' }))
+        .rejects.toThrow('Unknown grantee');
+    });
+
+    it('revokes a grant', async () => {
+      const { grant_id: grantId } = await SharingService.shareSession(USER, 'own', { granteeType: 'team', granteeId: 'sales', access: 'read' });
+
+      await SharingService.revokeShare(USER, 'own', grantId);
+
+      expect(await SharingService.listShares(USER, 'own')).toEqual([]);
+      await expect(SharingService.revokeShare(USER, 'own', grantId)).rejects.toThrow('Sharing grant not found');
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * AI Audio KB - Session Speaker Service
+ *
+ * Maps each segment's diarized speaker indices onto stable session-level
+ * speakers (S1, S2, ...) and lets users name them. The session holds the
+ * speaker list; each reconciled segment carries
+ *
+ *   speakers: { map: { <local index>: <speaker id> }, ids, names, reconciled_at }
+ *
+ * where `names` are the lowercased names of its speakers, kept in step
+ * with renames so search can filter by speaker across sessions.
+ *
+ * The session's speaker list is written with optimistic concurrency on
+ * `speaker_rev`, so concurrent reconciles and renames never lose updates.
+ */
+
+import { logger } from '../utils/logger.js';
+import { AppError, ConflictError, NotFoundError } from '../utils/errors.js';
+import { localSpeakers, matchSpeakers, speakerNameKey } from './asr/speakers.js';
+import { AuditService } from './AuditService.js';
+import { EncryptionService } from './EncryptionService.js';
+import { getTenantCollection } from './ResidencyRouter.js';
+
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const NEIGHBOUR_PROJECTION = {
+  _id: 0,
+  timeline: 1,
+  'transcript.words': 1,
+  'transcript.sealed': 1,
+  'speakers.map': 1
+};
+
+/**
+ * Lowercased names of the given speakers
+ */
+function namesFor(speakers, ids) {
+  return speakers
+    .filter(speaker => ids.includes(speaker.speaker_id) && speaker.name)
+    .map(speaker => speakerNameKey(speaker.name));
+}
+
+class SpeakerService {
+  /**
+   * Apply `mutate` to a session's speaker list and store the result if
+   * nobody changed the list in between. `mutate` returns the new list, or
+   * null to leave it as is.
+   */
+  async updateSessionSpeakers(tenantId, sessionId, mutate) {
+    const sessions = getTenantCollection(tenantId, 'sessions');
+
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const session = await sessions.findOne(
+        { session_id: sessionId },
+        { projection: { _id: 0, speakers: 1, speaker_rev: 1 } }
+      );
+      if (!session) {
+        throw new NotFoundError('Session not found', { sessionId });
+      }
+
+      const current = session.speakers ?? [];
+      const rev = session.speaker_rev ?? null;
+      const speakers = await mutate(current);
+      if (!speakers) return { speakers: current, rev };
+
+      const now = new Date();
+      const result = await sessions.updateOne(
+        { session_id: sessionId, speaker_rev: rev },
+        { $set: { speakers, speaker_rev: (rev ?? 0) + 1, updated_at: now } }
+      );
+      if (result.modifiedCount) return { speakers, rev: (rev ?? 0) + 1 };
+    }
+
+    throw new AppError('Session speakers are being updated concurrently', {
+      statusCode: 503,
+      code: 'SPEAKERS_CONTENDED',
+      details: { sessionId }
+    });
+  }
+
+  /**
+   * Nearest reconciled segment before or after `idx`
+   */
+  async findNeighbour(tenantId, sessionId, idx, direction) {
+    const [neighbour] = await getTenantCollection(tenantId, 'audio_events')
+      .find(
+        {
+          session_id: sessionId,
+          'segment.idx': direction < 0 ? { $lt: idx } : { $gt: idx },
+          'speakers.reconciled_at': { $ne: null }
+        },
+        { projection: NEIGHBOUR_PROJECTION }
+      )
+      .sort({ 'segment.idx': direction })
+      .limit(1)
+      .toArray();
+    if (!neighbour) return null;
+    return { ...neighbour, transcript: await EncryptionService.openTranscript(tenantId, neighbour.transcript) };
+  }
+
+  /**
+   * Map a transcribed segment's speakers onto the session's speakers,
+   * adding session speakers for voices not matched to a known one
+   */
+  async reconcileSegment(tenantId, eventId) {
+    const audioEvents = getTenantCollection(tenantId, 'audio_events');
+    const segment = await audioEvents.findOne(
+      { event_id: eventId },
+      { projection: { _id: 0, session_id: 1, segment: 1, timeline: 1, 'transcript.words': 1, 'transcript.sealed': 1 } }
+    );
+    if (!segment) {
+      throw new NotFoundError('Segment not found', { eventId });
+    }
+    segment.transcript = await EncryptionService.openTranscript(tenantId, segment.transcript);
+
+    const sessionId = segment.session_id;
+    const locals = localSpeakers(segment.transcript);
+    let map = {};
+
+    const { speakers, rev } = await this.updateSessionSpeakers(tenantId, sessionId, async current => {
+      map = {};
+      if (!locals.length) return null;
+
+      const [previous, next] = await Promise.all([
+        this.findNeighbour(tenantId, sessionId, segment.segment.idx, -1),
+        this.findNeighbour(tenantId, sessionId, segment.segment.idx, 1)
+      ]);
+      const matched = matchSpeakers(segment, { previous, next });
+
+      const speakers = [...current];
+      for (const local of locals) {
+        if (!matched[local]) {
+          matched[local] = `S${speakers.length + 1}`;
+          speakers.push({ speaker_id: matched[local], name: null, created_at: new Date() });
+        }
+        map[local] = matched[local];
+      }
+      return speakers.length > current.length ? speakers : null;
+    });
+
+    const ids = [...new Set(Object.values(map))];
+    await audioEvents.updateOne(
+      { event_id: eventId },
+      { $set: { speakers: { map, ids, names: namesFor(speakers, ids), reconciled_at: new Date() } } }
+    );
+
+    // A rename between reading the speakers and writing the segment
+    // would have missed this segment
+    const session = await getTenantCollection(tenantId, 'sessions').findOne(
+      { session_id: sessionId },
+      { projection: { _id: 0, speakers: 1, speaker_rev: 1 } }
+    );
+    if ((session?.speaker_rev ?? null) !== rev) {
+      await audioEvents.updateOne(
+        { event_id: eventId },
+        { $set: { 'speakers.names': namesFor(session.speakers ?? [], ids) } }
+      );
+    }
+
+    return { ids };
+  }
+
+  /**
+   * Session speakers with their talk time across reconciled segments
+   */
+  async listSpeakers(tenantId, sessionId) {
+    const session = await getTenantCollection(tenantId, 'sessions').findOne(
+      { session_id: sessionId },
+      { projection: { _id: 0, speakers: 1 } }
+    );
+    if (!session) {
+      throw new NotFoundError('Session not found', { sessionId });
+    }
+
+    const totals = new Map();
+    const segments = await getTenantCollection(tenantId, 'audio_events')
+      .find(
+        { session_id: sessionId, 'speakers.ids.0': { $exists: true } },
+        { projection: { _id: 0, 'speakers.map': 1, 'transcript.speakers': 1 } }
+      )
+      .toArray();
+
+    for (const segment of segments) {
+      for (const local of segment.transcript?.speakers ?? []) {
+        const speakerId = segment.speakers.map[local.speaker];
+        if (!speakerId) continue;
+        const total = totals.get(speakerId) ?? { segment_count: 0, word_count: 0, talk_ms: 0 };
+        total.segment_count++;
+        total.word_count += local.word_count;
+        total.talk_ms += local.talk_ms;
+        totals.set(speakerId, total);
+      }
+    }
+
+    return (session.speakers ?? []).map(speaker => ({
+      speaker_id: speaker.speaker_id,
+      name: speaker.name,
+      ...(totals.get(speaker.speaker_id) ?? { segment_count: 0, word_count: 0, talk_ms: 0 })
+    }));
+  }
+
+  /**
+   * Name a session speaker (null clears the name). Names are unique within
+   * a session, ignoring case, and apply to all of its segments.
+   */
+  async renameSpeaker(tenantId, sessionId, speakerId, name, { actor } = {}) {
+    let previousName = null;
+
+    const { speakers } = await this.updateSessionSpeakers(tenantId, sessionId, current => {
+      const speaker = current.find(entry => entry.speaker_id === speakerId);
+      if (!speaker) {
+        throw new NotFoundError('Speaker not found', { sessionId, speakerId });
+      }
+      if (name && current.some(entry =>
+        entry.speaker_id !== speakerId && entry.name && speakerNameKey(entry.name) === speakerNameKey(name)
+      )) {
+        throw new ConflictError('Another speaker in this session has that name', { sessionId, name });
+      }
+
+      previousName = speaker.name;
+      if (speaker.name === name) return null;
+      return current.map(entry => (entry.speaker_id === speakerId ? { ...entry, name } : entry));
+    });
+
+    const audioEvents = getTenantCollection(tenantId, 'audio_events');
+    const segments = await audioEvents
+      .find(
+        { session_id: sessionId, 'speakers.ids': speakerId },
+        { projection: { _id: 0, event_id: 1, 'speakers.ids': 1 } }
+      )
+      .toArray();
+
+    if (segments.length) {
+      await audioEvents.bulkWrite(segments.map(segment => ({
+        updateOne: {
+          filter: { event_id: segment.event_id },
+          update: { $set: { 'speakers.names': namesFor(speakers, segment.speakers.ids) } }
+        }
+      })), { ordered: false });
+    }
+
+    if (previousName !== name) {
+      await AuditService.record({
+        tenantId,
+        actor: actor ?? 'system',
+        action: 'session.speaker_renamed',
+        subject: `session:${sessionId}`,
+        metadata: { speaker_id: speakerId, cleared: name === null }
+      });
+      logger.audioEvent('speaker_renamed', { tenantId, sessionId, speakerId, segments: segments.length });
+    }
+
+    return speakers.find(entry => entry.speaker_id === speakerId);
+  }
+}
+
+// Create singleton instance
+const speakerService = new SpeakerService();
+
+export { speakerService as SpeakerService };
+export default speakerService;
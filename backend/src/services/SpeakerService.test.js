@@ -0,0 +1,129 @@
+/**
+ * AI Audio KB - Session Speaker Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { AuditService } from './AuditService.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+import { SpeakerService } from './SpeakerService.js';
+
+const word = (speaker, startMs, endMs) => ({ word: 'w', speaker, start_ms: startMs, end_ms: endMs });
+
+const segment = (idx, words) => ({
+  event_id: `e${idx}`,
+  session_id: 's1',
+  segment: { idx },
+  timeline: { startMs: idx * 5000, endMs: (idx + 1) * 5000 },
+  transcript: { words }
+});
+
+describe('SpeakerService', () => {
+  let collections;
+
+  beforeEach(() => {
+    collections = {
+      sessions: createCollection([{ session_id: 's1' }]),
+      audio_events: createCollection([
+        segment(0, [word(0, 0, 1000), word(1, 2000, 4800)]),
+        segment(1, [word(0, 200, 1000), word(1, 1500, 3000)])
+      ])
+    };
+    jest.spyOn(ResidencyRouter, 'getCollection').mockImplementation((tenantId, name) => collections[name]);
+    jest.spyOn(AuditService, 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const session = () => collections.sessions.docs[0];
+  const stored = eventId => collections.audio_events.docs.find(doc => doc.event_id === eventId);
+
+  describe('reconcileSegment', () => {
+    it('adds session speakers for the voices of the first segment', async () => {
+      expect(await SpeakerService.reconcileSegment('tenant-a', 'e0')).toEqual({ ids: ['S1', 'S2'] });
+
+      expect(session().speakers.map(speaker => speaker.speaker_id)).toEqual(['S1', 'S2']);
+      expect(session().speaker_rev).toBe(1);
+      expect(stored('e0').speakers).toMatchObject({ map: { 0: 'S1', 1: 'S2' }, ids: ['S1', 'S2'], names: [] });
+    });
+
+    it('maps the next segment onto the speakers already known', async () => {
+      await SpeakerService.reconcileSegment('tenant-a', 'e0');
+      await SpeakerService.reconcileSegment('tenant-a', 'e1');
+
+      // Speaker 1 ended segment 0 and starts segment 1 as its speaker 0
+      expect(stored('e1').speakers.map).toEqual({ 0: 'S2', 1: 'S1' });
+      expect(session().speakers).toHaveLength(2);
+      expect(session().speaker_rev).toBe(1);
+    });
+
+    it('re-reads the speakers when another writer changed them first', async () => {
+      collections.sessions.updateOne.mockImplementationOnce(async () => {
+        session().speakers = [{ speaker_id: 'S1', name: null }];
+        session().speaker_rev = 1;
+        return { modifiedCount: 0 };
+      });
+
+      await SpeakerService.reconcileSegment('tenant-a', 'e0');
+
+      expect(session().speakers.map(speaker => speaker.speaker_id)).toEqual(['S1', 'S2', 'S3']);
+      expect(session().speaker_rev).toBe(2);
+    });
+
+    it('gives up when the speakers keep changing underneath it', async () => {
+      collections.sessions.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(SpeakerService.reconcileSegment('tenant-a', 'e0')).rejects.toMatchObject({ code: 'SPEAKERS_CONTENDED' });
+      expect(collections.sessions.updateOne).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe('renameSpeaker', () => {
+    beforeEach(async () => {
+      await SpeakerService.reconcileSegment('tenant-a', 'e0');
+      await SpeakerService.reconcileSegment('tenant-a', 'e1');
+    });
+
+    it('names the speaker on every segment it talks in', async () => {
+      const speaker = await SpeakerService.renameSpeaker('tenant-a', 's1', 'S2', 'Dana', { actor: 'u1' });
+
+      expect(speaker).toMatchObject({ speaker_id: 'S2', name: 'Dana' });
+      expect(stored('e0').speakers.names).toEqual(['dana']);
+      expect(stored('e1').speakers.names).toEqual(['dana']);
+      expect(AuditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        actor: 'u1',
+        action: 'session.speaker_renamed',
+        metadata: { speaker_id: 'S2', cleared: false }
+      }));
+    });
+
+    it('refuses a name another speaker of the session has', async () => {
+      await SpeakerService.renameSpeaker('tenant-a', 's1', 'S1', 'Dana');
+
+      await expect(SpeakerService.renameSpeaker('tenant-a', 's1', 'S2', ' DANA')).rejects.toThrow(ConflictError);
+      await expect(SpeakerService.renameSpeaker('tenant-a', 's1', 'S9', 'Eve')).rejects.toThrow(NotFoundError);
+    });
+
+    it('records nothing when the name is unchanged', async () => {
+      await SpeakerService.renameSpeaker('tenant-a', 's1', 'S1', null);
+
+      expect(session().speaker_rev).toBe(1);
+      expect(AuditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  it('totals talk time per session speaker', async () => {
+    await SpeakerService.reconcileSegment('tenant-a', 'e0');
+    await SpeakerService.reconcileSegment('tenant-a', 'e1');
+    stored('e0').transcript.speakers = [{ speaker: 0, word_count: 3, talk_ms: 1000 }, { speaker: 1, word_count: 9, talk_ms: 2800 }];
+    stored('e1').transcript.speakers = [{ speaker: 0, word_count: 2, talk_ms: 800 }];
+
+    expect(await SpeakerService.listSpeakers('tenant-a', 's1')).toEqual([
+      { speaker_id: 'S1', name: null, segment_count: 1, word_count: 3, talk_ms: 1000 },
+      { speaker_id: 'S2', name: null, segment_count: 2, word_count: 11, talk_ms: 3600 }
+    ]);
+  });
+});
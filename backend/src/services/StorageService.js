@@ -0,0 +1,149 @@
+/**
+ * AI Audio KB - Audio Storage Service
+ *
+ * Object storage for audio segments behind a driver chosen by
+ * STORAGE_DRIVER: `local` (filesystem, the default; no cloud account
+ * needed) or `s3` (optionally with Object Lock retention). Objects are
+ * addressed by a tenant/session-scoped key; drivers report a URI per object
+ * (`local://` or `s3://`). Each residency zone has its own instance.
+ */
+
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { LocalStorageDriver } from './storage/LocalStorageDriver.js';
+import { S3StorageDriver } from './storage/S3StorageDriver.js';
+
+// Driver classes by STORAGE_DRIVER name
+const DRIVERS = {
+  local: LocalStorageDriver,
+  s3: S3StorageDriver
+};
+
+/**
+ * Driver settings for one zone's bucket or directory
+ */
+function driverOptions(driver, { rootDir, bucket, region }) {
+  if (driver !== 's3') return { rootDir };
+  return {
+    bucket,
+    region,
+    endpoint: config.S3_ENDPOINT,
+    forcePathStyle: config.S3_FORCE_PATH_STYLE,
+    accessKeyId: config.AWS_ACCESS_KEY_ID,
+    secretAccessKey: config.AWS_SECRET_ACCESS_KEY,
+    objectLockMode: config.S3_OBJECT_LOCK_MODE,
+    objectLockDays: config.S3_OBJECT_LOCK_DAYS
+  };
+}
+
+class StorageService {
+  constructor({
+    zone = config.RESIDENCY_DEFAULT_ZONE,
+    driver = config.STORAGE_DRIVER,
+    rootDir = config.STORAGE_LOCAL_PATH,
+    bucket = config.S3_BUCKET_NAME,
+    region = config.S3_BUCKET_REGION
+  } = {}) {
+    const Driver = DRIVERS[driver];
+    this.zone = zone;
+    this.driverName = driver;
+    this.driver = Driver ? new Driver(driverOptions(driver, { rootDir, bucket, region })) : null;
+  }
+
+  /**
+   * Prepare the driver (create the root directory, check the bucket)
+   */
+  async initialize() {
+    if (!this.driver) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${this.driverName}`);
+    }
+    await this.driver.initialize();
+    logger.startup('StorageService', { zone: this.zone, ...this.driver.describe() });
+  }
+
+  describe() {
+    return this.driver.describe();
+  }
+
+  /**
+   * Build the object key for an audio segment
+   */
+  buildSegmentKey({ tenantId, sessionId, idx, eventId, extension }) {
+    const paddedIdx = String(idx).padStart(6, '0');
+    return `${tenantId}/${sessionId}/${paddedIdx}-${eventId}.${extension}`;
+  }
+
+  /**
+   * Build the object key for an uploaded recording awaiting segmentation
+   */
+  buildRecordingKey({ tenantId, sessionId, recordingId, extension }) {
+    return `${tenantId}/${sessionId}/recordings/${recordingId}.${extension}`;
+  }
+
+  /**
+   * Store an object, returning its key, URI and size
+   */
+  async put(key, buffer) {
+    return this.driver.put(key, buffer);
+  }
+
+  /**
+   * Read an object into memory
+   */
+  async get(key) {
+    return this.driver.get(key);
+  }
+
+  /**
+   * Size of a stored object
+   */
+  async stat(key) {
+    return this.driver.stat(key);
+  }
+
+  /**
+   * Readable stream of bytes `start` to `end` (inclusive) of an object
+   */
+  async openRange(key, range) {
+    return this.driver.openRange(key, range);
+  }
+
+  /**
+   * Whether clients can fetch objects directly with a signed URL
+   */
+  supportsSignedUrls() {
+    return typeof this.driver.getSignedUrl === 'function';
+  }
+
+  /**
+   * Time-limited direct URL for an object (drivers with signed URLs only)
+   */
+  async getSignedUrl(key, { expiresIn = config.S3_PRESIGNED_URL_EXPIRES, mimetype } = {}) {
+    return this.driver.getSignedUrl(key, { expiresIn, mimetype });
+  }
+
+  /**
+   * Check whether an object exists
+   */
+  async exists(key) {
+    return this.driver.exists(key);
+  }
+
+  /**
+   * Delete an object; missing objects are ignored
+   */
+  async delete(key) {
+    return this.driver.delete(key);
+  }
+}
+
+/**
+ * Storage for an additional residency zone
+ */
+export const createStorage = (options) => new StorageService(options);
+
+// Create singleton instance
+const storageService = new StorageService();
+
+export { storageService as StorageService };
+export default storageService;
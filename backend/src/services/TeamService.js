@@ -0,0 +1,429 @@
+/**
+ * AI Audio KB - Team Workspace Service
+ *
+ * Team workspaces (FEATURE_TEAM_SHARING) group users of one tenant under
+ * owner/admin/member/viewer roles. Sessions recorded into a team are
+ * visible to every member; owners and admins also manage them (see
+ * SharingService). Users join through email invitations that expire after
+ * TEAM_INVITATION_TTL_DAYS.
+ *
+ * Role management: owners manage everyone, admins manage members and
+ * viewers. A team always keeps at least one owner.
+ */
+
+import { ulid } from 'ulid';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { AuditService } from './AuditService.js';
+import { getTenantCollection } from './ResidencyRouter.js';
+import { ConflictError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+export const TEAM_ROLE = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+};
+
+export const INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  REVOKED: 'revoked'
+};
+
+const ROLE_RANK = {
+  [TEAM_ROLE.VIEWER]: 1,
+  [TEAM_ROLE.MEMBER]: 2,
+  [TEAM_ROLE.ADMIN]: 3,
+  [TEAM_ROLE.OWNER]: 4
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TeamService {
+  /**
+   * Whether `role` is at least `minimum`
+   */
+  hasRole(role, minimum) {
+    return (ROLE_RANK[role] ?? 0) >= ROLE_RANK[minimum];
+  }
+
+  /**
+   * Whether a member with `actorRole` may grant, change or remove `targetRole`
+   */
+  canManage(actorRole, targetRole) {
+    if (actorRole === TEAM_ROLE.OWNER) return true;
+    return actorRole === TEAM_ROLE.ADMIN && ROLE_RANK[targetRole] < ROLE_RANK[TEAM_ROLE.ADMIN];
+  }
+
+  /**
+   * Create a team with its creator as owner
+   */
+  async createTeam(tenantId, { name, createdBy }) {
+    const now = new Date();
+    const team = {
+      team_id: ulid(),
+      tenant_id: tenantId,
+      name,
+      members: [{ user_id: createdBy, role: TEAM_ROLE.OWNER, added_by: createdBy, joined_at: now }],
+      created_by: createdBy,
+      created_at: now,
+      updated_at: now
+    };
+
+    await getTenantCollection(tenantId, 'teams').insertOne(team);
+    await AuditService.record({
+      tenantId,
+      actor: createdBy,
+      action: 'team.created',
+      subject: `team:${team.team_id}`,
+      metadata: { name }
+    });
+
+    delete team._id;
+    return team;
+  }
+
+  /**
+   * Teams the user belongs to, with the user's role in each
+   */
+  async listMemberships(tenantId, userId) {
+    const teams = await getTenantCollection(tenantId, 'teams')
+      .find({ 'members.user_id': userId }, { projection: { _id: 0, team_id: 1, name: 1, members: 1 } })
+      .toArray();
+
+    return teams.map(team => ({
+      team_id: team.team_id,
+      name: team.name,
+      role: team.members.find(member => member.user_id === userId).role
+    }));
+  }
+
+  /**
+   * Load a team the user belongs to, with at least `minimumRole`.
+   * Non-members get a 404 so team ids don't leak.
+   */
+  async getTeamForMember(tenantId, teamId, userId, minimumRole = TEAM_ROLE.VIEWER) {
+    const team = await getTenantCollection(tenantId, 'teams').findOne(
+      { team_id: teamId },
+      { projection: { _id: 0 } }
+    );
+    const member = team?.members.find(candidate => candidate.user_id === userId);
+
+    if (!member) {
+      throw new NotFoundError('Team not found', { teamId });
+    }
+    if (!this.hasRole(member.role, minimumRole)) {
+      throw new ForbiddenError('Insufficient team role', { teamId, required: minimumRole });
+    }
+
+    return { team, role: member.role };
+  }
+
+  /**
+   * Rename a team (admins and owners)
+   */
+  async updateTeam(tenantId, teamId, { name, updatedBy }) {
+    await this.getTeamForMember(tenantId, teamId, updatedBy, TEAM_ROLE.ADMIN);
+
+    return getTenantCollection(tenantId, 'teams').findOneAndUpdate(
+      { team_id: teamId },
+      { $set: { name, updated_at: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+  }
+
+  /**
+   * Delete a team (owners only). Its invitations and the sharing grants
+   * made to it go with it; its sessions stay with their owners.
+   */
+  async deleteTeam(tenantId, teamId, { deletedBy }) {
+    await this.getTeamForMember(tenantId, teamId, deletedBy, TEAM_ROLE.OWNER);
+
+    const now = new Date();
+    await getTenantCollection(tenantId, 'teams').deleteOne({ team_id: teamId });
+    await getTenantCollection(tenantId, 'team_invitations').updateMany(
+      { team_id: teamId, status: INVITATION_STATUS.PENDING },
+      { $set: { status: INVITATION_STATUS.REVOKED, responded_at: now } }
+    );
+    await getTenantCollection(tenantId, 'session_shares').updateMany(
+      { grantee_type: 'team', grantee_id: teamId, revoked_at: null },
+      { $set: { revoked_at: now, revoked_by: deletedBy } }
+    );
+
+    await AuditService.record({
+      tenantId,
+      actor: deletedBy,
+      action: 'team.deleted',
+      subject: `team:${teamId}`
+    });
+
+    return { team_id: teamId, deleted_at: now };
+  }
+
+  /**
+   * Refuse a change that would leave the team without an owner
+   */
+  assertOwnerRemains(team, userId, newRole) {
+    const owners = team.members.filter(member => member.role === TEAM_ROLE.OWNER);
+    if (owners.length === 1 && owners[0].user_id === userId && newRole !== TEAM_ROLE.OWNER) {
+      throw new ConflictError('A team must keep at least one owner', { teamId: team.team_id });
+    }
+  }
+
+  /**
+   * Change a member's role
+   */
+  async setMemberRole(tenantId, teamId, userId, { role, changedBy }) {
+    const { team, role: actorRole } = await this.getTeamForMember(tenantId, teamId, changedBy, TEAM_ROLE.ADMIN);
+    const member = team.members.find(candidate => candidate.user_id === userId);
+
+    if (!member) {
+      throw new NotFoundError('Team member not found', { teamId, userId });
+    }
+    if (!this.canManage(actorRole, member.role) || !this.canManage(actorRole, role)) {
+      throw new ForbiddenError('Insufficient team role', { teamId, required: TEAM_ROLE.OWNER });
+    }
+    this.assertOwnerRemains(team, userId, role);
+
+    const updated = await getTenantCollection(tenantId, 'teams').findOneAndUpdate(
+      { team_id: teamId, 'members.user_id': userId },
+      { $set: { 'members.$.role': role, updated_at: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    await AuditService.record({
+      tenantId,
+      actor: changedBy,
+      action: 'team.member_role_changed',
+      subject: `team:${teamId}`,
+      metadata: { user_id: userId, from: member.role, to: role }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Remove a member. Members may always remove themselves (leave).
+   */
+  async removeMember(tenantId, teamId, userId, { removedBy }) {
+    const leaving = userId === removedBy;
+    const { team, role: actorRole } = await this.getTeamForMember(
+      tenantId,
+      teamId,
+      removedBy,
+      leaving ? TEAM_ROLE.VIEWER : TEAM_ROLE.ADMIN
+    );
+    const member = team.members.find(candidate => candidate.user_id === userId);
+
+    if (!member) {
+      throw new NotFoundError('Team member not found', { teamId, userId });
+    }
+    if (!leaving && !this.canManage(actorRole, member.role)) {
+      throw new ForbiddenError('Insufficient team role', { teamId, required: TEAM_ROLE.OWNER });
+    }
+    this.assertOwnerRemains(team, userId, null);
+
+    await getTenantCollection(tenantId, 'teams').updateOne(
+      { team_id: teamId },
+      { $pull: { members: { user_id: userId } }, $set: { updated_at: new Date() } }
+    );
+
+    await AuditService.record({
+      tenantId,
+      actor: removedBy,
+      action: leaving ? 'team.member_left' : 'team.member_removed',
+      subject: `team:${teamId}`,
+      metadata: { user_id: userId, role: member.role }
+    });
+
+    return { team_id: teamId, user_id: userId, removed: true };
+  }
+
+  /**
+   * Invite an email address to a team with a role
+   */
+  async createInvitation(tenantId, teamId, { email, role, invitedBy }) {
+    const { team, role: actorRole } = await this.getTeamForMember(tenantId, teamId, invitedBy, TEAM_ROLE.ADMIN);
+    if (!this.canManage(actorRole, role)) {
+      throw new ForbiddenError('Insufficient team role', { teamId, required: TEAM_ROLE.OWNER });
+    }
+
+    const now = new Date();
+    const invitation = {
+      invitation_id: ulid(),
+      tenant_id: tenantId,
+      team_id: teamId,
+      team_name: team.name,
+      email: email.toLowerCase(),
+      role,
+      status: INVITATION_STATUS.PENDING,
+      invited_by: invitedBy,
+      created_at: now,
+      expires_at: new Date(now.getTime() + config.TEAM_INVITATION_TTL_DAYS * DAY_MS),
+      responded_at: null,
+      accepted_by: null
+    };
+
+    const invitations = getTenantCollection(tenantId, 'team_invitations');
+
+    // An expired pending invitation no longer blocks a new one
+    await invitations.updateMany(
+      { team_id: teamId, email: invitation.email, status: INVITATION_STATUS.PENDING, expires_at: { $lte: now } },
+      { $set: { status: INVITATION_STATUS.REVOKED, responded_at: now } }
+    );
+
+    try {
+      await invitations.insertOne(invitation);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('This email already has a pending invitation', { teamId, email: invitation.email });
+      }
+      throw error;
+    }
+
+    await AuditService.record({
+      tenantId,
+      actor: invitedBy,
+      action: 'team.invitation_created',
+      subject: `team:${teamId}`,
+      metadata: { invitation_id: invitation.invitation_id, email: invitation.email, role }
+    });
+
+    delete invitation._id;
+    return invitation;
+  }
+
+  /**
+   * Invitations of a team (admins and owners)
+   */
+  async listInvitations(tenantId, teamId, { userId, status = INVITATION_STATUS.PENDING }) {
+    await this.getTeamForMember(tenantId, teamId, userId, TEAM_ROLE.ADMIN);
+
+    return getTenantCollection(tenantId, 'team_invitations')
+      .find({ team_id: teamId, status }, { projection: { _id: 0 } })
+      .sort({ created_at: -1 })
+      .toArray();
+  }
+
+  /**
+   * Pending, unexpired invitations addressed to an email
+   */
+  async listInvitationsFor(tenantId, email) {
+    return getTenantCollection(tenantId, 'team_invitations')
+      .find(
+        { email: email.toLowerCase(), status: INVITATION_STATUS.PENDING, expires_at: { $gt: new Date() } },
+        { projection: { _id: 0 } }
+      )
+      .sort({ created_at: -1 })
+      .toArray();
+  }
+
+  /**
+   * Revoke a pending invitation
+   */
+  async revokeInvitation(tenantId, teamId, invitationId, { revokedBy }) {
+    const { role: actorRole } = await this.getTeamForMember(tenantId, teamId, revokedBy, TEAM_ROLE.ADMIN);
+    const invitations = getTenantCollection(tenantId, 'team_invitations');
+    const invitation = await invitations.findOne({ invitation_id: invitationId, team_id: teamId });
+
+    if (!invitation) {
+      throw new NotFoundError('Invitation not found', { invitationId });
+    }
+    if (invitation.status !== INVITATION_STATUS.PENDING) {
+      throw new ConflictError('Invitation is no longer pending', { invitationId, status: invitation.status });
+    }
+    if (!this.canManage(actorRole, invitation.role)) {
+      throw new ForbiddenError('Insufficient team role', { teamId, required: TEAM_ROLE.OWNER });
+    }
+
+    await invitations.updateOne(
+      { invitation_id: invitationId, status: INVITATION_STATUS.PENDING },
+      { $set: { status: INVITATION_STATUS.REVOKED, responded_at: new Date() } }
+    );
+
+    await AuditService.record({
+      tenantId,
+      actor: revokedBy,
+      action: 'team.invitation_revoked',
+      subject: `team:${teamId}`,
+      metadata: { invitation_id: invitationId, email: invitation.email }
+    });
+
+    return { invitation_id: invitationId, status: INVITATION_STATUS.REVOKED };
+  }
+
+  /**
+   * Accept or decline an invitation addressed to the user's email
+   */
+  async respondToInvitation(tenantId, invitationId, { user, accept }) {
+    const invitations = getTenantCollection(tenantId, 'team_invitations');
+    const invitation = await invitations.findOne({ invitation_id: invitationId }, { projection: { _id: 0 } });
+    const now = new Date();
+
+    // Invitations for someone else are indistinguishable from missing ones
+    if (!invitation || !user.email || invitation.email !== user.email.toLowerCase()) {
+      throw new NotFoundError('Invitation not found', { invitationId });
+    }
+    if (invitation.status !== INVITATION_STATUS.PENDING || invitation.expires_at <= now) {
+      throw new ConflictError('Invitation is no longer pending', {
+        invitationId,
+        status: invitation.status === INVITATION_STATUS.PENDING ? 'expired' : invitation.status
+      });
+    }
+
+    const status = accept ? INVITATION_STATUS.ACCEPTED : INVITATION_STATUS.DECLINED;
+    const claimed = await invitations.updateOne(
+      { invitation_id: invitationId, status: INVITATION_STATUS.PENDING },
+      { $set: { status, responded_at: now, accepted_by: accept ? user.id : null } }
+    );
+    if (!claimed.modifiedCount) {
+      throw new ConflictError('Invitation is no longer pending', { invitationId });
+    }
+
+    if (accept) {
+      const teams = getTenantCollection(tenantId, 'teams');
+      const added = await teams.updateOne(
+        { team_id: invitation.team_id, 'members.user_id': { $ne: user.id } },
+        {
+          $push: { members: { user_id: user.id, role: invitation.role, added_by: invitation.invited_by, joined_at: now } },
+          $set: { updated_at: now }
+        }
+      );
+
+      // Already a member: the invitation never lowers an existing role
+      if (!added.matchedCount) {
+        const team = await teams.findOne({ team_id: invitation.team_id }, { projection: { _id: 0, members: 1 } });
+        if (!team) {
+          throw new NotFoundError('Team not found', { teamId: invitation.team_id });
+        }
+        const member = team.members.find(candidate => candidate.user_id === user.id);
+        if (!this.hasRole(member.role, invitation.role)) {
+          await teams.updateOne(
+            { team_id: invitation.team_id, 'members.user_id': user.id },
+            { $set: { 'members.$.role': invitation.role, updated_at: now } }
+          );
+        }
+      }
+    }
+
+    await AuditService.record({
+      tenantId,
+      actor: user.id,
+      action: accept ? 'team.invitation_accepted' : 'team.invitation_declined',
+      subject: `team:${invitation.team_id}`,
+      metadata: { invitation_id: invitationId, role: invitation.role }
+    });
+
+    logger.info('Team invitation answered', { tenantId, teamId: invitation.team_id, invitationId, status });
+
+    return { ...invitation, status, responded_at: now };
+  }
+}
+
+// Create singleton instance
+const teamService = new TeamService();
+
+export { teamService as TeamService };
+export default teamService;
@@ -0,0 +1,145 @@
+/**
+ * AI Audio KB - Team Workspace Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { ConflictError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { AuditService } from './AuditService.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+import { INVITATION_STATUS, TEAM_ROLE, TeamService } from './TeamService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('TeamService', () => {
+  let collections;
+  let team;
+
+  beforeEach(async () => {
+    collections = { teams: createCollection(), team_invitations: createCollection(), session_shares: createCollection() };
+    jest.spyOn(ResidencyRouter, 'getCollection').mockImplementation((tenantId, name) => collections[name]);
+    jest.spyOn(AuditService, 'record').mockResolvedValue({});
+
+    team = await TeamService.createTeam('tenant-a', { name: 'Sales', createdBy: 'owner' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const stored = () => collections.teams.docs[0];
+  const roles = () => Object.fromEntries(stored().members.map(member => [member.user_id, member.role]));
+
+  const addMember = (userId, role) => stored().members.push({ user_id: userId, role, added_by: 'owner', joined_at: new Date() });
+
+  it('makes the creator the owner', async () => {
+    expect(team.members).toEqual([expect.objectContaining({ user_id: 'owner', role: TEAM_ROLE.OWNER })]);
+    expect(await TeamService.listMemberships('tenant-a', 'owner')).toEqual([
+      { team_id: team.team_id, name: 'Sales', role: TEAM_ROLE.OWNER }
+    ]);
+  });
+
+  it('hides teams from non-members and checks the minimum role', async () => {
+    addMember('viewer', TEAM_ROLE.VIEWER);
+
+    await expect(TeamService.updateTeam('tenant-a', team.team_id, { name: 'x', updatedBy: 'stranger' })).rejects.toThrow(NotFoundError);
+    await expect(TeamService.updateTeam('tenant-a', team.team_id, { name: 'x', updatedBy: 'viewer' })).rejects.toThrow(ForbiddenError);
+  });
+
+  describe('member roles', () => {
+    beforeEach(() => {
+      addMember('admin', TEAM_ROLE.ADMIN);
+      addMember('member', TEAM_ROLE.MEMBER);
+    });
+
+    it('lets admins manage members and viewers only', async () => {
+      await TeamService.setMemberRole('tenant-a', team.team_id, 'member', { role: TEAM_ROLE.VIEWER, changedBy: 'admin' });
+      expect(roles().member).toBe(TEAM_ROLE.VIEWER);
+
+      await expect(TeamService.setMemberRole('tenant-a', team.team_id, 'member', { role: TEAM_ROLE.ADMIN, changedBy: 'admin' }))
+        .rejects.toThrow(ForbiddenError);
+      await expect(TeamService.removeMember('tenant-a', team.team_id, 'owner', { removedBy: 'admin' }))
+        .rejects.toThrow(ForbiddenError);
+    });
+
+    it('keeps at least one owner', async () => {
+      await expect(TeamService.setMemberRole('tenant-a', team.team_id, 'owner', { role: TEAM_ROLE.ADMIN, changedBy: 'owner' }))
+        .rejects.toThrow(ConflictError);
+      await expect(TeamService.removeMember('tenant-a', team.team_id, 'owner', { removedBy: 'owner' }))
+        .rejects.toThrow('A team must keep at least one owner');
+
+      await TeamService.setMemberRole('tenant-a', team.team_id, 'admin', { role: TEAM_ROLE.OWNER, changedBy: 'owner' });
+      await TeamService.removeMember('tenant-a', team.team_id, 'owner', { removedBy: 'owner' });
+      expect(roles()).toEqual({ admin: TEAM_ROLE.OWNER, member: TEAM_ROLE.MEMBER });
+    });
+
+    it('lets any member leave', async () => {
+      await TeamService.removeMember('tenant-a', team.team_id, 'member', { removedBy: 'member' });
+
+      expect(roles()).not.toHaveProperty('member');
+      expect(AuditService.record).toHaveBeenLastCalledWith(expect.objectContaining({ action: 'team.member_left' }));
+    });
+  });
+
+  describe('invitations', () => {
+    const invite = (role = TEAM_ROLE.MEMBER) => TeamService.createInvitation('tenant-a', team.team_id, {
+      email: 'Dana@Example.com',
+      role,
+      invitedBy: 'owner'
+    });
+    const dana = { id: 'dana', email: 'dana@example.com' };
+
+    it('adds the invited user with the invitation role on acceptance', async () => {
+      const invitation = await invite();
+
+      const response = await TeamService.respondToInvitation('tenant-a', invitation.invitation_id, { user: dana, accept: true });
+
+      expect(response.status).toBe(INVITATION_STATUS.ACCEPTED);
+      expect(roles().dana).toBe(TEAM_ROLE.MEMBER);
+      await expect(TeamService.respondToInvitation('tenant-a', invitation.invitation_id, { user: dana, accept: true }))
+        .rejects.toThrow(ConflictError);
+    });
+
+    it('treats an invitation for another email as missing', async () => {
+      const invitation = await invite();
+
+      await expect(TeamService.respondToInvitation('tenant-a', invitation.invitation_id, { user: { id: 'eve', email: 'eve@example.com' }, accept: true }))
+        .rejects.toThrow(NotFoundError);
+    });
+
+    it('refuses an expired invitation', async () => {
+      const invitation = await invite();
+      collections.team_invitations.docs[0].expires_at = new Date(Date.now() - DAY_MS);
+
+      await expect(TeamService.respondToInvitation('tenant-a', invitation.invitation_id, { user: dana, accept: true }))
+        .rejects.toMatchObject({ details: { status: 'expired' } });
+    });
+
+    it('never lowers the role of an existing member', async () => {
+      addMember('dana', TEAM_ROLE.ADMIN);
+      const invitation = await invite(TEAM_ROLE.VIEWER);
+
+      await TeamService.respondToInvitation('tenant-a', invitation.invitation_id, { user: dana, accept: true });
+
+      expect(roles().dana).toBe(TEAM_ROLE.ADMIN);
+    });
+
+    it('reports a second pending invitation for the same email as a conflict', async () => {
+      await invite();
+      collections.team_invitations.insertOne.mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(invite()).rejects.toThrow('This email already has a pending invitation');
+    });
+  });
+
+  it('revokes pending invitations and team grants with the team', async () => {
+    await TeamService.createInvitation('tenant-a', team.team_id, { email: 'dana@example.com', role: TEAM_ROLE.MEMBER, invitedBy: 'owner' });
+    collections.session_shares.docs.push({ grant_id: 'g1', grantee_type: 'team', grantee_id: team.team_id, revoked_at: null });
+
+    await TeamService.deleteTeam('tenant-a', team.team_id, { deletedBy: 'owner' });
+
+    expect(collections.teams.docs).toEqual([]);
+    expect(collections.team_invitations.docs[0].status).toBe(INVITATION_STATUS.REVOKED);
+    expect(collections.session_shares.docs[0]).toMatchObject({ revoked_by: 'owner', revoked_at: expect.any(Date) });
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * AI Audio KB - Audio Transcoding Service
+ *
+ * Checks uploads against their magic bytes (not the declared extension or
+ * Content-Type), rejecting unsupported, malformed and oversized audio at
+ * ingest, and converts stored segments with ffmpeg to the canonical ASR
+ * format: 16-bit PCM WAV at AUDIO_SAMPLE_RATE and AUDIO_CHANNELS. The
+ * canonical copy is stored next to the original, which is kept untouched.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import ffmpegStatic from 'ffmpeg-static';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import {
+  AppError,
+  NotFoundError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError
+} from '../utils/errors.js';
+import { detectAudioFormat, encodeWav, FORMAT_MIMETYPES } from './audio/formats.js';
+import { getTenantCollection, getTenantStorage } from './ResidencyRouter.js';
+
+const CANONICAL_CODEC = 'wav';
+
+// Keep the end of ffmpeg's error output for diagnostics
+const STDERR_LIMIT = 2048;
+
+/**
+ * Raised when ffmpeg cannot decode an upload; retrying won't help
+ */
+export class AudioDecodeError extends AppError {
+  constructor(message = 'Audio could not be decoded', details) {
+    super(message, { statusCode: 422, code: 'AUDIO_CORRUPT', details });
+  }
+}
+
+class TranscodingService {
+  constructor() {
+    this.ffmpegPath = config.FFMPEG_PATH || ffmpegStatic;
+    this.available = false;
+  }
+
+  /**
+   * Check that the ffmpeg binary is usable
+   */
+  async initialize() {
+    if (!config.AUDIO_TRANSCODE_ENABLED) {
+      logger.startup('TranscodingService', { enabled: false });
+      return;
+    }
+
+    try {
+      await fs.access(this.ffmpegPath, fs.constants.X_OK);
+      this.available = true;
+    } catch (error) {
+      logger.warn('ffmpeg is not available; segments will be transcribed in their uploaded format', {
+        ffmpegPath: this.ffmpegPath,
+        error: error.message
+      });
+    }
+
+    logger.startup('TranscodingService', {
+      enabled: true,
+      available: this.available,
+      ffmpegPath: this.ffmpegPath,
+      sampleRate: config.AUDIO_SAMPLE_RATE,
+      channels: config.AUDIO_CHANNELS
+    });
+  }
+
+  isAvailable() {
+    return this.available;
+  }
+
+  /**
+   * Identify an upload and check it is acceptable. `declared` is what the
+   * client claimed (codec and mimetype); it is only used for reporting.
+   */
+  inspect(audio, declared = {}) {
+    if (audio.length > config.AUDIO_MAX_FILE_SIZE) {
+      throw new PayloadTooLargeError('Audio exceeds the maximum upload size', {
+        bytes: audio.length,
+        maxBytes: config.AUDIO_MAX_FILE_SIZE
+      });
+    }
+
+    const detected = detectAudioFormat(audio);
+    if (!detected || !config.SUPPORTED_AUDIO_FORMATS.includes(detected.format)) {
+      throw new UnsupportedMediaTypeError('Unsupported audio format', {
+        detected: detected?.format ?? null,
+        declared: declared.codec ?? null,
+        supported: config.SUPPORTED_AUDIO_FORMATS
+      });
+    }
+    if (detected.corrupt) {
+      throw new AudioDecodeError('Audio header is malformed', {
+        format: detected.format,
+        reason: detected.corrupt
+      });
+    }
+
+    if (declared.codec && declared.codec !== detected.format) {
+      logger.audioEvent('format_mismatch', {
+        declared: declared.codec,
+        declaredMimetype: declared.mimetype,
+        detected: detected.format,
+        container: detected.container
+      });
+    }
+
+    return { ...detected, mimetype: FORMAT_MIMETYPES[detected.format] ?? 'application/octet-stream' };
+  }
+
+  /**
+   * Decode audio to 16-bit PCM at the canonical sample rate and channel
+   * count. Input goes through a temp file: MP4 files with a trailing index
+   * can't be read from a pipe.
+   */
+  async decode(audio, { format } = {}) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aakb-transcode-'));
+    const inputPath = path.join(workDir, `input.${format || 'bin'}`);
+
+    try {
+      await fs.writeFile(inputPath, audio);
+
+      const pcm = await this.runFfmpeg([
+        '-hide_banner', '-nostdin',
+        '-v', 'error', '-xerror',
+        '-i', inputPath,
+        '-map', '0:a:0', '-vn',
+        '-ac', String(config.AUDIO_CHANNELS),
+        '-ar', String(config.AUDIO_SAMPLE_RATE),
+        '-acodec', 'pcm_s16le', '-f', 's16le',
+        'pipe:1'
+      ]);
+
+      if (pcm.length === 0) {
+        throw new AudioDecodeError('Audio contains no decodable samples', { format });
+      }
+
+      const sampleRate = config.AUDIO_SAMPLE_RATE;
+      const channels = config.AUDIO_CHANNELS;
+      return {
+        pcm,
+        sampleRate,
+        channels,
+        durationMs: Math.round((pcm.length / (sampleRate * channels * 2)) * 1000)
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Decode audio and wrap it as canonical WAV
+   */
+  async transcode(audio, { format } = {}) {
+    const { pcm, sampleRate, channels, durationMs } = await this.decode(audio, { format });
+    return {
+      audio: encodeWav(pcm, { sampleRate, channels }),
+      codec: CANONICAL_CODEC,
+      mimetype: FORMAT_MIMETYPES[CANONICAL_CODEC],
+      sampleRate,
+      channels,
+      durationMs
+    };
+  }
+
+  /**
+   * Run ffmpeg and collect stdout. Decode failures reject with
+   * AudioDecodeError; a missing binary or timeout with a plain Error.
+   */
+  runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      const chunks = [];
+      let stderr = '';
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, config.AUDIO_TRANSCODE_TIMEOUT_MS);
+
+      child.stdout.on('data', chunk => chunks.push(chunk));
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk.toString()).slice(-STDERR_LIMIT);
+      });
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (timedOut) {
+          reject(new Error(`ffmpeg timed out after ${config.AUDIO_TRANSCODE_TIMEOUT_MS}ms`));
+        } else if (code !== 0) {
+          reject(new AudioDecodeError('Audio could not be decoded', { exitCode: code, stderr: stderr.trim() }));
+        } else {
+          resolve(Buffer.concat(chunks));
+        }
+      });
+    });
+  }
+
+  /**
+   * Verify a stored segment against its upload checksum and store its
+   * canonical copy, recording duration, codec and size on the segment.
+   * Undecodable segments are marked rejected.
+   */
+  async transcodeSegment(tenantId, eventId) {
+    const audioEvents = getTenantCollection(tenantId, 'audio_events');
+    const segment = await audioEvents.findOne(
+      { event_id: eventId },
+      { projection: { _id: 0, session_id: 1, 'segment.idx': 1, audio: 1 } }
+    );
+    if (!segment) {
+      throw new NotFoundError('Segment not found', { eventId });
+    }
+
+    const storage = getTenantStorage(tenantId);
+    const audio = await storage.get(segment.audio.key);
+    const checksum = crypto.createHash('sha256').update(audio).digest('hex');
+    if (checksum !== segment.audio.sha256) {
+      throw new AppError('Stored audio does not match its upload checksum', {
+        statusCode: 422,
+        code: 'AUDIO_CHECKSUM_MISMATCH',
+        details: { eventId }
+      });
+    }
+
+    if (!this.available) {
+      return { transcoded: false };
+    }
+
+    let canonical;
+    try {
+      canonical = await this.transcode(audio, { format: segment.audio.codec });
+    } catch (error) {
+      if (error instanceof AudioDecodeError) {
+        await audioEvents.updateOne(
+          { event_id: eventId },
+          { $set: { status: 'rejected', 'audio.error': error.details, updated_at: new Date() } }
+        );
+        logger.audioEvent('segment_rejected', { tenantId, eventId, codec: segment.audio.codec, reason: error.message });
+      }
+      throw error;
+    }
+
+    const stored = await storage.put(
+      storage.buildSegmentKey({
+        tenantId,
+        sessionId: segment.session_id,
+        idx: segment.segment.idx,
+        eventId,
+        extension: `canonical.${canonical.codec}`
+      }),
+      canonical.audio
+    );
+
+    const now = new Date();
+    await audioEvents.updateOne(
+      { event_id: eventId },
+      {
+        $set: {
+          'audio.duration_ms': canonical.durationMs,
+          'audio.canonical': {
+            key: stored.key,
+            uri: stored.uri,
+            codec: canonical.codec,
+            mimetype: canonical.mimetype,
+            sample_rate: canonical.sampleRate,
+            channels: canonical.channels,
+            duration_ms: canonical.durationMs,
+            bytes: stored.bytes,
+            sha256: crypto.createHash('sha256').update(canonical.audio).digest('hex'),
+            key_version: stored.key_version,
+            transcoded_at: now
+          },
+          updated_at: now
+        }
+      }
+    );
+
+    logger.audioEvent('segment_transcoded', {
+      tenantId,
+      eventId,
+      from: segment.audio.codec,
+      durationMs: canonical.durationMs,
+      bytes: stored.bytes
+    });
+
+    return { transcoded: true, codec: canonical.codec, durationMs: canonical.durationMs };
+  }
+
+  getStatus() {
+    return {
+      enabled: config.AUDIO_TRANSCODE_ENABLED,
+      available: this.available,
+      sampleRate: config.AUDIO_SAMPLE_RATE,
+      channels: config.AUDIO_CHANNELS
+    };
+  }
+}
+
+// Create singleton instance
+const transcodingService = new TranscodingService();
+
+export { transcodingService as TranscodingService };
+export default transcodingService;
@@ -0,0 +1,158 @@
+/**
+ * AI Audio KB - Audio Transcoding Service tests
+ */
+
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { config } from '../config/index.js';
+import { PayloadTooLargeError, UnsupportedMediaTypeError } from '../utils/errors.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { encodeWav } from './audio/formats.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+import { AudioDecodeError, TranscodingService } from './TranscodingService.js';
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const WAV = encodeWav(Buffer.alloc(3200), { sampleRate: 16000, channels: 1 });
+const MP3 = Buffer.concat([Buffer.from('ID3\x04', 'latin1'), Buffer.alloc(60)]);
+
+/**
+ * In-memory object storage
+ */
+function createStorage(objects) {
+  return {
+    objects,
+    buildSegmentKey: ({ tenantId, sessionId, idx, eventId, extension }) => `${tenantId}/${sessionId}/${idx}-${eventId}.${extension}`,
+    get: jest.fn(async key => objects.get(key)),
+    put: jest.fn(async (key, buffer) => {
+      objects.set(key, buffer);
+      return { key, uri: `file://${key}`, bytes: buffer.length };
+    })
+  };
+}
+
+describe('TranscodingService', () => {
+  let available;
+
+  beforeEach(() => {
+    available = TranscodingService.available;
+  });
+
+  afterEach(() => {
+    TranscodingService.available = available;
+    jest.restoreAllMocks();
+  });
+
+  describe('inspect', () => {
+    it('goes by the magic bytes, not the declared codec', () => {
+      expect(TranscodingService.inspect(MP3, { codec: 'wav', mimetype: 'audio/wav' })).toMatchObject({
+        format: 'mp3',
+        mimetype: 'audio/mpeg'
+      });
+    });
+
+    it('rejects unknown and unsupported formats', () => {
+      expect(() => TranscodingService.inspect(Buffer.from('definitely not audio'))).toThrow(UnsupportedMediaTypeError);
+      expect(() => TranscodingService.inspect(Buffer.from('fLaC\0\0\0\0\0\0\0\0', 'latin1'))).toThrow(
+        expect.objectContaining({ details: expect.objectContaining({ detected: 'flac' }) })
+      );
+    });
+
+    it('rejects malformed headers and oversized uploads', () => {
+      const saved = config.AUDIO_MAX_FILE_SIZE;
+      try {
+        expect(() => TranscodingService.inspect(Buffer.from('RIFF\0\0\0\0WAVEdata\0\0\0\0', 'latin1'))).toThrow(AudioDecodeError);
+
+        config.AUDIO_MAX_FILE_SIZE = 16;
+        expect(() => TranscodingService.inspect(WAV)).toThrow(PayloadTooLargeError);
+      } finally {
+        config.AUDIO_MAX_FILE_SIZE = saved;
+      }
+    });
+  });
+
+  describe('runFfmpeg', () => {
+    let ffmpegPath;
+
+    beforeEach(() => {
+      ffmpegPath = TranscodingService.ffmpegPath;
+      TranscodingService.ffmpegPath = process.execPath;
+    });
+
+    afterEach(() => {
+      TranscodingService.ffmpegPath = ffmpegPath;
+    });
+
+    it('collects stdout of a successful run', async () => {
+      const output = await TranscodingService.runFfmpeg(['-e', 'process.stdout.write("pcm")']);
+
+      expect(output.toString()).toBe('pcm');
+    });
+
+    it('reports a failed run as undecodable with the end of stderr', async () => {
+      const failure = TranscodingService.runFfmpeg(['-e', 'process.stderr.write("Invalid data"); process.exit(1)']);
+
+      await expect(failure).rejects.toThrow(AudioDecodeError);
+      await expect(failure).rejects.toMatchObject({ details: { exitCode: 1, stderr: 'Invalid data' } });
+    });
+  });
+
+  describe('transcodeSegment', () => {
+    let audioEvents;
+    let storage;
+
+    beforeEach(() => {
+      TranscodingService.available = true;
+      audioEvents = createCollection([{
+        event_id: 'e1',
+        session_id: 's1',
+        segment: { idx: 3 },
+        audio: { key: 'tenant-a/s1/3-e1.mp3', codec: 'mp3', sha256: sha256(MP3) }
+      }]);
+      storage = createStorage(new Map([['tenant-a/s1/3-e1.mp3', MP3]]));
+      jest.spyOn(ResidencyRouter, 'getCollection').mockReturnValue(audioEvents);
+      jest.spyOn(ResidencyRouter, 'getStorage').mockReturnValue(storage);
+      jest.spyOn(TranscodingService, 'transcode').mockResolvedValue({
+        audio: WAV,
+        codec: 'wav',
+        mimetype: 'audio/wav',
+        sampleRate: 16000,
+        channels: 1,
+        durationMs: 100
+      });
+    });
+
+    it('stores the canonical copy next to the untouched original', async () => {
+      expect(await TranscodingService.transcodeSegment('tenant-a', 'e1')).toEqual({ transcoded: true, codec: 'wav', durationMs: 100 });
+
+      expect(TranscodingService.transcode).toHaveBeenCalledWith(MP3, { format: 'mp3' });
+      expect(storage.objects.get('tenant-a/s1/3-e1.mp3')).toBe(MP3);
+      expect(storage.objects.get('tenant-a/s1/3-e1.canonical.wav')).toBe(WAV);
+      expect(audioEvents.docs[0].audio).toMatchObject({
+        duration_ms: 100,
+        canonical: { key: 'tenant-a/s1/3-e1.canonical.wav', codec: 'wav', bytes: WAV.length, sha256: sha256(WAV) }
+      });
+    });
+
+    it('refuses audio that no longer matches its upload checksum', async () => {
+      storage.objects.set('tenant-a/s1/3-e1.mp3', Buffer.from('tampered'));
+
+      await expect(TranscodingService.transcodeSegment('tenant-a', 'e1')).rejects.toMatchObject({ code: 'AUDIO_CHECKSUM_MISMATCH' });
+      expect(TranscodingService.transcode).not.toHaveBeenCalled();
+    });
+
+    it('marks an undecodable segment rejected', async () => {
+      TranscodingService.transcode.mockRejectedValue(new AudioDecodeError('Audio could not be decoded', { exitCode: 1 }));
+
+      await expect(TranscodingService.transcodeSegment('tenant-a', 'e1')).rejects.toThrow(AudioDecodeError);
+      expect(audioEvents.docs[0]).toMatchObject({ status: 'rejected', audio: { error: { exitCode: 1 } } });
+    });
+
+    it('leaves the segment in its uploaded format without ffmpeg', async () => {
+      TranscodingService.available = false;
+
+      expect(await TranscodingService.transcodeSegment('tenant-a', 'e1')).toEqual({ transcoded: false });
+      expect(audioEvents.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
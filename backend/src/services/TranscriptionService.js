@@ -0,0 +1,256 @@
+/**
+ * AI Audio KB - Transcription Service
+ *
+ * Pluggable ASR provider chain with circuit-breaker driven failover:
+ * Deepgram (primary) -> Google STT (fallback). With MOCK_ASR_ENABLED the
+ * chain is replaced by the deterministic mock provider.
+ *
+ * Transcribed minutes are metered per tenant and provider; batch
+ * transcription is refused while the tenant is over its hourly cost cap.
+ * With ENCRYPTION_ENABLED, the raw ASR result and the original transcript
+ * text and words are stored encrypted.
+ */
+
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { CircuitBreaker, CircuitOpenError } from '../utils/circuitBreaker.js';
+import { AppError, NotFoundError, ServiceUnavailableError } from '../utils/errors.js';
+import { DeepgramProvider } from './asr/DeepgramProvider.js';
+import { GoogleSpeechProvider } from './asr/GoogleSpeechProvider.js';
+import { MockAsrProvider } from './asr/MockAsrProvider.js';
+import { UnsupportedInputError } from './asr/transcript.js';
+import { EncryptionService } from './EncryptionService.js';
+import { PiiService } from './PiiService.js';
+import { MeteringService, USAGE_UNIT, WORK_CLASS } from './MeteringService.js';
+import { RegionPolicyService } from './RegionPolicyService.js';
+import { getTenantCollection, getTenantStorage } from './ResidencyRouter.js';
+
+// Provider classes in failover order
+const PROVIDER_CHAIN = [DeepgramProvider, GoogleSpeechProvider];
+
+/**
+ * Breaker for a provider; input it rejects says nothing about its health
+ */
+const createBreaker = provider => new CircuitBreaker(`asr:${provider.name}`, {
+  isFailure: error => !(error instanceof UnsupportedInputError)
+});
+
+class TranscriptionService {
+  constructor() {
+    this.providers = [];
+    this.initialized = false;
+  }
+
+  /**
+   * Build the provider chain from configuration
+   */
+  async initialize() {
+    const classes = config.MOCK_ASR_ENABLED
+      ? [MockAsrProvider]
+      : PROVIDER_CHAIN.filter(Provider => Provider.isConfigured());
+
+    this.providers = classes.map(Provider => {
+      const provider = new Provider();
+      return { provider, breaker: createBreaker(provider) };
+    });
+
+    if (this.providers.length === 0) {
+      logger.warn('No ASR providers configured; transcription will be unavailable');
+    }
+
+    this.initialized = true;
+    logger.startup('TranscriptionService', {
+      providers: this.providers.map(({ provider }) => provider.name),
+      mock: config.MOCK_ASR_ENABLED
+    });
+  }
+
+  /**
+   * Register an additional provider at the end of the chain
+   */
+  registerProvider(provider) {
+    this.providers.push({ provider, breaker: createBreaker(provider) });
+  }
+
+  /**
+   * Transcribe audio, failing over through the provider chain. Usage is
+   * metered against `options.tenantId` when given.
+   */
+  async transcribe(audio, options = {}) {
+    const attempts = [];
+    let result = null;
+
+    for (const { provider, breaker } of this.providers) {
+      if (!breaker.isAvailable()) {
+        attempts.push({ provider: provider.name, error: 'circuit_open' });
+        continue;
+      }
+
+      const timer = logger.timeStart(`asr:${provider.name}`);
+      try {
+        const transcript = await breaker.exec(() => provider.transcribe(audio, options));
+        timer.end({ provider: provider.name, words: transcript.words.length });
+
+        logger.asrEvent('transcription_completed', {
+          provider: provider.name,
+          model: provider.model,
+          durationMs: transcript.duration_ms,
+          confidence: transcript.confidence,
+          failovers: attempts.length
+        });
+
+        result = { provider, transcript };
+        break;
+
+      } catch (error) {
+        if (error instanceof UnsupportedInputError) {
+          attempts.push({ provider: provider.name, error: 'unsupported_input' });
+          continue;
+        }
+
+        attempts.push({
+          provider: provider.name,
+          error: error instanceof CircuitOpenError ? 'circuit_open' : error.message
+        });
+        logger.asrEvent('provider_failed', {
+          provider: provider.name,
+          error: error.message
+        });
+      }
+    }
+
+    if (!result) {
+      throw new ServiceUnavailableError('All ASR providers failed', { attempts });
+    }
+
+    // Metered once, for the provider that succeeded. A metering failure
+    // must not fail the transcript or fail over to a provider that would
+    // bill the same audio again.
+    const { provider, transcript } = result;
+    try {
+      await MeteringService.record({
+        tenantId: options.tenantId,
+        provider: provider.name,
+        unit: USAGE_UNIT.ASR_MINUTES,
+        quantity: (transcript.duration_ms ?? options.durationMs ?? 0) / 60000,
+        workClass: options.workClass
+      });
+    } catch (error) {
+      logger.logError(error, { context: 'asr_metering', tenantId: options.tenantId, provider: provider.name });
+    }
+
+    return transcript;
+  }
+
+  /**
+   * Transcribe a stored segment and persist the normalized transcript,
+   * redacted according to the segment's region policy
+   */
+  async transcribeSegment(tenantId, eventId, options = {}) {
+    await this.recognizeSegment(tenantId, eventId, options);
+    return this.redactSegment(tenantId, eventId);
+  }
+
+  /**
+   * Run ASR on a stored segment. The raw result is held on the segment as
+   * `asr_result` until redactSegment replaces it with the transcript.
+   */
+  async recognizeSegment(tenantId, eventId, { workClass = WORK_CLASS.BATCH } = {}) {
+    await MeteringService.assertBudget(tenantId, workClass);
+
+    const audioEvents = getTenantCollection(tenantId, 'audio_events');
+    const segment = await audioEvents.findOne({ event_id: eventId, tenant_id: tenantId });
+    if (!segment) {
+      throw new NotFoundError('Segment not found', { eventId });
+    }
+
+    // Prefer the canonical copy written by the transcode stage
+    const source = segment.audio.canonical ?? segment.audio;
+    const audio = await getTenantStorage(tenantId).get(source.key);
+    const raw = await this.transcribe(audio, {
+      codec: source.codec,
+      mimetype: source.mimetype,
+      sampleRate: source.sample_rate,
+      durationMs: segment.audio.duration_ms ?? segment.segment.duration_ms,
+      tenantId,
+      workClass
+    });
+
+    await audioEvents.updateOne(
+      { event_id: eventId, tenant_id: tenantId },
+      {
+        $set: {
+          asr_result: await EncryptionService.sealValue(tenantId, raw),
+          status: 'recognized',
+          updated_at: new Date()
+        }
+      }
+    );
+
+    return raw;
+  }
+
+  /**
+   * Apply PII detection to a recognized segment and persist the transcript.
+   * Segments that already carry a transcript are returned as stored.
+   */
+  async redactSegment(tenantId, eventId) {
+    const audioEvents = getTenantCollection(tenantId, 'audio_events');
+    const segment = await audioEvents.findOne({ event_id: eventId, tenant_id: tenantId });
+    if (!segment) {
+      throw new NotFoundError('Segment not found', { eventId });
+    }
+    const { asr_result: sealed, ...rest } = segment;
+    if (!sealed) {
+      if (segment.transcript) {
+        return { ...segment, transcript: await EncryptionService.openTranscript(tenantId, segment.transcript) };
+      }
+      throw new AppError('Segment has not been recognized', {
+        statusCode: 409,
+        code: 'SEGMENT_NOT_RECOGNIZED',
+        details: { eventId }
+      });
+    }
+
+    const raw = await EncryptionService.openValue(tenantId, sealed);
+    const policy = RegionPolicyService.resolve(segment.consent?.region);
+    const { transcript, sensitive } = await PiiService.process(raw, policy, { tenantId, eventId });
+
+    const now = new Date();
+    await audioEvents.updateOne(
+      { event_id: eventId, tenant_id: tenantId },
+      {
+        $set: {
+          transcript: await EncryptionService.sealTranscript(
+            tenantId,
+            { ...transcript, transcribed_at: now },
+            { indexSafe: PiiService.isIndexSafe(sensitive) }
+          ),
+          sensitive,
+          status: 'transcribed',
+          updated_at: now
+        },
+        $unset: { asr_result: '' }
+      }
+    );
+
+    return { ...rest, transcript, sensitive, status: 'transcribed' };
+  }
+
+  /**
+   * Provider chain status for health checks
+   */
+  getStatus() {
+    return this.providers.map(({ provider, breaker }) => ({
+      provider: provider.name,
+      model: provider.model,
+      breaker: breaker.getStatus()
+    }));
+  }
+}
+
+// Create singleton instance
+const transcriptionService = new TranscriptionService();
+
+export { transcriptionService as TranscriptionService };
+export default transcriptionService;
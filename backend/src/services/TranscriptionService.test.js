@@ -0,0 +1,206 @@
+/**
+ * AI Audio KB - Transcription Service tests
+ */
+
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { TranscriptionService } from './TranscriptionService.js';
+import { EncryptionService } from './EncryptionService.js';
+import { MeteringService } from './MeteringService.js';
+import { RegionPolicyService } from './RegionPolicyService.js';
+import { ResidencyRouter } from './ResidencyRouter.js';
+import { MockAsrProvider } from './asr/MockAsrProvider.js';
+import { UnsupportedInputError, buildTranscript } from './asr/transcript.js';
+import { ServiceUnavailableError } from '../utils/errors.js';
+import { CIRCUIT_STATE } from '../utils/circuitBreaker.js';
+import { config } from '../config/index.js';
+
+/**
+ * Provider stub answering with a one-word transcript, or failing
+ */
+function stubProvider(name, { error } = {}) {
+  return {
+    name,
+    model: `${name}-1`,
+    transcribe: jest.fn(async () => {
+      if (error) throw error;
+      return buildTranscript({
+        provider: name,
+        model: `${name}-1`,
+        durationMs: 90000,
+        words: [{ word: 'hello', start_ms: 0, end_ms: 400, confidence: 0.9 }]
+      });
+    })
+  };
+}
+
+describe('MockAsrProvider', () => {
+  const provider = new MockAsrProvider();
+
+  it('returns the same transcript for the same audio', async () => {
+    const audio = Buffer.from('the same audio bytes');
+    const first = await provider.transcribe(audio, { durationMs: 5000 });
+    const second = await provider.transcribe(Buffer.from(audio), { durationMs: 5000 });
+
+    expect(second).toEqual(first);
+    expect(first.words.length).toBeGreaterThan(0);
+    expect(first.duration_ms).toBe(5000);
+  });
+
+  it('returns different transcripts for different audio', async () => {
+    const first = await provider.transcribe(Buffer.from('first recording'), { durationMs: 5000 });
+    const second = await provider.transcribe(Buffer.from('second recording'), { durationMs: 5000 });
+
+    expect(second.text).not.toBe(first.text);
+  });
+});
+
+describe('TranscriptionService.transcribe', () => {
+  let record;
+
+  beforeEach(() => {
+    TranscriptionService.providers = [];
+    record = jest.spyOn(MeteringService, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    record.mockRestore();
+  });
+
+  it('fails over to the next provider and meters only the one that answered', async () => {
+    const primary = stubProvider('primary', { error: new Error('upstream 503') });
+    const fallback = stubProvider('fallback');
+    TranscriptionService.registerProvider(primary);
+    TranscriptionService.registerProvider(fallback);
+
+    const transcript = await TranscriptionService.transcribe(Buffer.from('audio'), { tenantId: 'tenant-a' });
+
+    expect(transcript.provider).toBe('fallback');
+    expect(primary.transcribe).toHaveBeenCalledTimes(1);
+    expect(record).toHaveBeenCalledTimes(1);
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({
+      tenantId: 'tenant-a',
+      provider: 'fallback',
+      quantity: 1.5
+    }));
+  });
+
+  it('stops calling a provider once its circuit opens', async () => {
+    const primary = stubProvider('primary', { error: new Error('upstream 503') });
+    TranscriptionService.registerProvider(primary);
+    TranscriptionService.registerProvider(stubProvider('fallback'));
+
+    for (let i = 0; i < config.CIRCUIT_BREAKER_FAILURE_THRESHOLD + 2; i++) {
+      await TranscriptionService.transcribe(Buffer.from('audio'));
+    }
+
+    expect(primary.transcribe).toHaveBeenCalledTimes(config.CIRCUIT_BREAKER_FAILURE_THRESHOLD);
+    expect(TranscriptionService.getStatus()[0].breaker.state).toBe(CIRCUIT_STATE.OPEN);
+  });
+
+  it('skips providers that cannot handle the input', async () => {
+    TranscriptionService.registerProvider(
+      stubProvider('primary', { error: new UnsupportedInputError('primary', 'codec not supported') })
+    );
+    TranscriptionService.registerProvider(stubProvider('fallback'));
+
+    const transcript = await TranscriptionService.transcribe(Buffer.from('audio'));
+
+    expect(transcript.provider).toBe('fallback');
+  });
+
+  it('keeps the breaker of a provider that rejects input closed', async () => {
+    const primary = stubProvider('primary', { error: new UnsupportedInputError('primary', 'codec not supported') });
+    TranscriptionService.registerProvider(primary);
+    TranscriptionService.registerProvider(stubProvider('fallback'));
+
+    for (let i = 0; i < config.CIRCUIT_BREAKER_FAILURE_THRESHOLD + 2; i++) {
+      await TranscriptionService.transcribe(Buffer.from('audio'));
+    }
+
+    const [status] = TranscriptionService.getStatus();
+    expect(primary.transcribe).toHaveBeenCalledTimes(config.CIRCUIT_BREAKER_FAILURE_THRESHOLD + 2);
+    expect(status.breaker).toEqual(expect.objectContaining({ state: CIRCUIT_STATE.CLOSED, failures: 0 }));
+  });
+
+  it('returns the transcript without failing over when metering fails', async () => {
+    record.mockRejectedValue(new Error('ledger unavailable'));
+    const primary = stubProvider('primary');
+    const fallback = stubProvider('fallback');
+    TranscriptionService.registerProvider(primary);
+    TranscriptionService.registerProvider(fallback);
+
+    const transcript = await TranscriptionService.transcribe(Buffer.from('audio'), { tenantId: 'tenant-a' });
+
+    expect(transcript.provider).toBe('primary');
+    expect(fallback.transcribe).not.toHaveBeenCalled();
+  });
+
+  it('reports every attempt when all providers fail', async () => {
+    TranscriptionService.registerProvider(stubProvider('primary', { error: new Error('timeout') }));
+    TranscriptionService.registerProvider(stubProvider('fallback', { error: new Error('quota') }));
+
+    const error = await TranscriptionService.transcribe(Buffer.from('audio')).catch(failure => failure);
+
+    expect(error).toBeInstanceOf(ServiceUnavailableError);
+    expect(error.details.attempts).toEqual([
+      { provider: 'primary', error: 'timeout' },
+      { provider: 'fallback', error: 'quota' }
+    ]);
+    expect(record).not.toHaveBeenCalled();
+  });
+});
+
+describe('TranscriptionService.redactSegment', () => {
+  let enabled;
+  let stored;
+
+  beforeEach(() => {
+    enabled = config.ENCRYPTION_ENABLED;
+    config.ENCRYPTION_ENABLED = true;
+    EncryptionService.provider = { name: 'stub', currentKeyId: 'master-1' };
+    EncryptionService.dataKeys = new Map([['tenant-a:1', crypto.randomBytes(32)]]);
+    EncryptionService.activeVersions = new Map([['tenant-a', { version: 1, expiresAt: Infinity }]]);
+
+    stored = null;
+    jest.spyOn(RegionPolicyService, 'resolve').mockImplementation(region => ({ region, pii_masking: false }));
+  });
+
+  afterEach(() => {
+    config.ENCRYPTION_ENABLED = enabled;
+    EncryptionService.provider = null;
+    jest.restoreAllMocks();
+  });
+
+  // Redact a segment recognized as `text` in a region without PII masking
+  const redact = async text => {
+    const segment = {
+      event_id: 'e1',
+      tenant_id: 'tenant-a',
+      consent: { region: 'US-CA' },
+      asr_result: await EncryptionService.sealValue('tenant-a', { text, words: [], language: 'en' })
+    };
+    jest.spyOn(ResidencyRouter, 'getCollection').mockReturnValue({
+      findOne: jest.fn(async () => structuredClone(segment)),
+      updateOne: jest.fn(async (filter, { $set }) => {
+        stored = $set.transcript;
+      })
+    });
+    await TranscriptionService.redactSegment('tenant-a', 'e1');
+    return stored;
+  };
+
+  it('keeps text without PII readable for the text index', async () => {
+    const transcript = await redact('see you tomorrow');
+
+    expect(transcript.textRedacted).toBe('see you tomorrow');
+    expect(EncryptionService.isSealed(transcript.sealed)).toBe(true);
+  });
+
+  it('seals unmasked text that holds PII', async () => {
+    const transcript = await redact('my number is 415 555 1234');
+
+    expect(EncryptionService.isSealed(transcript.textRedacted)).toBe(true);
+    expect(JSON.stringify(transcript)).not.toContain('555');
+  });
+});
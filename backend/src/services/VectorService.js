@@ -0,0 +1,396 @@
+/**
+ * AI Audio KB - Vector Embedding Service
+ *
+ * Embedding provider registry honoring EMBEDDING_PROVIDER (voyage|openai|auto)
+ * with optional fallback. Every provider must produce vectors of exactly
+ * VECTOR_DIMENSIONS so nothing is written that the vector index can't use.
+ *
+ * Segments are embedded with a VOYAGE_CONTEXT_WINDOW sliding window of
+ * neighboring transcripts from the same session, using the PII-redacted
+ * transcript text.
+ *
+ * Embedding tokens are metered per tenant and provider; batch embedding is
+ * refused while the tenant is over its hourly cost cap.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { CircuitBreaker, CircuitOpenError } from '../utils/circuitBreaker.js';
+import { AppError, NotFoundError, ServiceUnavailableError } from '../utils/errors.js';
+import { VoyageProvider } from './embedding/VoyageProvider.js';
+import { OpenAIProvider } from './embedding/OpenAIProvider.js';
+import { MockEmbeddingProvider } from './embedding/MockEmbeddingProvider.js';
+import { indexText } from './asr/transcript.js';
+import { MeteringService, USAGE_UNIT, WORK_CLASS, estimateTokens } from './MeteringService.js';
+import { EncryptionService } from './EncryptionService.js';
+import { getTenantCollection } from './ResidencyRouter.js';
+
+// Provider classes by name, in `auto` preference order
+const PROVIDERS = {
+  voyage: VoyageProvider,
+  openai: OpenAIProvider
+};
+
+export class EmbeddingDimensionError extends AppError {
+  constructor(provider, actual, expected) {
+    super(`Embedding provider ${provider} produced ${actual}-dim vectors, expected ${expected}`, {
+      statusCode: 500,
+      code: 'EMBEDDING_DIMENSION_MISMATCH',
+      details: { provider, actual, expected }
+    });
+  }
+}
+
+class VectorService {
+  constructor() {
+    this.registry = new Map(); // name -> { provider, breaker }
+    this.rejected = [];
+    this.initialized = false;
+  }
+
+  /**
+   * Build the provider registry, rejecting providers whose configured
+   * dimensions don't match the vector index
+   */
+  async initialize() {
+    this.registry.clear();
+    this.rejected = [];
+
+    const candidates = config.MOCK_EMBEDDING_ENABLED
+      ? [new MockEmbeddingProvider()]
+      : Object.values(PROVIDERS)
+        .filter(Provider => Provider.isConfigured())
+        .map(Provider => new Provider());
+
+    for (const provider of candidates) {
+      const problem = this.checkDimensions(provider);
+      if (problem) {
+        this.rejected.push({ provider: provider.name, reason: problem });
+        logger.error('Embedding provider rejected', { provider: provider.name, reason: problem });
+        continue;
+      }
+      this.registry.set(provider.name, {
+        provider,
+        breaker: new CircuitBreaker(`embedding:${provider.name}`)
+      });
+    }
+
+    if (this.registry.size === 0 && candidates.length > 0) {
+      throw new Error(`No usable embedding provider: ${this.rejected.map(r => r.reason).join('; ')}`);
+    }
+
+    this.initialized = true;
+    logger.startup('VectorService', {
+      mode: config.MOCK_EMBEDDING_ENABLED ? 'mock' : config.EMBEDDING_PROVIDER,
+      providers: [...this.registry.keys()],
+      rejected: this.rejected,
+      dimensions: config.VECTOR_DIMENSIONS
+    });
+  }
+
+  /**
+   * Return a reason string if the provider can't feed the vector index
+   */
+  checkDimensions(provider) {
+    if (provider.dimensions !== config.VECTOR_DIMENSIONS) {
+      return `${provider.name} dimensions ${provider.dimensions} != VECTOR_DIMENSIONS ${config.VECTOR_DIMENSIONS}`;
+    }
+    if (!config.VECTOR_SUPPORTED_DIMS.includes(String(provider.dimensions))) {
+      return `${provider.name} dimensions ${provider.dimensions} not in VECTOR_SUPPORTED_DIMS`;
+    }
+    return null;
+  }
+
+  /**
+   * Providers to try, in order, for the configured selection mode
+   */
+  getProviderOrder() {
+    const entries = [...this.registry.values()];
+    if (config.MOCK_EMBEDDING_ENABLED) {
+      return entries;
+    }
+
+    if (config.EMBEDDING_PROVIDER === 'auto') {
+      // Healthy providers first, keeping registry preference order otherwise
+      return [...entries].sort((a, b) => Number(b.breaker.isAvailable()) - Number(a.breaker.isAvailable()));
+    }
+
+    const primary = this.registry.get(config.EMBEDDING_PROVIDER);
+    const others = entries.filter(entry => entry !== primary);
+    if (!primary) {
+      return config.EMBEDDING_FALLBACK_ENABLED ? others : [];
+    }
+    return config.EMBEDDING_FALLBACK_ENABLED ? [primary, ...others] : [primary];
+  }
+
+  /**
+   * Run an embedding operation with the first provider that succeeds
+   */
+  async withProvider(operation, fn) {
+    const attempts = [];
+
+    for (const { provider, breaker } of this.getProviderOrder()) {
+      if (!breaker.isAvailable()) {
+        attempts.push({ provider: provider.name, error: 'circuit_open' });
+        continue;
+      }
+
+      try {
+        const result = await breaker.exec(async () => {
+          const output = await fn(provider);
+          this.assertDimensions(provider, output.vectors);
+          return output;
+        });
+
+        logger.vectorEvent(`${operation}_completed`, {
+          provider: provider.name,
+          model: provider.model,
+          count: result.vectors.length,
+          tokens: result.tokens,
+          failovers: attempts.length
+        });
+
+        return {
+          ...result,
+          provider: provider.name,
+          model: provider.model,
+          dimensions: provider.dimensions
+        };
+
+      } catch (error) {
+        attempts.push({
+          provider: provider.name,
+          error: error instanceof CircuitOpenError ? 'circuit_open' : error.message
+        });
+        logger.vectorEvent('provider_failed', { provider: provider.name, operation, error: error.message });
+      }
+    }
+
+    throw new ServiceUnavailableError('All embedding providers failed', { attempts });
+  }
+
+  /**
+   * Embed independent texts, one vector per text
+   */
+  async embed(texts, { inputType = 'document' } = {}) {
+    return this.withProvider('embedding', provider => provider.embed(texts, { inputType }));
+  }
+
+  /**
+   * Embed chunks[targetIndex] in the context of its neighboring chunks.
+   * Providers with native contextualized embeddings see the chunks as one
+   * document; others embed the concatenated window.
+   */
+  async embedInContext(chunks, targetIndex) {
+    return this.withProvider('context_embedding', async provider => {
+      if (provider.supportsContext) {
+        const output = await provider.embedContextualized(chunks);
+        return { vectors: [output.vectors[targetIndex]], tokens: output.tokens, strategy: 'contextualized' };
+      }
+
+      const output = await provider.embed([chunks.join('\n')]);
+      return { ...output, strategy: 'concatenated' };
+    });
+  }
+
+  /**
+   * Guard against providers returning vectors of the wrong size
+   */
+  assertDimensions(provider, vectors) {
+    const bad = vectors.find(vector => vector.length !== config.VECTOR_DIMENSIONS);
+    if (bad) {
+      throw new EmbeddingDimensionError(provider.name, bad.length, config.VECTOR_DIMENSIONS);
+    }
+  }
+
+  /**
+   * Embed a search query
+   */
+  async embedQuery(text) {
+    const result = await this.embed([text], { inputType: 'query' });
+    return { ...result, vector: result.vectors[0] };
+  }
+
+  /**
+   * Segments before/after the target that make up its context window
+   */
+  getWindowBounds() {
+    const size = Math.max(1, config.VOYAGE_CONTEXT_WINDOW);
+    const before = Math.floor((size - 1) / 2);
+    return { size, before, after: size - 1 - before };
+  }
+
+  /**
+   * Build the context window for a segment from transcribed session
+   * neighbors, ordered by sequence number
+   */
+  buildContextWindow(segment, neighbors) {
+    const { size, before, after } = this.getWindowBounds();
+    const idx = segment.segment.idx;
+
+    const window = neighbors
+      .filter(n => n.segment.idx >= idx - before && n.segment.idx <= idx + after)
+      .filter(n => n.event_id === segment.event_id || indexText(n.transcript))
+      .sort((a, b) => a.segment.idx - b.segment.idx);
+
+    const chunks = window.map(n => indexText(n.transcript));
+    return {
+      chunks,
+      targetIndex: window.findIndex(n => n.event_id === segment.event_id),
+      contextWindow: {
+        size,
+        segment_idxs: window.map(n => n.segment.idx),
+        event_ids: window.map(n => n.event_id),
+        fingerprint: crypto.createHash('sha256').update(JSON.stringify(chunks)).digest('hex')
+      }
+    };
+  }
+
+  /**
+   * Load transcribed session segments within `radius` sequence numbers
+   */
+  async loadNeighborhood(segment, radius) {
+    const idx = segment.segment.idx;
+    const neighbors = await getTenantCollection(segment.tenant_id, 'audio_events')
+      .find(
+        {
+          tenant_id: segment.tenant_id,
+          session_id: segment.session_id,
+          'segment.idx': { $gte: idx - radius, $lte: idx + radius }
+        },
+        { projection: { _id: 0, event_id: 1, tenant_id: 1, session_id: 1, segment: 1, transcript: 1, 'embedding.contextWindow': 1 } }
+      )
+      .toArray();
+
+    return Promise.all(neighbors.map(async neighbor => ({
+      ...neighbor,
+      transcript: await EncryptionService.openTranscript(segment.tenant_id, neighbor.transcript)
+    })));
+  }
+
+  /**
+   * Embed a transcribed segment together with its previous and next
+   * transcripts and store the vector on its document. Embedded neighbors
+   * whose context window changed because of this segment (late or
+   * out-of-order arrival, re-transcription) are re-embedded as well.
+   */
+  async embedSegment(tenantId, eventId, { refreshNeighbors = true, workClass = WORK_CLASS.BATCH } = {}) {
+    // Neighbor refreshes belong to the embedding that triggered them
+    if (refreshNeighbors) {
+      await MeteringService.assertBudget(tenantId, workClass);
+    }
+
+    const audioEvents = getTenantCollection(tenantId, 'audio_events');
+    const segment = await audioEvents.findOne({ event_id: eventId, tenant_id: tenantId });
+    if (!segment) {
+      throw new NotFoundError('Segment not found', { eventId });
+    }
+    segment.transcript = await EncryptionService.openTranscript(tenantId, segment.transcript);
+    if (!indexText(segment.transcript)) {
+      throw new AppError('Segment has no transcript to embed', {
+        statusCode: 409,
+        code: 'SEGMENT_NOT_TRANSCRIBED',
+        details: { eventId }
+      });
+    }
+
+    const { before, after } = this.getWindowBounds();
+    const neighborhood = await this.loadNeighborhood(segment, before + after + Math.max(before, after));
+    const { chunks, targetIndex, contextWindow } = this.buildContextWindow(segment, neighborhood);
+
+    const result = await this.embedInContext(chunks, targetIndex);
+    await MeteringService.record({
+      tenantId,
+      provider: result.provider,
+      unit: USAGE_UNIT.EMBEDDING_TOKENS,
+      quantity: result.tokens ?? estimateTokens(chunks),
+      workClass
+    });
+
+    const embedding = {
+      vector: result.vectors[0],
+      provider: result.provider,
+      model: result.model,
+      dimensions: result.dimensions,
+      contextWindow: { ...contextWindow, strategy: result.strategy },
+      embedded_at: new Date()
+    };
+
+    await audioEvents.updateOne(
+      { event_id: eventId, tenant_id: tenantId },
+      { $set: { embedding, status: 'embedded', updated_at: new Date() } }
+    );
+
+    if (refreshNeighbors) {
+      await this.refreshNeighbors(segment, neighborhood, workClass);
+    }
+
+    return embedding;
+  }
+
+  /**
+   * Re-embed already-embedded neighbors whose context window no longer
+   * matches what is stored on their document
+   */
+  async refreshNeighbors(segment, neighborhood, workClass) {
+    const { before, after } = this.getWindowBounds();
+    const idx = segment.segment.idx;
+
+    // Segment k is inside neighbor j's window when j - before <= k <= j + after
+    const affected = neighborhood.filter(n =>
+      n.event_id !== segment.event_id &&
+      n.embedding?.contextWindow &&
+      n.segment.idx >= idx - after &&
+      n.segment.idx <= idx + before
+    );
+
+    const current = neighborhood.map(n => (n.event_id === segment.event_id ? segment : n));
+
+    for (const neighbor of affected) {
+      const { contextWindow } = this.buildContextWindow(neighbor, current);
+      if (contextWindow.fingerprint === neighbor.embedding.contextWindow.fingerprint) {
+        continue;
+      }
+
+      logger.vectorEvent('context_reembed', {
+        sessionId: segment.session_id,
+        eventId: neighbor.event_id,
+        triggeredBy: segment.event_id
+      });
+
+      try {
+        await this.embedSegment(segment.tenant_id, neighbor.event_id, { refreshNeighbors: false, workClass });
+      } catch (error) {
+        logger.warn('Neighbor re-embedding failed', {
+          eventId: neighbor.event_id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Registry status for health checks
+   */
+  getStatus() {
+    return {
+      mode: config.MOCK_EMBEDDING_ENABLED ? 'mock' : config.EMBEDDING_PROVIDER,
+      fallback: config.EMBEDDING_FALLBACK_ENABLED,
+      dimensions: config.VECTOR_DIMENSIONS,
+      providers: [...this.registry.values()].map(({ provider, breaker }) => ({
+        provider: provider.name,
+        model: provider.model,
+        dimensions: provider.dimensions,
+        breaker: breaker.getStatus()
+      })),
+      rejected: this.rejected
+    };
+  }
+}
+
+// Create singleton instance
+const vectorService = new VectorService();
+
+export { vectorService as VectorService };
+export default vectorService;
@@ -0,0 +1,274 @@
+/**
+ * AI Audio KB - Vector Embedding Service tests
+ */
+
+import { jest } from '@jest/globals';
+import { database } from '../config/database.js';
+import { config } from '../config/index.js';
+import { CIRCUIT_STATE, CircuitBreaker } from '../utils/circuitBreaker.js';
+import { BudgetExceededError, ServiceUnavailableError } from '../utils/errors.js';
+import { createCollection } from '../__tests__/helpers/memoryCollection.js';
+import { MockEmbeddingProvider } from './embedding/MockEmbeddingProvider.js';
+import { MeteringService, WORK_CLASS } from './MeteringService.js';
+import { VectorService } from './VectorService.js';
+
+const CONFIG_KEYS = [
+  'MOCK_EMBEDDING_ENABLED',
+  'EMBEDDING_PROVIDER',
+  'EMBEDDING_FALLBACK_ENABLED',
+  'VECTOR_DIMENSIONS',
+  'VOYAGE_API_KEY',
+  'OPENAI_API_KEY',
+  'OPENAI_EMBEDDING_DIMENSIONS',
+  'VOYAGE_CONTEXT_WINDOW'
+];
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+const transcribed = (idx, text) => ({
+  event_id: `e${idx}`,
+  tenant_id: 'tenant-a',
+  session_id: 's1',
+  segment: { idx },
+  transcript: { text }
+});
+
+/**
+ * Provider stub answering with constant vectors of `dimensions`, or failing
+ */
+function stubProvider(name, { dimensions = config.VECTOR_DIMENSIONS, error } = {}) {
+  return {
+    name,
+    model: `${name}-embed`,
+    dimensions,
+    embed: jest.fn(async texts => {
+      if (error) throw error;
+      return { vectors: texts.map(() => new Array(dimensions).fill(0.5)), tokens: texts.length };
+    })
+  };
+}
+
+describe('MockEmbeddingProvider', () => {
+  const provider = new MockEmbeddingProvider({ dimensions: 64 });
+
+  it('embeds the same text identically into a unit vector', async () => {
+    const { vectors: [first, second] } = await provider.embed(['Pricing starts at ten', 'Pricing starts at ten']);
+
+    expect(second).toEqual(first);
+    expect(first).toHaveLength(64);
+    expect(cosine(first, first)).toBeCloseTo(1);
+  });
+
+  it('places texts sharing words closer together', () => {
+    const query = provider.embedText('what did they say about pricing');
+
+    expect(cosine(query, provider.embedText('they asked about pricing')))
+      .toBeGreaterThan(cosine(query, provider.embedText('the weather was lovely')));
+  });
+});
+
+describe('VectorService', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(CONFIG_KEYS.map(key => [key, config[key]]));
+    Object.assign(config, {
+      MOCK_EMBEDDING_ENABLED: false,
+      EMBEDDING_PROVIDER: 'voyage',
+      EMBEDDING_FALLBACK_ENABLED: true,
+      VECTOR_DIMENSIONS: 1024
+    });
+    VectorService.registry.clear();
+  });
+
+  afterEach(() => {
+    Object.assign(config, saved);
+    VectorService.registry.clear();
+    VectorService.rejected = [];
+  });
+
+  const register = (...providers) => providers.forEach(provider => {
+    VectorService.registry.set(provider.name, { provider, breaker: new CircuitBreaker(`embedding:${provider.name}`) });
+  });
+
+  describe('initialize', () => {
+    it('rejects a provider whose dimensions do not match the vector index', async () => {
+      Object.assign(config, { VOYAGE_API_KEY: 'voyage-key', OPENAI_API_KEY: 'openai-key', OPENAI_EMBEDDING_DIMENSIONS: 1536 });
+
+      await VectorService.initialize();
+
+      expect([...VectorService.registry.keys()]).toEqual(['voyage']);
+      expect(VectorService.rejected).toEqual([
+        { provider: 'openai', reason: 'openai dimensions 1536 != VECTOR_DIMENSIONS 1024' }
+      ]);
+    });
+
+    it('refuses to start when no configured provider fits the index', async () => {
+      Object.assign(config, { VOYAGE_API_KEY: 'voyage-key', OPENAI_API_KEY: undefined, VECTOR_DIMENSIONS: 768 });
+
+      await expect(VectorService.initialize()).rejects.toThrow('No usable embedding provider');
+    });
+
+    it('uses only the mock embedder when enabled', async () => {
+      Object.assign(config, { MOCK_EMBEDDING_ENABLED: true, VOYAGE_API_KEY: 'voyage-key' });
+
+      await VectorService.initialize();
+
+      expect([...VectorService.registry.keys()]).toEqual(['mock']);
+    });
+  });
+
+  describe('embed', () => {
+    it('uses the configured provider', async () => {
+      const voyage = stubProvider('voyage');
+      const openai = stubProvider('openai');
+      register(voyage, openai);
+      config.EMBEDDING_PROVIDER = 'openai';
+
+      const result = await VectorService.embed(['hello']);
+
+      expect(result).toMatchObject({ provider: 'openai', model: 'openai-embed', dimensions: 1024, tokens: 1 });
+      expect(voyage.embed).not.toHaveBeenCalled();
+    });
+
+    it('falls back to the next provider when enabled', async () => {
+      register(stubProvider('voyage', { error: new Error('429 rate limited') }), stubProvider('openai'));
+
+      expect((await VectorService.embed(['hello'])).provider).toBe('openai');
+    });
+
+    it('does not fall back when disabled', async () => {
+      const openai = stubProvider('openai');
+      register(stubProvider('voyage', { error: new Error('429 rate limited') }), openai);
+      config.EMBEDDING_FALLBACK_ENABLED = false;
+
+      const error = await VectorService.embed(['hello']).catch(failure => failure);
+
+      expect(error).toBeInstanceOf(ServiceUnavailableError);
+      expect(error.details.attempts).toEqual([{ provider: 'voyage', error: '429 rate limited' }]);
+      expect(openai.embed).not.toHaveBeenCalled();
+    });
+
+    it('discards vectors of the wrong size and fails over', async () => {
+      const voyage = stubProvider('voyage');
+      voyage.embed.mockResolvedValue({ vectors: [new Array(512).fill(0)], tokens: 1 });
+      register(voyage, stubProvider('openai'));
+
+      const result = await VectorService.embed(['hello']);
+
+      expect(result.provider).toBe('openai');
+      expect(result.vectors[0]).toHaveLength(1024);
+    });
+
+    it('prefers healthy providers in auto mode', async () => {
+      const voyage = stubProvider('voyage');
+      const openai = stubProvider('openai');
+      register(voyage, openai);
+      config.EMBEDDING_PROVIDER = 'auto';
+      const breaker = VectorService.registry.get('voyage').breaker;
+      breaker.state = CIRCUIT_STATE.OPEN;
+      breaker.openedAt = Date.now();
+
+      expect((await VectorService.embed(['hello'])).provider).toBe('openai');
+      expect(voyage.embed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('embedSegment', () => {
+    let audioEvents;
+    let mock;
+
+    beforeEach(() => {
+      config.VOYAGE_CONTEXT_WINDOW = 3;
+      mock = new MockEmbeddingProvider();
+      jest.spyOn(mock, 'embed');
+      register(mock);
+      config.EMBEDDING_PROVIDER = 'mock';
+
+      audioEvents = createCollection([
+        transcribed(0, 'hi this is Dana from Acme'),
+        transcribed(1, 'yes'),
+        transcribed(2, "let's do that"),
+        transcribed(4, 'talk soon')
+      ]);
+      jest.spyOn(database, 'getCollection').mockReturnValue(audioEvents);
+      jest.spyOn(MeteringService, 'assertBudget').mockResolvedValue(undefined);
+      jest.spyOn(MeteringService, 'record').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const stored = eventId => audioEvents.docs.find(doc => doc.event_id === eventId);
+
+    it('embeds a segment together with its previous and next transcripts', async () => {
+      const embedding = await VectorService.embedSegment('tenant-a', 'e1');
+
+      expect(mock.embed).toHaveBeenCalledWith(["hi this is Dana from Acme\nyes\nlet's do that"]);
+      expect(embedding.contextWindow).toMatchObject({
+        size: 3,
+        segment_idxs: [0, 1, 2],
+        event_ids: ['e0', 'e1', 'e2'],
+        strategy: 'concatenated'
+      });
+      expect(stored('e1')).toMatchObject({ status: 'embedded', embedding: { provider: 'mock' } });
+    });
+
+    it('leaves out neighbors that are missing or not transcribed yet', async () => {
+      audioEvents.docs.push({ ...transcribed(3, null), transcript: null });
+
+      const embedding = await VectorService.embedSegment('tenant-a', 'e4');
+
+      expect(embedding.contextWindow.segment_idxs).toEqual([4]);
+    });
+
+    it('re-embeds embedded neighbors whose window a late segment changes', async () => {
+      await VectorService.embedSegment('tenant-a', 'e2');
+      await VectorService.embedSegment('tenant-a', 'e4');
+      expect(stored('e2').embedding.contextWindow.segment_idxs).toEqual([1, 2]);
+
+      audioEvents.docs.push(transcribed(3, 'send me the contract'));
+      mock.embed.mockClear();
+
+      await VectorService.embedSegment('tenant-a', 'e3');
+
+      expect(mock.embed).toHaveBeenCalledTimes(3);
+      expect(stored('e2').embedding.contextWindow.segment_idxs).toEqual([1, 2, 3]);
+      expect(stored('e4').embedding.contextWindow.segment_idxs).toEqual([3, 4]);
+    });
+
+    it('asks providers with contextualized embeddings for the target chunk', async () => {
+      mock.supportsContext = true;
+      mock.embedContextualized = jest.fn(async chunks => ({ vectors: chunks.map(chunk => mock.embedText(chunk)), tokens: 6 }));
+
+      const embedding = await VectorService.embedSegment('tenant-a', 'e1');
+
+      expect(mock.embedContextualized).toHaveBeenCalledWith(['hi this is Dana from Acme', 'yes', "let's do that"]);
+      expect(embedding.vector).toEqual(mock.embedText('yes'));
+      expect(embedding.contextWindow.strategy).toBe('contextualized');
+    });
+
+    it('meters the tokens of the embedding as the given work class', async () => {
+      await VectorService.embedSegment('tenant-a', 'e1', { workClass: WORK_CLASS.LIVE });
+
+      expect(MeteringService.assertBudget).toHaveBeenCalledWith('tenant-a', WORK_CLASS.LIVE);
+      expect(MeteringService.record).toHaveBeenCalledWith({
+        tenantId: 'tenant-a',
+        provider: 'mock',
+        unit: 'embedding_tokens',
+        quantity: 10,
+        workClass: WORK_CLASS.LIVE
+      });
+    });
+
+    it('embeds nothing once the tenant is over budget', async () => {
+      MeteringService.assertBudget.mockRejectedValue(new BudgetExceededError(undefined, { retry_after_seconds: 60 }));
+
+      await expect(VectorService.embedSegment('tenant-a', 'e1')).rejects.toThrow(BudgetExceededError);
+
+      expect(mock.embed).not.toHaveBeenCalled();
+      expect(stored('e1').embedding).toBeUndefined();
+    });
+  });
+});
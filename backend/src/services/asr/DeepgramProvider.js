@@ -0,0 +1,68 @@
+/**
+ * AI Audio KB - Deepgram ASR Provider (primary)
+ *
+ * Pre-recorded transcription with diarization and word timestamps.
+ */
+
+import { createClient } from '@deepgram/sdk';
+import { config } from '../../config/index.js';
+import { buildTranscript } from './transcript.js';
+
+export class DeepgramProvider {
+  constructor({
+    apiKey = config.DEEPGRAM_API_KEY,
+    model = config.DEEPGRAM_MODEL,
+    tier = config.DEEPGRAM_TIER,
+    language = config.DEEPGRAM_LANGUAGE
+  } = {}) {
+    this.name = 'deepgram';
+    this.model = model;
+    this.tier = tier;
+    this.language = language;
+    this.client = createClient(apiKey);
+  }
+
+  static isConfigured() {
+    return Boolean(config.DEEPGRAM_API_KEY);
+  }
+
+  /**
+   * Transcribe an audio buffer
+   */
+  async transcribe(audio, { mimetype, language } = {}) {
+    const { result, error } = await this.client.listen.prerecorded.transcribeFile(audio, {
+      model: this.model,
+      tier: this.tier,
+      language: language || this.language,
+      mimetype,
+      punctuate: true,
+      smart_format: true,
+      diarize: true
+    });
+
+    if (error) {
+      throw new Error(`Deepgram transcription failed: ${error.message}`);
+    }
+
+    const channel = result.results?.channels?.[0];
+    const alternative = channel?.alternatives?.[0] || { transcript: '', words: [] };
+
+    return buildTranscript({
+      provider: this.name,
+      model: this.model,
+      text: alternative.transcript,
+      confidence: alternative.confidence,
+      language: channel?.detected_language || language || this.language,
+      durationMs: Math.round((result.metadata?.duration || 0) * 1000),
+      words: (alternative.words || []).map(word => ({
+        word: word.punctuated_word || word.word,
+        start_ms: word.start * 1000,
+        end_ms: word.end * 1000,
+        confidence: word.confidence,
+        speaker: word.speaker
+      }))
+    });
+  }
+}
+
+export default DeepgramProvider;
@@ -0,0 +1,97 @@
+/**
+ * AI Audio KB - Google Speech-to-Text ASR Provider (fallback)
+ *
+ * Synchronous recognition with speaker diarization and word offsets.
+ */
+
+import speech from '@google-cloud/speech';
+import { config } from '../../config/index.js';
+import { buildTranscript, UnsupportedInputError } from './transcript.js';
+
+const CODEC_ENCODINGS = {
+  wav: 'LINEAR16',
+  opus: 'OGG_OPUS',
+  mp3: 'MP3'
+};
+
+/**
+ * Convert a protobuf Duration ({ seconds, nanos }) to milliseconds
+ */
+function durationToMs(duration) {
+  if (!duration) return 0;
+  return Number(duration.seconds || 0) * 1000 + Math.round((duration.nanos || 0) / 1e6);
+}
+
+export class GoogleSpeechProvider {
+  constructor({
+    projectId = config.GOOGLE_PROJECT_ID,
+    keyFilename = config.GOOGLE_APPLICATION_CREDENTIALS,
+    model = config.GOOGLE_STT_MODEL,
+    language = config.GOOGLE_STT_LANGUAGE
+  } = {}) {
+    this.name = 'google-stt';
+    this.model = model;
+    this.language = language;
+    this.client = new speech.SpeechClient({ projectId, keyFilename });
+  }
+
+  static isConfigured() {
+    return Boolean(config.GOOGLE_PROJECT_ID && config.GOOGLE_APPLICATION_CREDENTIALS);
+  }
+
+  /**
+   * Transcribe an audio buffer
+   */
+  async transcribe(audio, { codec, language, sampleRate } = {}) {
+    const encoding = CODEC_ENCODINGS[codec];
+    if (!encoding) {
+      throw new UnsupportedInputError(this.name, `codec ${codec} is not supported`);
+    }
+
+    const [response] = await this.client.recognize({
+      config: {
+        encoding,
+        sampleRateHertz: encoding === 'LINEAR16' ? undefined : (sampleRate || config.AUDIO_SAMPLE_RATE),
+        languageCode: language || this.language,
+        model: this.model,
+        enableAutomaticPunctuation: true,
+        enableWordTimeOffsets: true,
+        enableWordConfidence: true,
+        diarizationConfig: { enableSpeakerDiarization: true }
+      },
+      audio: { content: audio.toString('base64') }
+    });
+
+    const results = response.results || [];
+    const alternatives = results.map(r => r.alternatives?.[0]).filter(Boolean);
+
+    // With diarization the final result repeats every word tagged with its speaker
+    const last = alternatives[alternatives.length - 1];
+    const diarizedWords = last?.words?.some(w => w.speakerTag) ? last.words : null;
+    const rawWords = diarizedWords || alternatives.flatMap(a => a.words || []);
+    const transcripts = diarizedWords ? alternatives.slice(0, -1) : alternatives;
+
+    const confidences = transcripts.map(a => a.confidence).filter(c => typeof c === 'number');
+
+    return buildTranscript({
+      provider: this.name,
+      model: this.model,
+      text: transcripts.map(a => a.transcript.trim()).join(' ').trim(),
+      confidence: confidences.length
+        ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+        : undefined,
+      language: results[0]?.languageCode || language || this.language,
+      durationMs: durationToMs(results[results.length - 1]?.resultEndTime) || undefined,
+      words: rawWords.map(word => ({
+        word: word.word,
+        start_ms: durationToMs(word.startTime),
+        end_ms: durationToMs(word.endTime),
+        confidence: word.confidence,
+        // Google speaker tags are 1-based; 0 means "not diarized"
+        speaker: word.speakerTag ? word.speakerTag - 1 : null
+      }))
+    });
+  }
+}
+
+export default GoogleSpeechProvider;
@@ -0,0 +1,86 @@
+/**
+ * AI Audio KB - Deterministic Mock ASR Provider
+ *
+ * Enabled with MOCK_ASR_ENABLED. Derives a transcript from the SHA-256 of
+ * the audio bytes, so identical input always yields identical words,
+ * timestamps, speakers and confidences without calling a vendor.
+ */
+
+import crypto from 'crypto';
+import { buildTranscript } from './transcript.js';
+
+const VOCABULARY = [
+  'the', 'pricing', 'meeting', 'customer', 'follow', 'up', 'next', 'week',
+  'contract', 'renewal', 'budget', 'quarter', 'team', 'call', 'proposal',
+  'demo', 'schedule', 'yes', 'lets', 'do', 'that', 'we', 'can', 'send',
+  'details', 'discount', 'timeline', 'decision', 'review', 'agenda', 'notes',
+  'question', 'product', 'feature', 'support', 'onboarding', 'thanks', 'okay'
+];
+
+// Assumed bitrate when no duration is supplied (16 kbps ≈ 2 bytes per ms)
+const BYTES_PER_MS = 2;
+
+/**
+ * Small seeded PRNG (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class MockAsrProvider {
+  constructor() {
+    this.name = 'mock';
+    this.model = 'mock-deterministic-1';
+  }
+
+  static isConfigured() {
+    return true;
+  }
+
+  /**
+   * Transcribe an audio buffer deterministically
+   */
+  async transcribe(audio, { durationMs, language } = {}) {
+    const digest = crypto.createHash('sha256').update(audio).digest();
+    const random = createRandom(digest.readUInt32BE(0));
+    const totalMs = durationMs || Math.max(500, Math.round(audio.length / BYTES_PER_MS));
+
+    const words = [];
+    let cursor = Math.round(random() * 200);
+    let speaker = digest[4] % 2;
+
+    while (cursor < totalMs - 250) {
+      const length = 250 + Math.round(random() * 250);
+      const end = Math.min(cursor + length, totalMs);
+      words.push({
+        word: VOCABULARY[Math.floor(random() * VOCABULARY.length)],
+        start_ms: cursor,
+        end_ms: end,
+        confidence: Number((0.85 + random() * 0.14).toFixed(4)),
+        speaker
+      });
+
+      cursor = end + Math.round(random() * 150);
+      if (random() < 0.12) {
+        speaker = 1 - speaker;
+      }
+    }
+
+    return buildTranscript({
+      provider: this.name,
+      model: this.model,
+      language: language || 'en-US',
+      durationMs: totalMs,
+      words
+    });
+  }
+}
+
+export default MockAsrProvider;
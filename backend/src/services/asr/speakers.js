@@ -0,0 +1,125 @@
+/**
+ * AI Audio KB - Session Speaker Matching
+ *
+ * Diarization numbers speakers per segment: "speaker 0" in one segment need
+ * not be "speaker 0" in the next. matchSpeakers maps a segment's local
+ * speaker indices onto session speakers using its nearest reconciled
+ * neighbours, scoring each pairing in milliseconds of agreeing speech:
+ *
+ *   overlap    - words at the same session time as a neighbour's words
+ *                (overlapping uploads) are the same speaker
+ *   continuity - across a short gap, whoever ended the previous segment
+ *                starts this one, and whoever ends this one starts the next
+ *   order      - providers number speakers by first appearance, so an index
+ *                keeps its neighbour's mapping when nothing else decides
+ *
+ * Voices left unmatched take the neighbours' remaining speakers; only
+ * voices beyond those are new session speakers.
+ */
+
+// Gaps up to this long keep the same speaker talking across segments
+const CONTINUITY_GAP_MS = 1500;
+const CONTINUITY_SCORE_MS = 1000;
+const ORDER_SCORE_MS = 100;
+
+/**
+ * Diarized words on the session timeline
+ */
+function timelineWords(segment) {
+  const offset = segment.timeline?.startMs ?? 0;
+  return (segment.transcript?.words ?? [])
+    .filter(word => word.speaker !== null && word.speaker !== undefined)
+    .map(word => ({ speaker: word.speaker, start: offset + word.start_ms, end: offset + word.end_ms }));
+}
+
+/**
+ * Local speaker indices present in a transcript
+ */
+export function localSpeakers(transcript) {
+  const speakers = new Set();
+  for (const word of transcript?.words ?? []) {
+    if (word.speaker !== null && word.speaker !== undefined) speakers.add(word.speaker);
+  }
+  return [...speakers].sort((a, b) => a - b);
+}
+
+/**
+ * Match a segment's local speakers to session speakers. `previous` and
+ * `next` are the nearest reconciled segments (with `speakers.map`) or null.
+ * Returns { [local]: speakerId | null }; null means a new speaker.
+ */
+export function matchSpeakers(segment, { previous = null, next = null } = {}) {
+  const words = timelineWords(segment);
+  const scores = new Map();
+  const vote = (local, speakerId, ms) => {
+    if (!speakerId || ms <= 0) return;
+    const row = scores.get(local) ?? new Map();
+    row.set(speakerId, (row.get(speakerId) ?? 0) + ms);
+    scores.set(local, row);
+  };
+
+  for (const neighbour of [previous, next]) {
+    if (!neighbour) continue;
+    const map = neighbour.speakers?.map ?? {};
+
+    for (const theirs of timelineWords(neighbour)) {
+      for (const ours of words) {
+        vote(ours.speaker, map[theirs.speaker], Math.min(ours.end, theirs.end) - Math.max(ours.start, theirs.start));
+      }
+    }
+  }
+
+  if (words.length) {
+    const first = words[0];
+    const last = words[words.length - 1];
+    const previousWords = previous ? timelineWords(previous) : [];
+    const nextWords = next ? timelineWords(next) : [];
+
+    const before = previousWords[previousWords.length - 1];
+    if (before && first.start - before.end >= 0 && first.start - before.end <= CONTINUITY_GAP_MS) {
+      vote(first.speaker, previous.speakers.map[before.speaker], CONTINUITY_SCORE_MS);
+    }
+    const after = nextWords[0];
+    if (after && after.start - last.end >= 0 && after.start - last.end <= CONTINUITY_GAP_MS) {
+      vote(last.speaker, next.speakers.map[after.speaker], CONTINUITY_SCORE_MS);
+    }
+  }
+
+  const locals = localSpeakers(segment.transcript);
+  const order = (previous ?? next)?.speakers?.map ?? {};
+  for (const local of locals) {
+    vote(local, order[local], ORDER_SCORE_MS);
+  }
+
+  // Strongest pairings first, each local and session speaker used once
+  const pairs = [];
+  for (const [local, row] of scores) {
+    for (const [speakerId, score] of row) pairs.push({ local, speakerId, score });
+  }
+  pairs.sort((a, b) => b.score - a.score || a.local - b.local);
+
+  const matched = Object.fromEntries(locals.map(local => [local, null]));
+  const taken = new Set();
+  for (const { local, speakerId } of pairs) {
+    if (matched[local] !== null || taken.has(speakerId)) continue;
+    matched[local] = speakerId;
+    taken.add(speakerId);
+  }
+
+  // Remaining voices are most likely the neighbours' other speakers
+  const others = [previous, next]
+    .flatMap(neighbour => Object.values(neighbour?.speakers?.map ?? {}))
+    .filter((speakerId, index, all) => !taken.has(speakerId) && all.indexOf(speakerId) === index);
+  for (const local of locals) {
+    if (matched[local] === null && others.length) matched[local] = others.shift();
+  }
+
+  return matched;
+}
+
+/**
+ * Search key for a speaker name
+ */
+export function speakerNameKey(name) {
+  return name.trim().toLowerCase();
+}
@@ -0,0 +1,54 @@
+/**
+ * AI Audio KB - Session Speaker Matching tests
+ */
+
+import { localSpeakers, matchSpeakers, speakerNameKey } from './speakers.js';
+
+const word = (speaker, startMs, endMs) => ({ word: 'w', speaker, start_ms: startMs, end_ms: endMs });
+
+const segment = (startMs, words, map) => ({
+  timeline: { startMs, endMs: startMs + 5000 },
+  transcript: { words },
+  ...(map && { speakers: { map } })
+});
+
+describe('localSpeakers', () => {
+  it('lists the diarized speaker indices in order', () => {
+    expect(localSpeakers({ words: [word(2, 0, 1), word(0, 1, 2), word(null, 2, 3), word(2, 3, 4)] })).toEqual([0, 2]);
+    expect(localSpeakers(null)).toEqual([]);
+  });
+});
+
+describe('matchSpeakers', () => {
+  it('treats every voice of a first segment as new', () => {
+    expect(matchSpeakers(segment(0, [word(0, 0, 500), word(1, 600, 900)]))).toEqual({ 0: null, 1: null });
+  });
+
+  it('matches words spoken at the same session time as a neighbour', () => {
+    const previous = segment(0, [word(0, 4000, 5000)], { 0: 'S3' });
+
+    expect(matchSpeakers(segment(4500, [word(1, 0, 500)]), { previous })).toEqual({ 1: 'S3' });
+  });
+
+  it('keeps whoever ended the previous segment talking across a short gap', () => {
+    const previous = segment(0, [word(0, 1000, 2000), word(1, 4000, 5000)], { 0: 'S1', 1: 'S2' });
+
+    // The provider numbered the continuing speaker 0 in this segment
+    const matched = matchSpeakers(segment(5500, [word(0, 0, 400), word(1, 1000, 1500)]), { previous });
+
+    expect(matched).toEqual({ 0: 'S2', 1: 'S1' });
+  });
+
+  it('falls back to the neighbour numbering and adds voices beyond it', () => {
+    const next = segment(20000, [word(0, 0, 500), word(1, 600, 900)], { 0: 'S1', 1: 'S2' });
+
+    expect(matchSpeakers(segment(0, [word(0, 0, 500), word(1, 600, 900), word(2, 1000, 1200)]), { next }))
+      .toEqual({ 0: 'S1', 1: 'S2', 2: null });
+  });
+});
+
+describe('speakerNameKey', () => {
+  it('ignores case and surrounding whitespace', () => {
+    expect(speakerNameKey('  Dana Scully ')).toBe('dana scully');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * AI Audio KB - Normalized ASR Transcript
+ *
+ * Every ASR provider returns this shape so downstream stages never see
+ * vendor-specific payloads:
+ *
+ * {
+ *   text, confidence, language, duration_ms, provider, model,
+ *   words:    [{ word, start_ms, end_ms, confidence, speaker }],
+ *   speakers: [{ speaker, word_count, talk_ms }]
+ * }
+ *
+ * The PII stage adds `textRedacted` before the transcript is stored.
+ */
+
+/**
+ * Raised by a provider that cannot handle the given input (e.g. codec);
+ * the chain moves on without counting it as a provider failure.
+ */
+export class UnsupportedInputError extends Error {
+  constructor(provider, message) {
+    super(`${provider}: ${message}`);
+    this.name = 'UnsupportedInputError';
+    this.provider = provider;
+  }
+}
+
+/**
+ * Summarize per-speaker word counts and talk time
+ */
+function summarizeSpeakers(words) {
+  const speakers = new Map();
+
+  for (const word of words) {
+    if (word.speaker === null || word.speaker === undefined) continue;
+    const entry = speakers.get(word.speaker) || { speaker: word.speaker, word_count: 0, talk_ms: 0 };
+    entry.word_count++;
+    entry.talk_ms += Math.max(0, word.end_ms - word.start_ms);
+    speakers.set(word.speaker, entry);
+  }
+
+  return [...speakers.values()].sort((a, b) => a.speaker - b.speaker);
+}
+
+/**
+ * Build a normalized transcript from provider words
+ */
+export function buildTranscript({ words = [], text, confidence, language, durationMs, provider, model }) {
+  const normalizedWords = words.map(word => ({
+    word: word.word,
+    start_ms: Math.round(word.start_ms),
+    end_ms: Math.round(word.end_ms),
+    confidence: word.confidence ?? null,
+    speaker: word.speaker ?? null
+  }));
+
+  const averageConfidence = normalizedWords.length
+    ? normalizedWords.reduce((sum, w) => sum + (w.confidence ?? 0), 0) / normalizedWords.length
+    : 0;
+
+  return {
+    text: text ?? normalizedWords.map(w => w.word).join(' '),
+    confidence: confidence ?? Number(averageConfidence.toFixed(4)),
+    language: language || null,
+    duration_ms: durationMs ?? (normalizedWords.length ? normalizedWords[normalizedWords.length - 1].end_ms : 0),
+    provider,
+    model,
+    words: normalizedWords,
+    speakers: summarizeSpeakers(normalizedWords)
+  };
+}
+
+/**
+ * Text to index, embed and search: the redacted text, falling back to the
+ * original for transcripts stored before redaction existed
+ */
+export function indexText(transcript) {
+  return transcript?.textRedacted ?? transcript?.text;
+}
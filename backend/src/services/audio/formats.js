@@ -0,0 +1,161 @@
+/**
+ * AI Audio KB - Audio Format Detection
+ *
+ * Identifies the container and codec of an upload from its leading bytes,
+ * so mislabelled files (extension or Content-Type) are handled by what
+ * they actually contain. Format names match SUPPORTED_AUDIO_FORMATS.
+ */
+
+export const FORMAT_MIMETYPES = {
+  wav: 'audio/wav',
+  opus: 'audio/ogg',
+  vorbis: 'audio/ogg',
+  m4a: 'audio/mp4',
+  mp3: 'audio/mpeg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  webm: 'audio/webm',
+  caf: 'audio/x-caf',
+  amr: 'audio/amr'
+};
+
+// MP4 brands that carry audio-only content
+const MP4_AUDIO_BRANDS = new Set(['M4A ', 'M4B ', 'M4P ', 'mp41', 'mp42', 'isom', 'iso2', 'dash', '3gp4', '3gp5', '3g2a']);
+
+// WAVE format tags, named after the matching ffmpeg decoders
+const WAV_CODECS = {
+  1: bits => (bits === 8 ? 'pcm_u8' : `pcm_s${bits}le`),
+  3: bits => `pcm_f${bits}le`,
+  6: () => 'pcm_alaw',
+  7: () => 'pcm_mulaw',
+  0xfffe: bits => `pcm_s${bits}le`
+};
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+/**
+ * Walk RIFF chunks for the `fmt ` chunk of a WAV file
+ */
+function detectWav(buffer) {
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = ascii(buffer, offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+
+    if (id === 'fmt ' && offset + 24 <= buffer.length) {
+      const tag = buffer.readUInt16LE(offset + 8);
+      const bits = buffer.readUInt16LE(offset + 22);
+      return {
+        format: 'wav',
+        container: 'wav',
+        codec: WAV_CODECS[tag]?.(bits) ?? `wav_0x${tag.toString(16)}`,
+        channels: buffer.readUInt16LE(offset + 10),
+        sampleRate: buffer.readUInt32LE(offset + 12)
+      };
+    }
+    // Chunks are word-aligned
+    offset += 8 + size + (size % 2);
+  }
+  return { format: 'wav', container: 'wav', codec: null, corrupt: 'missing fmt chunk' };
+}
+
+/**
+ * Identify the codec in the first Ogg page
+ */
+function detectOgg(buffer) {
+  if (buffer.length < 28) {
+    return { format: 'ogg', container: 'ogg', codec: null, corrupt: 'truncated page header' };
+  }
+
+  const payload = 27 + buffer[26];
+  if (ascii(buffer, payload, payload + 8) === 'OpusHead') {
+    return {
+      format: 'opus',
+      container: 'ogg',
+      codec: 'opus',
+      channels: buffer[payload + 9],
+      sampleRate: buffer.length >= payload + 16 ? buffer.readUInt32LE(payload + 12) : null
+    };
+  }
+  if (ascii(buffer, payload + 1, payload + 7) === 'vorbis') {
+    return { format: 'vorbis', container: 'ogg', codec: 'vorbis' };
+  }
+  if (ascii(buffer, payload + 1, payload + 5) === 'FLAC') {
+    return { format: 'flac', container: 'ogg', codec: 'flac' };
+  }
+  return { format: 'ogg', container: 'ogg', codec: null };
+}
+
+/**
+ * Detect an audio format from magic bytes. Returns null for unknown data;
+ * a `corrupt` reason is set when the signature matches but the header is
+ * unusable.
+ */
+export function detectAudioFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  const magic = ascii(buffer, 0, 4);
+
+  if ((magic === 'RIFF' || magic === 'RF64') && ascii(buffer, 8, 12) === 'WAVE') {
+    return detectWav(buffer);
+  }
+  if (magic === 'OggS') {
+    return detectOgg(buffer);
+  }
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const brand = ascii(buffer, 8, 12);
+    return MP4_AUDIO_BRANDS.has(brand) || brand.startsWith('M4')
+      ? { format: 'm4a', container: 'mp4', codec: null, brand }
+      : { format: 'mp4', container: 'mp4', codec: null, brand };
+  }
+  if (magic === 'fLaC') {
+    return { format: 'flac', container: 'flac', codec: 'flac' };
+  }
+  if (magic === 'caff') {
+    return { format: 'caf', container: 'caf', codec: null };
+  }
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    const docType = ascii(buffer, 0, Math.min(buffer.length, 64)).includes('webm') ? 'webm' : 'matroska';
+    return { format: docType, container: docType, codec: null };
+  }
+  if (ascii(buffer, 0, 5) === '#!AMR') {
+    return { format: 'amr', container: 'amr', codec: 'amr' };
+  }
+  if (ascii(buffer, 0, 3) === 'ID3') {
+    return { format: 'mp3', container: 'mp3', codec: 'mp3' };
+  }
+
+  // Raw frame streams: ADTS AAC has layer bits 00, MPEG audio layers 1-3 don't
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) {
+    return { format: 'aac', container: 'adts', codec: 'aac' };
+  }
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0) {
+    return { format: 'mp3', container: 'mp3', codec: 'mp3' };
+  }
+
+  return null;
+}
+
+/**
+ * Wrap 16-bit little-endian PCM in a WAV header
+ */
+export function encodeWav(pcm, { sampleRate, channels }) {
+  const header = Buffer.alloc(44);
+  const blockAlign = channels * 2;
+
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'latin1');
+  header.write('fmt ', 12, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+}
@@ -0,0 +1,97 @@
+/**
+ * AI Audio KB - Audio Format Detection tests
+ */
+
+import { detectAudioFormat, encodeWav } from './formats.js';
+
+const latin1 = text => Buffer.from(text, 'latin1');
+
+/**
+ * First Ogg page carrying an OpusHead packet
+ */
+function oggOpus({ channels = 2, sampleRate = 48000 } = {}) {
+  const header = Buffer.alloc(28);
+  header.write('OggS', 0, 'latin1');
+  header[26] = 1;
+  header[27] = 19;
+
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'latin1');
+  head[8] = 1;
+  head[9] = channels;
+  head.writeUInt32LE(sampleRate, 12);
+
+  return Buffer.concat([header, head]);
+}
+
+/**
+ * WAV file whose `fmt ` chunk follows the given chunks
+ */
+function wav({ tag = 1, bits = 16, before = [] } = {}) {
+  const fmt = Buffer.alloc(24);
+  fmt.write('fmt ', 0, 'latin1');
+  fmt.writeUInt32LE(16, 4);
+  fmt.writeUInt16LE(tag, 8);
+  fmt.writeUInt16LE(2, 10);
+  fmt.writeUInt32LE(8000, 12);
+  fmt.writeUInt16LE(bits, 22);
+
+  return Buffer.concat([latin1('RIFF\0\0\0\0WAVE'), ...before, fmt]);
+}
+
+describe('detectAudioFormat', () => {
+  it('reads codec, channels and sample rate from the WAV fmt chunk', () => {
+    expect(detectAudioFormat(wav())).toEqual({ format: 'wav', container: 'wav', codec: 'pcm_s16le', channels: 2, sampleRate: 8000 });
+    expect(detectAudioFormat(wav({ tag: 7, bits: 8 })).codec).toBe('pcm_mulaw');
+  });
+
+  it('skips odd-sized chunks before the fmt chunk', () => {
+    const list = Buffer.concat([latin1('LIST'), Buffer.from([3, 0, 0, 0]), latin1('abc'), Buffer.alloc(1)]);
+
+    expect(detectAudioFormat(wav({ before: [list] })).codec).toBe('pcm_s16le');
+  });
+
+  it('reports a WAV file without a fmt chunk as corrupt', () => {
+    expect(detectAudioFormat(latin1('RIFF\0\0\0\0WAVEdata\0\0\0\0'))).toMatchObject({ format: 'wav', corrupt: 'missing fmt chunk' });
+  });
+
+  it('tells Opus from other Ogg codecs', () => {
+    expect(detectAudioFormat(oggOpus({ channels: 1 }))).toEqual({ format: 'opus', container: 'ogg', codec: 'opus', channels: 1, sampleRate: 48000 });
+
+    const vorbis = oggOpus();
+    vorbis.write('\x01vorbis', 28, 'latin1');
+    expect(detectAudioFormat(vorbis).format).toBe('vorbis');
+
+    expect(detectAudioFormat(oggOpus().subarray(0, 20))).toMatchObject({ format: 'ogg', corrupt: 'truncated page header' });
+  });
+
+  it('identifies audio-only MP4 brands as m4a', () => {
+    expect(detectAudioFormat(latin1('\0\0\0\x20ftypM4A \0\0\0\0'))).toMatchObject({ format: 'm4a', container: 'mp4', brand: 'M4A ' });
+    expect(detectAudioFormat(latin1('\0\0\0\x20ftypqt  \0\0\0\0')).format).toBe('mp4');
+  });
+
+  it('tells ADTS AAC from MPEG audio frames', () => {
+    const frame = second => Buffer.concat([Buffer.from([0xff, second]), Buffer.alloc(10)]);
+
+    expect(detectAudioFormat(frame(0xf1)).format).toBe('aac');
+    expect(detectAudioFormat(frame(0xfb)).format).toBe('mp3');
+    expect(detectAudioFormat(latin1('ID3\x04\0\0\0\0\0\0\0\0')).format).toBe('mp3');
+  });
+
+  it('returns null for short or unknown data', () => {
+    expect(detectAudioFormat(null)).toBeNull();
+    expect(detectAudioFormat(latin1('RIFF'))).toBeNull();
+    expect(detectAudioFormat(latin1('just some text'))).toBeNull();
+  });
+});
+
+describe('encodeWav', () => {
+  it('wraps PCM in a header that detects as canonical WAV', () => {
+    const pcm = Buffer.alloc(320);
+    const audio = encodeWav(pcm, { sampleRate: 16000, channels: 1 });
+
+    expect(audio).toHaveLength(364);
+    expect(audio.readUInt32LE(40)).toBe(320);
+    expect(detectAudioFormat(audio)).toEqual({ format: 'wav', container: 'wav', codec: 'pcm_s16le', channels: 1, sampleRate: 16000 });
+  });
+});
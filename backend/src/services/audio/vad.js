@@ -0,0 +1,188 @@
+/**
+ * AI Audio KB - Energy-Based Voice Activity Detection
+ *
+ * Splits decoded 16-bit PCM into speech segments. Frame energy (dBFS) is
+ * compared with a threshold placed between the recording's noise floor and
+ * its loud frames; speech runs are padded and merged across short pauses.
+ * Silences of at least `silenceMs` are dropped and always end a segment;
+ * otherwise segments are cut at the first pause after `targetMs`, or at
+ * the quietest frame when speech runs past `maxMs` without one.
+ */
+
+const FRAME_MS = 20;
+// Pauses shorter than this are part of the surrounding speech
+const MIN_PAUSE_MS = 200;
+// Speech runs shorter than this are clicks, not speech
+const MIN_SPEECH_MS = 200;
+// Keep word onsets and tails that fall just under the threshold
+const PADDING_MS = 120;
+// Frames quieter than this are never speech
+const ABSOLUTE_FLOOR_DB = -55;
+// Minimum distance between noise floor and threshold
+const MIN_MARGIN_DB = 6;
+const SILENCE_DB = -100;
+
+/**
+ * Per-frame energy in dBFS, mixing channels down
+ */
+export function frameEnergies(samples, { sampleRate, channels = 1, frameMs = FRAME_MS }) {
+  const frameSamples = Math.max(1, Math.round((sampleRate * frameMs) / 1000)) * channels;
+  const count = Math.ceil(samples.length / frameSamples);
+  const energies = new Float32Array(count);
+
+  for (let frame = 0; frame < count; frame++) {
+    const start = frame * frameSamples;
+    const end = Math.min(start + frameSamples, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      sum += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sum / (end - start)) / 32768;
+    energies[frame] = rms > 0 ? 20 * Math.log10(rms) : SILENCE_DB;
+  }
+
+  return energies;
+}
+
+/**
+ * Value at a percentile of an unsorted array
+ */
+function percentile(values, p) {
+  const sorted = Float32Array.from(values).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor((sorted.length - 1) * p))];
+}
+
+/**
+ * Energy threshold for speech. `sensitivity` (AUDIO_VAD_THRESHOLD, 0-1)
+ * places it between the noise floor (0) and the loud frames (1).
+ */
+export function speechThreshold(energies, sensitivity) {
+  const floor = percentile(energies, 0.05);
+  const peak = percentile(energies, 0.95);
+  const margin = Math.max(MIN_MARGIN_DB, sensitivity * (peak - floor));
+  return Math.max(ABSOLUTE_FLOOR_DB, floor + margin);
+}
+
+/**
+ * Speech regions ({ startMs, endMs }) of a recording
+ */
+export function detectSpeech(energies, { threshold, frameMs = FRAME_MS, durationMs }) {
+  const runs = [];
+  let start = null;
+
+  for (let frame = 0; frame <= energies.length; frame++) {
+    const speech = frame < energies.length && energies[frame] >= threshold;
+    if (speech && start === null) {
+      start = frame;
+    } else if (!speech && start !== null) {
+      const previous = runs[runs.length - 1];
+      if (previous && (start - previous.end) * frameMs < MIN_PAUSE_MS) {
+        previous.end = frame;
+      } else {
+        runs.push({ start, end: frame });
+      }
+      start = null;
+    }
+  }
+
+  const regions = [];
+  for (const run of runs) {
+    if ((run.end - run.start) * frameMs < MIN_SPEECH_MS) continue;
+
+    const startMs = Math.max(0, run.start * frameMs - PADDING_MS);
+    const endMs = Math.min(durationMs, run.end * frameMs + PADDING_MS);
+    const previous = regions[regions.length - 1];
+    if (previous && startMs <= previous.endMs) {
+      previous.endMs = endMs;
+    } else {
+      regions.push({ startMs, endMs });
+    }
+  }
+
+  return regions;
+}
+
+/**
+ * Quietest frame boundary (in ms) within [fromMs, toMs]
+ */
+function quietestCut(energies, fromMs, toMs, frameMs) {
+  let best = Math.floor(toMs / frameMs);
+  for (let frame = Math.ceil(fromMs / frameMs); frame < Math.floor(toMs / frameMs); frame++) {
+    if (energies[frame] < energies[best]) best = frame;
+  }
+  return best * frameMs;
+}
+
+/**
+ * Group speech regions into segments near `targetMs`
+ */
+export function planSegments(regions, energies, { targetMs, maxMs, silenceMs, frameMs = FRAME_MS }) {
+  const segments = [];
+  let current = null;
+
+  for (const region of regions) {
+    if (current) {
+      const silent = region.startMs - current.endMs >= silenceMs;
+      const full = current.endMs - current.startMs >= targetMs;
+      const overflow = region.endMs - current.startMs > maxMs;
+      if (silent || full || overflow) {
+        segments.push(current);
+        current = null;
+      }
+    }
+
+    if (current) {
+      current.endMs = region.endMs;
+    } else {
+      current = { startMs: region.startMs, endMs: region.endMs };
+    }
+
+    // Continuous speech without a usable pause
+    while (current.endMs - current.startMs > maxMs) {
+      const cut = quietestCut(energies, current.startMs + targetMs, current.startMs + maxMs, frameMs);
+      segments.push({ startMs: current.startMs, endMs: cut });
+      current = { startMs: cut, endMs: current.endMs };
+    }
+  }
+
+  if (current) segments.push(current);
+  return segments;
+}
+
+/**
+ * Run VAD over 16-bit PCM and plan its speech segments
+ */
+export function segmentSpeech(pcm, { sampleRate, channels = 1, sensitivity, targetMs, maxMs, silenceMs }) {
+  // Int16Array views need an even byte offset
+  const aligned = pcm.byteOffset % 2 === 0 ? pcm : Buffer.from(pcm);
+  const samples = new Int16Array(aligned.buffer, aligned.byteOffset, Math.floor(aligned.length / 2));
+  const durationMs = Math.round((samples.length / channels / sampleRate) * 1000);
+
+  if (samples.length === 0) {
+    return { segments: [], durationMs, speechMs: 0, threshold: null };
+  }
+
+  const energies = frameEnergies(samples, { sampleRate, channels });
+  const threshold = speechThreshold(energies, sensitivity);
+  const regions = detectSpeech(energies, { threshold, durationMs });
+  const segments = planSegments(regions, energies, { targetMs, maxMs, silenceMs });
+
+  return {
+    segments,
+    durationMs,
+    speechMs: segments.reduce((sum, segment) => sum + segment.endMs - segment.startMs, 0),
+    threshold
+  };
+}
+
+/**
+ * Byte range of a time span in interleaved 16-bit PCM
+ */
+export function pcmRange({ startMs, endMs }, { sampleRate, channels = 1 }) {
+  const bytesPerMs = (sampleRate * channels * 2) / 1000;
+  const align = channels * 2;
+  return {
+    start: Math.floor((startMs * bytesPerMs) / align) * align,
+    end: Math.floor((endMs * bytesPerMs) / align) * align
+  };
+}
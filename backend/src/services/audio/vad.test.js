@@ -0,0 +1,144 @@
+/**
+ * AI Audio KB - Voice Activity Detection tests
+ */
+
+import { detectSpeech, frameEnergies, pcmRange, segmentSpeech, speechThreshold } from './vad.js';
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * 16-bit mono PCM from `[durationMs, amplitude]` parts: a 440 Hz tone, or
+ * digital silence for amplitude 0
+ */
+function pcm(...parts) {
+  const samples = [];
+  for (const [durationMs, amplitude] of parts) {
+    const count = (SAMPLE_RATE * durationMs) / 1000;
+    for (let i = 0; i < count; i++) {
+      samples.push(Math.round(amplitude * Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE)));
+    }
+  }
+  return Buffer.from(Int16Array.from(samples).buffer);
+}
+
+const TONE = 8000;
+
+const segment = (audio, options = {}) => segmentSpeech(audio, {
+  sampleRate: SAMPLE_RATE,
+  sensitivity: 0.5,
+  targetMs: 30000,
+  maxMs: 60000,
+  silenceMs: 1000,
+  ...options
+});
+
+describe('frameEnergies', () => {
+  it('reports 20 ms frames in dBFS', () => {
+    const audio = pcm([100, TONE]);
+    const energies = frameEnergies(new Int16Array(audio.buffer, audio.byteOffset, audio.length / 2), { sampleRate: SAMPLE_RATE });
+
+    expect(energies).toHaveLength(5);
+    // A sine's RMS is amplitude / sqrt(2)
+    expect(energies[0]).toBeCloseTo(20 * Math.log10(TONE / Math.SQRT2 / 32768), 0);
+  });
+
+  it('reports digital silence at the silence floor', () => {
+    expect(frameEnergies(new Int16Array(320), { sampleRate: SAMPLE_RATE })[0]).toBe(-100);
+  });
+});
+
+describe('speechThreshold', () => {
+  it('never places the threshold below the absolute floor', () => {
+    expect(speechThreshold(Float32Array.from([-100, -100, -15, -15]), 0.5)).toBe(-55);
+  });
+
+  it('keeps a minimum margin over a uniform noise floor', () => {
+    expect(speechThreshold(Float32Array.from([-40, -40, -40, -40]), 0.5)).toBe(-34);
+  });
+});
+
+describe('detectSpeech', () => {
+  const frames = (...runs) => Float32Array.from(runs.flatMap(([count, db]) => Array(count).fill(db)));
+
+  it('merges speech across pauses shorter than 200 ms', () => {
+    const energies = frames([50, -10], [5, -90], [50, -10]);
+
+    expect(detectSpeech(energies, { threshold: -50, durationMs: 2100 })).toEqual([{ startMs: 0, endMs: 2100 }]);
+  });
+
+  it('drops clicks shorter than 200 ms', () => {
+    const energies = frames([50, -90], [3, -10], [50, -90]);
+
+    expect(detectSpeech(energies, { threshold: -50, durationMs: 2060 })).toEqual([]);
+  });
+
+  it('pads speech regions by 120 ms', () => {
+    const energies = frames([50, -90], [50, -10], [50, -90]);
+
+    expect(detectSpeech(energies, { threshold: -50, durationMs: 3000 })).toEqual([{ startMs: 880, endMs: 2120 }]);
+  });
+});
+
+describe('segmentSpeech', () => {
+  it('drops silence gaps of at least silenceMs and splits there', () => {
+    const plan = segment(pcm([2000, TONE], [3000, 0], [2000, TONE]));
+
+    expect(plan.segments).toEqual([
+      { startMs: 0, endMs: 2120 },
+      { startMs: 4880, endMs: 7000 }
+    ]);
+    expect(plan).toMatchObject({ durationMs: 7000, speechMs: 4240, threshold: -55 });
+  });
+
+  it('keeps speech around shorter silences in one segment', () => {
+    const plan = segment(pcm([2000, TONE], [600, 0], [2000, TONE]));
+
+    expect(plan.segments).toEqual([{ startMs: 0, endMs: 4600 }]);
+  });
+
+  it('cuts at the first pause once a segment reaches targetMs', () => {
+    const plan = segment(
+      pcm([3000, TONE], [500, 0], [3000, TONE], [500, 0], [3000, TONE]),
+      { targetMs: 5000, silenceMs: 2000 }
+    );
+
+    expect(plan.segments).toEqual([
+      { startMs: 0, endMs: 6620 },
+      { startMs: 6880, endMs: 10000 }
+    ]);
+  });
+
+  it('cuts continuous speech so no segment exceeds maxMs', () => {
+    const { segments } = segment(pcm([10000, TONE], [1000, 0]), { targetMs: 3000, maxMs: 4000 });
+
+    // Cut at the quietest frame between targetMs and maxMs, back to back
+    expect(segments.length).toBeGreaterThanOrEqual(3);
+    expect(segments[0].startMs).toBe(0);
+    expect(segments[segments.length - 1].endMs).toBe(10120);
+    for (const [index, { startMs, endMs }] of segments.entries()) {
+      expect(endMs - startMs).toBeLessThanOrEqual(4000);
+      if (index > 0) expect(startMs).toBe(segments[index - 1].endMs);
+      if (index < segments.length - 1) expect(endMs - startMs).toBeGreaterThanOrEqual(3000);
+    }
+  });
+
+  it('finds no segments in silence or empty audio', () => {
+    expect(segment(pcm([2000, 0])).segments).toEqual([]);
+    expect(segment(Buffer.alloc(0))).toEqual({ segments: [], durationMs: 0, speechMs: 0, threshold: null });
+  });
+
+  it('reads PCM at an odd byte offset', () => {
+    const audio = pcm([2000, TONE], [2000, 0]);
+    const shifted = Buffer.concat([Buffer.alloc(1), audio]).subarray(1);
+
+    expect(segment(shifted).segments).toEqual(segment(audio).segments);
+  });
+});
+
+describe('pcmRange', () => {
+  it('maps a time span to whole sample frames', () => {
+    expect(pcmRange({ startMs: 1000, endMs: 2000 }, { sampleRate: SAMPLE_RATE })).toEqual({ start: 32000, end: 64000 });
+    // 4.41 and 44.1 stereo frames round down to whole frames of 4 bytes
+    expect(pcmRange({ startMs: 0.1, endMs: 1 }, { sampleRate: 44100, channels: 2 })).toEqual({ start: 16, end: 176 });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * AI Audio KB - Deterministic Mock Embedding Provider
+ *
+ * Enabled with MOCK_EMBEDDING_ENABLED. Feature-hashes word unigrams and
+ * bigrams into a fixed-size, L2-normalized vector: identical text always
+ * embeds identically, and texts sharing words land close together, which
+ * keeps similarity search meaningful in tests and offline development.
+ */
+
+import crypto from 'crypto';
+import { config } from '../../config/index.js';
+
+/**
+ * Lowercase word tokens
+ */
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+export class MockEmbeddingProvider {
+  constructor({ dimensions = config.VECTOR_DIMENSIONS } = {}) {
+    this.name = 'mock';
+    this.model = 'mock-hash-1';
+    this.dimensions = dimensions;
+  }
+
+  static isConfigured() {
+    return true;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = tokenize(text);
+    const features = tokens.length ? [...tokens] : [text || ''];
+    for (let i = 0; i < tokens.length - 1; i++) {
+      features.push(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+
+    for (const feature of features) {
+      const digest = crypto.createHash('sha256').update(feature).digest();
+      const index = digest.readUInt32BE(0) % this.dimensions;
+      const sign = digest[4] & 1 ? 1 : -1;
+      vector[index] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+  }
+
+  /**
+   * Embed independent texts, one vector per text
+   */
+  async embed(texts) {
+    return {
+      vectors: texts.map(text => this.embedText(text)),
+      tokens: texts.reduce((sum, text) => sum + tokenize(text).length, 0)
+    };
+  }
+}
+
+export default MockEmbeddingProvider;
@@ -0,0 +1,42 @@
+/**
+ * AI Audio KB - OpenAI Embedding Provider (fallback)
+ */
+
+import OpenAI from 'openai';
+import { config } from '../../config/index.js';
+
+export class OpenAIProvider {
+  constructor({
+    apiKey = config.OPENAI_API_KEY,
+    organization = config.OPENAI_ORGANIZATION,
+    model = config.OPENAI_EMBEDDING_MODEL,
+    dimensions = config.OPENAI_EMBEDDING_DIMENSIONS
+  } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.dimensions = dimensions;
+    this.client = new OpenAI({ apiKey, organization });
+  }
+
+  static isConfigured() {
+    return Boolean(config.OPENAI_API_KEY);
+  }
+
+  /**
+   * Embed independent texts, one vector per text
+   */
+  async embed(texts) {
+    const result = await this.client.embeddings.create({
+      model: this.model,
+      input: texts,
+      dimensions: this.dimensions
+    });
+
+    return {
+      vectors: result.data.sort((a, b) => a.index - b.index).map(item => item.embedding),
+      tokens: result.usage?.total_tokens ?? null
+    };
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,105 @@
+/**
+ * AI Audio KB - Voyage AI Embedding Provider (primary)
+ *
+ * Uses the contextualized embeddings endpoint for voyage-context-* models
+ * and the standard embeddings endpoint for everything else.
+ */
+
+import { config } from '../../config/index.js';
+
+export class VoyageProvider {
+  constructor({
+    apiKey = config.VOYAGE_API_KEY,
+    baseUrl = config.VOYAGE_BASE_URL,
+    model = config.VOYAGE_EMBEDDING_MODEL,
+    dimensions = config.VOYAGE_EMBEDDING_DIMENSIONS
+  } = {}) {
+    this.name = 'voyage';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.model = model;
+    this.dimensions = dimensions;
+  }
+
+  static isConfigured() {
+    return Boolean(config.VOYAGE_API_KEY);
+  }
+
+  get isContextModel() {
+    return this.model.startsWith('voyage-context');
+  }
+
+  /**
+   * Whether embedContextualized() is available for the configured model
+   */
+  get supportsContext() {
+    return this.isContextModel;
+  }
+
+  async request(endpoint, body) {
+    const response = await fetch(`${this.baseUrl}/${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Voyage ${endpoint} failed with ${response.status}: ${detail.slice(0, 200)}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Embed independent texts, one vector per text
+   */
+  async embed(texts, { inputType = 'document' } = {}) {
+    if (this.isContextModel) {
+      const result = await this.request('contextualizedembeddings', {
+        model: this.model,
+        inputs: texts.map(text => [text]),
+        input_type: inputType,
+        output_dimension: this.dimensions
+      });
+      return {
+        vectors: result.data.map(doc => doc.data[0].embedding),
+        tokens: result.usage?.total_tokens ?? null
+      };
+    }
+
+    const result = await this.request('embeddings', {
+      model: this.model,
+      input: texts,
+      input_type: inputType,
+      output_dimension: this.dimensions
+    });
+    return {
+      vectors: result.data.sort((a, b) => a.index - b.index).map(item => item.embedding),
+      tokens: result.usage?.total_tokens ?? null
+    };
+  }
+
+  /**
+   * Embed the chunks of one document jointly; each chunk's vector is
+   * conditioned on the others
+   */
+  async embedContextualized(chunks, { inputType = 'document' } = {}) {
+    const result = await this.request('contextualizedembeddings', {
+      model: this.model,
+      inputs: [chunks],
+      input_type: inputType,
+      output_dimension: this.dimensions
+    });
+
+    return {
+      vectors: result.data[0].data.sort((a, b) => a.index - b.index).map(item => item.embedding),
+      tokens: result.usage?.total_tokens ?? null
+    };
+  }
+}
+
+export default VoyageProvider;
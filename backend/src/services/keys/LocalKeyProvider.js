@@ -0,0 +1,148 @@
+/**
+ * AI Audio KB - Local Master Key Provider
+ *
+ * Wraps and unwraps tenant data keys with AES-256-GCM master keys read from
+ * a local JSON key file (ENCRYPTION_KEY_FILE):
+ *
+ *   { "current": "<key id>", "keys": { "<key id>": { "key": "<base64>", "created_at": "..." } } }
+ *
+ * New data keys are wrapped with `current`; older master keys stay in the
+ * file until no data key is wrapped with them. Without a key file, the
+ * single ENCRYPTION_KEY is used under the id `env`. Intended for
+ * development and testing; production deployments plug in a KMS-backed
+ * provider with the same interface.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../../config/index.js';
+
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const ENV_KEY_ID = 'env';
+
+/**
+ * Decode a 32-byte key given as base64, hex or raw text
+ */
+export function decodeMasterKey(value) {
+  if (typeof value !== 'string') return null;
+
+  for (const encoding of ['base64', 'hex', 'utf8']) {
+    if (encoding === 'hex' && !/^[0-9a-f]+$/i.test(value)) continue;
+    const key = Buffer.from(value, encoding);
+    if (key.length === KEY_BYTES) return key;
+  }
+  return null;
+}
+
+export class LocalKeyProvider {
+  constructor({ file = config.ENCRYPTION_KEY_FILE, fallbackKey = config.ENCRYPTION_KEY } = {}) {
+    this.name = 'local';
+    this.file = file ? path.resolve(file) : null;
+    this.fallbackKey = fallbackKey;
+    this.keys = new Map();
+    this.currentKeyId = null;
+  }
+
+  static isConfigured() {
+    return Boolean(config.ENCRYPTION_KEY_FILE || decodeMasterKey(config.ENCRYPTION_KEY));
+  }
+
+  /**
+   * Read the master keys
+   */
+  async load() {
+    this.keys.clear();
+
+    if (!this.file) {
+      const key = decodeMasterKey(this.fallbackKey);
+      if (!key) {
+        throw new Error('ENCRYPTION_KEY must be 32 bytes (base64, hex or raw) when no ENCRYPTION_KEY_FILE is set');
+      }
+      this.keys.set(ENV_KEY_ID, key);
+      this.currentKeyId = ENV_KEY_ID;
+      return;
+    }
+
+    const keyFile = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    for (const [keyId, entry] of Object.entries(keyFile.keys ?? {})) {
+      const key = Buffer.from(entry.key, 'base64');
+      if (key.length !== KEY_BYTES) {
+        throw new Error(`Master key ${keyId} in ${this.file} is not ${KEY_BYTES} bytes`);
+      }
+      this.keys.set(keyId, key);
+    }
+    if (!this.keys.has(keyFile.current)) {
+      throw new Error(`Current master key ${keyFile.current} is missing from ${this.file}`);
+    }
+    this.currentKeyId = keyFile.current;
+  }
+
+  /**
+   * Add a new master key to the key file and make it current
+   */
+  async addMasterKey() {
+    if (!this.file) {
+      throw new Error('ENCRYPTION_KEY_FILE is not set');
+    }
+
+    let keyFile = { current: null, keys: {} };
+    try {
+      keyFile = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const keyId = `mk-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+    keyFile.keys[keyId] = {
+      key: crypto.randomBytes(KEY_BYTES).toString('base64'),
+      created_at: new Date().toISOString()
+    };
+    keyFile.current = keyId;
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tempPath = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, `${JSON.stringify(keyFile, null, 2)}\n`, { mode: 0o600 });
+    await fs.rename(tempPath, this.file);
+
+    await this.load();
+    return keyId;
+  }
+
+  /**
+   * Encrypt a data key with the current master key. `context` is bound
+   * into the ciphertext and must be given again to unwrap.
+   */
+  async wrapKey(dataKey, context) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.currentKeyId), iv);
+    cipher.setAAD(Buffer.from(context));
+    const ciphertext = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      master_key_id: this.currentKeyId,
+      wrapped_key: Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt a data key wrapped with any known master key
+   */
+  async unwrapKey({ master_key_id: keyId, wrapped_key: wrappedKey }, context) {
+    const masterKey = this.keys.get(keyId);
+    if (!masterKey) {
+      throw new Error(`Master key ${keyId} is not available`);
+    }
+
+    const wrapped = Buffer.from(wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, wrapped.subarray(0, IV_BYTES));
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(wrapped.subarray(IV_BYTES, IV_BYTES + 16));
+    return Buffer.concat([decipher.update(wrapped.subarray(IV_BYTES + 16)), decipher.final()]);
+  }
+
+  listKeyIds() {
+    return [...this.keys.keys()];
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * AI Audio KB - Local Master Key Provider tests
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LocalKeyProvider, decodeMasterKey } from './LocalKeyProvider.js';
+
+const KEY = crypto.randomBytes(32);
+
+describe('decodeMasterKey', () => {
+  it('accepts 32-byte keys as base64, hex or raw text', () => {
+    expect(decodeMasterKey(KEY.toString('base64'))).toEqual(KEY);
+    expect(decodeMasterKey(KEY.toString('hex'))).toEqual(KEY);
+    expect(decodeMasterKey('k'.repeat(32))).toEqual(Buffer.from('k'.repeat(32)));
+  });
+
+  it('rejects keys of another length', () => {
+    expect(decodeMasterKey('too short')).toBeNull();
+    expect(decodeMasterKey(undefined)).toBeNull();
+  });
+});
+
+describe('LocalKeyProvider', () => {
+  let workDir;
+  let file;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aakb-keys-'));
+    file = path.join(workDir, 'keys.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('uses ENCRYPTION_KEY under the id env without a key file', async () => {
+    const provider = new LocalKeyProvider({ file: null, fallbackKey: KEY.toString('base64') });
+    await provider.load();
+
+    expect(provider.currentKeyId).toBe('env');
+    await expect(new LocalKeyProvider({ file: null, fallbackKey: 'short' }).load()).rejects.toThrow('ENCRYPTION_KEY must be 32 bytes');
+  });
+
+  it('unwraps a data key only with the context it was wrapped with', async () => {
+    const provider = new LocalKeyProvider({ file: null, fallbackKey: KEY.toString('base64') });
+    await provider.load();
+    const dataKey = crypto.randomBytes(32);
+
+    const wrapped = await provider.wrapKey(dataKey, 'tenant-a:1');
+
+    expect(wrapped.master_key_id).toBe('env');
+    expect(await provider.unwrapKey(wrapped, 'tenant-a:1')).toEqual(dataKey);
+    await expect(provider.unwrapKey(wrapped, 'tenant-b:1')).rejects.toThrow();
+  });
+
+  it('keeps earlier master keys usable after adding a new one', async () => {
+    const provider = new LocalKeyProvider({ file });
+    const first = await provider.addMasterKey();
+    const wrapped = await provider.wrapKey(Buffer.alloc(32, 7), 'tenant-a:1');
+
+    const second = await provider.addMasterKey();
+
+    expect(second).not.toBe(first);
+    expect(provider.currentKeyId).toBe(second);
+    expect(provider.listKeyIds()).toEqual([first, second]);
+    expect(await provider.unwrapKey(wrapped, 'tenant-a:1')).toEqual(Buffer.alloc(32, 7));
+  });
+
+  it('refuses a key file whose current key is missing', async () => {
+    await fs.writeFile(file, JSON.stringify({ current: 'mk-2', keys: { 'mk-1': { key: KEY.toString('base64') } } }));
+
+    await expect(new LocalKeyProvider({ file }).load()).rejects.toThrow('Current master key mk-2 is missing');
+  });
+});
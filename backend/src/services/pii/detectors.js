@@ -0,0 +1,163 @@
+/**
+ * AI Audio KB - Pattern PII Detectors
+ *
+ * Regex and checksum detectors for phone numbers, emails, payment card
+ * numbers, SSNs and street addresses. ASR output often spells digits out
+ * ("four one one one ..."), so number detectors scan runs of digits and
+ * spoken digit words alike.
+ *
+ * A detector is `{ name, detect(text) }` returning entities of the form
+ * `{ type, start, end, detector, confidence }` with offsets into `text`.
+ */
+
+export const PII_TYPE = {
+  PHONE_NUMBER: 'PHONE_NUMBER',
+  EMAIL: 'EMAIL',
+  CREDIT_CARD: 'CREDIT_CARD',
+  SSN: 'SSN',
+  ADDRESS: 'ADDRESS'
+};
+
+const DIGIT_WORDS = {
+  zero: '0', oh: '0', o: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+const DIGIT_TOKEN = /\d+|\b(?:zero|oh|o|one|two|three|four|five|six|seven|eight|nine)\b/gi;
+const DIGIT_SEPARATOR = /^[\s().,-]{0,3}$/;
+
+const EMAIL = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi;
+const SPOKEN_EMAIL = /\b[\w.+-]+\s+at\s+[\w-]+(?:\s+dot\s+[\w-]+)*\s+dot\s+[a-z]{2,}\b/gi;
+const SSN_FORMAT = /^\d{3}([- ])\d{2}\1\d{4}$/;
+const SSN_CONTEXT = /\b(?:social security|ssn|social)\b[^.]{0,40}$/i;
+const ADDRESS = /\b\d{1,6}\s+(?:[a-z]+\s+){1,3}(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|parkway|pkwy|highway|hwy)\b\.?(?:,?\s+(?:apt|apartment|suite|unit)\.?\s*#?\s*\w+)?/gi;
+
+/**
+ * Luhn checksum over a digit string
+ */
+export function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Runs of adjacent digits and digit words, e.g. "4111 1111" or
+ * "five five five, one two three four", with their span and digits
+ */
+export function findDigitRuns(text) {
+  const runs = [];
+  let current = null;
+
+  for (const match of text.matchAll(DIGIT_TOKEN)) {
+    const token = match[0];
+    const digits = DIGIT_WORDS[token.toLowerCase()] ?? token;
+    const start = match.index;
+    const end = start + token.length;
+
+    if (current && DIGIT_SEPARATOR.test(text.slice(current.end, start))) {
+      current.end = end;
+      current.digits += digits;
+    } else {
+      current = { start, end, digits };
+      runs.push(current);
+    }
+  }
+
+  // A lone "o" or "oh" is a word, not a digit
+  return runs.filter(run => /\d/.test(text.slice(run.start, run.end)) || run.digits.length > 1);
+}
+
+/**
+ * Entities from every match of a global regex
+ */
+function matchAll(text, pattern, type, detector, confidence) {
+  return [...text.matchAll(pattern)].map(match => ({
+    type,
+    start: match.index,
+    end: match.index + match[0].length,
+    detector,
+    confidence
+  }));
+}
+
+/**
+ * Card numbers: 13-19 digits passing the Luhn check
+ */
+export const cardDetector = {
+  name: 'card',
+  detect(text) {
+    return findDigitRuns(text)
+      .filter(run => run.digits.length >= 13 && run.digits.length <= 19 && luhnValid(run.digits))
+      .map(run => ({ type: PII_TYPE.CREDIT_CARD, start: run.start, end: run.end, detector: 'card', confidence: 0.95 }));
+  }
+};
+
+/**
+ * SSNs: 3-2-4 formatted, or nine digits following "social security" / "SSN"
+ */
+export const ssnDetector = {
+  name: 'ssn',
+  detect(text) {
+    return findDigitRuns(text)
+      .filter(run => run.digits.length === 9 && !/^(000|666|9)/.test(run.digits))
+      .filter(run => SSN_FORMAT.test(text.slice(run.start, run.end)) || SSN_CONTEXT.test(text.slice(0, run.start)))
+      .map(run => ({ type: PII_TYPE.SSN, start: run.start, end: run.end, detector: 'ssn', confidence: 0.9 }));
+  }
+};
+
+/**
+ * Phone numbers: NANP ten digits (optionally with a leading 1) or an
+ * international number starting with "+"
+ */
+export const phoneDetector = {
+  name: 'phone',
+  detect(text) {
+    return findDigitRuns(text)
+      .filter(run => {
+        const international = text[run.start - 1] === '+';
+        const { digits } = run;
+        if (international) return digits.length >= 8 && digits.length <= 15;
+        const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+        return national.length === 10 && /^[2-9]\d{2}[2-9]/.test(national);
+      })
+      .map(run => {
+        // Include a leading "+" or the opening parenthesis of an area code
+        const start = ['+', '('].includes(text[run.start - 1]) ? run.start - 1 : run.start;
+        return { type: PII_TYPE.PHONE_NUMBER, start, end: run.end, detector: 'phone', confidence: 0.85 };
+      });
+  }
+};
+
+/**
+ * Email addresses, written or spoken ("jane at example dot com")
+ */
+export const emailDetector = {
+  name: 'email',
+  detect(text) {
+    return [
+      ...matchAll(text, EMAIL, PII_TYPE.EMAIL, 'email', 0.95),
+      ...matchAll(text, SPOKEN_EMAIL, PII_TYPE.EMAIL, 'email', 0.8)
+    ];
+  }
+};
+
+/**
+ * Street addresses: house number, street name and a street suffix
+ */
+export const addressDetector = {
+  name: 'address',
+  detect(text) {
+    return matchAll(text, ADDRESS, PII_TYPE.ADDRESS, 'address', 0.7);
+  }
+};
+
+// Ordered by precedence: when spans overlap the earlier type wins
+export const PATTERN_DETECTORS = [cardDetector, ssnDetector, emailDetector, phoneDetector, addressDetector];
@@ -0,0 +1,100 @@
+/**
+ * AI Audio KB - Local Lexical Reranker
+ *
+ * Offline second-stage reranker combining cheap query/document features:
+ * query term coverage, bigram (phrase) overlap, proximity of matched terms
+ * and the normalized first-stage retrieval score. No network calls.
+ */
+
+import { tokenize } from '../search/LocalSearchEngine.js';
+
+const FEATURE_WEIGHTS = {
+  coverage: 0.4,
+  bigrams: 0.2,
+  proximity: 0.2,
+  retrieval: 0.2
+};
+
+/**
+ * Adjacent token pairs
+ */
+function bigrams(tokens) {
+  const pairs = new Set();
+  for (let i = 0; i < tokens.length - 1; i++) {
+    pairs.add(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+  return pairs;
+}
+
+/**
+ * Shortest token span containing every matched query term, scored so
+ * adjacent terms approach 1 and scattered terms approach 0
+ */
+function proximityScore(docTokens, matchedTerms) {
+  if (matchedTerms.size < 2) return matchedTerms.size ? 1 : 0;
+
+  const lastSeen = new Map();
+  let bestSpan = Infinity;
+
+  docTokens.forEach((token, position) => {
+    if (!matchedTerms.has(token)) return;
+    lastSeen.set(token, position);
+    if (lastSeen.size === matchedTerms.size) {
+      const span = position - Math.min(...lastSeen.values()) + 1;
+      bestSpan = Math.min(bestSpan, span);
+    }
+  });
+
+  return bestSpan === Infinity ? 0 : matchedTerms.size / bestSpan;
+}
+
+export class LocalReranker {
+  constructor() {
+    this.name = 'local';
+    this.model = 'lexical-features-1';
+  }
+
+  static isConfigured() {
+    return true;
+  }
+
+  /**
+   * Feature scores for one document, each in [0, 1]
+   */
+  features(queryTokens, queryBigrams, docText, retrievalScore, maxRetrievalScore) {
+    const docTokens = tokenize(docText);
+    const docTokenSet = new Set(docTokens);
+    const uniqueQuery = new Set(queryTokens);
+    const matched = new Set([...uniqueQuery].filter(term => docTokenSet.has(term)));
+    const docBigrams = bigrams(docTokens);
+
+    return {
+      coverage: uniqueQuery.size ? matched.size / uniqueQuery.size : 0,
+      bigrams: queryBigrams.size
+        ? [...queryBigrams].filter(pair => docBigrams.has(pair)).length / queryBigrams.size
+        : 0,
+      proximity: proximityScore(docTokens, matched),
+      retrieval: maxRetrievalScore ? (retrievalScore || 0) / maxRetrievalScore : 0
+    };
+  }
+
+  async rerank(query, documents, { topK = documents.length, retrievalScores = [] } = {}) {
+    const queryTokens = tokenize(query);
+    const queryBigrams = bigrams(queryTokens);
+    const maxRetrievalScore = Math.max(0, ...retrievalScores.filter(Number.isFinite));
+
+    const results = documents.map((doc, index) => {
+      const features = this.features(queryTokens, queryBigrams, doc, retrievalScores[index], maxRetrievalScore);
+      const score = Object.entries(FEATURE_WEIGHTS)
+        .reduce((sum, [feature, weight]) => sum + weight * features[feature], 0);
+      return { index, score: Number(score.toFixed(6)), features };
+    });
+
+    return {
+      results: results.sort((a, b) => b.score - a.score || a.index - b.index).slice(0, topK),
+      tokens: null
+    };
+  }
+}
+
+export default LocalReranker;
@@ -0,0 +1,28 @@
+/**
+ * AI Audio KB - Pass-through Reranker
+ *
+ * Keeps retrieval order. Used when reranking is disabled so responses keep
+ * the same shape, and as a baseline when measuring reranker impact.
+ */
+
+export class PassThroughReranker {
+  constructor() {
+    this.name = 'none';
+    this.model = null;
+  }
+
+  static isConfigured() {
+    return true;
+  }
+
+  async rerank(query, documents, { topK = documents.length, retrievalScores = [] } = {}) {
+    return {
+      results: documents
+        .map((_, index) => ({ index, score: retrievalScores[index] ?? null }))
+        .slice(0, topK),
+      tokens: null
+    };
+  }
+}
+
+export default PassThroughReranker;
@@ -0,0 +1,58 @@
+/**
+ * AI Audio KB - Voyage AI Reranker
+ *
+ * Cross-encoder reranking via the Voyage rerank API (VOYAGE_RERANK_MODEL).
+ */
+
+import { config } from '../../config/index.js';
+
+export class VoyageReranker {
+  constructor({
+    apiKey = config.VOYAGE_API_KEY,
+    baseUrl = config.VOYAGE_BASE_URL,
+    model = config.VOYAGE_RERANK_MODEL
+  } = {}) {
+    this.name = 'voyage';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.model = model;
+  }
+
+  static isConfigured() {
+    return Boolean(config.VOYAGE_API_KEY);
+  }
+
+  /**
+   * Score documents against the query, best first
+   */
+  async rerank(query, documents, { topK = documents.length } = {}) {
+    const response = await fetch(`${this.baseUrl}/rerank`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        model: this.model,
+        query,
+        // The API rejects empty documents
+        documents: documents.map(doc => doc || ' '),
+        top_k: topK,
+        truncation: true
+      })
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Voyage rerank failed with ${response.status}: ${detail.slice(0, 200)}`);
+    }
+
+    const result = await response.json();
+    return {
+      results: result.data.map(item => ({ index: item.index, score: item.relevance_score })),
+      tokens: result.usage?.total_tokens ?? null
+    };
+  }
+}
+
+export default VoyageReranker;
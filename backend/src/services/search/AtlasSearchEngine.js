@@ -0,0 +1,131 @@
+/**
+ * AI Audio KB - Atlas Search Engine
+ *
+ * Vector leg via $vectorSearch on VECTOR_INDEX_NAME and text leg via
+ * $search on SEARCH_INDEX_NAME. Both legs run concurrently.
+ *
+ * The $vectorSearch pre-filter only accepts a subset of MQL (no `$all`),
+ * so `$all` conditions are relaxed to `$in` there and enforced by a
+ * `$match` after the stage.
+ */
+
+import { config } from '../../config/index.js';
+import { isSearchUnsupportedError } from '../../config/searchIndexes.js';
+
+export { isSearchUnsupportedError };
+
+export class AtlasSearchEngine {
+  constructor({ textField = 'transcript.textRedacted' } = {}) {
+    this.name = 'atlas';
+    this.textField = textField;
+  }
+
+  /**
+   * Translate a plain equality/range filter (with an optional `$or` of
+   * such filters) into $search filter clauses
+   */
+  buildSearchFilter(filter) {
+    const clauses = [];
+    for (const [path, condition] of Object.entries(filter)) {
+      if (path === '$or') {
+        clauses.push({
+          compound: {
+            should: condition.map(branch => ({ compound: { filter: this.buildSearchFilter(branch) } })),
+            minimumShouldMatch: 1
+          }
+        });
+      } else if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+        if ('$in' in condition) {
+          clauses.push({ in: { path, value: condition.$in } });
+        } else if ('$all' in condition) {
+          condition.$all.forEach(value => clauses.push({ equals: { path, value } }));
+        } else if ('$gte' in condition || '$lte' in condition) {
+          // A bound sent as null is rejected, so leave out the missing one
+          clauses.push({
+            range: {
+              path,
+              ...(condition.$gte !== undefined && { gte: condition.$gte }),
+              ...(condition.$lte !== undefined && { lte: condition.$lte })
+            }
+          });
+        }
+      } else {
+        clauses.push({ equals: { path, value: condition } });
+      }
+    }
+    return clauses;
+  }
+
+  /**
+   * Split a filter into a $vectorSearch pre-filter and the post-stage
+   * $match (or null) for the `$all` conditions the pre-filter can't express
+   */
+  buildVectorFilter(filter) {
+    const preFilter = {};
+    const postFilter = {};
+    for (const [path, condition] of Object.entries(filter)) {
+      if (condition && typeof condition === 'object' && Array.isArray(condition.$all)) {
+        const { $all, ...rest } = condition;
+        preFilter[path] = { ...rest, $in: $all };
+        postFilter[path] = { $all };
+      } else {
+        preFilter[path] = condition;
+      }
+    }
+    return {
+      preFilter,
+      postFilter: Object.keys(postFilter).length ? postFilter : null
+    };
+  }
+
+  async vectorSearch(collection, { filter, queryVector, limit, minScore = 0 }) {
+    const { preFilter, postFilter } = this.buildVectorFilter(filter);
+    const results = await collection.aggregate([
+      {
+        $vectorSearch: {
+          index: config.VECTOR_INDEX_NAME,
+          path: 'embedding.vector',
+          queryVector,
+          numCandidates: Math.max(config.HYBRID_NUM_CANDIDATES, limit),
+          limit,
+          filter: preFilter
+        }
+      },
+      ...(postFilter ? [{ $match: postFilter }] : []),
+      { $project: { _id: 0, event_id: 1, score: { $meta: 'vectorSearchScore' } } }
+    ]).toArray();
+
+    return results.filter(result => result.score >= minScore);
+  }
+
+  async textSearch(collection, { filter, query, limit }) {
+    return collection.aggregate([
+      {
+        $search: {
+          index: config.SEARCH_INDEX_NAME,
+          compound: {
+            must: [{ text: { query, path: this.textField } }],
+            filter: this.buildSearchFilter(filter)
+          }
+        }
+      },
+      { $limit: limit },
+      { $project: { _id: 0, event_id: 1, score: { $meta: 'searchScore' } } }
+    ]).toArray();
+  }
+
+  /**
+   * Run both legs
+   */
+  async search(collection, { filter, queryVector, query, limit, minScore }) {
+    const [vector, text] = await Promise.all([
+      queryVector
+        ? this.vectorSearch(collection, { filter, queryVector, limit, minScore })
+        : [],
+      this.textSearch(collection, { filter, query, limit })
+    ]);
+    return { vector, text, candidates: null };
+  }
+}
+
+export default AtlasSearchEngine;
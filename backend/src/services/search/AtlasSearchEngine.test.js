@@ -0,0 +1,84 @@
+/**
+ * AI Audio KB - Atlas Search Engine tests
+ */
+
+import { jest } from '@jest/globals';
+import { AtlasSearchEngine } from './AtlasSearchEngine.js';
+
+describe('AtlasSearchEngine', () => {
+  const engine = new AtlasSearchEngine();
+
+  describe('vectorSearch', () => {
+    const run = async filter => {
+      const aggregate = jest.fn().mockReturnValue({
+        toArray: async () => [{ event_id: 'a', score: 0.9 }, { event_id: 'b', score: 0.4 }]
+      });
+      const hits = await engine.vectorSearch({ aggregate }, { filter, queryVector: [1, 0], limit: 5, minScore: 0.5 });
+      return { hits, pipeline: aggregate.mock.calls[0][0] };
+    };
+
+    it('pre-filters tags with $in and enforces $all after the stage', async () => {
+      const { pipeline } = await run({ tenant_id: 'tenant-a', tags: { $all: ['sales', 'q3'] } });
+
+      expect(pipeline[0].$vectorSearch.filter).toEqual({ tenant_id: 'tenant-a', tags: { $in: ['sales', 'q3'] } });
+      expect(pipeline[1]).toEqual({ $match: { tags: { $all: ['sales', 'q3'] } } });
+    });
+
+    it('passes filters without $all through unchanged', async () => {
+      const filter = { tenant_id: 'tenant-a', created_at: { $gte: new Date(0) } };
+      const { pipeline } = await run(filter);
+
+      expect(pipeline[0].$vectorSearch.filter).toEqual(filter);
+      expect(pipeline.some(stage => stage.$match)).toBe(false);
+    });
+
+    it('drops hits below minScore', async () => {
+      const { hits } = await run({ tenant_id: 'tenant-a' });
+
+      expect(hits).toEqual([{ event_id: 'a', score: 0.9 }]);
+    });
+  });
+
+  describe('buildSearchFilter', () => {
+    it('translates equality, $in, $all, ranges and $or into $search clauses', () => {
+      const from = new Date('2025-01-01T00:00:00Z');
+      const clauses = engine.buildSearchFilter({
+        tenant_id: 'tenant-a',
+        'speakers.ids': { $in: ['s1', 's2'] },
+        tags: { $all: ['sales', 'q3'] },
+        created_at: { $gte: from },
+        $or: [{ owner_id: 'u1' }]
+      });
+
+      expect(clauses).toEqual([
+        { equals: { path: 'tenant_id', value: 'tenant-a' } },
+        { in: { path: 'speakers.ids', value: ['s1', 's2'] } },
+        { equals: { path: 'tags', value: 'sales' } },
+        { equals: { path: 'tags', value: 'q3' } },
+        { range: { path: 'created_at', gte: from } },
+        {
+          compound: {
+            should: [{ compound: { filter: [{ equals: { path: 'owner_id', value: 'u1' } }] } }],
+            minimumShouldMatch: 1
+          }
+        }
+      ]);
+    });
+
+    it('sends only the bounds a one-sided range has', () => {
+      const to = new Date('2025-02-01T00:00:00Z');
+      const [clause] = engine.buildSearchFilter({ created_at: { $lte: to } });
+
+      expect(clause).toStrictEqual({ range: { path: 'created_at', lte: to } });
+      expect(Object.keys(clause.range)).not.toContain('gte');
+    });
+
+    it('sends both bounds of a closed range', () => {
+      const from = new Date('2025-01-01T00:00:00Z');
+      const to = new Date('2025-02-01T00:00:00Z');
+
+      expect(engine.buildSearchFilter({ created_at: { $gte: from, $lte: to } }))
+        .toEqual([{ range: { path: 'created_at', gte: from, lte: to } }]);
+    });
+  });
+});
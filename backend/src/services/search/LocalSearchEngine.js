@@ -0,0 +1,132 @@
+/**
+ * AI Audio KB - Local Brute-Force Search Engine
+ *
+ * In-process replacement for Atlas $vectorSearch / $search, used when the
+ * deployment has no Atlas Search (e.g. a plain mongod in CI). Loads the
+ * most recent HYBRID_NUM_CANDIDATES matching segments and scores them with
+ * exact cosine similarity and Okapi BM25 over transcript text.
+ */
+
+import { config } from '../../config/index.js';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Lowercase word tokens
+ */
+export function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+/**
+ * Cosine similarity of two equal-length vectors
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+export class LocalSearchEngine {
+  constructor({ textField = 'transcript.textRedacted' } = {}) {
+    this.name = 'local';
+    this.textField = textField;
+  }
+
+  /**
+   * Read a dotted path from a document; encrypted text reads as empty
+   */
+  getText(doc) {
+    const text = this.textField.split('.').reduce((value, key) => value?.[key], doc);
+    return typeof text === 'string' ? text : '';
+  }
+
+  /**
+   * Load the candidate pool shared by both legs
+   */
+  async loadCandidates(collection, filter) {
+    return collection
+      .find(filter, {
+        projection: { _id: 0, event_id: 1, 'embedding.vector': 1, [this.textField]: 1 }
+      })
+      .sort({ created_at: -1 })
+      .limit(config.HYBRID_NUM_CANDIDATES)
+      .toArray();
+  }
+
+  /**
+   * Rank candidates by cosine similarity, reported on Atlas' [0, 1] scale
+   */
+  vectorSearch(candidates, queryVector, { limit, minScore = 0 }) {
+    return candidates
+      .filter(doc => doc.embedding?.vector?.length === queryVector.length)
+      .map(doc => ({
+        event_id: doc.event_id,
+        score: (1 + cosineSimilarity(queryVector, doc.embedding.vector)) / 2
+      }))
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Rank candidates by BM25 against the query terms
+   */
+  textSearch(candidates, query, { limit }) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    const docs = candidates.map(doc => {
+      const tokens = tokenize(this.getText(doc));
+      const frequencies = new Map();
+      for (const token of tokens) {
+        frequencies.set(token, (frequencies.get(token) || 0) + 1);
+      }
+      return { event_id: doc.event_id, length: tokens.length, frequencies };
+    });
+
+    const averageLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1;
+    const documentFrequency = Object.fromEntries(terms.map(term => [
+      term,
+      docs.filter(d => d.frequencies.has(term)).length
+    ]));
+
+    return docs
+      .map(doc => {
+        let score = 0;
+        for (const term of terms) {
+          const tf = doc.frequencies.get(term) || 0;
+          if (!tf) continue;
+          const df = documentFrequency[term];
+          const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+          score += idf * (tf * (BM25_K1 + 1)) /
+            (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+        }
+        return { event_id: doc.event_id, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Run both legs against the same candidate pool
+   */
+  async search(collection, { filter, queryVector, query, limit, minScore }) {
+    const candidates = await this.loadCandidates(collection, filter);
+    return {
+      vector: queryVector ? this.vectorSearch(candidates, queryVector, { limit, minScore }) : [],
+      text: this.textSearch(candidates, query, { limit }),
+      candidates: candidates.length
+    };
+  }
+}
+
+export default LocalSearchEngine;
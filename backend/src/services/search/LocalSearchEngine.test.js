@@ -0,0 +1,145 @@
+/**
+ * AI Audio KB - Local Search Engine tests
+ */
+
+import { jest } from '@jest/globals';
+import { LocalSearchEngine, cosineSimilarity, tokenize } from './LocalSearchEngine.js';
+
+const segment = (id, text, vector) => ({
+  event_id: id,
+  transcript: { text: `original ${text}`, textRedacted: text },
+  ...(vector && { embedding: { vector } })
+});
+
+describe('tokenize', () => {
+  it('lowercases words and keeps apostrophes and digits', () => {
+    expect(tokenize("Let's review Q3, OK?")).toEqual(["let's", 'review', 'q3', 'ok']);
+  });
+
+  it('handles missing text', () => {
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe('cosineSimilarity', () => {
+  it('is 1 for parallel, 0 for orthogonal and -1 for opposite vectors', () => {
+    expect(cosineSimilarity([1, 2], [2, 4])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([1, 0], [-1, 0])).toBeCloseTo(-1);
+  });
+
+  it('is 0 for a zero vector', () => {
+    expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+  });
+});
+
+describe('LocalSearchEngine', () => {
+  const engine = new LocalSearchEngine();
+
+  describe('vectorSearch', () => {
+    const candidates = [
+      segment('same', 'a', [1, 0]),
+      segment('orthogonal', 'b', [0, 1]),
+      segment('opposite', 'c', [-1, 0]),
+      segment('other-dimensions', 'd', [1, 0, 0]),
+      segment('unembedded', 'e')
+    ];
+
+    it('ranks by cosine similarity on a [0, 1] scale', () => {
+      const hits = engine.vectorSearch(candidates, [1, 0], { limit: 10 });
+
+      expect(hits.map(hit => [hit.event_id, hit.score])).toEqual([
+        ['same', 1],
+        ['orthogonal', 0.5],
+        ['opposite', 0]
+      ]);
+    });
+
+    it('applies minScore and limit', () => {
+      const hits = engine.vectorSearch(candidates, [1, 0], { limit: 1, minScore: 0.4 });
+
+      expect(hits.map(hit => hit.event_id)).toEqual(['same']);
+      expect(engine.vectorSearch(candidates, [1, 0], { limit: 10, minScore: 0.4 })).toHaveLength(2);
+    });
+  });
+
+  describe('textSearch', () => {
+    const candidates = [
+      segment('pricing', 'the pricing for the enterprise tier'),
+      segment('pricing-twice', 'pricing pricing discount'),
+      segment('demo', 'schedule a demo next week')
+    ];
+
+    it('ranks matching segments by BM25 and drops the rest', () => {
+      const hits = engine.textSearch(candidates, 'pricing discount', { limit: 10 });
+
+      expect(hits.map(hit => hit.event_id)).toEqual(['pricing-twice', 'pricing']);
+      expect(hits[0].score).toBeGreaterThan(hits[1].score);
+    });
+
+    it('searches the redacted text only', () => {
+      expect(engine.textSearch(candidates, 'original', { limit: 10 })).toEqual([]);
+    });
+
+    it('skips segments whose redacted text is encrypted', () => {
+      const sealed = {
+        event_id: 'sealed',
+        transcript: { textRedacted: { alg: 'aes-256-gcm', key_version: 1, data: 'cHJpY2luZw==' } }
+      };
+
+      const hits = engine.textSearch([...candidates, sealed], 'pricing', { limit: 10 });
+
+      expect(hits.map(hit => hit.event_id)).toEqual(['pricing-twice', 'pricing']);
+    });
+
+    it('returns nothing for a query without terms', () => {
+      expect(engine.textSearch(candidates, '  ?! ', { limit: 10 })).toEqual([]);
+    });
+  });
+
+  describe('search', () => {
+    it('runs both legs over the candidates matching the filter', async () => {
+      const cursor = {
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        toArray: jest.fn().mockResolvedValue([
+          segment('a', 'pricing call', [1, 0]),
+          segment('b', 'demo call', [0, 1])
+        ])
+      };
+      const collection = { find: jest.fn().mockReturnValue(cursor) };
+      const filter = { tenant_id: 'tenant-a', tags: { $all: ['sales'] } };
+
+      const result = await engine.search(collection, {
+        filter,
+        queryVector: [0, 1],
+        query: 'pricing',
+        limit: 5
+      });
+
+      expect(collection.find).toHaveBeenCalledWith(filter, expect.any(Object));
+      expect(cursor.sort).toHaveBeenCalledWith({ created_at: -1 });
+      expect(result.candidates).toBe(2);
+      expect(result.vector.map(hit => hit.event_id)).toEqual(['b', 'a']);
+      expect(result.text.map(hit => hit.event_id)).toEqual(['a']);
+    });
+
+    it('skips the vector leg without a query vector', async () => {
+      const cursor = {
+        sort: () => cursor,
+        limit: () => cursor,
+        toArray: async () => [segment('a', 'pricing', [1, 0])]
+      };
+
+      const result = await engine.search({ find: () => cursor }, {
+        filter: {},
+        queryVector: null,
+        query: 'pricing',
+        limit: 5
+      });
+
+      expect(result.vector).toEqual([]);
+      expect(result.text).toHaveLength(1);
+    });
+  });
+});
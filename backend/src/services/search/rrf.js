@@ -0,0 +1,44 @@
+/**
+ * AI Audio KB - Weighted Reciprocal Rank Fusion
+ *
+ * score(d) = Σ_legs weight_leg / (k + rank_leg(d)), ranks 1-based.
+ * Documents missing from a leg simply get no contribution from it.
+ */
+
+export const RRF_K = 60;
+
+/**
+ * Fuse ranked result lists
+ *
+ * @param {Array<{ name: string, weight: number, results: Array<{ event_id: string, score: number }> }>} legs
+ * @param {{ k?: number, limit?: number }} options
+ * @returns {Array<{ event_id, score, ranks: Object, scores: Object }>}
+ */
+export function reciprocalRankFusion(legs, { k = RRF_K, limit } = {}) {
+  const fused = new Map();
+
+  for (const { name, weight, results } of legs) {
+    results.forEach((result, index) => {
+      const rank = index + 1;
+      const entry = fused.get(result.event_id) || {
+        event_id: result.event_id,
+        score: 0,
+        ranks: {},
+        scores: {}
+      };
+
+      entry.score += weight / (k + rank);
+      entry.ranks[name] = rank;
+      entry.scores[name] = result.score;
+      fused.set(result.event_id, entry);
+    });
+  }
+
+  const ranked = [...fused.values()].sort((a, b) =>
+    b.score - a.score || a.event_id.localeCompare(b.event_id)
+  );
+
+  return limit ? ranked.slice(0, limit) : ranked;
+}
+
+export default reciprocalRankFusion;
@@ -0,0 +1,58 @@
+/**
+ * AI Audio KB - Reciprocal Rank Fusion tests
+ */
+
+import { RRF_K, reciprocalRankFusion } from './rrf.js';
+
+const results = (...ids) => ids.map((id, index) => ({ event_id: id, score: 1 - index / 10 }));
+
+describe('reciprocalRankFusion', () => {
+  it('sums weight / (k + rank) over the legs a document appears in', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'vector', weight: 0.6, results: results('a', 'b') },
+      { name: 'text', weight: 0.4, results: results('b', 'c') }
+    ]);
+
+    const byId = Object.fromEntries(fused.map(hit => [hit.event_id, hit]));
+    expect(byId.a.score).toBeCloseTo(0.6 / (RRF_K + 1));
+    expect(byId.b.score).toBeCloseTo(0.6 / (RRF_K + 2) + 0.4 / (RRF_K + 1));
+    expect(byId.c.score).toBeCloseTo(0.4 / (RRF_K + 2));
+    expect(fused.map(hit => hit.event_id)).toEqual(['b', 'a', 'c']);
+  });
+
+  it('reports per-leg ranks and scores only for the legs that found a document', () => {
+    const [hit] = reciprocalRankFusion([
+      { name: 'vector', weight: 1, results: [{ event_id: 'a', score: 0.91 }] },
+      { name: 'text', weight: 1, results: [] }
+    ]);
+
+    expect(hit).toEqual({
+      event_id: 'a',
+      score: 1 / (RRF_K + 1),
+      ranks: { vector: 1 },
+      scores: { vector: 0.91 }
+    });
+  });
+
+  it('breaks score ties by event id', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'vector', weight: 1, results: results('b') },
+      { name: 'text', weight: 1, results: results('a') }
+    ]);
+
+    expect(fused.map(hit => hit.event_id)).toEqual(['a', 'b']);
+  });
+
+  it('applies k and limit', () => {
+    const fused = reciprocalRankFusion(
+      [{ name: 'vector', weight: 1, results: results('a', 'b', 'c') }],
+      { k: 0, limit: 2 }
+    );
+
+    expect(fused.map(hit => [hit.event_id, hit.score])).toEqual([['a', 1], ['b', 0.5]]);
+  });
+
+  it('returns nothing for empty legs', () => {
+    expect(reciprocalRankFusion([{ name: 'vector', weight: 1, results: [] }])).toEqual([]);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * AI Audio KB - Local Filesystem Storage Driver
+ *
+ * Objects are files under a root directory, addressed by their key and
+ * exposed as `local://` URIs. Needs no cloud account, so development and
+ * tests run without AWS. Playback goes through the API's signed playback
+ * route, which serves byte ranges from `openRange`.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { NotFoundError, ValidationError } from '../../utils/errors.js';
+
+export class LocalStorageDriver {
+  constructor({ rootDir }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Ensure the storage root exists
+   */
+  async initialize() {
+    await fs.mkdir(this.rootDir, { recursive: true });
+  }
+
+  describe() {
+    return { driver: this.name, rootDir: this.rootDir };
+  }
+
+  /**
+   * Resolve an object key to an absolute path inside the storage root
+   */
+  resolvePath(key) {
+    const resolved = path.resolve(this.rootDir, key);
+    if (!resolved.startsWith(this.rootDir + path.sep)) {
+      throw new ValidationError('Invalid storage key', { key });
+    }
+    return resolved;
+  }
+
+  /**
+   * Store an object, returning its URI and size
+   */
+  async put(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file first so readers never observe partial objects
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+
+    return {
+      key,
+      uri: `local://${key}`,
+      bytes: buffer.length
+    };
+  }
+
+  /**
+   * Read an object into memory
+   */
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError('Audio object not found', { key });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Size of a stored object
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.resolvePath(key));
+      return { bytes: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError('Audio object not found', { key });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stream bytes `start` to `end` (inclusive) of an object
+   */
+  async openRange(key, { start, end }) {
+    return createReadStream(this.resolvePath(key), { start, end });
+  }
+
+  /**
+   * Check whether an object exists
+   */
+  async exists(key) {
+    try {
+      await fs.access(this.resolvePath(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Delete an object; missing objects are ignored
+   */
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
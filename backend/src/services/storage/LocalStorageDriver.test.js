@@ -0,0 +1,84 @@
+/**
+ * AI Audio KB - Local Filesystem Storage Driver tests
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LocalStorageDriver } from './LocalStorageDriver.js';
+import { NotFoundError, ValidationError } from '../../utils/errors.js';
+
+/**
+ * Collect a readable stream into a buffer
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+describe('LocalStorageDriver', () => {
+  const audio = Buffer.from('0123456789');
+  let rootDir;
+  let driver;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-storage-'));
+    driver = new LocalStorageDriver({ rootDir });
+    await driver.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('stores objects under the root and reads them back', async () => {
+    const stored = await driver.put('t1/s1/segment.wav', audio);
+
+    expect(stored).toEqual({ key: 't1/s1/segment.wav', uri: 'local://t1/s1/segment.wav', bytes: 10 });
+    expect(await driver.get('t1/s1/segment.wav')).toEqual(audio);
+    expect(await driver.stat('t1/s1/segment.wav')).toEqual({ bytes: 10 });
+    expect(await fs.readdir(path.join(rootDir, 't1/s1'))).toEqual(['segment.wav']);
+  });
+
+  it('refuses keys that escape the root', () => {
+    expect(() => driver.resolvePath('../outside.wav')).toThrow(ValidationError);
+    expect(() => driver.resolvePath('t1/../../outside.wav')).toThrow(ValidationError);
+    expect(() => driver.resolvePath('')).toThrow(ValidationError);
+  });
+
+  it('reports missing objects as not found', async () => {
+    await expect(driver.get('missing.wav')).rejects.toBeInstanceOf(NotFoundError);
+    await expect(driver.stat('missing.wav')).rejects.toBeInstanceOf(NotFoundError);
+    expect(await driver.exists('missing.wav')).toBe(false);
+    expect(await driver.delete('missing.wav')).toBe(false);
+  });
+
+  it('deletes objects', async () => {
+    await driver.put('segment.wav', audio);
+
+    expect(await driver.delete('segment.wav')).toBe(true);
+    expect(await driver.exists('segment.wav')).toBe(false);
+  });
+
+  describe('openRange', () => {
+    beforeEach(async () => {
+      await driver.put('segment.wav', audio);
+    });
+
+    it('streams an inclusive byte range', async () => {
+      expect((await readAll(await driver.openRange('segment.wav', { start: 2, end: 5 }))).toString()).toBe('2345');
+    });
+
+    it('streams single bytes and the whole object', async () => {
+      expect((await readAll(await driver.openRange('segment.wav', { start: 9, end: 9 }))).toString()).toBe('9');
+      expect(await readAll(await driver.openRange('segment.wav', { start: 0, end: 9 }))).toEqual(audio);
+    });
+
+    it('refuses keys that escape the root', async () => {
+      await expect(driver.openRange('../segment.wav', { start: 0, end: 1 })).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * AI Audio KB - S3 Storage Driver
+ *
+ * Objects live in an S3 bucket and are exposed as `s3://bucket/key` URIs.
+ * S3_ENDPOINT with S3_FORCE_PATH_STYLE points the driver at S3-compatible
+ * servers (MinIO, LocalStack) for local development.
+ *
+ * With S3_OBJECT_LOCK_MODE each object is written with a WORM retention of
+ * S3_OBJECT_LOCK_DAYS. The bucket must have Object Lock enabled (checked at
+ * startup). Deleting a locked object only hides it behind a delete marker;
+ * the locked version stays until its retention ends, so keep the lock
+ * period within the shortest region retention period.
+ */
+
+import {
+  S3Client,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  GetObjectLockConfigurationCommand,
+  HeadBucketCommand,
+  HeadObjectCommand,
+  PutObjectCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { NotFoundError } from '../../utils/errors.js';
+
+export const OBJECT_LOCK_MODES = ['GOVERNANCE', 'COMPLIANCE'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether an SDK error means the object does not exist
+ */
+function isMissing(error) {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+}
+
+export class S3StorageDriver {
+  constructor({
+    bucket,
+    region,
+    endpoint,
+    forcePathStyle = false,
+    accessKeyId,
+    secretAccessKey,
+    objectLockMode = null,
+    objectLockDays = 0
+  }) {
+    this.name = 's3';
+    this.bucket = bucket;
+    this.objectLockMode = objectLockMode || null;
+    this.objectLockDays = objectLockDays;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      // Without explicit keys the SDK's default credential chain applies
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  /**
+   * Check the bucket is reachable and, with Object Lock, that the bucket
+   * has it enabled
+   */
+  async initialize() {
+    if (!this.bucket) {
+      throw new Error('The s3 storage driver requires a bucket');
+    }
+    if (this.objectLockMode && !OBJECT_LOCK_MODES.includes(this.objectLockMode)) {
+      throw new Error(`S3_OBJECT_LOCK_MODE must be one of ${OBJECT_LOCK_MODES.join(', ')}`);
+    }
+    if (this.objectLockMode && this.objectLockDays < 1) {
+      throw new Error('S3_OBJECT_LOCK_DAYS must be at least 1 with S3_OBJECT_LOCK_MODE');
+    }
+
+    await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+
+    if (this.objectLockMode) {
+      const { ObjectLockConfiguration: lock } = await this.client.send(
+        new GetObjectLockConfigurationCommand({ Bucket: this.bucket })
+      );
+      if (lock?.ObjectLockEnabled !== 'Enabled') {
+        throw new Error(`Bucket ${this.bucket} does not have Object Lock enabled`);
+      }
+    }
+  }
+
+  describe() {
+    return {
+      driver: this.name,
+      bucket: this.bucket,
+      objectLock: this.objectLockMode ? { mode: this.objectLockMode, days: this.objectLockDays } : null
+    };
+  }
+
+  /**
+   * Store an object, returning its URI and size
+   */
+  async put(key, buffer) {
+    const lock = this.objectLockMode
+      ? {
+        ObjectLockMode: this.objectLockMode,
+        ObjectLockRetainUntilDate: new Date(Date.now() + this.objectLockDays * DAY_MS),
+        // S3 requires an integrity checksum on writes with a retention
+        ChecksumAlgorithm: 'SHA256'
+      }
+      : {};
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentLength: buffer.length,
+      ...lock
+    }));
+
+    return {
+      key,
+      uri: `s3://${this.bucket}/${key}`,
+      bytes: buffer.length
+    };
+  }
+
+  /**
+   * Read an object into memory
+   */
+  async get(key) {
+    try {
+      const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return Buffer.from(await Body.transformToByteArray());
+    } catch (error) {
+      if (isMissing(error)) {
+        throw new NotFoundError('Audio object not found', { key });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Size of a stored object
+   */
+  async stat(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return { bytes: head.ContentLength };
+    } catch (error) {
+      if (isMissing(error)) {
+        throw new NotFoundError('Audio object not found', { key });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stream bytes `start` to `end` (inclusive) of an object
+   */
+  async openRange(key, { start, end }) {
+    try {
+      const { Body } = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Range: `bytes=${start}-${end}`
+      }));
+      return Body;
+    } catch (error) {
+      if (isMissing(error)) {
+        throw new NotFoundError('Audio object not found', { key });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Time-limited URL that fetches the object straight from the bucket
+   */
+  async getSignedUrl(key, { expiresIn, mimetype }) {
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: key, ResponseContentType: mimetype || undefined }),
+      { expiresIn }
+    );
+  }
+
+  /**
+   * Check whether an object exists
+   */
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (isMissing(error)) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object; missing objects are ignored. Locked versions are
+   * kept until their retention ends.
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    return true;
+  }
+}
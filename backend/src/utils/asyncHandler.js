@@ -0,0 +1,12 @@
+/**
+ * AI Audio KB - Async Route Handler
+ *
+ * Wraps async Express handlers so rejected promises reach the error
+ * handling middleware instead of becoming unhandled rejections.
+ */
+
+export const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+export default asyncHandler;
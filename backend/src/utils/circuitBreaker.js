@@ -0,0 +1,155 @@
+/**
+ * AI Audio KB - Circuit Breaker
+ *
+ * Guards calls to external providers. After CIRCUIT_BREAKER_FAILURE_THRESHOLD
+ * consecutive failures the circuit opens and calls fail fast until
+ * CIRCUIT_BREAKER_RESET_TIMEOUT has elapsed, after which a single trial
+ * call (half-open) decides whether to close it again. Errors for which
+ * `isFailure` returns false (e.g. rejected input) pass through uncounted.
+ */
+
+import { logger } from './logger.js';
+import { config } from '../config/index.js';
+import { ServiceUnavailableError } from './errors.js';
+
+export const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+export class CircuitOpenError extends ServiceUnavailableError {
+  constructor(name, retryAt) {
+    super(`Circuit open for ${name}`, { provider: name, retryAt: new Date(retryAt).toISOString() });
+    this.code = 'CIRCUIT_OPEN';
+  }
+}
+
+export class CircuitTimeoutError extends ServiceUnavailableError {
+  constructor(name, timeoutMs) {
+    super(`${name} call timed out after ${timeoutMs}ms`, { provider: name, timeoutMs });
+    this.code = 'CIRCUIT_TIMEOUT';
+  }
+}
+
+export class CircuitBreaker {
+  constructor(name, {
+    enabled = config.CIRCUIT_BREAKER_ENABLED,
+    failureThreshold = config.CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+    timeout = config.CIRCUIT_BREAKER_TIMEOUT,
+    resetTimeout = config.CIRCUIT_BREAKER_RESET_TIMEOUT,
+    isFailure = () => true
+  } = {}) {
+    this.name = name;
+    this.enabled = enabled;
+    this.failureThreshold = failureThreshold;
+    this.timeout = timeout;
+    this.resetTimeout = resetTimeout;
+    this.isFailure = isFailure;
+
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call would currently be attempted
+   */
+  isAvailable() {
+    if (!this.enabled || this.state === CIRCUIT_STATE.CLOSED) return true;
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      return Date.now() - this.openedAt >= this.resetTimeout;
+    }
+    return !this.trialInFlight;
+  }
+
+  /**
+   * Execute fn through the breaker
+   */
+  async exec(fn) {
+    if (!this.enabled) {
+      return fn();
+    }
+
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        throw new CircuitOpenError(this.name, this.openedAt + this.resetTimeout);
+      }
+      this.transition(CIRCUIT_STATE.HALF_OPEN);
+    }
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.name, Date.now() + this.resetTimeout);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await this.withTimeout(fn);
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error);
+      }
+      throw error;
+    } finally {
+      this.trialInFlight = false;
+    }
+  }
+
+  async withTimeout(fn) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new CircuitTimeoutError(this.name, this.timeout)), this.timeout);
+    });
+
+    try {
+      return await Promise.race([fn(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  onSuccess() {
+    this.failures = 0;
+    if (this.state !== CIRCUIT_STATE.CLOSED) {
+      this.transition(CIRCUIT_STATE.CLOSED);
+    }
+  }
+
+  onFailure(error) {
+    this.failures++;
+    if (this.state === CIRCUIT_STATE.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition(CIRCUIT_STATE.OPEN, { error: error.message });
+    }
+  }
+
+  transition(state, metadata = {}) {
+    logger.warn('Circuit breaker state change', {
+      breaker: this.name,
+      from: this.state,
+      to: state,
+      failures: this.failures,
+      ...metadata
+    });
+    this.state = state;
+  }
+
+  /**
+   * Snapshot for health endpoints
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,91 @@
+/**
+ * AI Audio KB - Application Errors
+ *
+ * Typed error hierarchy carrying HTTP status codes and machine-readable
+ * error codes. Thrown by services and routes, rendered by errorHandler.
+ */
+
+/**
+ * Base application error
+ */
+export class AppError extends Error {
+  constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+    Error.captureStackTrace?.(this, this.constructor);
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      ...(this.details !== undefined && { details: this.details })
+    };
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = 'Invalid request', details) {
+    super(message, { statusCode: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+export class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required', details) {
+    super(message, { statusCode: 401, code: 'AUTHENTICATION_REQUIRED', details });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', details) {
+    super(message, { statusCode: 403, code: 'FORBIDDEN', details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', details) {
+    super(message, { statusCode: 404, code: 'NOT_FOUND', details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Resource conflict', details) {
+    super(message, { statusCode: 409, code: 'CONFLICT', details });
+  }
+}
+
+export class PayloadTooLargeError extends AppError {
+  constructor(message = 'Payload too large', details) {
+    super(message, { statusCode: 413, code: 'PAYLOAD_TOO_LARGE', details });
+  }
+}
+
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(message = 'Unsupported media type', details) {
+    super(message, { statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE', details });
+  }
+}
+
+export class BudgetExceededError extends AppError {
+  constructor(message = 'Hourly cost budget exceeded', details = {}) {
+    super(message, { statusCode: 429, code: 'COST_BUDGET_EXCEEDED', details });
+    this.retryAfter = details.retry_after_seconds;
+  }
+}
+
+export class TenantIsolationError extends AppError {
+  constructor(message = 'Cross-tenant data access refused', details) {
+    super(message, { statusCode: 403, code: 'TENANT_ISOLATION', details });
+  }
+}
+
+export class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service unavailable', details) {
+    super(message, { statusCode: 503, code: 'SERVICE_UNAVAILABLE', details });
+  }
+}
+
+export default AppError;
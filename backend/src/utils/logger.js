@@ -170,6 +170,14 @@ logger.costEvent = (event, metadata = {}) => {
   });
 };
 
+logger.jobEvent = (event, metadata = {}) => {
+  logger.info(`Job Event: ${event}`, {
+    category: 'job',
+    event,
+    ...metadata
+  });
+};
+
 // Performance timing utility
 logger.timeStart = (operation) => {
   const startTime = process.hrtime.bigint();
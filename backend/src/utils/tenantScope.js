@@ -0,0 +1,247 @@
+/**
+ * AI Audio KB - Tenant-Scoped Data Access
+ *
+ * Every tenant collection is keyed by `tenant_id`. Instead of trusting each
+ * query to carry the filter, services get a TenantScopedCollection that
+ * injects `tenant_id` into every read, update and delete, prepends it to
+ * aggregations and stamps it on inserts. Filters or documents naming a
+ * different tenant, and pipeline stages that read other collections, are
+ * refused with TenantIsolationError.
+ *
+ * Raw (unscoped) access to a tenant collection requires an explicit system
+ * context from createSystemContext(reason), e.g. for zone-wide jobs.
+ */
+
+import { logger } from './logger.js';
+import { TenantIsolationError } from './errors.js';
+
+// Collections whose documents belong to one tenant
+export const TENANT_COLLECTIONS = new Set([
+  'audio_events',
+  'sessions',
+  'consents',
+  'audit_logs',
+  'legal_holds',
+  'teams',
+  'team_invitations',
+  'session_shares',
+  'usage_ledger',
+  'usage_hours',
+  'recordings',
+  'data_keys'
+]);
+
+const SYSTEM_CONTEXT = Symbol('systemContext');
+
+// Stages that must come first and carry their own filter
+const SEARCH_STAGES = ['$search', '$searchMeta', '$vectorSearch'];
+
+// Stages that read from or write to other collections
+const CROSS_COLLECTION_STAGES = ['$lookup', '$graphLookup', '$unionWith', '$out', '$merge'];
+
+/**
+ * Explicit permission for unscoped access. Only code can create one; a
+ * context deserialized from input is never a system context.
+ */
+export function createSystemContext(reason) {
+  if (!reason) {
+    throw new Error('A system context needs a reason');
+  }
+  return Object.freeze({ [SYSTEM_CONTEXT]: true, reason });
+}
+
+export function isSystemContext(context) {
+  return context?.[SYSTEM_CONTEXT] === true;
+}
+
+/**
+ * Refuse unscoped access to a tenant collection without a system context
+ */
+export function assertUnscopedAccess(name, context) {
+  if (!TENANT_COLLECTIONS.has(name)) return;
+
+  if (!isSystemContext(context)) {
+    throw new TenantIsolationError('Tenant collections must be accessed through a tenant scope', { collection: name });
+  }
+  logger.debug('Unscoped tenant collection access', { collection: name, reason: context.reason });
+}
+
+export class TenantScopedCollection {
+  constructor(collection, tenantId) {
+    if (!tenantId || typeof tenantId !== 'string') {
+      throw new TenantIsolationError('A tenant id is required for tenant-scoped access', { collection: collection.collectionName });
+    }
+    this.collection = collection;
+    this.tenantId = tenantId;
+  }
+
+  get collectionName() {
+    return this.collection.collectionName;
+  }
+
+  refuse(reason, details = {}) {
+    logger.securityEvent('tenant_isolation_refused', {
+      tenantId: this.tenantId,
+      collection: this.collectionName,
+      reason,
+      ...details
+    });
+    throw new TenantIsolationError(undefined, { collection: this.collectionName, reason });
+  }
+
+  /**
+   * Filter restricted to this tenant
+   */
+  scopeFilter(filter = {}) {
+    if ('tenant_id' in filter && filter.tenant_id !== this.tenantId) {
+      this.refuse('filter_names_other_tenant');
+    }
+    return { ...filter, tenant_id: this.tenantId };
+  }
+
+  /**
+   * Document stamped with this tenant
+   */
+  stampDocument(doc) {
+    if (doc.tenant_id !== undefined && doc.tenant_id !== this.tenantId) {
+      this.refuse('document_names_other_tenant');
+    }
+    doc.tenant_id = this.tenantId;
+    return doc;
+  }
+
+  /**
+   * Refuse updates that would move a document to another tenant
+   */
+  checkUpdate(update) {
+    const stages = Array.isArray(update) ? update : [update];
+
+    for (const stage of stages) {
+      for (const [operator, fields] of Object.entries(stage || {})) {
+        if (operator === '$unset' && fields === 'tenant_id') {
+          this.refuse('update_removes_tenant');
+        }
+        if (!fields || typeof fields !== 'object') continue;
+        const names = Array.isArray(fields) ? fields : Object.keys(fields);
+
+        if (['$unset', '$rename'].includes(operator) && names.includes('tenant_id')) {
+          this.refuse('update_removes_tenant');
+        }
+        if ('tenant_id' in fields && !Array.isArray(fields) && fields.tenant_id !== this.tenantId) {
+          this.refuse('update_changes_tenant');
+        }
+      }
+    }
+    return update;
+  }
+
+  /**
+   * Pipeline restricted to this tenant
+   */
+  scopePipeline(pipeline = []) {
+    const visit = (stages) => {
+      for (const stage of stages) {
+        const operator = Object.keys(stage)[0];
+        if (CROSS_COLLECTION_STAGES.includes(operator)) {
+          this.refuse('cross_collection_stage', { stage: operator });
+        }
+        if (stage.$facet) {
+          Object.values(stage.$facet).forEach(visit);
+        }
+      }
+    };
+    visit(pipeline);
+
+    const match = { $match: { tenant_id: this.tenantId } };
+    const [first, ...rest] = pipeline;
+
+    // Atlas search stages must stay first; callers pass the tenant in their
+    // own filter and the $match right after enforces it
+    if (first && SEARCH_STAGES.includes(Object.keys(first)[0])) {
+      return [first, match, ...rest];
+    }
+    return [match, ...pipeline];
+  }
+
+  find(filter, options) {
+    return this.collection.find(this.scopeFilter(filter), options);
+  }
+
+  findOne(filter, options) {
+    return this.collection.findOne(this.scopeFilter(filter), options);
+  }
+
+  countDocuments(filter, options) {
+    return this.collection.countDocuments(this.scopeFilter(filter), options);
+  }
+
+  distinct(key, filter, options) {
+    return this.collection.distinct(key, this.scopeFilter(filter), options);
+  }
+
+  aggregate(pipeline, options) {
+    return this.collection.aggregate(this.scopePipeline(pipeline), options);
+  }
+
+  insertOne(doc, options) {
+    return this.collection.insertOne(this.stampDocument(doc), options);
+  }
+
+  insertMany(docs, options) {
+    return this.collection.insertMany(docs.map(doc => this.stampDocument(doc)), options);
+  }
+
+  updateOne(filter, update, options) {
+    return this.collection.updateOne(this.scopeFilter(filter), this.checkUpdate(update), options);
+  }
+
+  updateMany(filter, update, options) {
+    return this.collection.updateMany(this.scopeFilter(filter), this.checkUpdate(update), options);
+  }
+
+  replaceOne(filter, replacement, options) {
+    return this.collection.replaceOne(this.scopeFilter(filter), this.stampDocument(replacement), options);
+  }
+
+  findOneAndUpdate(filter, update, options) {
+    return this.collection.findOneAndUpdate(this.scopeFilter(filter), this.checkUpdate(update), options);
+  }
+
+  findOneAndDelete(filter, options) {
+    return this.collection.findOneAndDelete(this.scopeFilter(filter), options);
+  }
+
+  deleteOne(filter, options) {
+    return this.collection.deleteOne(this.scopeFilter(filter), options);
+  }
+
+  deleteMany(filter, options) {
+    return this.collection.deleteMany(this.scopeFilter(filter), options);
+  }
+
+  bulkWrite(operations, options) {
+    const scoped = operations.map(operation => {
+      const [type, spec] = Object.entries(operation)[0];
+      switch (type) {
+        case 'insertOne':
+          return { insertOne: { ...spec, document: this.stampDocument(spec.document) } };
+        case 'replaceOne':
+          return { replaceOne: { ...spec, filter: this.scopeFilter(spec.filter), replacement: this.stampDocument(spec.replacement) } };
+        case 'updateOne':
+        case 'updateMany':
+          return { [type]: { ...spec, filter: this.scopeFilter(spec.filter), update: this.checkUpdate(spec.update) } };
+        case 'deleteOne':
+        case 'deleteMany':
+          return { [type]: { ...spec, filter: this.scopeFilter(spec.filter) } };
+        default:
+          return this.refuse('unknown_bulk_operation', { operation: type });
+      }
+    });
+    return this.collection.bulkWrite(scoped, options);
+  }
+}
+
+/**
+ * Wrap a raw collection in a tenant scope
+ */
+export const scopeToTenant = (collection, tenantId) => new TenantScopedCollection(collection, tenantId);
@@ -0,0 +1,245 @@
+/**
+ * AI Audio KB - Tenant-Scoped Data Access tests
+ */
+
+import { jest } from '@jest/globals';
+import { DatabaseManager } from '../config/database.js';
+import { TenantIsolationError } from './errors.js';
+import {
+  TenantScopedCollection,
+  assertUnscopedAccess,
+  createSystemContext,
+  isSystemContext,
+  scopeToTenant
+} from './tenantScope.js';
+
+const METHODS = [
+  'find', 'findOne', 'countDocuments', 'distinct', 'aggregate', 'insertOne', 'insertMany',
+  'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndDelete',
+  'deleteOne', 'deleteMany', 'bulkWrite'
+];
+
+/**
+ * Raw collection stub recording what reaches the driver
+ */
+function createRawCollection() {
+  const collection = { collectionName: 'audio_events' };
+  for (const method of METHODS) {
+    collection[method] = jest.fn().mockReturnValue('result');
+  }
+  return collection;
+}
+
+describe('TenantScopedCollection', () => {
+  let raw;
+  let scoped;
+
+  beforeEach(() => {
+    raw = createRawCollection();
+    scoped = scopeToTenant(raw, 'tenant-a');
+  });
+
+  it('requires a tenant id', () => {
+    expect(() => new TenantScopedCollection(raw, '')).toThrow(TenantIsolationError);
+    expect(() => new TenantScopedCollection(raw, { $ne: null })).toThrow(TenantIsolationError);
+  });
+
+  describe('find', () => {
+    it('adds the tenant to the filter', () => {
+      scoped.find({ session_id: 's1' }, { limit: 5 });
+      scoped.find();
+
+      expect(raw.find).toHaveBeenNthCalledWith(1, { session_id: 's1', tenant_id: 'tenant-a' }, { limit: 5 });
+      expect(raw.find).toHaveBeenNthCalledWith(2, { tenant_id: 'tenant-a' }, undefined);
+    });
+
+    it('refuses a filter naming another tenant', () => {
+      expect(() => scoped.find({ tenant_id: 'tenant-b' })).toThrow(TenantIsolationError);
+      expect(() => scoped.findOne({ tenant_id: { $in: ['tenant-a', 'tenant-b'] } })).toThrow(TenantIsolationError);
+      expect(raw.find).not.toHaveBeenCalled();
+      expect(raw.findOne).not.toHaveBeenCalled();
+    });
+
+    it('accepts a filter naming the same tenant', () => {
+      scoped.countDocuments({ tenant_id: 'tenant-a' });
+
+      expect(raw.countDocuments).toHaveBeenCalledWith({ tenant_id: 'tenant-a' }, undefined);
+    });
+  });
+
+  describe('update', () => {
+    it('scopes the filter of updates', () => {
+      scoped.updateOne({ event_id: 'e1' }, { $set: { status: 'indexed' } });
+      scoped.updateMany({}, { $inc: { count: 1 } });
+      scoped.findOneAndUpdate({ event_id: 'e1' }, { $set: { status: 'indexed' } });
+
+      expect(raw.updateOne.mock.calls[0][0]).toEqual({ event_id: 'e1', tenant_id: 'tenant-a' });
+      expect(raw.updateMany.mock.calls[0][0]).toEqual({ tenant_id: 'tenant-a' });
+      expect(raw.findOneAndUpdate.mock.calls[0][0]).toEqual({ event_id: 'e1', tenant_id: 'tenant-a' });
+    });
+
+    it('refuses updates that filter on another tenant', () => {
+      expect(() => scoped.updateOne({ tenant_id: 'tenant-b' }, { $set: { status: 'x' } })).toThrow(TenantIsolationError);
+      expect(raw.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses updates that move documents to another tenant', () => {
+      expect(() => scoped.updateOne({}, { $set: { tenant_id: 'tenant-b' } })).toThrow(TenantIsolationError);
+      expect(() => scoped.updateMany({}, [{ $set: { tenant_id: 'tenant-b' } }])).toThrow(TenantIsolationError);
+      expect(() => scoped.updateOne({}, { $setOnInsert: { tenant_id: 'tenant-b' } }, { upsert: true }))
+        .toThrow(TenantIsolationError);
+      expect(raw.updateOne).not.toHaveBeenCalled();
+      expect(raw.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('refuses updates that remove the tenant', () => {
+      expect(() => scoped.updateOne({}, { $unset: { tenant_id: '' } })).toThrow(TenantIsolationError);
+      expect(() => scoped.updateOne({}, { $rename: { tenant_id: 'owner' } })).toThrow(TenantIsolationError);
+      expect(() => scoped.updateMany({}, [{ $unset: 'tenant_id' }])).toThrow(TenantIsolationError);
+    });
+
+    it('stamps replacements and refuses replacements for another tenant', () => {
+      scoped.replaceOne({ event_id: 'e1' }, { event_id: 'e1' });
+
+      expect(raw.replaceOne).toHaveBeenCalledWith(
+        { event_id: 'e1', tenant_id: 'tenant-a' },
+        { event_id: 'e1', tenant_id: 'tenant-a' },
+        undefined
+      );
+      expect(() => scoped.replaceOne({}, { tenant_id: 'tenant-b' })).toThrow(TenantIsolationError);
+    });
+  });
+
+  describe('insert', () => {
+    it('stamps the tenant on inserted documents', () => {
+      scoped.insertOne({ event_id: 'e1' });
+      scoped.insertMany([{ event_id: 'e2' }, { event_id: 'e3', tenant_id: 'tenant-a' }]);
+
+      expect(raw.insertOne.mock.calls[0][0]).toEqual({ event_id: 'e1', tenant_id: 'tenant-a' });
+      expect(raw.insertMany.mock.calls[0][0].map(doc => doc.tenant_id)).toEqual(['tenant-a', 'tenant-a']);
+    });
+
+    it('refuses documents naming another tenant', () => {
+      expect(() => scoped.insertOne({ tenant_id: 'tenant-b' })).toThrow(TenantIsolationError);
+      expect(() => scoped.insertMany([{}, { tenant_id: 'tenant-b' }])).toThrow(TenantIsolationError);
+      expect(raw.insertOne).not.toHaveBeenCalled();
+      expect(raw.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('aggregate', () => {
+    it('prepends a tenant $match', () => {
+      scoped.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+
+      expect(raw.aggregate.mock.calls[0][0]).toEqual([
+        { $match: { tenant_id: 'tenant-a' } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+    });
+
+    it('keeps search stages first and matches the tenant right after', () => {
+      const search = { $vectorSearch: { filter: { tenant_id: 'tenant-a' } } };
+      scoped.aggregate([search, { $limit: 5 }]);
+
+      expect(raw.aggregate.mock.calls[0][0]).toEqual([
+        search,
+        { $match: { tenant_id: 'tenant-a' } },
+        { $limit: 5 }
+      ]);
+    });
+
+    it('cannot be widened to another tenant by a later $match', () => {
+      scoped.aggregate([{ $match: { tenant_id: 'tenant-b' } }]);
+
+      expect(raw.aggregate.mock.calls[0][0][0]).toEqual({ $match: { tenant_id: 'tenant-a' } });
+    });
+
+    it('refuses stages that read or write other collections', () => {
+      for (const stage of [
+        { $lookup: { from: 'sessions', as: 'session' } },
+        { $unionWith: 'audio_events' },
+        { $out: 'copy' },
+        { $merge: { into: 'copy' } },
+        { $facet: { nested: [{ $graphLookup: { from: 'sessions' } }] } }
+      ]) {
+        expect(() => scoped.aggregate([stage])).toThrow(TenantIsolationError);
+      }
+      expect(raw.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('delete', () => {
+    it('scopes deletes to the tenant', () => {
+      scoped.deleteOne({ event_id: 'e1' });
+      scoped.deleteMany({});
+      scoped.findOneAndDelete({ event_id: 'e2' });
+
+      expect(raw.deleteOne.mock.calls[0][0]).toEqual({ event_id: 'e1', tenant_id: 'tenant-a' });
+      expect(raw.deleteMany.mock.calls[0][0]).toEqual({ tenant_id: 'tenant-a' });
+      expect(raw.findOneAndDelete.mock.calls[0][0]).toEqual({ event_id: 'e2', tenant_id: 'tenant-a' });
+    });
+
+    it('refuses deletes naming another tenant', () => {
+      expect(() => scoped.deleteMany({ tenant_id: 'tenant-b' })).toThrow(TenantIsolationError);
+      expect(() => scoped.deleteOne({ tenant_id: 'tenant-b', event_id: 'e1' })).toThrow(TenantIsolationError);
+      expect(raw.deleteMany).not.toHaveBeenCalled();
+      expect(raw.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bulkWrite', () => {
+    it('scopes every operation', () => {
+      scoped.bulkWrite([
+        { insertOne: { document: { event_id: 'e1' } } },
+        { updateOne: { filter: { event_id: 'e2' }, update: { $set: { status: 'x' } } } },
+        { deleteMany: { filter: {} } }
+      ]);
+
+      expect(raw.bulkWrite.mock.calls[0][0]).toEqual([
+        { insertOne: { document: { event_id: 'e1', tenant_id: 'tenant-a' } } },
+        { updateOne: { filter: { event_id: 'e2', tenant_id: 'tenant-a' }, update: { $set: { status: 'x' } } } },
+        { deleteMany: { filter: { tenant_id: 'tenant-a' } } }
+      ]);
+    });
+
+    it('refuses operations touching another tenant', () => {
+      expect(() => scoped.bulkWrite([{ deleteOne: { filter: { tenant_id: 'tenant-b' } } }])).toThrow(TenantIsolationError);
+      expect(() => scoped.bulkWrite([{ updateOne: { filter: {}, update: { $set: { tenant_id: 'tenant-b' } } } }]))
+        .toThrow(TenantIsolationError);
+      expect(raw.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('unscoped access', () => {
+  it('requires a system context for tenant collections', () => {
+    expect(() => assertUnscopedAccess('audio_events')).toThrow(TenantIsolationError);
+    expect(() => assertUnscopedAccess('audio_events', createSystemContext('retention-sweep'))).not.toThrow();
+  });
+
+  it('allows collections that do not belong to a tenant', () => {
+    expect(() => assertUnscopedAccess('schema_migrations')).not.toThrow();
+  });
+
+  it('does not accept a context that was not created by createSystemContext', () => {
+    const forged = JSON.parse(JSON.stringify(createSystemContext('forged')));
+
+    expect(isSystemContext(forged)).toBe(false);
+    expect(isSystemContext({ reason: 'forged', systemContext: true })).toBe(false);
+    expect(() => assertUnscopedAccess('sessions', forged)).toThrow(TenantIsolationError);
+  });
+
+  it('requires a reason for a system context', () => {
+    expect(() => createSystemContext()).toThrow();
+  });
+
+  it('is enforced by DatabaseManager.getCollection', () => {
+    const manager = new DatabaseManager({ zone: 'test' });
+    const collection = jest.fn(name => ({ collectionName: name }));
+    jest.spyOn(manager, 'getDatabase').mockReturnValue({ collection });
+
+    expect(() => manager.getCollection('sessions')).toThrow(TenantIsolationError);
+    expect(collection).not.toHaveBeenCalled();
+    expect(manager.getCollection('sessions', createSystemContext('test'))).toEqual({ collectionName: 'sessions' });
+  });
+});
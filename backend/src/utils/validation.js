@@ -0,0 +1,24 @@
+/**
+ * AI Audio KB - Request Validation
+ *
+ * Joi validation helper that converts validation failures into
+ * ValidationError with per-field details.
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Validate a payload against a Joi schema, throwing ValidationError
+ */
+export function validate(schema, payload, message = 'Invalid request') {
+  const { value, error } = schema.validate(payload, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    throw new ValidationError(message, error.details.map(d => ({
+      field: d.path.join('.'),
+      message: d.message
+    })));
+  }
+  return value;
+}
+
+export default validate;
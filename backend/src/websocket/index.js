@@ -0,0 +1,219 @@
+/**
+ * AI Audio KB - WebSocket Handlers
+ *
+ * Real-time audio ingest protocol on the `/ingest` Socket.IO namespace.
+ *
+ * Client -> server:
+ *   session:start   { session_id, codec? }            ack: { ok, last_acked_seq, resume_from_seq, ... }
+ *   audio:frame     { seq, start_ms, end_ms, codec? }, <binary>
+ *   heartbeat:ack   { ts }
+ *   session:stop    {}                                 ack: { ok, last_acked_seq }
+ *
+ * Server -> client:
+ *   audio:ack       { seq, last_acked_seq, duplicate? }
+ *   audio:nack      { seq, reason, expected_seq, last_acked_seq, retry_after_ms? }
+ *   flow:pause      { buffered_bytes, max_buffer_bytes }
+ *   flow:resume     { buffered_bytes, last_acked_seq }
+ *   heartbeat       { ts, last_acked_seq }
+ *   session:closed  { reason, last_acked_seq }
+ *
+ * After a reconnect the client repeats `session:start` and resends every
+ * frame after `last_acked_seq`; already-persisted frames are re-acked.
+ */
+
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { AudioStreamService } from '../services/AudioStreamService.js';
+import { SharingService, SHARE_ACCESS } from '../services/SharingService.js';
+import { ResidencyRouter } from '../services/ResidencyRouter.js';
+import { hasScope, socketAuthentication } from '../middleware/auth.js';
+
+export const INGEST_NAMESPACE = '/ingest';
+
+// Disconnect a client that misses this many consecutive heartbeats
+const MAX_MISSED_HEARTBEATS = 2;
+
+/**
+ * Reply through a Socket.IO acknowledgement callback if one was supplied
+ */
+function reply(ack, payload) {
+  if (typeof ack === 'function') {
+    ack(payload);
+  }
+}
+
+/**
+ * Forward stream events to the owning socket
+ */
+function bindStreamEvents(socket, stream) {
+  stream.on('ack', payload => socket.emit('audio:ack', payload));
+  stream.on('nack', payload => socket.emit('audio:nack', payload));
+  stream.on('pause', payload => socket.emit('flow:pause', payload));
+  stream.on('resume', payload => socket.emit('flow:resume', payload));
+  stream.on('close', payload => {
+    if (socket.data.stream === stream) {
+      socket.data.stream = null;
+    }
+    if (socket.connected) {
+      socket.emit('session:closed', payload);
+    }
+  });
+}
+
+/**
+ * Start the per-socket heartbeat loop
+ */
+function startHeartbeat(socket) {
+  let missed = 0;
+
+  socket.on('heartbeat:ack', () => {
+    missed = 0;
+  });
+
+  const timer = setInterval(() => {
+    if (missed >= MAX_MISSED_HEARTBEATS) {
+      logger.warn('WebSocket heartbeat timeout', { socketId: socket.id, missed });
+      clearInterval(timer);
+      socket.disconnect(true);
+      return;
+    }
+
+    missed++;
+    socket.emit('heartbeat', {
+      ts: Date.now(),
+      last_acked_seq: socket.data.stream?.lastAckedSeq ?? null
+    });
+  }, config.WS_HEARTBEAT_INTERVAL);
+
+  return timer;
+}
+
+/**
+ * Register handlers for one ingest connection
+ */
+function handleConnection(socket) {
+  const user = socket.data.user;
+  socket.data.stream = null;
+
+  const heartbeat = startHeartbeat(socket);
+
+  socket.on('session:start', async (payload = {}, ack) => {
+    try {
+      if (!payload.session_id) {
+        return reply(ack, { ok: false, error: 'session_id is required' });
+      }
+
+      await SharingService.loadAuthorizedSession(user, payload.session_id, SHARE_ACCESS.WRITE);
+
+      if (socket.data.stream) {
+        await AudioStreamService.closeStream(socket.data.stream, 'restarted');
+      }
+
+      const stream = await AudioStreamService.openStream({
+        socketId: socket.id,
+        tenantId: user.tenant_id,
+        userId: user.id,
+        sessionId: payload.session_id,
+        codec: payload.codec
+      });
+      bindStreamEvents(socket, stream);
+      socket.data.stream = stream;
+
+      reply(ack, {
+        ok: true,
+        session_id: stream.sessionId,
+        last_acked_seq: stream.lastAckedSeq,
+        resume_from_seq: stream.nextExpectedSeq,
+        heartbeat_interval_ms: config.WS_HEARTBEAT_INTERVAL,
+        max_buffer_bytes: stream.maxBufferBytes
+      });
+
+    } catch (error) {
+      logger.warn('Stream handshake rejected', {
+        socketId: socket.id,
+        sessionId: payload.session_id,
+        error: error.message
+      });
+      reply(ack, { ok: false, error: error.message, code: error.code });
+    }
+  });
+
+  socket.on('audio:frame', (meta, data) => {
+    const stream = socket.data.stream;
+    if (!stream) {
+      socket.emit('audio:nack', { seq: meta?.seq, reason: 'no_session' });
+      return;
+    }
+    AudioStreamService.enqueueFrame(stream, meta, data);
+  });
+
+  socket.on('session:stop', async (payload, ack) => {
+    const stream = socket.data.stream;
+    if (!stream) {
+      return reply(ack, { ok: true, last_acked_seq: null });
+    }
+    await AudioStreamService.closeStream(stream, 'client_stop');
+    reply(ack, { ok: true, last_acked_seq: stream.lastAckedSeq });
+  });
+
+  socket.on('disconnect', async (reason) => {
+    clearInterval(heartbeat);
+    if (socket.data.stream) {
+      await AudioStreamService.closeStream(socket.data.stream, `disconnect:${reason}`);
+    }
+  });
+}
+
+/**
+ * Attach ingest handlers to the Socket.IO server
+ */
+export function setupWebSocketHandlers(io) {
+  const ingest = io.of(INGEST_NAMESPACE);
+
+  // io.use() only covers the main namespace
+  ingest.use(socketAuthentication);
+
+  ingest.use((socket, next) => {
+    if (!config.FEATURE_WEBSOCKET_STREAMING) {
+      return next(new Error('WebSocket streaming is disabled'));
+    }
+
+    if (io.engine.clientsCount > config.WS_MAX_CONNECTIONS) {
+      logger.warn('WebSocket connection limit reached', {
+        socketId: socket.id,
+        limit: config.WS_MAX_CONNECTIONS
+      });
+      return next(new Error('Too many connections'));
+    }
+
+    if (!socket.data.user?.tenant_id) {
+      return next(new Error('Authentication required'));
+    }
+    if (!hasScope(socket.data.user, 'audio', 'write')) {
+      return next(new Error('API key lacks the audio:write scope'));
+    }
+
+    // Streams write into existing sessions, so the tenant must already be
+    // pinned; connecting never pins it
+    ResidencyRouter.lookupTenantZone(socket.data.user.tenant_id)
+      .then(zone => {
+        if (!zone) {
+          return next(new Error('Tenant has no data residency zone yet'));
+        }
+        socket.data.residencyZone = zone;
+        next();
+      })
+      .catch(error => next(error));
+  });
+
+  ingest.on('connection', handleConnection);
+
+  logger.startup('WebSocket ingest', {
+    namespace: INGEST_NAMESPACE,
+    heartbeatIntervalMs: config.WS_HEARTBEAT_INTERVAL,
+    maxConnections: config.WS_MAX_CONNECTIONS,
+    maxBufferBytes: config.WS_MAX_BUFFER_SIZE
+  });
+}
+
+export default setupWebSocketHandlers;
@@ -0,0 +1,258 @@
+/**
+ * AI Audio KB - WebSocket Handlers tests
+ */
+
+import { jest } from '@jest/globals';
+import { config } from '../config/index.js';
+import { setPath } from '../__tests__/helpers/memoryCollection.js';
+import { AudioStreamService } from '../services/AudioStreamService.js';
+import { ConsentService } from '../services/ConsentService.js';
+import { RegionPolicyService } from '../services/RegionPolicyService.js';
+import { ResidencyRouter } from '../services/ResidencyRouter.js';
+import { SESSION_STATUS, SessionService } from '../services/SessionService.js';
+import { SharingService } from '../services/SharingService.js';
+import { INGEST_NAMESPACE, setupWebSocketHandlers } from './index.js';
+
+const USER = { id: 'u1', tenant_id: 'tenant-a', role: 'agent', scopes: ['audio:write'] };
+
+/**
+ * Server-side socket stub: `receive` plays a client event into the
+ * registered handlers, `emit` records what the server sends back
+ */
+function createSocket(id, user = USER) {
+  const handlers = {};
+  const socket = {
+    id,
+    data: { user },
+    connected: true,
+    sent: [],
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    emit: (event, payload) => socket.sent.push([event, payload]),
+    disconnect: jest.fn(() => {
+      socket.connected = false;
+    }),
+    receive: (event, ...args) => handlers[event](...args),
+    request: (event, payload) => new Promise(resolve => handlers[event](payload, resolve))
+  };
+  return socket;
+}
+
+/**
+ * Socket.IO server stub exposing the ingest namespace's middleware and
+ * connection handler
+ */
+function createServer() {
+  const namespace = { middleware: [], use: fn => namespace.middleware.push(fn), on: (event, handler) => { namespace.connect = handler; } };
+  const io = { engine: { clientsCount: 1 }, of: jest.fn(() => namespace) };
+  setupWebSocketHandlers(io);
+  return { io, namespace };
+}
+
+const frame = seq => [{ seq, start_ms: seq * 1000, end_ms: (seq + 1) * 1000 }, Buffer.alloc(10, seq)];
+
+describe('ingest namespace', () => {
+  let session;
+  let server;
+  let sockets;
+
+  beforeEach(() => {
+    session = { session_id: 's1', tenant_id: 'tenant-a', status: SESSION_STATUS.ACTIVE, consent: { region: 'US-CA' } };
+    sockets = [];
+
+    jest.spyOn(SharingService, 'loadAuthorizedSession').mockResolvedValue(session);
+    jest.spyOn(SessionService, 'getSession').mockImplementation(async () => structuredClone(session));
+    jest.spyOn(SessionService, 'ingestSegment').mockResolvedValue({});
+    jest.spyOn(RegionPolicyService, 'assertAllowed').mockReturnValue({ status: 'allowed' });
+    jest.spyOn(ConsentService, 'assertIngestAllowed').mockReturnValue(undefined);
+    jest.spyOn(ResidencyRouter, 'getCollection').mockReturnValue({
+      updateOne: jest.fn(async (filter, { $set }) => {
+        Object.entries($set).forEach(([path, value]) => setPath(session, path, value));
+      })
+    });
+
+    server = createServer();
+  });
+
+  afterEach(async () => {
+    for (const socket of sockets) {
+      await socket.receive('disconnect', 'test teardown');
+    }
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const connect = id => {
+    const socket = createSocket(id);
+    sockets.push(socket);
+    server.namespace.connect(socket);
+    return socket;
+  };
+
+  const send = async (socket, ...frames) => {
+    frames.forEach(([meta, data]) => socket.receive('audio:frame', meta, data));
+    await socket.data.stream.chain;
+  };
+
+  it('serves the ingest namespace', () => {
+    expect(server.io.of).toHaveBeenCalledWith(INGEST_NAMESPACE);
+  });
+
+  describe('session:start', () => {
+    it('acknowledges the handshake with the resume point', async () => {
+      const socket = connect('socket-1');
+
+      expect(await socket.request('session:start', { session_id: 's1', codec: 'opus' })).toEqual({
+        ok: true,
+        session_id: 's1',
+        last_acked_seq: -1,
+        resume_from_seq: 0,
+        heartbeat_interval_ms: config.WS_HEARTBEAT_INTERVAL,
+        max_buffer_bytes: config.WS_MAX_BUFFER_SIZE
+      });
+      expect(SharingService.loadAuthorizedSession).toHaveBeenCalledWith(USER, 's1', 'write');
+    });
+
+    it('rejects a session the user cannot write to', async () => {
+      SharingService.loadAuthorizedSession.mockRejectedValue(Object.assign(new Error('Access denied'), { code: 'FORBIDDEN' }));
+      const socket = connect('socket-1');
+
+      expect(await socket.request('session:start', { session_id: 's1' }))
+        .toEqual({ ok: false, error: 'Access denied', code: 'FORBIDDEN' });
+      expect(socket.data.stream).toBeNull();
+    });
+
+    it('requires a session_id', async () => {
+      expect(await connect('socket-1').request('session:start', {})).toEqual({ ok: false, error: 'session_id is required' });
+    });
+  });
+
+  describe('audio:frame', () => {
+    it('acks in-order frames and nacks a frame past a gap', async () => {
+      const socket = connect('socket-1');
+      await socket.request('session:start', { session_id: 's1' });
+
+      await send(socket, frame(0), frame(2));
+
+      expect(socket.sent).toEqual([
+        ['audio:ack', { seq: 0, last_acked_seq: 0 }],
+        ['audio:nack', { seq: 2, reason: 'out_of_order', expected_seq: 1, last_acked_seq: 0 }]
+      ]);
+    });
+
+    it('nacks frames sent before session:start', () => {
+      const socket = connect('socket-1');
+
+      socket.receive('audio:frame', ...frame(0));
+
+      expect(socket.sent).toEqual([['audio:nack', { seq: 0, reason: 'no_session' }]]);
+    });
+
+    it('resumes on a new connection from the last acked seq', async () => {
+      const dropped = connect('socket-1');
+      await dropped.request('session:start', { session_id: 's1' });
+      await send(dropped, frame(0), frame(1));
+      await dropped.receive('disconnect', 'transport close');
+
+      const socket = connect('socket-2');
+      const handshake = await socket.request('session:start', { session_id: 's1' });
+
+      expect(handshake).toMatchObject({ ok: true, last_acked_seq: 1, resume_from_seq: 2 });
+
+      await send(socket, frame(1), frame(2));
+
+      expect(socket.sent).toEqual([
+        ['audio:ack', { seq: 1, last_acked_seq: 1, duplicate: true }],
+        ['audio:ack', { seq: 2, last_acked_seq: 2 }]
+      ]);
+      expect(SessionService.ingestSegment.mock.calls.map(([{ seq }]) => seq)).toEqual([0, 1, 2]);
+    });
+
+    it('tells a half-open connection its stream was taken over', async () => {
+      const stale = connect('socket-1');
+      await stale.request('session:start', { session_id: 's1' });
+
+      await connect('socket-2').request('session:start', { session_id: 's1' });
+
+      expect(stale.sent).toEqual([['session:closed', { reason: 'taken_over', last_acked_seq: -1 }]]);
+      expect(stale.data.stream).toBeNull();
+    });
+  });
+
+  describe('session:stop', () => {
+    it('closes the stream and reports the last acked seq', async () => {
+      const socket = connect('socket-1');
+      await socket.request('session:start', { session_id: 's1' });
+      await send(socket, frame(0));
+
+      expect(await socket.request('session:stop', {})).toEqual({ ok: true, last_acked_seq: 0 });
+      expect(AudioStreamService.getActiveStreamCount()).toBe(0);
+      expect(session.stream).toMatchObject({ last_acked_seq: 0, connected: false });
+    });
+  });
+
+  describe('heartbeat', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    const heartbeats = socket => socket.sent.filter(([event]) => event === 'heartbeat');
+
+    it('disconnects a client that misses two heartbeats', () => {
+      const socket = connect('socket-1');
+
+      jest.advanceTimersByTime(config.WS_HEARTBEAT_INTERVAL * 2);
+      expect(heartbeats(socket)).toHaveLength(2);
+      expect(socket.disconnect).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(config.WS_HEARTBEAT_INTERVAL);
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+    });
+
+    it('keeps a client that answers heartbeats', () => {
+      const socket = connect('socket-1');
+
+      for (let i = 0; i < 5; i++) {
+        jest.advanceTimersByTime(config.WS_HEARTBEAT_INTERVAL);
+        socket.receive('heartbeat:ack', { ts: Date.now() });
+      }
+
+      expect(heartbeats(socket)).toHaveLength(5);
+      expect(heartbeats(socket)[0][1]).toEqual({ ts: expect.any(Number), last_acked_seq: null });
+      expect(socket.disconnect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('connection middleware', () => {
+    const admit = async (user, clientsCount = 1) => {
+      server.io.engine.clientsCount = clientsCount;
+      const [, gate] = server.namespace.middleware;
+      return new Promise(resolve => gate({ id: 'socket-1', data: { user } }, resolve));
+    };
+
+    it('admits a user with audio:write in a pinned tenant', async () => {
+      jest.spyOn(ResidencyRouter, 'lookupTenantZone').mockResolvedValue('us-west-2');
+
+      expect(await admit(USER)).toBeUndefined();
+    });
+
+    it('refuses a key without audio:write', async () => {
+      expect((await admit({ ...USER, scopes: ['audio:read'] })).message).toBe('API key lacks the audio:write scope');
+    });
+
+    it('refuses a connection without a tenant', async () => {
+      expect((await admit(undefined)).message).toBe('Authentication required');
+    });
+
+    it('refuses a tenant without a residency zone', async () => {
+      jest.spyOn(ResidencyRouter, 'lookupTenantZone').mockResolvedValue(null);
+
+      expect((await admit(USER)).message).toBe('Tenant has no data residency zone yet');
+    });
+
+    it('refuses connections past the limit', async () => {
+      expect((await admit(USER, config.WS_MAX_CONNECTIONS + 1)).message).toBe('Too many connections');
+    });
+  });
+});